@@ -1,61 +1,52 @@
 #!/usr/bin/env node
 /**
  * Price checker for NC Mesh parts.
- * Auto-builds product list from parts.json (all items with ASIN or scrapable URL).
- * Scrapes current prices, updates prices.json history, and syncs changes back to parts.json.
+ * Auto-builds product list from the catalog (every offer with an ASIN or scrapable URL).
+ * Scrapes current prices and stock status with the vendor adapters in src/scrapers/,
+ * saves each result to the prices table as soon as it is read (so the site shows it
+ * right away), and syncs changes back to the catalog database, then re-exports the
+ * parts.json snapshot.
+ * Shops are checked in parallel, each at its own pace and within its robots.txt
+ * (src/scrapers/scheduler.js, robots.js). A run stopped before it checks every offer
+ * (the CronJob deadline, or RUN_BUDGET_SECONDS) is resumed by the next one.
+ * Offers that name a `variant` get that variant's price, so "From $X" offers can be
+ * checked too; other "From" prices are skipped.
+ * Price changes that look like scraper errors (src/anomalies.js) are held for an admin
+ * to accept or reject (/api/admin/price-reviews) and send no alerts until accepted.
  * Outputs "PRICES_CHANGED" if any price changed >5%.
  */
 
-const fs = require('fs');
-const path = require('path');
-const cheerio = require('cheerio');
-const Database = require('better-sqlite3');
-const { Resend } = require('resend');
-
-const DATA_DIR = path.join(__dirname, 'data');
-const PARTS_FILE = path.join(DATA_DIR, 'parts.json');
-const PRICES_FILE = path.join(DATA_DIR, 'prices.json');
-const AFFILIATE_TAG = 'dpaschal26-20';
-
-const USER_AGENTS = [
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
-  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
-];
-
-function randomUserAgent() {
-  return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
-}
-
-/**
- * Detect source from URL hostname.
- */
-function detectSource(url) {
-  try {
-    const host = new URL(url).hostname;
-    if (host.includes('amazon.com')) return 'amazon';
-    if (host.includes('seeedstudio.com')) return 'seeed';
-    if (host.includes('heltec.org')) return 'heltec';
-    if (host.includes('lilygo.cc')) return 'lilygo';
-    if (host.includes('rakwireless.com')) return 'rakwireless';
-    if (host.includes('elecrow.com')) return 'elecrow';
-    if (host.includes('rokland.com')) return 'rokland';
-    if (host.includes('uniteng.com')) return 'uniteng';
-    if (host.includes('muzi.works')) return 'muzi';
-    return 'generic';
-  } catch {
-    return 'generic';
-  }
-}
+const { initDB } = require('./src/db');
+const catalog = require('./src/catalog');
+const { slugify, parsePartsPrice, formatPartsPrice } = catalog;
+const { offersFor, vendorFor } = require('./src/vendors');
+const feeds = require('./src/feeds');
+const history = require('./src/history');
+const alerts = require('./src/alerts');
+const anomalies = require('./src/anomalies');
+const pricing = require('./src/pricing');
+const scrapers = require('./src/scrapers');
+const { createScheduler } = require('./src/scrapers/scheduler');
+const robots = require('./src/scrapers/robots');
+const { AVAILABILITY, MANUAL_AVAILABILITY, combineAvailability } = require('./src/availability');
+
+// Currency of catalog prices
+const CURRENCY = 'USD';
+
+// Shops checked at once
+const CONCURRENCY = Number(process.env.CHECK_CONCURRENCY) || 4;
+// Time to spend checking before saving what was found; the rest of the run is
+// resumed next time. Leaves room for the sync within the CronJob's 900s deadline.
+const RUN_BUDGET_SECONDS = Number(process.env.RUN_BUDGET_SECONDS) || 780;
+// Longest robots.txt Crawl-delay honored; shops asking for more are not checked
+const MAX_CRAWL_DELAY_MS = 30000;
 
 /**
  * Check if a parts.json item should be skipped for price checking.
  */
 function shouldSkip(item) {
-  // Skip "From $X" variant pricing
-  if (item.price && item.price.startsWith('From')) return true;
+  // Skip "From $X" pricing unless the offer names the variant it means
+  if (item.price && item.price.startsWith('From') && !item.variant) return true;
   // Skip non-product URLs (Discord, etc.)
   if (item.url) {
     try {
@@ -71,35 +62,18 @@ function shouldSkip(item) {
 }
 
 /**
- * Parse a parts.json price string like "$36.50" into a number.
- */
-function parsePartsPrice(priceStr) {
-  if (!priceStr) return null;
-  const match = priceStr.match(/\$?([\d,]+\.?\d*)/);
-  if (match) return parseFloat(match[1].replace(',', ''));
-  return null;
-}
-
-/**
- * Convert a numeric price to a parts.json display string.
- */
-function formatPartsPrice(price) {
-  if (price >= 100) return `$${price.toFixed(2)}`;
-  if (price % 1 === 0) return `$${price.toFixed(2)}`;
-  return `$${price.toFixed(2)}`;
-}
-
-/**
- * Build the product URL for an item.
+ * Build the product page URL to scrape for an item. Affiliate parameters are
+ * added only to the links sent to subscribers.
  */
 function buildUrl(item) {
   if (item.url) return item.url;
-  if (item.asin) return `https://www.amazon.com/dp/${item.asin}?tag=${AFFILIATE_TAG}`;
+  if (item.asin) return `https://www.amazon.com/dp/${item.asin}`;
   return null;
 }
 
 /**
- * Build the check list from parts.json, merging with existing prices.json history.
+ * Build the check list from parts.json, merging with the latest saved prices.
+ * Each offer of an item is checked separately.
  */
 function buildProductList(partsData, existingPrices) {
   // Index existing prices by a key (ASIN or URL)
@@ -111,226 +85,154 @@ function buildProductList(partsData, existingPrices) {
 
   const products = [];
   for (const item of partsData) {
-    if (shouldSkip(item)) continue;
-
-    const url = buildUrl(item);
-    if (!url) continue;
-
-    const source = item.asin ? 'amazon' : detectSource(url);
-    const key = item.asin || url;
-    const existing = priceHistory[key];
-    const price = parsePartsPrice(item.price);
-
-    if (price === null) continue;
-
-    products.push({
-      name: item.name,
-      price: existing ? existing.price : price,
-      priceDisplay: existing ? existing.priceDisplay : item.price,
-      url,
-      source,
-      asin: item.asin || null,
-      lastChecked: existing ? existing.lastChecked : null,
-      lastChanged: existing ? existing.lastChanged : null,
-    });
+    for (const offer of offersFor(item)) {
+      if (shouldSkip(offer)) continue;
+
+      const url = buildUrl(offer);
+      if (!url) continue;
+
+      const existing = priceHistory[offer.key];
+      const price = parsePartsPrice(offer.price);
+
+      if (price === null) continue;
+
+      products.push({
+        id: item.id || slugify(item.name),
+        catalogPrice: price,
+        aliases: item.aliases || [],
+        name: item.name,
+        category: item.category,
+        vendor: offer.vendor,
+        price: existing ? existing.price : price,
+        priceDisplay: existing ? existing.priceDisplay : offer.price,
+        url,
+        source: offer.source,
+        asin: offer.asin,
+        inStock: existing && typeof existing.inStock === 'boolean' ? existing.inStock : offer.inStock,
+        availability: existing ? existing.availability || null : null,
+        lastChecked: existing ? existing.lastChecked : null,
+        lastChanged: existing ? existing.lastChanged : null,
+        variant: offer.variant,
+        variantTitle: existing ? existing.variantTitle : null,
+        variants: existing ? existing.variants : [],
+      });
+    }
   }
 
   return products;
 }
 
-async function fetchPage(url) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 8000);
-  try {
-    const res = await fetch(url, {
-      headers: {
-        'User-Agent': randomUserAgent(),
-        'Accept': 'text/html,application/xhtml+xml',
-        'Accept-Language': 'en-US,en;q=0.9',
-      },
-      signal: controller.signal,
-    });
-    clearTimeout(timeout);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    return await res.text();
-  } catch (e) {
-    clearTimeout(timeout);
-    throw e;
-  }
-}
-
-function extractSeeedPrice(html) {
-  const $ = cheerio.load(html);
-  const selectors = [
-    '.product-price .price', '.pro-price', '#product_price',
-    '[data-product-price]', '.price--main .money', '.product__price',
-  ];
-  for (const sel of selectors) {
-    const text = $(sel).first().text().trim();
-    const match = text.match(/\$?([\d,]+\.?\d*)/);
-    if (match) return parseFloat(match[1].replace(',', ''));
-  }
-  const priceMatch = html.match(/\$\s*([\d,]+\.\d{2})/);
-  if (priceMatch) return parseFloat(priceMatch[1].replace(',', ''));
-  return null;
-}
-
-function extractGenericPrice(html) {
-  const $ = cheerio.load(html);
-  const selectors = [
-    '.price', '.product-price', '.current-price', '.sale-price',
-    '[data-product-price]', '.money', '.ProductPrice',
-    '.price--main', '.price-item--regular', '.price-item--sale',
-  ];
-  for (const sel of selectors) {
-    const text = $(sel).first().text().trim();
-    const match = text.match(/\$\s*([\d,]+\.?\d*)/);
-    if (match) return parseFloat(match[1].replace(',', ''));
-  }
-  const matches = [...html.matchAll(/\$\s*([\d,]+\.\d{2})/g)];
-  const prices = matches.map(m => parseFloat(m[1].replace(',', ''))).filter(p => p > 5 && p < 500);
-  if (prices.length > 0) return Math.min(...prices);
-  return null;
-}
-
-function extractAmazonPrice(html) {
-  const $ = cheerio.load(html);
-  const selectors = [
-    '.a-price .a-offscreen', '.a-price-whole', '.a-color-price',
-    '[data-a-color="price"] .a-offscreen',
-  ];
-  for (const sel of selectors) {
-    const text = $(sel).first().text().trim();
-    const match = text.match(/\$?([\d,]+\.?\d*)/);
-    if (match) return parseFloat(match[1].replace(',', ''));
-  }
-  const matches = [...html.matchAll(/\$\s*([\d,]+\.\d{2})/g)];
-  if (matches.length > 0) return parseFloat(matches[0][1].replace(',', ''));
-  return null;
+/**
+ * Record a product's stock status (ignoring unknown ones) and log changes.
+ */
+function recordAvailability(product, status) {
+  if (!status || status === product.availability) return;
+  console.log(`  📦 ${product.name}: ${product.availability || 'unknown'} → ${status}`);
+  product.availability = status;
+  product.inStock = AVAILABILITY[status].inStock;
 }
 
 /**
- * Send email notifications to subscribers whose threshold is met by this price drop.
+ * Record the vendor's variants of a product (in catalog currency only) and
+ * the one its price is for.
  */
-async function notifySubscribers(product, oldPrice, newPrice, pctChange, db) {
-  if (!process.env.RESEND_API_KEY) {
-    console.log('  ⚠️  RESEND_API_KEY not set — skipping email notifications');
-    return;
-  }
-
-  const resend = new Resend(process.env.RESEND_API_KEY);
-  const productId = product.asin || product.name;
-  const pctDrop = pctChange * 100;
-
-  const subscribers = db.prepare(
-    'SELECT * FROM price_alerts WHERE product_id = ? AND active = 1 AND threshold_pct <= ?'
-  ).all(productId, pctDrop);
-
-  if (subscribers.length === 0) {
-    console.log(`  📭 No subscribers matched for ${product.name} (${pctDrop.toFixed(1)}% drop)`);
-    return;
-  }
-
-  let buyUrl = product.url;
-  if (!buyUrl.includes('tag=')) {
-    buyUrl += (buyUrl.includes('?') ? '&' : '?') + `tag=${AFFILIATE_TAG}`;
+function recordVariants(product, page) {
+  if (page.unmatchedVariant) {
+    const titles = page.variants.map(variant => variant.title).join(', ');
+    console.log(`  🔀 ${product.name}: no "${page.unmatchedVariant}" variant ${titles ? `among ${titles}` : 'listed on the page'}`);
   }
-
-  let sent = 0;
-  const updateStmt = db.prepare(
-    "UPDATE price_alerts SET last_notified = datetime('now') WHERE id = ?"
-  );
-
-  for (const sub of subscribers) {
-    const unsubUrl = `https://node-parts.paschal.ai/api/alerts/unsubscribe/${sub.unsubscribe_token}`;
-
-    const html = `
-<!DOCTYPE html>
-<html>
-<head><meta charset="utf-8"></head>
-<body style="margin:0; padding:0; background:#1a1a2e; font-family:Arial, Helvetica, sans-serif;">
-  <table width="100%" cellpadding="0" cellspacing="0" style="background:#1a1a2e; padding:40px 20px;">
-    <tr><td align="center">
-      <table width="600" cellpadding="0" cellspacing="0" style="background:#16213e; border-radius:8px; overflow:hidden;">
-        <tr><td style="background:#0f3460; padding:24px 32px;">
-          <h1 style="margin:0; color:#e94560; font-size:24px;">Price Drop Alert</h1>
-        </td></tr>
-        <tr><td style="padding:32px;">
-          <h2 style="color:#eee; margin:0 0 16px 0; font-size:20px;">${product.name}</h2>
-          <table cellpadding="0" cellspacing="0" style="margin:0 0 24px 0;">
-            <tr>
-              <td style="color:#999; font-size:14px; padding-right:12px;">Was:</td>
-              <td style="color:#999; font-size:18px; text-decoration:line-through;">$${oldPrice.toFixed(2)}</td>
-            </tr>
-            <tr>
-              <td style="color:#4ecca3; font-size:14px; padding-right:12px;">Now:</td>
-              <td style="color:#4ecca3; font-size:24px; font-weight:bold;">$${newPrice.toFixed(2)}</td>
-            </tr>
-            <tr>
-              <td style="color:#e94560; font-size:14px; padding-right:12px;">Save:</td>
-              <td style="color:#e94560; font-size:16px; font-weight:bold;">${pctDrop.toFixed(1)}% off</td>
-            </tr>
-          </table>
-          <a href="${buyUrl}" style="display:inline-block; background:#e94560; color:#fff; text-decoration:none; padding:14px 32px; border-radius:6px; font-size:16px; font-weight:bold;">Buy Now</a>
-        </td></tr>
-        <tr><td style="padding:16px 32px; border-top:1px solid #0f3460;">
-          <p style="color:#666; font-size:12px; margin:0;">
-            You received this because you subscribed to price alerts on
-            <a href="https://node-parts.paschal.ai" style="color:#4ecca3;">NC Mesh Parts</a>.
-            <a href="${unsubUrl}" style="color:#999;">Unsubscribe</a>
-          </p>
-        </td></tr>
-      </table>
-    </td></tr>
-  </table>
-</body>
-</html>`.trim();
-
-    try {
-      await resend.emails.send({
-        from: 'NC Mesh Parts <alerts@paschal.ai>',
-        to: sub.email,
-        subject: `Price Drop: ${product.name} — $${oldPrice.toFixed(2)} → $${newPrice.toFixed(2)}`,
-        html,
-      });
-      updateStmt.run(sub.id);
-      sent++;
-    } catch (err) {
-      console.log(`  ❌ Failed to send to ${sub.email}: ${err.message}`);
-    }
-  }
-
-  console.log(`  📧 Sent ${sent}/${subscribers.length} price alert notifications`);
+  product.variantTitle = page.variant;
+  product.variants = page.variants
+    .filter(variant => !variant.currency || variant.currency.toUpperCase() === CURRENCY)
+    .map(variant => ({
+      title: variant.title,
+      price: variant.price,
+      inStock: variant.availability ? AVAILABILITY[variant.availability].inStock : null
+    }));
 }
 
-async function checkProduct(product, db) {
+async function checkProduct(product, db, scheduler) {
   const now = new Date().toISOString();
   try {
-    const html = await fetchPage(product.url);
-    let newPrice = null;
+    const page = await scheduler.request(product.url, () => scrapers.scrape(product.url, { variant: product.variant }));
+    recordAvailability(product, page.availability);
+    recordVariants(product, page);
+
+    // Catalog prices are in US dollars; a page priced in another currency says nothing about them
+    const newPrice = !page.currency || page.currency.toUpperCase() === CURRENCY ? page.price : null;
+    if (page.price && newPrice === null) {
+      console.log(`  💱 ${product.name}: priced in ${page.currency}, not ${CURRENCY}`);
+    }
 
-    if (product.source === 'seeed') {
-      newPrice = extractSeeedPrice(html);
-    } else if (product.source === 'amazon') {
-      newPrice = extractAmazonPrice(html);
-    } else {
-      newPrice = extractGenericPrice(html);
+    // Sold-out pages often still show a price (the last one, or another seller's) that cannot be paid
+    if (newPrice && page.availability === 'out-of-stock') {
+      console.log(`🚫 ${product.name}: out of stock at $${newPrice}, keeping cached $${product.price}`);
+      product.lastChecked = now;
+      return false;
     }
 
     if (newPrice && newPrice > 0) {
-      const oldPrice = product.price;
-      const pctChange = Math.abs(newPrice - oldPrice) / oldPrice;
-      const changed = pctChange > 0.05;
+      // An offer without a cached price takes its first one as a change
+      const oldPrice = product.price > 0 ? product.price : null;
+      const pctChange = oldPrice === null ? null : Math.abs(newPrice - oldPrice) / oldPrice;
+      const changed = oldPrice === null || pctChange > 0.05;
+      const offer = product.asin || product.url;
+      const described = oldPrice === null ? `first price $${newPrice}` : `$${oldPrice} → $${newPrice}`;
+
+      // Suspicious changes wait for an admin; the cached price stays meanwhile
+      if (changed && db) {
+        const screened = anomalies.screenChange(db, {
+          partId: product.id,
+          offer,
+          name: product.name,
+          vendor: product.vendor,
+          source: product.source,
+          url: product.url,
+          category: product.category,
+          oldPrice,
+          newPrice
+        });
+        if (screened.status === 'rejected') {
+          console.log(`🙅 ${product.name}: $${newPrice} was rejected in review, keeping cached $${product.price}`);
+        } else if (screened.status === 'held') {
+          console.log(`🚩 ${product.name}: ${described} held for review (${screened.reasons.map(r => r.message).join('; ')})`);
+        }
+        if (screened.status !== 'ok') {
+          product.lastChecked = now;
+          return false;
+        }
+      }
+
+      if (db) {
+        // A price held earlier is out of date now that a sound one was read
+        if (anomalies.supersedeReviews(db, offer) > 0) {
+          console.log(`  🗂️  ${product.name}: held price superseded by $${newPrice}`);
+        }
+        history.recordPrice(db, {
+          partId: product.id,
+          price: newPrice,
+          source: product.source,
+          offer,
+          availability: product.availability
+        });
+      }
 
       if (changed) {
-        console.log(`📊 ${product.name}: $${oldPrice} → $${newPrice} (${(pctChange * 100).toFixed(1)}% change)`);
+        console.log(oldPrice === null
+          ? `🆕 ${product.name}: ${described}`
+          : `📊 ${product.name}: ${described} (${(pctChange * 100).toFixed(1)}% change)`);
         product.price = newPrice;
         product.priceDisplay = formatPartsPrice(newPrice);
         product.lastChanged = now;
+        product._oldPrice = oldPrice;
         product._pctChange = pctChange;
 
-        if (newPrice < oldPrice && db) {
-          await notifySubscribers(product, oldPrice, newPrice, pctChange, db);
+        // Subscribers only hear of prices they can buy at now
+        const dropped = oldPrice !== null && newPrice < oldPrice;
+        if (dropped && db && product.inStock === false) {
+          console.log(`  📭 Not alerting for ${product.name}: ${product.availability}`);
+        } else if (dropped && db) {
+          await alerts.notifySubscribers(product, oldPrice, newPrice, pctChange, db);
         }
       } else {
         console.log(`✅ ${product.name}: $${oldPrice} (unchanged)`);
@@ -344,127 +246,230 @@ async function checkProduct(product, db) {
     }
   } catch (e) {
     console.log(`❌ ${product.name}: ${e.message} — keeping cached $${product.price}`);
+    // A pulled listing: the vendor no longer sells it here
+    if (e.status === 404 || e.status === 410) {
+      recordAvailability(product, 'out-of-stock');
+      product.lastChecked = now;
+    }
     return false;
   }
 }
 
 /**
- * Sync price changes from the checked products back into parts.json.
- * Returns the number of items updated.
+ * Price changes found by the part of a resumed run that was checked before it
+ * stopped: saved, but not synced to the catalog yet. These are offers whose
+ * price changed since the run started and no longer matches the catalog.
  */
-function syncBackToParts(partsData, changedProducts) {
-  if (changedProducts.length === 0) return 0;
-
-  // Filter out changes > 80% — almost certainly scraper errors
-  const MAX_CHANGE = 0.80;
-  const reliable = changedProducts.filter(p => {
-    if (p._pctChange > MAX_CHANGE) {
-      console.log(`  ⚠️  Skipping sync for ${p.name}: ${(p._pctChange * 100).toFixed(1)}% change exceeds ${MAX_CHANGE * 100}% cap (likely scraper error)`);
-      return false;
-    }
-    return true;
+function resumedChanges(done, run) {
+  const changed = done.filter(p =>
+    p.lastChanged && p.lastChanged >= run.startedAt && p.catalogPrice && p.price !== p.catalogPrice);
+  changed.forEach(p => {
+    p._oldPrice = p.catalogPrice;
+    p._pctChange = Math.abs(p.price - p.catalogPrice) / p.catalogPrice;
   });
+  return changed;
+}
 
-  if (reliable.length === 0) return 0;
+/**
+ * Sync price changes from the checked products back into the catalog entries,
+ * updating the entry's own price and the price of each matching offer.
+ * Returns the entries whose price was updated.
+ */
+function syncBackToParts(partsData, changedProducts) {
+  if (changedProducts.length === 0) return [];
 
   // Build lookup: ASIN → new price, URL → new price
   const byAsin = {};
   const byUrl = {};
-  for (const p of reliable) {
+  for (const p of changedProducts) {
     if (p.asin) byAsin[p.asin] = p.price;
     else byUrl[p.url] = p.price;
   }
 
-  let updated = 0;
+  const newPriceFor = offer => {
+    if (offer.asin) return byAsin[offer.asin];
+    if (offer.url) return byUrl[offer.url];
+    return undefined;
+  };
+
+  const updated = [];
   for (const item of partsData) {
-    let newPrice = null;
-    if (item.asin && byAsin[item.asin] !== undefined) {
-      newPrice = byAsin[item.asin];
-    } else if (item.url && byUrl[item.url] !== undefined) {
-      newPrice = byUrl[item.url];
-    }
+    let changed = false;
 
-    if (newPrice !== null) {
+    const newPrice = newPriceFor(item);
+    if (newPrice !== undefined) {
       item.price = formatPartsPrice(newPrice);
-      updated++;
+      changed = true;
+    }
+
+    if (Array.isArray(item.offers)) {
+      item.offers = item.offers.map(offer => {
+        const offerPrice = newPriceFor(offer);
+        if (offerPrice === undefined) return offer;
+        changed = true;
+        return Object.assign({}, offer, { price: formatPartsPrice(offerPrice) });
+      });
     }
+
+    if (changed) updated.push(item);
   }
 
   return updated;
 }
 
-async function main() {
-  // Read parts.json — the source of truth for the product catalog
-  if (!fs.existsSync(PARTS_FILE)) {
-    console.error('parts.json not found at', PARTS_FILE);
-    process.exit(1);
+/**
+ * Sync stock status from the checked products back into the catalog entries:
+ * each offer's inStock and the entry's availability (see
+ * availability.combineAvailability). Statuses set by maintainers, such as
+ * discontinued, are left alone. Returns the entries that changed.
+ */
+function syncAvailability(partsData, products) {
+  const byKey = {};
+  for (const p of products) {
+    if (p.availability) byKey[p.asin || p.url] = p;
   }
-  const partsData = JSON.parse(fs.readFileSync(PARTS_FILE, 'utf8'));
+  const productFor = offer => byKey[offer.asin || offer.url];
 
-  // Load existing prices.json for history (if it exists)
-  let existingPrices = { products: [], lastRun: null };
-  if (fs.existsSync(PRICES_FILE)) {
-    try {
-      existingPrices = JSON.parse(fs.readFileSync(PRICES_FILE, 'utf8'));
-    } catch { /* start fresh */ }
+  const updated = [];
+  for (const item of partsData) {
+    if (MANUAL_AVAILABILITY.includes(item.availability)) continue;
+    let changed = false;
+
+    if (Array.isArray(item.offers)) {
+      item.offers = item.offers.map(offer => {
+        const product = productFor(offer);
+        if (!product || (offer.inStock !== false) === product.inStock) return offer;
+        changed = true;
+        const next = Object.assign({}, offer, { inStock: false });
+        if (product.inStock) delete next.inStock;
+        return next;
+      });
+    }
+
+    const statuses = [item].concat(item.offers || []).map(offer => {
+      const product = productFor(offer);
+      return product ? product.availability : null;
+    });
+    const combined = combineAvailability(statuses);
+    // In stock is the default, so it is stored as no availability at all
+    const availability = combined === 'in-stock' ? undefined : combined;
+    if (combined && availability !== item.availability) {
+      item.availability = availability;
+      changed = true;
+    }
+
+    if (changed) updated.push(item);
   }
 
-  // Build the product check list
-  const products = buildProductList(partsData, existingPrices);
+  return updated;
+}
+
+async function main() {
+  // Open the database — it holds the product catalog and price alert subscribers
+  const db = initDB(process.env.DB_PATH || undefined);
+  try {
+    await checkCatalog(db);
+  } finally {
+    db.close();
+  }
+}
 
-  const amazonCount = products.filter(p => p.source === 'amazon').length;
-  const otherCount = products.length - amazonCount;
-  const estimatedTime = Math.ceil((amazonCount * 3 + otherCount * 1.5) / 60);
-  console.log(`\n🔍 Checking ${products.length} products (${amazonCount} Amazon, ${otherCount} other)`);
-  console.log(`⏱️  Estimated time: ~${estimatedTime} minutes\n`);
+async function checkCatalog(db) {
+  catalog.init(db);
 
-  // Open the database for price alert subscriber lookups
-  const DB_PATH = path.join(DATA_DIR, 'ncmesh.db');
-  let db = null;
-  if (fs.existsSync(DB_PATH)) {
-    try {
-      db = new Database(DB_PATH);
-      console.log('📂 Opened alert subscriber database');
-    } catch (err) {
-      console.log(`⚠️  Could not open database: ${err.message} — notifications disabled`);
-    }
-  } else {
-    console.log('⚠️  Database not found at data/ncmesh.db — notifications disabled');
+  // Work on copies so syncBackToParts can update prices before they are saved
+  const partsData = catalog.getEntries().map(entry => Object.assign({}, entry));
+  if (partsData.length === 0) {
+    throw new Error('Catalog is empty — import data/parts.json first (npm run catalog:import)');
   }
 
-  const changedProducts = [];
-  let checked = 0;
+  // Build the product check list, starting from the latest saved prices
+  pricing.importLegacyPrices(db);
+  const products = buildProductList(partsData, pricing.loadPrices(db));
 
-  try {
-    for (const product of products) {
-      checked++;
-      const prefix = `[${checked}/${products.length}]`;
-      process.stdout.write(`${prefix} `);
+  // Offers already checked by a run that was stopped early keep their results
+  const run = pricing.startRun(db);
+  const done = run.resumed ? products.filter(p => p.lastChecked && p.lastChecked >= run.startedAt) : [];
+  const pending = products.filter(p => !done.includes(p));
+  const changedProducts = resumedChanges(done, run);
 
-      const changed = await checkProduct(product, db);
-      if (changed) changedProducts.push(product);
+  const amazonCount = pending.filter(p => p.source === 'amazon').length;
+  const otherCount = pending.length - amazonCount;
+  if (run.resumed) {
+    console.log(`\n⏯️  Resuming the run started ${run.startedAt} (${done.length} of ${products.length} products already checked)`);
+  }
+  console.log(`\n🔍 Checking ${pending.length} products (${amazonCount} Amazon, ${otherCount} other), ${CONCURRENCY} shops at a time\n`);
+
+  const scheduler = createScheduler({
+    concurrency: CONCURRENCY,
+    spacingFor: host => vendorFor(`https://${host}/`).delayMs,
+    deadline: Date.now() + RUN_BUDGET_SECONDS * 1000,
+    onRetry: (url, err, delay, attempt) => {
+      console.log(`  🔁 ${url}: ${err.message}, retry ${attempt + 1} in ${(delay / 1000).toFixed(1)}s`);
+    }
+  });
+  const robotsFor = robots.createRobots(origin => scheduler.request(origin, () => robots.fetchRobots(origin)));
 
-      // Rate limiting: 3s for Amazon, 1.5s for others
-      const delay = product.source === 'amazon' ? 3000 : 1500;
-      await new Promise(r => setTimeout(r, delay));
+  const result = await scheduler.run(pending, product => product.url, async product => {
+    const rules = await robotsFor(product.url);
+    if (!rules.allowed) {
+      console.log(`🤖 ${product.name}: ${product.url} is disallowed by robots.txt — keeping cached $${product.price}`);
+      return;
     }
-  } finally {
-    if (db) db.close();
+    if (rules.crawlDelay) {
+      if (rules.crawlDelay * 1000 > MAX_CRAWL_DELAY_MS) {
+        console.log(`🤖 ${product.name}: robots.txt asks for ${rules.crawlDelay}s between requests — keeping cached $${product.price}`);
+        return;
+      }
+      scheduler.setSpacing(product.url, rules.crawlDelay * 1000);
+    }
+
+    const changed = await checkProduct(product, db, scheduler);
+    if (changed) changedProducts.push(product);
+    pricing.saveProduct(db, product);
+  });
+  result.failed.forEach(({ item, error }) => console.log(`❌ ${item.name}: ${error.message}`));
+  if (result.skipped.length === 0) {
+    pricing.finishRun(db, run);
+  } else {
+    console.log(`\n⏸️  Out of time: ${result.skipped.length} products left for the next run`);
   }
 
-  // Write updated prices.json
-  const pricesData = {
-    products,
-    lastRun: new Date().toISOString(),
-  };
-  fs.writeFileSync(PRICES_FILE, JSON.stringify(pricesData, null, 2) + '\n');
-  console.log(`\n✨ prices.json updated (${products.length} products, lastRun: ${pricesData.lastRun})`);
+  // Forget the prices of offers that are no longer in the catalog
+  const dropped = pricing.retainOffers(db, products);
+  console.log(`\n✨ Prices saved (${products.length} products${dropped > 0 ? `, ${dropped} removed offers dropped` : ''})`);
+
+  // Sync price and stock changes back to the catalog and refresh the parts.json snapshot
+  const synced = syncBackToParts(partsData, changedProducts);
+  const restocked = syncAvailability(partsData, products);
+  const updated = [...new Set(synced.concat(restocked))];
+  if (updated.length > 0) {
+    db.transaction(() => {
+      updated.forEach(item => catalog.updatePart(item.id, {
+        price: item.price,
+        offers: item.offers,
+        availability: item.availability
+      }));
+      // Publish the synced price changes in the catalog update feeds
+      changedProducts.forEach(product => {
+        const entry = catalog.getEntry(product.id);
+        if (entry) {
+          feeds.recordEvent(db, 'price', entry, {
+            oldPrice: product._oldPrice,
+            newPrice: product.price,
+            vendor: product.vendor
+          });
+        }
+      });
+    })();
+    catalog.exportFile();
+    console.log(`📝 Synced ${synced.length} price and ${restocked.length} availability changes back to the catalog and parts.json`);
+  }
+
+  const pruned = history.pruneHistory(db);
+  if (pruned > 0) console.log(`🗜️  Downsampled price history (${pruned} old readings removed)`);
 
-  // Sync price changes back to parts.json
   if (changedProducts.length > 0) {
-    const synced = syncBackToParts(partsData, changedProducts);
-    fs.writeFileSync(PARTS_FILE, JSON.stringify(partsData, null, 2) + '\n');
-    console.log(`📝 Synced ${synced} price changes back to parts.json`);
     console.log('\nPRICES_CHANGED');
   } else {
     console.log('\n✅ No price changes detected');
@@ -43,6 +43,28 @@ window.Alerts = (function () {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(watchingSet)));
   }
 
+  /**
+   * Rewrite watched IDs that have been renamed to their canonical IDs.
+   * @param {Object} aliases — map of old part ID to canonical ID (from /api/parts/aliases)
+   */
+  function migrateIds(aliases) {
+    if (!aliases) return;
+
+    var changed = false;
+    Array.from(watchingSet).forEach(function (id) {
+      if (aliases[id]) {
+        watchingSet.delete(id);
+        watchingSet.add(aliases[id]);
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      saveWatching();
+      updateBellStates();
+    }
+  }
+
   /**
    * Get the last-used email from localStorage.
    */
@@ -369,6 +391,7 @@ window.Alerts = (function () {
   // ── Public API ──
   return {
     init: init,
+    migrateIds: migrateIds,
     closePopover: closePopover
   };
 })();
@@ -6,25 +6,50 @@
   'use strict';
 
   try {
-    // Fetch parts and prices in parallel
+    // Fetch parts, prices, part ID aliases, spec definitions, link config, categories and kits in parallel
     var results = await Promise.all([
       fetch('/api/parts'),
-      fetch('/api/prices')
+      fetch('/api/prices'),
+      fetch('/api/parts/aliases'),
+      fetch('/api/parts/specs'),
+      fetch('/api/links'),
+      fetch('/api/categories'),
+      fetch('/api/kits')
     ]);
 
     var partsRes = results[0];
     var pricesRes = results[1];
+    var aliasesRes = results[2];
+    var specsRes = results[3];
+    var linksRes = results[4];
+    var categoriesRes = results[5];
+    var kitsRes = results[6];
 
     if (!partsRes.ok) throw new Error('Failed to fetch parts: ' + partsRes.status);
 
     var partsData = await partsRes.json();
     var pricesData = pricesRes.ok ? await pricesRes.json() : {};
+    var aliasesData = aliasesRes.ok ? await aliasesRes.json() : {};
+    var specsData = specsRes.ok ? await specsRes.json() : {};
+    var categoriesData = categoriesRes.ok ? await categoriesRes.json() : {};
 
-    // Build price lookup map: item name -> price object
+    // Affiliate-aware link building for items outside the catalog
+    if (window.Links && linksRes.ok) {
+      window.Links.init(await linksRes.json());
+    }
+
+    // Old part ID -> canonical ID, used to migrate IDs saved in localStorage and share links
+    var aliases = aliasesData.aliases || {};
+
+    // Build price lookup map: part ID (item name for older records) -> the
+    // part's cheapest checked offer
     var priceLookup = {};
     if (pricesData.products) {
       pricesData.products.forEach(function (p) {
-        priceLookup[p.name] = p;
+        var key = p.id || p.name;
+        var current = priceLookup[key];
+        if (typeof p.price !== 'number') return;
+        if (!current || p.price < current.price) priceLookup[key] = p;
       });
     }
 
@@ -45,7 +70,7 @@
 
     // Initialize catalog (product cards, search, filtering)
     if (window.Catalog) {
-      window.Catalog.init(allItems, partsData, priceLookup);
+      window.Catalog.init(allItems, partsData, priceLookup, specsData.specs, categoriesData.categories);
     }
 
     // Give the product modal access to all items (for related items section)
@@ -58,60 +83,37 @@
       window.Compare.init(allItems);
     }
 
-    // Initialize wizard (guided node builder)
+    // Initialize wizard (guided node builder) with the server's kit definitions
+    if (kitsRes.ok) {
+      window.KITS = (await kitsRes.json()).kits || [];
+    }
     if (window.Wizard) {
       window.Wizard.init();
     }
 
-    // Handle wizard-complete event — resolve match-based kit items against catalog
-    var wizardEl = document.getElementById('wizard');
-    if (wizardEl) {
-      wizardEl.addEventListener('wizard-complete', function (e) {
-        var kitId = e.detail && e.detail.kitId;
-        if (!kitId || !window.KITS) return;
-
-        // Find the kit
-        var kit = null;
-        for (var k = 0; k < window.KITS.length; k++) {
-          if (window.KITS[k].id === kitId) { kit = window.KITS[k]; break; }
-        }
-        if (!kit || !kit.items) return;
-
-        // Resolve each kit item against allItems by partial name match
-        var resolvedItems = [];
-        for (var i = 0; i < kit.items.length; i++) {
-          var matchStr = kit.items[i].match.toLowerCase();
-          for (var j = 0; j < allItems.length; j++) {
-            var itemName = (allItems[j].item || '').toLowerCase();
-            if (itemName.indexOf(matchStr.toLowerCase()) !== -1) {
-              // Enrich with price from priceLookup if available
-              var enriched = allItems[j];
-              var lookup = priceLookup[allItems[j].item];
-              if (lookup && lookup.priceDisplay && (!enriched.price || enriched.price === '-')) {
-                enriched = Object.assign({}, allItems[j], { price: lookup.priceDisplay });
-              }
-              resolvedItems.push(enriched);
-              break;
-            }
-          }
-        }
-
-        // Render the result via the Wizard module
-        if (window.Wizard && typeof window.Wizard.renderMatchResult === 'function') {
-          window.Wizard.renderMatchResult(kit, resolvedItems);
-        }
-      });
-    }
-
     // Initialize price alerts (bell icons, subscribe popover)
     if (window.Alerts) {
       window.Alerts.init(allItems);
+      window.Alerts.migrateIds(aliases);
     }
 
     // Initialize wishlist (localStorage persistence, event listeners)
     if (window.Wishlist) {
       window.Wishlist.init(allItems);
-      window.Wishlist.loadFromURL(allItems);
+      window.Wishlist.migrateIds(aliases);
+      window.Wishlist.loadFromURL(allItems, aliases);
+    }
+
+    // Initialize community kits list and kit builder
+    if (window.KitBuilder) {
+      window.KitBuilder.init(allItems);
+    }
+
+    // ?part=<id> (linked from the update feeds) opens that part's details
+    var partParam = new URLSearchParams(window.location.search).get('part');
+    if (partParam && window.ProductModal) {
+      var partId = aliases[partParam] || partParam;
+      window.ProductModal.open(allItems.filter(function (item) { return item.id === partId; })[0]);
     }
   } catch (err) {
     console.error('NC Mesh app initialization failed:', err);
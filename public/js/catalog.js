@@ -1,5 +1,6 @@
 /**
- * Catalog module — product card grid, search, filtering, sort.
+ * Catalog module — product card grid, search, nested category nav,
+ * filtering, spec facets, region and availability filters, sort.
  * Exposed as window.Catalog IIFE.
  */
 window.Catalog = (function () {
@@ -13,9 +14,26 @@ window.Catalog = (function () {
   let currentSort = 'default';
   let partsDataRef = {};
   let priceLookupRef = {};
+  let specFieldsRef = {};
+  let activeSpecs = {};
+  let activeRegion = null;
+  let activeAvailability = null;
+  let categoryTreeRef = [];
+  let childCategories = {};
+  let parentCategories = {};
+  let categoryByName = {};
+
+  var REGION_KEY = 'ncmesh-region';
+
+  // Badge labels for parts that can't simply be bought now (in stock has no badge)
+  var AVAILABILITY_LABELS = {
+    'backordered': 'Backordered',
+    'out-of-stock': 'Out of Stock',
+    'discontinued': 'Discontinued'
+  };
 
   // ── DOM refs (resolved once on init) ──
-  let gridEl, searchInput, sortSelect, searchCountEl, categoryNav;
+  let gridEl, searchInput, sortSelect, regionSelect, availabilitySelect, searchCountEl, categoryNav, categorySubnav, specFiltersEl;
 
   // ── Helpers ──
 
@@ -41,30 +59,334 @@ window.Catalog = (function () {
   }
 
   /**
-   * Get the best display price for an item — prefers priceLookup data, falls
-   * back to the item's own price field.
+   * Get the best display price for an item — prefers the cheapest in-stock
+   * offer, then priceLookup data, then the item's own price field.
    */
   function getDisplayPrice(item) {
-    var lookup = priceLookupRef[item.item];
+    if (item.bestOffer && item.bestOffer.priceDisplay) return item.bestOffer.priceDisplay;
+    var lookup = priceLookupRef[item.id] || priceLookupRef[item.item];
     if (lookup && lookup.priceDisplay) return lookup.priceDisplay;
     if (item.price && item.price !== '-') return item.price;
     return null;
   }
 
   /**
-   * Get the numeric price for sorting — prefers priceLookup.
+   * Get the numeric price for sorting — prefers the best offer, then priceLookup.
    */
   function getNumericPrice(item) {
-    var lookup = priceLookupRef[item.item];
+    if (item.bestOffer && typeof item.bestOffer.price === 'number') return item.bestOffer.price;
+    var lookup = priceLookupRef[item.id] || priceLookupRef[item.item];
     if (lookup && typeof lookup.price === 'number') return lookup.price;
     return parsePrice(item.price);
   }
 
+  // ── Specs ──
+
+  /**
+   * Spec field definitions for an item's category (from /api/parts/specs).
+   */
+  function specFieldsFor(category) {
+    return specFieldsRef[category] || {};
+  }
+
+  /**
+   * Short label for one spec value, e.g. "5.8 dBi", "GPS", "No display".
+   */
+  function formatSpec(def, value) {
+    switch (def.type) {
+      case 'boolean':
+        return value ? def.label : 'No ' + def.label;
+      case 'number':
+        return value + ' ' + def.unit;
+      case 'list':
+        return value.join(' / ');
+      default:
+        return value === 'None' ? 'No ' + def.label.toLowerCase() : String(value);
+    }
+  }
+
+  /**
+   * Formatted spec labels for an item, in field order.
+   */
+  function specLabels(item) {
+    var specs = item.specs || {};
+    var fields = specFieldsFor(item.category);
+    var labels = [];
+    Object.keys(fields).forEach(function (field) {
+      if (specs[field] !== undefined) labels.push(formatSpec(fields[field], specs[field]));
+    });
+    return labels;
+  }
+
+  /**
+   * True when an item passes every active spec filter, optionally ignoring one
+   * field (so that field's options can show counts for the other values).
+   * Number filters are minimums; list filters need the value in the list.
+   */
+  function matchesSpecs(item, ignoreField) {
+    var specs = item.specs || {};
+    var fields = specFieldsFor(item.category);
+    var active = Object.keys(activeSpecs);
+    for (var i = 0; i < active.length; i++) {
+      var field = active[i];
+      if (field === ignoreField) continue;
+      var def = fields[field];
+      var value = specs[field];
+      var wanted = activeSpecs[field];
+      if (!def || value === undefined) return false;
+      if (def.type === 'number' && value < wanted) return false;
+      if (def.type === 'list' && value.indexOf(wanted) === -1) return false;
+      if (def.type !== 'number' && def.type !== 'list' && value !== wanted) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Build the spec facet selects for the active category. Each option shows
+   * how many items in the category would match it.
+   */
+  function buildSpecFilters() {
+    if (!specFiltersEl) return;
+    specFiltersEl.innerHTML = '';
+
+    var fields = activeCategory ? specFieldsFor(activeCategory) : {};
+    var inCategory = allItems.filter(function (item) {
+      return inActiveCategory(item) && inRegion(item);
+    });
+
+    Object.keys(fields).forEach(function (field) {
+      var def = fields[field];
+      if (def.type === 'string') return;
+
+      // Count each value among items matching the other spec filters
+      var counts = {};
+      var values = [];
+      inCategory.forEach(function (item) {
+        var value = (item.specs || {})[field];
+        if (value === undefined || !matchesSpecs(item, field)) return;
+        (def.type === 'list' ? value : [value]).forEach(function (v) {
+          var key = String(v);
+          if (!(key in counts)) { counts[key] = 0; values.push(v); }
+          counts[key]++;
+        });
+      });
+      if (values.length === 0 && activeSpecs[field] === undefined) return;
+
+      var select = document.createElement('select');
+      select.className = 'sort-select spec-select';
+      select.setAttribute('data-spec', field);
+      select.setAttribute('aria-label', def.label);
+
+      var anyOption = document.createElement('option');
+      anyOption.value = '';
+      anyOption.textContent = def.label + ': Any';
+      select.appendChild(anyOption);
+
+      if (def.type === 'number') {
+        // Minimum thresholds: "Gain >= 5 dBi (3)" counts items at or above each value
+        values.sort(function (a, b) { return a - b; });
+        values.forEach(function (v) {
+          var atLeast = 0;
+          values.forEach(function (other) { if (other >= v) atLeast += counts[String(other)]; });
+          var opt = document.createElement('option');
+          opt.value = String(v);
+          opt.textContent = def.label + ' \u2265 ' + formatSpec(def, v) + ' (' + atLeast + ')';
+          select.appendChild(opt);
+        });
+      } else {
+        var order = def.values || [true, false];
+        order.forEach(function (v) {
+          if (!(String(v) in counts)) return;
+          var opt = document.createElement('option');
+          opt.value = String(v);
+          opt.textContent = (def.type === 'boolean' ? def.label + ': ' + (v ? 'Yes' : 'No') : formatSpec(def, v)) +
+            ' (' + counts[String(v)] + ')';
+          select.appendChild(opt);
+        });
+      }
+
+      if (activeSpecs[field] !== undefined) select.value = String(activeSpecs[field]);
+
+      select.addEventListener('change', function () {
+        filterBySpec(field, this.value);
+      });
+      specFiltersEl.appendChild(select);
+    });
+
+    specFiltersEl.classList.toggle('hidden', specFiltersEl.children.length === 0);
+  }
+
+  // ── Region ──
+
+  /**
+   * True when an item can be used in the active region. Items without a
+   * regions list (cables, power, tools...) work everywhere.
+   */
+  function inRegion(item) {
+    if (!activeRegion || !item.regions || item.regions.length === 0) return true;
+    return item.regions.indexOf(activeRegion) !== -1;
+  }
+
+  /**
+   * Fill the region select from window.REGIONS and restore the saved choice.
+   */
+  function buildRegionSelect() {
+    if (!regionSelect) return;
+    regionSelect.innerHTML = '';
+
+    var allOption = document.createElement('option');
+    allOption.value = '';
+    allOption.textContent = 'All regions';
+    regionSelect.appendChild(allOption);
+
+    (window.REGIONS || []).forEach(function (region) {
+      var opt = document.createElement('option');
+      opt.value = region.id;
+      opt.textContent = region.label;
+      regionSelect.appendChild(opt);
+    });
+
+    regionSelect.value = activeRegion || '';
+  }
+
+  function loadRegion() {
+    try {
+      var saved = localStorage.getItem(REGION_KEY) || '';
+      var known = (window.REGIONS || []).some(function (region) { return region.id === saved; });
+      return known ? saved : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function saveRegion() {
+    try {
+      if (activeRegion) localStorage.setItem(REGION_KEY, activeRegion);
+      else localStorage.removeItem(REGION_KEY);
+    } catch (e) {
+      // localStorage unavailable (private mode) — the choice lasts for this visit only
+    }
+  }
+
+  /**
+   * Show only parts usable in a region (null shows every region). The choice
+   * is remembered across visits.
+   */
+  function setRegion(region) {
+    activeRegion = region || null;
+    saveRegion();
+    if (regionSelect) regionSelect.value = activeRegion || '';
+    buildSpecFilters();
+    applyFilters();
+  }
+
+  function getRegion() {
+    return activeRegion;
+  }
+
+  // ── Availability ──
+
+  /**
+   * Badge label for an item's availability, or null when it is in stock.
+   */
+  function availabilityLabel(item) {
+    return AVAILABILITY_LABELS[item.availability] || null;
+  }
+
+  /**
+   * True when an item can't be bought at all right now (its last price is stale).
+   */
+  function isUnavailable(item) {
+    return item.availability === 'out-of-stock' || item.availability === 'discontinued';
+  }
+
+  /**
+   * Badge label when an item's price is at or near its recorded low, or null.
+   * Not shown for items that can't be bought.
+   */
+  function priceLowLabel(item) {
+    if (!item.priceLow || isUnavailable(item)) return null;
+    return item.priceLow.status === 'lowest'
+      ? '\u2193 Lowest in ' + item.priceLow.days + ' days'
+      : 'Near ' + item.priceLow.days + '-day low';
+  }
+
+  /**
+   * Show only parts with an availability (null shows every part).
+   */
+  function setAvailability(availability) {
+    activeAvailability = availability || null;
+    if (availabilitySelect) availabilitySelect.value = activeAvailability || '';
+    applyFilters();
+  }
+
+  /**
+   * Open the product modal for the part suggested in place of an item.
+   */
+  function openReplacement(item) {
+    var replacement = null;
+    for (var i = 0; i < allItems.length; i++) {
+      if (allItems[i].id === item.replacement.id) { replacement = allItems[i]; break; }
+    }
+    if (replacement && window.ProductModal && typeof window.ProductModal.open === 'function') {
+      window.ProductModal.open(replacement);
+    }
+  }
+
   // ── Category Pills ──
 
+  /**
+   * Categories as a nested list (from /api/categories). Falls back to one
+   * flat entry per category in the parts data when the registry is missing.
+   */
+  function categoryList(partsData) {
+    if (categoryTreeRef.length > 0) return categoryTreeRef;
+    return Object.keys(partsData).sort().map(function (cat) {
+      var items = partsData[cat] || [];
+      var info = items.length > 0 && items[0].categoryInfo ? items[0].categoryInfo : { emoji: '', color: '#666' };
+      return { name: cat, emoji: info.emoji, color: info.color, description: info.description || '', children: [], total: items.length };
+    });
+  }
+
+  /**
+   * True when an item is in the active category or one of its children.
+   */
+  function inActiveCategory(item) {
+    if (!activeCategory) return true;
+    if (item.category === activeCategory) return true;
+    return (childCategories[activeCategory] || []).indexOf(item.category) !== -1;
+  }
+
+  /**
+   * Top-level category whose pill row contains the given category.
+   */
+  function topLevelOf(category) {
+    return parentCategories[category] || category;
+  }
+
+  function createPill(category, label) {
+    var pill = document.createElement('button');
+    pill.className = 'cat-pill';
+    pill.setAttribute('data-category', category.name);
+    pill.style.setProperty('--pill-color', category.color);
+    pill.textContent = label || (category.emoji + ' ' + category.name);
+    if (category.description) pill.title = category.description;
+    pill.addEventListener('click', function () {
+      filterByCategory(category.name);
+    });
+    return pill;
+  }
+
+  /**
+   * Build the top-level pills ("All" plus each category with items in
+   * registry order) and remember each parent's children for the subnav.
+   */
   function buildCategoryPills(partsData) {
     if (!categoryNav) return;
     categoryNav.innerHTML = '';
+    childCategories = {};
+    parentCategories = {};
+    categoryByName = {};
 
     // "All" pill
     var allPill = document.createElement('button');
@@ -77,41 +399,61 @@ window.Catalog = (function () {
     });
     categoryNav.appendChild(allPill);
 
-    // One pill per category, sorted alphabetically
-    var categories = Object.keys(partsData).sort();
-    categories.forEach(function (cat) {
-      var items = partsData[cat];
-      if (!items || items.length === 0) return;
-      var info = items[0].categoryInfo || { emoji: '', color: '#666' };
-
-      var pill = document.createElement('button');
-      pill.className = 'cat-pill';
-      pill.setAttribute('data-category', cat);
-      pill.style.setProperty('--pill-color', info.color);
-      pill.textContent = info.emoji + ' ' + cat;
-      pill.addEventListener('click', function () {
-        filterByCategory(cat);
+    categoryList(partsData).forEach(function (category) {
+      if (!category.total) return;
+
+      var children = (category.children || []).filter(function (child) { return child.count > 0; });
+      childCategories[category.name] = children.map(function (child) { return child.name; });
+      categoryByName[category.name] = category;
+      children.forEach(function (child) {
+        parentCategories[child.name] = category.name;
+        categoryByName[child.name] = child;
       });
+
+      var pill = createPill(category);
+      if (children.length > 0) pill.classList.add('has-children');
       categoryNav.appendChild(pill);
     });
   }
 
   /**
-   * Update pill highlight state to reflect activeCategory.
+   * Show the child pills of the selected top-level category, if it has any.
    */
-  function updatePillHighlights() {
-    if (!categoryNav) return;
-    var pills = categoryNav.querySelectorAll('.cat-pill');
-    pills.forEach(function (pill) {
-      var pillCat = pill.getAttribute('data-category');
-      if (activeCategory === null && pillCat === '') {
-        pill.classList.add('active');
-      } else if (activeCategory && pillCat === activeCategory) {
-        pill.classList.add('active');
-      } else {
-        pill.classList.remove('active');
-      }
+  function buildSubnav() {
+    if (!categorySubnav) return;
+    categorySubnav.innerHTML = '';
+
+    var parent = activeCategory ? topLevelOf(activeCategory) : null;
+    var children = parent ? childCategories[parent] || [] : [];
+    if (children.length === 0) {
+      categorySubnav.classList.add('hidden');
+      return;
+    }
+
+    var parentInfo = categoryByName[parent];
+    categorySubnav.appendChild(createPill(parentInfo, 'All ' + parent));
+    children.forEach(function (name) {
+      categorySubnav.appendChild(createPill(categoryByName[name]));
     });
+    categorySubnav.classList.remove('hidden');
+  }
+
+  /**
+   * Update pill highlight state to reflect activeCategory. A top-level pill
+   * stays highlighted while one of its children is selected.
+   */
+  function updatePillHighlights() {
+    var topLevel = activeCategory ? topLevelOf(activeCategory) : '';
+    if (categoryNav) {
+      categoryNav.querySelectorAll('.cat-pill').forEach(function (pill) {
+        pill.classList.toggle('active', pill.getAttribute('data-category') === topLevel);
+      });
+    }
+    if (categorySubnav) {
+      categorySubnav.querySelectorAll('.cat-pill').forEach(function (pill) {
+        pill.classList.toggle('active', pill.getAttribute('data-category') === activeCategory);
+      });
+    }
   }
 
   // ── Card Creation ──
@@ -129,7 +471,7 @@ window.Catalog = (function () {
       item.item || '',
       item.notes || '',
       item.category || ''
-    ].join(' ').toLowerCase());
+    ].concat(specLabels(item)).join(' ').toLowerCase());
 
     var info = item.categoryInfo || { emoji: '', color: '#666' };
     var displayPrice = getDisplayPrice(item);
@@ -189,6 +531,15 @@ window.Catalog = (function () {
       body.appendChild(communityBadge);
     }
 
+    // Availability badge
+    var availability = availabilityLabel(item);
+    if (availability) {
+      var availabilityBadge = document.createElement('span');
+      availabilityBadge.className = 'card-availability availability-' + item.availability;
+      availabilityBadge.textContent = availability;
+      body.appendChild(availabilityBadge);
+    }
+
     // Title
     var title = document.createElement('h3');
     title.className = 'card-title';
@@ -198,9 +549,55 @@ window.Catalog = (function () {
     // Price (only if exists and isn't '-')
     if (displayPrice) {
       var priceSpan = document.createElement('span');
-      priceSpan.className = 'card-price';
+      priceSpan.className = 'card-price' + (isUnavailable(item) ? ' card-price-unavailable' : '');
       priceSpan.textContent = displayPrice;
+      if (isUnavailable(item)) priceSpan.title = 'Last known price';
       body.appendChild(priceSpan);
+
+      // At or near the lowest price recorded by the price checker
+      var priceLow = priceLowLabel(item);
+      if (priceLow) {
+        var lowSpan = document.createElement('span');
+        lowSpan.className = 'card-price-low';
+        lowSpan.textContent = priceLow;
+        lowSpan.title = 'Lowest recorded price: $' + item.priceLow.low.toFixed(2);
+        body.appendChild(lowSpan);
+      }
+
+      // Other sellers are listed in the product modal
+      if (item.offers && item.offers.length > 1) {
+        var offersSpan = document.createElement('span');
+        offersSpan.className = 'card-offers';
+        offersSpan.textContent = item.offers.length + ' offers';
+        body.appendChild(offersSpan);
+      }
+    }
+
+    // Suggested replacement (opens its modal instead of this item's)
+    if (item.replacement) {
+      var replacementLink = document.createElement('button');
+      replacementLink.type = 'button';
+      replacementLink.className = 'card-replacement';
+      replacementLink.textContent = 'Replaced by ' + item.replacement.item + ' \u2192';
+      replacementLink.addEventListener('click', function (e) {
+        e.stopPropagation();
+        openReplacement(item);
+      });
+      body.appendChild(replacementLink);
+    }
+
+    // Spec chips
+    var labels = specLabels(item);
+    if (labels.length > 0) {
+      var specsDiv = document.createElement('div');
+      specsDiv.className = 'card-specs';
+      labels.forEach(function (label) {
+        var chip = document.createElement('span');
+        chip.className = 'card-spec';
+        chip.textContent = label;
+        specsDiv.appendChild(chip);
+      });
+      body.appendChild(specsDiv);
     }
 
     // Notes
@@ -231,7 +628,9 @@ window.Catalog = (function () {
     buyLink.rel = 'noopener noreferrer';
     buyLink.className = 'btn btn-buy';
     var url = item.amazonUrl || '';
-    if (url.indexOf('amazon.com') !== -1) {
+    if (item.bestOffer && item.bestOffer.vendor && item.bestOffer.source !== 'generic') {
+      buyLink.textContent = 'Buy on ' + item.bestOffer.vendor;
+    } else if (url.indexOf('amazon.com') !== -1) {
       buyLink.textContent = 'Buy on Amazon';
     } else if (url.indexOf('seeedstudio.com') !== -1) {
       buyLink.textContent = 'Buy on Seeed';
@@ -376,15 +775,24 @@ window.Catalog = (function () {
 
     filteredItems = allItems.filter(function (item) {
       // Category filter
-      if (activeCategory && item.category !== activeCategory) return false;
+      if (!inActiveCategory(item)) return false;
+
+      // Region filter
+      if (!inRegion(item)) return false;
+
+      // Availability filter
+      if (activeAvailability && (item.availability || 'in-stock') !== activeAvailability) return false;
+
+      // Spec filters (only set while a category with specs is active)
+      if (!matchesSpecs(item)) return false;
 
-      // Search filter — all tokens must match somewhere in item name, notes, or category
+      // Search filter — all tokens must match somewhere in item name, notes, category or specs
       if (tokens.length > 0) {
         var searchText = [
           item.item || '',
           item.notes || '',
           item.category || ''
-        ].join(' ').toLowerCase();
+        ].concat(specLabels(item)).join(' ').toLowerCase();
 
         for (var i = 0; i < tokens.length; i++) {
           if (searchText.indexOf(tokens[i]) === -1) return false;
@@ -433,11 +841,36 @@ window.Catalog = (function () {
   }
 
   /**
-   * Filter by category. Updates pill highlights and re-applies filters.
+   * Filter by category (a parent category includes its children). Updates
+   * the subnav and pill highlights and re-applies filters.
    */
   function filterByCategory(category) {
     activeCategory = category || null;
+    activeSpecs = {};
+    buildSubnav();
     updatePillHighlights();
+    buildSpecFilters();
+    applyFilters();
+  }
+
+  /**
+   * Filter by a spec of the active category (e.g. chipset, gainDbi). An empty
+   * value clears that filter. Rebuilds the facet counts and re-applies filters.
+   */
+  function filterBySpec(field, value) {
+    var def = specFieldsFor(activeCategory)[field];
+    if (!def) return;
+
+    if (value === '' || value == null) {
+      delete activeSpecs[field];
+    } else if (def.type === 'number') {
+      activeSpecs[field] = parseFloat(value);
+    } else if (def.type === 'boolean') {
+      activeSpecs[field] = value === true || value === 'true';
+    } else {
+      activeSpecs[field] = value;
+    }
+    buildSpecFilters();
     applyFilters();
   }
 
@@ -447,22 +880,32 @@ window.Catalog = (function () {
    * Initialize the catalog module.
    * @param {Array} items — flat array of all items
    * @param {Object} partsData — items grouped by category (from /api/parts)
-   * @param {Object} priceLookup — map of item name to price data (from /api/prices)
+   * @param {Object} priceLookup — map of part ID (or item name) to price data (from /api/prices)
+   * @param {Object} specFields — spec field definitions per category (from /api/parts/specs)
+   * @param {Array} categories — nested category registry (from /api/categories)
    */
-  function init(items, partsData, priceLookup) {
+  function init(items, partsData, priceLookup, specFields, categories) {
     allItems = items || [];
     partsDataRef = partsData || {};
     priceLookupRef = priceLookup || {};
+    specFieldsRef = specFields || {};
+    categoryTreeRef = categories || [];
 
     // Resolve DOM references
     gridEl = document.getElementById('catalog-grid');
     searchInput = document.getElementById('searchInput');
     sortSelect = document.getElementById('sortSelect');
+    regionSelect = document.getElementById('regionSelect');
+    availabilitySelect = document.getElementById('availabilitySelect');
     searchCountEl = document.getElementById('searchCount');
     categoryNav = document.getElementById('categoryNav');
+    categorySubnav = document.getElementById('categorySubnav');
+    specFiltersEl = document.getElementById('specFilters');
 
-    // Build category pills
+    // Build category pills and the region select
     buildCategoryPills(partsDataRef);
+    activeRegion = loadRegion();
+    buildRegionSelect();
 
     // Wire search input (debounced)
     if (searchInput) {
@@ -484,6 +927,20 @@ window.Catalog = (function () {
       });
     }
 
+    // Wire region select
+    if (regionSelect) {
+      regionSelect.addEventListener('change', function () {
+        setRegion(this.value);
+      });
+    }
+
+    // Wire availability select
+    if (availabilitySelect) {
+      availabilitySelect.addEventListener('change', function () {
+        setAvailability(this.value);
+      });
+    }
+
     // Initial render — show all items
     applyFilters();
   }
@@ -492,6 +949,12 @@ window.Catalog = (function () {
   return {
     init: init,
     filterBySearch: filterBySearch,
-    filterByCategory: filterByCategory
+    filterByCategory: filterByCategory,
+    filterBySpec: filterBySpec,
+    setRegion: setRegion,
+    getRegion: getRegion,
+    setAvailability: setAvailability,
+    availabilityLabel: availabilityLabel,
+    priceLowLabel: priceLowLabel
   };
 })();
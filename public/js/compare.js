@@ -201,7 +201,34 @@ window.Compare = (function () {
     }
     table.appendChild(priceRow);
 
-    // Row 4: Category
+    // Row 4: Offers — every seller, best (cheapest in stock) first
+    var offersRow = document.createElement('tr');
+    var offersHeader = document.createElement('th');
+    offersHeader.textContent = 'Offers';
+    offersRow.appendChild(offersHeader);
+    for (var o = 0; o < items.length; o++) {
+      var offersTd = document.createElement('td');
+      var offers = (items[o].offers || []).slice().sort(function (a, b) {
+        return (b.best ? 1 : 0) - (a.best ? 1 : 0);
+      });
+      if (offers.length === 0) {
+        offersTd.textContent = '--';
+      }
+      offers.forEach(function (offer) {
+        var line = document.createElement('div');
+        line.textContent = offer.vendor + ': ' + (offer.priceDisplay || '--') +
+          (offer.inStock ? '' : ' (out of stock)');
+        if (offer.best) {
+          line.style.color = 'var(--green)';
+          line.style.fontWeight = '600';
+        }
+        offersTd.appendChild(line);
+      });
+      offersRow.appendChild(offersTd);
+    }
+    table.appendChild(offersRow);
+
+    // Row 5: Category
     var catRow = document.createElement('tr');
     var catHeader = document.createElement('th');
     catHeader.textContent = 'Category';
@@ -214,7 +241,7 @@ window.Compare = (function () {
     }
     table.appendChild(catRow);
 
-    // Row 5: Notes
+    // Row 6: Notes
     var notesRow = document.createElement('tr');
     var notesHeader = document.createElement('th');
     notesHeader.textContent = 'Notes';
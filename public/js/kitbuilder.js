@@ -0,0 +1,344 @@
+/**
+ * Kit builder — lists approved community kits and lets members assemble
+ * their own kit from catalog parts (with quantities and notes) and submit
+ * it for review. Submitted kits appear once a maintainer approves them.
+ * Exposed as window.KitBuilder IIFE.
+ */
+window.KitBuilder = (function () {
+  'use strict';
+
+  // ── State ──
+  var allItems = [];
+  var rows = [];          // [{ id, item, qty, note }]
+
+  // ── DOM refs ──
+  var modalEl = null;
+  var bodyEl = null;
+
+  // ── Helpers ──
+
+  /**
+   * Escape HTML to prevent XSS.
+   */
+  function escapeHtml(text) {
+    if (text == null) return '';
+    var div = document.createElement('div');
+    div.textContent = String(text);
+    return div.innerHTML;
+  }
+
+  /**
+   * Find a catalog item by its display name (what the part picker shows).
+   */
+  function findItemByName(name) {
+    for (var i = 0; i < allItems.length; i++) {
+      if (allItems[i].item === name) return allItems[i];
+    }
+    return null;
+  }
+
+  function hasRow(id) {
+    for (var i = 0; i < rows.length; i++) {
+      if (rows[i].id === id) return true;
+    }
+    return false;
+  }
+
+  // ── Community Kits List ──
+
+  /**
+   * Render approved community kits (from window.KITS) into the community
+   * kits section. The section is shown even when empty so members can
+   * build the first kit.
+   */
+  function renderCommunityKits() {
+    var section = document.getElementById('community-kits');
+    var grid = document.getElementById('community-kits-grid');
+    if (!section || !grid) return;
+
+    section.classList.remove('hidden');
+    grid.innerHTML = '';
+
+    var kits = (window.KITS || []).filter(function (kit) { return kit.community; });
+    if (kits.length === 0) {
+      grid.innerHTML = '<p class="community-kits-empty">No community kits yet \u2014 share your build!</p>';
+      return;
+    }
+
+    for (var i = 0; i < kits.length; i++) {
+      var kit = kits[i];
+      var card = document.createElement('button');
+      card.type = 'button';
+      card.className = 'community-kit-card';
+      card.setAttribute('data-kit', kit.id);
+
+      var count = 0;
+      for (var j = 0; j < kit.items.length; j++) count += kit.items[j].quantity || 1;
+
+      card.innerHTML =
+        '<span class="community-kit-name">' + escapeHtml(kit.name) + '</span>' +
+        '<span class="community-kit-maker">by ' + escapeHtml(kit.communityMaker) + '</span>' +
+        (kit.desc ? '<span class="community-kit-desc">' + escapeHtml(kit.desc) + '</span>' : '') +
+        '<span class="community-kit-meta">' + count + ' part' + (count !== 1 ? 's' : '') +
+        (kit.total > 0 ? ' \u00B7 ~$' + kit.total.toFixed(2) : '') + '</span>';
+      grid.appendChild(card);
+    }
+  }
+
+  // ── Editor ──
+
+  /**
+   * Render the kit editor form into the builder modal.
+   */
+  function renderEditor() {
+    if (!bodyEl) return;
+
+    var html = '<h2>Build a Kit</h2>';
+    html += '<p class="kit-builder-intro">Put together the parts you use for a build. A maintainer reviews each kit before it is listed.</p>';
+
+    html += '<input type="text" class="kit-input kit-builder-name" maxlength="80" placeholder="Kit name">';
+    html += '<input type="text" class="kit-input kit-builder-author" maxlength="40" placeholder="Your name or Discord handle">';
+    html += '<textarea class="kit-input kit-builder-desc" rows="3" maxlength="500" placeholder="What is this kit for? (optional)"></textarea>';
+
+    // Regions
+    html += '<div class="kit-builder-regions">Built for: ';
+    var regions = window.REGIONS || [];
+    for (var r = 0; r < regions.length; r++) {
+      html += '<label><input type="checkbox" class="kit-builder-region" value="' + escapeHtml(regions[r].id) + '"' +
+        (regions[r].id === 'US915' ? ' checked' : '') + '> ' + escapeHtml(regions[r].label) + '</label>';
+    }
+    html += '</div>';
+
+    // Items
+    html += '<div class="kit-builder-items"></div>';
+
+    // Part picker
+    html += '<div class="kit-builder-add">';
+    html += '<input type="text" class="kit-input kit-builder-part" list="kit-builder-parts" placeholder="Search the catalog to add a part...">';
+    html += '<button type="button" class="btn btn-ghost kit-builder-add-btn">Add</button>';
+    html += '</div>';
+    html += '<datalist id="kit-builder-parts">';
+    for (var i = 0; i < allItems.length; i++) {
+      html += '<option value="' + escapeHtml(allItems[i].item) + '">';
+    }
+    html += '</datalist>';
+    html += '<button type="button" class="btn btn-ghost kit-builder-from-list">Start from my shopping list</button>';
+
+    html += '<div class="kit-builder-actions">';
+    html += '<button type="button" class="btn btn-primary kit-builder-submit">Submit for Review</button>';
+    html += '</div>';
+    html += '<div class="review-message kit-builder-message"></div>';
+
+    bodyEl.innerHTML = html;
+    renderRows();
+  }
+
+  /**
+   * Render the item rows (quantity, name, note, remove).
+   */
+  function renderRows() {
+    var container = bodyEl && bodyEl.querySelector('.kit-builder-items');
+    if (!container) return;
+
+    if (rows.length === 0) {
+      container.innerHTML = '<p class="kit-builder-empty">No parts yet.</p>';
+      return;
+    }
+
+    var html = '';
+    for (var i = 0; i < rows.length; i++) {
+      html += '<div class="kit-builder-row" data-index="' + i + '">';
+      html += '<input type="number" class="kit-input kit-builder-qty" min="1" max="99" value="' + rows[i].qty + '" aria-label="Quantity">';
+      html += '<div class="kit-builder-row-main">';
+      html += '<div class="kit-builder-row-name">' + escapeHtml(rows[i].item) + '</div>';
+      html += '<input type="text" class="kit-input kit-builder-note" maxlength="200" placeholder="Note (optional)" value="' + escapeHtml(rows[i].note) + '">';
+      html += '</div>';
+      html += '<button type="button" class="btn-icon kit-builder-remove" aria-label="Remove">&times;</button>';
+      html += '</div>';
+    }
+    container.innerHTML = html;
+  }
+
+  function addRow(item, qty) {
+    if (!item || hasRow(item.id)) return;
+    rows.push({ id: item.id, item: item.item, qty: qty || 1, note: '' });
+    renderRows();
+  }
+
+  function showMessage(text, type) {
+    var el = bodyEl.querySelector('.kit-builder-message');
+    el.textContent = text;
+    el.className = 'review-message kit-builder-message review-message-' + type;
+  }
+
+  /**
+   * Send the kit to /api/kits/submissions.
+   */
+  function submit() {
+    var name = bodyEl.querySelector('.kit-builder-name').value.trim();
+    var author = bodyEl.querySelector('.kit-builder-author').value.trim();
+    var desc = bodyEl.querySelector('.kit-builder-desc').value.trim();
+    var regionBoxes = bodyEl.querySelectorAll('.kit-builder-region:checked');
+
+    if (!name) return showMessage('Please name your kit.', 'error');
+    if (!author) return showMessage('Please enter your name.', 'error');
+    if (rows.length === 0) return showMessage('Add at least one part.', 'error');
+    if (regionBoxes.length === 0) return showMessage('Pick at least one region.', 'error');
+
+    var payload = {
+      name: name,
+      author: author,
+      description: desc,
+      regions: Array.prototype.map.call(regionBoxes, function (box) { return box.value; }),
+      items: rows.map(function (row) {
+        var item = { part: row.id, quantity: row.qty };
+        if (row.note) item.note = row.note;
+        return item;
+      })
+    };
+
+    var submitBtn = bodyEl.querySelector('.kit-builder-submit');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Submitting...';
+
+    fetch('/api/kits/submissions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    })
+      .then(function (res) {
+        return res.json().then(function (data) {
+          return { ok: res.ok, data: data };
+        });
+      })
+      .then(function (result) {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Submit for Review';
+        if (result.ok) {
+          rows = [];
+          bodyEl.innerHTML = '<h2>Thanks!</h2><p class="kit-builder-intro">"' + escapeHtml(result.data.name) +
+            '" was submitted. It will be listed under Community Kits once a maintainer approves it.</p>';
+        } else {
+          showMessage(result.data.error || 'Something went wrong.', 'error');
+        }
+      })
+      .catch(function () {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Submit for Review';
+        showMessage('Network error. Please try again.', 'error');
+      });
+  }
+
+  // ── Modal ──
+
+  function open() {
+    if (!modalEl) return;
+    renderEditor();
+    modalEl.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+  }
+
+  function close() {
+    if (!modalEl) return;
+    modalEl.classList.add('hidden');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * Handle clicks inside the editor (delegated).
+   */
+  function handleEditorClick(e) {
+    if (e.target.closest('.kit-builder-add-btn')) {
+      var input = bodyEl.querySelector('.kit-builder-part');
+      var item = findItemByName(input.value);
+      if (item) {
+        addRow(item);
+        input.value = '';
+      } else {
+        showMessage('Pick a part from the catalog list.', 'error');
+      }
+      return;
+    }
+
+    if (e.target.closest('.kit-builder-from-list')) {
+      var listItems = window.Wishlist && typeof window.Wishlist.getItems === 'function' ? window.Wishlist.getItems() : [];
+      if (listItems.length === 0) {
+        showMessage('Your shopping list is empty.', 'error');
+        return;
+      }
+      for (var i = 0; i < listItems.length; i++) {
+        addRow(listItems[i], listItems[i].qty);
+      }
+      return;
+    }
+
+    var removeBtn = e.target.closest('.kit-builder-remove');
+    if (removeBtn) {
+      rows.splice(parseInt(removeBtn.closest('.kit-builder-row').getAttribute('data-index'), 10), 1);
+      renderRows();
+      return;
+    }
+
+    if (e.target.closest('.kit-builder-submit')) {
+      submit();
+    }
+  }
+
+  /**
+   * Keep row state in sync with quantity and note inputs (delegated).
+   */
+  function handleEditorInput(e) {
+    var rowEl = e.target.closest('.kit-builder-row');
+    if (!rowEl) return;
+    var row = rows[parseInt(rowEl.getAttribute('data-index'), 10)];
+
+    if (e.target.classList.contains('kit-builder-qty')) {
+      var qty = parseInt(e.target.value, 10);
+      row.qty = isNaN(qty) ? 1 : Math.min(99, Math.max(1, qty));
+    } else if (e.target.classList.contains('kit-builder-note')) {
+      row.note = e.target.value.trim();
+    }
+  }
+
+  // ── Initialization ──
+
+  /**
+   * Initialize the kit builder.
+   * @param {Array} items — flat array of all catalog items
+   */
+  function init(items) {
+    allItems = items || [];
+    modalEl = document.getElementById('kit-builder-modal');
+    bodyEl = document.getElementById('kit-builder-body');
+
+    renderCommunityKits();
+
+    var grid = document.getElementById('community-kits-grid');
+    if (grid) {
+      grid.addEventListener('click', function (e) {
+        var card = e.target.closest('.community-kit-card');
+        if (card && window.Wizard) window.Wizard.showKit(card.getAttribute('data-kit'));
+      });
+    }
+
+    var buildBtn = document.getElementById('community-kits-build');
+    if (buildBtn) buildBtn.addEventListener('click', open);
+
+    if (modalEl) {
+      modalEl.querySelector('.modal-close').addEventListener('click', close);
+      modalEl.querySelector('.modal-backdrop').addEventListener('click', close);
+    }
+    if (bodyEl) {
+      bodyEl.addEventListener('click', handleEditorClick);
+      bodyEl.addEventListener('input', handleEditorInput);
+    }
+  }
+
+  // ── Public API ──
+  return {
+    init: init,
+    open: open,
+    close: close,
+    renderCommunityKits: renderCommunityKits
+  };
+})();
@@ -0,0 +1,37 @@
+/**
+ * Links module — builds outbound links from the server's link configuration
+ * (/api/links), so affiliate parameters are set in one place.
+ * Exposed as window.Links IIFE.
+ */
+window.Links = (function () {
+  'use strict';
+
+  // Used until init() runs, or when /api/links is unavailable
+  var config = {
+    enabled: false,
+    searchUrl: 'https://www.amazon.com/s?k=',
+    searchParam: 'k'
+  };
+
+  /**
+   * Store the link configuration from /api/links.
+   * @param {Object} linkConfig — { enabled, searchUrl, searchParam }
+   */
+  function init(linkConfig) {
+    if (linkConfig && linkConfig.searchUrl) config = linkConfig;
+  }
+
+  /**
+   * Search link for a product name that is not in the catalog.
+   */
+  function searchUrl(name) {
+    var url = new URL(config.searchUrl);
+    url.searchParams.set(config.searchParam || 'k', name || '');
+    return url.toString();
+  }
+
+  return {
+    init: init,
+    searchUrl: searchUrl
+  };
+})();
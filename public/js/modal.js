@@ -5,8 +5,6 @@
 window.ProductModal = (function () {
   'use strict';
 
-  var AFFILIATE_TAG = 'dpaschal26-20';
-
   // ── State ──
   var allItems = [];
 
@@ -29,10 +27,217 @@ window.ProductModal = (function () {
   }
 
   /**
-   * Build the Amazon affiliate search URL for an item name.
+   * Whether any offer of an item has more than one variant price to list.
+   */
+  function hasVariantPrices(offers) {
+    return offers.some(function (offer) {
+      return offer.variants && offer.variants.length > 1;
+    });
+  }
+
+  /**
+   * Build the list of a vendor's variant prices, the one the offer is for
+   * highlighted.
+   */
+  function createVariantList(offer) {
+    var list = document.createElement('div');
+    list.className = 'modal-offer-variants';
+    list.style.cssText = 'margin:-0.1rem 0 0.5rem 0.75rem;font-size:0.8rem;color:var(--text-dim);';
+
+    offer.variants.forEach(function (variant) {
+      var line = document.createElement('div');
+      line.style.cssText = 'display:flex;gap:0.75rem;padding:0.1rem 0.75rem;' +
+        (variant.selected ? 'color:var(--text-bright);font-weight:600;' : '');
+
+      var title = document.createElement('span');
+      title.style.cssText = 'flex:1;';
+      title.textContent = variant.title + (variant.inStock === false ? ' (out of stock)' : '');
+      line.appendChild(title);
+
+      var price = document.createElement('span');
+      price.textContent = typeof variant.price === 'number' ? formatPrice(variant.price) : '\u2014';
+      line.appendChild(price);
+
+      list.appendChild(line);
+    });
+
+    return list;
+  }
+
+  /**
+   * Build the list of every seller for an item, cheapest in-stock offer first,
+   * with each vendor's variant prices when it sells several.
+   */
+  function createOffersList(offers) {
+    var wrapper = document.createElement('div');
+    wrapper.className = 'modal-offers';
+    wrapper.style.cssText = 'margin-bottom:1.5rem;';
+
+    var heading = document.createElement('h3');
+    heading.style.cssText = 'font-size:0.95rem;font-weight:600;color:var(--text-bright);margin-bottom:0.5rem;';
+    heading.textContent = 'Where to Buy';
+    wrapper.appendChild(heading);
+
+    var sorted = offers.slice().sort(function (a, b) {
+      if (a.best !== b.best) return a.best ? -1 : 1;
+      if (a.inStock !== b.inStock) return a.inStock ? -1 : 1;
+      if (a.price === null) return 1;
+      if (b.price === null) return -1;
+      return a.price - b.price;
+    });
+
+    sorted.forEach(function (offer) {
+      var row = document.createElement('a');
+      row.href = offer.buyUrl;
+      row.target = '_blank';
+      row.rel = 'noopener noreferrer';
+      row.style.cssText = 'display:flex;align-items:center;gap:0.75rem;padding:0.5rem 0.75rem;margin-bottom:0.35rem;border:1px solid ' +
+        (offer.best ? 'var(--green)' : 'var(--border)') + ';border-radius:var(--radius);text-decoration:none;color:var(--text);' +
+        (offer.inStock ? '' : 'opacity:0.6;');
+
+      var vendor = document.createElement('span');
+      vendor.style.cssText = 'flex:1;font-weight:600;';
+      vendor.textContent = offer.vendor + (offer.variant ? ' \u00B7 ' + offer.variant : '') +
+        (offer.best ? ' \u2014 best price' : '');
+      row.appendChild(vendor);
+
+      if (offer.note) {
+        row.title = offer.note;
+      }
+
+      var status = document.createElement('span');
+      status.style.cssText = 'font-size:0.8rem;color:var(--text-dim);';
+      status.textContent = offer.inStock ? 'In stock' : offer.availability === 'backordered' ? 'Backordered' : 'Out of stock';
+      row.appendChild(status);
+
+      var price = document.createElement('span');
+      price.style.cssText = 'font-weight:700;color:var(--green);min-width:4.5rem;text-align:right;';
+      price.textContent = offer.priceDisplay || '\u2014';
+      row.appendChild(price);
+
+      wrapper.appendChild(row);
+
+      if (offer.variants && offer.variants.length > 1) {
+        wrapper.appendChild(createVariantList(offer));
+      }
+    });
+
+    return wrapper;
+  }
+
+  // ── Price History ──
+
+  // Chart line colors, one per offer in order of first reading
+  var CHART_COLORS = ['#67EA94', '#60A5FA', '#FBBF24', '#F472B6', '#A78BFA'];
+
+  function formatPrice(price) {
+    return '$' + price.toFixed(2);
+  }
+
+  function formatDate(time) {
+    return new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: '2-digit' });
+  }
+
+  /**
+   * Build an SVG chart of price over time with one stepped line per offer.
+   * Drawn by hand: no chart library (and no CDN, which the CSP blocks).
+   * @param {Array} series — readings from /api/prices/:id/history
    */
-  function buildAmazonUrl(itemName) {
-    return 'https://www.amazon.com/s?k=' + encodeURIComponent(itemName) + '&tag=' + AFFILIATE_TAG;
+  function buildPriceChart(series) {
+    var width = 600, height = 180;
+    var left = 56, right = 12, top = 12, bottom = 26;
+
+    var lines = [];
+    var byOffer = {};
+    var minTime = Infinity, maxTime = -Infinity, minPrice = Infinity, maxPrice = -Infinity;
+    series.forEach(function (point) {
+      var time = new Date(point.at).getTime();
+      minTime = Math.min(minTime, time);
+      maxTime = Math.max(maxTime, time);
+      minPrice = Math.min(minPrice, point.price);
+      maxPrice = Math.max(maxPrice, point.price);
+      if (!byOffer[point.offer]) {
+        byOffer[point.offer] = { vendor: point.vendor, color: CHART_COLORS[lines.length % CHART_COLORS.length], points: [] };
+        lines.push(byOffer[point.offer]);
+      }
+      byOffer[point.offer].points.push({ time: time, price: point.price });
+    });
+
+    // Keep flat histories off the chart edges
+    if (maxPrice === minPrice) {
+      minPrice -= 1;
+      maxPrice += 1;
+    }
+    if (maxTime === minTime) maxTime = minTime + 1;
+
+    function x(time) {
+      return (left + (time - minTime) / (maxTime - minTime) * (width - left - right)).toFixed(1);
+    }
+    function y(price) {
+      return (top + (maxPrice - price) / (maxPrice - minPrice) * (height - top - bottom)).toFixed(1);
+    }
+
+    var svg = '<svg viewBox="0 0 ' + width + ' ' + height + '" width="100%" role="img" aria-label="Price history chart" style="display:block;">';
+
+    // Gridlines labelled with the highest and lowest price
+    [maxPrice, minPrice].forEach(function (price) {
+      svg += '<line x1="' + left + '" x2="' + (width - right) + '" y1="' + y(price) + '" y2="' + y(price) + '" stroke="rgba(255,255,255,0.08)"/>';
+      svg += '<text x="' + (left - 6) + '" y="' + y(price) + '" dy="0.35em" text-anchor="end" fill="#6b7b8d" font-size="11">' + formatPrice(price) + '</text>';
+    });
+    svg += '<text x="' + left + '" y="' + (height - 6) + '" fill="#6b7b8d" font-size="11">' + escapeHtml(formatDate(minTime)) + '</text>';
+    svg += '<text x="' + (width - right) + '" y="' + (height - 6) + '" text-anchor="end" fill="#6b7b8d" font-size="11">' + escapeHtml(formatDate(maxTime)) + '</text>';
+
+    // A price holds until the next reading, so lines step rather than slope
+    lines.forEach(function (line) {
+      var d = '';
+      line.points.forEach(function (point, i) {
+        d += i === 0
+          ? 'M' + x(point.time) + ' ' + y(point.price)
+          : 'H' + x(point.time) + 'V' + y(point.price);
+      });
+      svg += '<path d="' + d + '" fill="none" stroke="' + line.color + '" stroke-width="2"/>';
+      var last = line.points[line.points.length - 1];
+      svg += '<circle cx="' + x(last.time) + '" cy="' + y(last.price) + '" r="3" fill="' + line.color + '"/>';
+    });
+    svg += '</svg>';
+
+    var legend = '';
+    if (lines.length > 1) {
+      legend = '<div style="display:flex;flex-wrap:wrap;gap:0.75rem;font-size:0.78rem;color:var(--text-dim);margin-top:0.35rem;">';
+      lines.forEach(function (line) {
+        legend += '<span><span style="display:inline-block;width:10px;height:10px;border-radius:2px;margin-right:0.3rem;background:' +
+          line.color + ';"></span>' + escapeHtml(line.vendor) + '</span>';
+      });
+      legend += '</div>';
+    }
+
+    return svg + legend;
+  }
+
+  /**
+   * Fetch a part's price history and draw it into the modal. Parts with
+   * fewer than two readings show nothing.
+   */
+  function loadPriceHistory(item, container) {
+    fetch('/api/prices/' + encodeURIComponent(item.id) + '/history?windows=90d,365d')
+      .then(function (res) { return res.ok ? res.json() : null; })
+      .then(function (data) {
+        // The modal may have moved on to another item meanwhile
+        if (!data || data.series.length < 2 || !container.isConnected) return;
+
+        var html = '<h3 style="font-size:0.95rem;font-weight:600;color:var(--text-bright);margin-bottom:0.5rem;">Price History</h3>';
+        html += buildPriceChart(data.series);
+        var stats = data.stats['90d'];
+        if (stats) {
+          html += '<div style="font-size:0.8rem;color:var(--text-dim);margin-top:0.35rem;">90-day low ' + formatPrice(stats.min) +
+            ' \u00B7 high ' + formatPrice(stats.max) + ' \u00B7 average ' + formatPrice(stats.average) + '</div>';
+        }
+        container.style.marginBottom = '1.5rem';
+        container.innerHTML = html;
+      })
+      .catch(function () {
+        // The chart is optional; leave it out when history cannot be loaded
+      });
   }
 
   /**
@@ -154,11 +359,46 @@ window.ProductModal = (function () {
     catBadge.textContent = info.emoji + ' ' + item.category;
     frag.appendChild(catBadge);
 
+    // ── Availability badge and suggested replacement ──
+    var availability = window.Catalog ? window.Catalog.availabilityLabel(item) : null;
+    if (availability) {
+      var availabilityBadge = document.createElement('span');
+      availabilityBadge.className = 'card-availability availability-' + item.availability;
+      availabilityBadge.style.cssText = 'margin-left:0.5rem;';
+      availabilityBadge.textContent = availability;
+      frag.appendChild(availabilityBadge);
+    }
+    if (item.replacement) {
+      var replacementDiv = document.createElement('div');
+      replacementDiv.style.cssText = 'font-size:0.85rem;color:var(--text-dim);margin-bottom:0.5rem;';
+      replacementDiv.textContent = 'Suggested replacement: ';
+      var replacementLink = document.createElement('a');
+      replacementLink.href = '#';
+      replacementLink.style.cssText = 'color:var(--green);';
+      replacementLink.textContent = item.replacement.item;
+      replacementLink.addEventListener('click', function (e) {
+        e.preventDefault();
+        for (var i = 0; i < allItems.length; i++) {
+          if (allItems[i].id === item.replacement.id) { open(allItems[i]); break; }
+        }
+      });
+      replacementDiv.appendChild(replacementLink);
+      frag.appendChild(replacementDiv);
+    }
+
     // ── Price ──
     if (item.price && item.price !== '-') {
       var priceDiv = document.createElement('div');
       priceDiv.style.cssText = 'font-size:1.5rem;font-weight:700;color:var(--green);margin:0.75rem 0 1rem;';
       priceDiv.textContent = item.price;
+      var priceLow = window.Catalog ? window.Catalog.priceLowLabel(item) : null;
+      if (priceLow) {
+        var lowBadge = document.createElement('span');
+        lowBadge.className = 'card-price-low';
+        lowBadge.style.verticalAlign = 'middle';
+        lowBadge.textContent = priceLow;
+        priceDiv.appendChild(lowBadge);
+      }
       frag.appendChild(priceDiv);
     }
 
@@ -176,13 +416,15 @@ window.ProductModal = (function () {
 
     // Amazon buy button (large, prominent)
     var buyBtn = document.createElement('a');
-    buyBtn.href = item.amazonUrl || buildAmazonUrl(item.item || '');
+    buyBtn.href = item.amazonUrl || window.Links.searchUrl(item.item || '');
     buyBtn.target = '_blank';
     buyBtn.rel = 'noopener noreferrer';
     buyBtn.className = 'btn btn-primary';
     buyBtn.style.cssText = 'flex:1;min-width:180px;padding:0.7rem 1.5rem;font-size:0.95rem;font-weight:700;text-decoration:none;';
     var buyUrl = item.amazonUrl || '';
-    if (buyUrl.indexOf('amazon.com') !== -1) {
+    if (item.bestOffer && item.bestOffer.vendor && item.bestOffer.source !== 'generic') {
+      buyBtn.textContent = 'Buy on ' + item.bestOffer.vendor;
+    } else if (buyUrl.indexOf('amazon.com') !== -1) {
       buyBtn.textContent = 'Buy on Amazon';
     } else if (buyUrl.indexOf('seeedstudio.com') !== -1) {
       buyBtn.textContent = 'Buy on Seeed';
@@ -219,6 +461,16 @@ window.ProductModal = (function () {
 
     frag.appendChild(actionsRow);
 
+    // ── Offers (only when more than one seller or variant price) ──
+    if (item.offers && (item.offers.length > 1 || hasVariantPrices(item.offers))) {
+      frag.appendChild(createOffersList(item.offers));
+    }
+
+    // ── Price history chart (filled in by loadPriceHistory) ──
+    var historyDiv = document.createElement('div');
+    historyDiv.id = 'modal-price-history';
+    frag.appendChild(historyDiv);
+
     // ── Divider ──
     var divider1 = document.createElement('hr');
     divider1.style.cssText = 'border:none;border-top:1px solid var(--border);margin:1.5rem 0;';
@@ -314,6 +566,12 @@ window.ProductModal = (function () {
       contentEl.scrollTop = 0;
     }
 
+    // Load the price history chart
+    var historyContainer = document.getElementById('modal-price-history');
+    if (historyContainer) {
+      loadPriceHistory(item, historyContainer);
+    }
+
     // Load reviews into the modal
     if (window.Reviews) {
       var reviewsContainer = document.getElementById('modal-reviews');
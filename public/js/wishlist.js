@@ -97,12 +97,46 @@ window.Wishlist = (function () {
     }
   }
 
+  /**
+   * Rewrite saved item IDs that have been renamed to their canonical IDs.
+   * @param {Object} aliases — map of old part ID to canonical ID (from /api/parts/aliases)
+   */
+  function migrateIds(aliases) {
+    if (!aliases) return;
+
+    var changed = false;
+    var seen = {};
+    items = items.filter(function (entry) {
+      var canonical = aliases[entry.id];
+      if (canonical) {
+        entry.id = canonical;
+        changed = true;
+      }
+      // Two old IDs may now point at the same part — keep one entry
+      if (seen[entry.id]) {
+        seen[entry.id].qty += entry.qty;
+        changed = true;
+        return false;
+      }
+      seen[entry.id] = entry;
+      return true;
+    });
+
+    if (changed) {
+      save();
+      render();
+      updateButtonStates();
+    }
+  }
+
   // ── Core Actions ──
 
   /**
    * Add an item to the wishlist by its ID.
+   * @param {string} itemId
+   * @param {number} [qty] — quantity to add with (default 1)
    */
-  function add(itemId) {
+  function add(itemId, qty) {
     if (isInList(itemId)) return;
 
     var item = findItemById(itemId);
@@ -113,7 +147,7 @@ window.Wishlist = (function () {
       item: item.item,
       price: item.price || '-',
       amazonUrl: item.amazonUrl || '',
-      qty: 1
+      qty: Math.max(1, qty || 1)
     });
 
     save();
@@ -148,6 +182,15 @@ window.Wishlist = (function () {
     render();
   }
 
+  /**
+   * Current list entries ({ id, item, price, amazonUrl, qty }), as copies.
+   */
+  function getItems() {
+    return items.map(function (entry) {
+      return Object.assign({}, entry);
+    });
+  }
+
   // ── Button State ──
 
   /**
@@ -372,9 +415,11 @@ window.Wishlist = (function () {
 
   /**
    * If URL has ?list=id1,id2,id3, add those items to the wishlist.
+   * Old IDs in shared links are resolved through the aliases map.
    */
-  function loadFromURL(allItemsRef) {
+  function loadFromURL(allItemsRef, aliases) {
     if (allItemsRef) allItems = allItemsRef;
+    aliases = aliases || {};
 
     var params = new URLSearchParams(window.location.search);
     var listParam = params.get('list');
@@ -385,6 +430,7 @@ window.Wishlist = (function () {
 
     for (var i = 0; i < ids.length; i++) {
       var id = ids[i].trim();
+      if (aliases[id]) id = aliases[id];
       if (id && !isInList(id)) {
         var item = findItemById(id);
         if (item) {
@@ -514,9 +560,11 @@ window.Wishlist = (function () {
   return {
     init: init,
     loadFromURL: loadFromURL,
+    migrateIds: migrateIds,
     add: add,
     remove: remove,
     updateQty: updateQty,
+    getItems: getItems,
     togglePanel: togglePanel,
     shareURL: shareURL,
     buyAll: buyAll,
@@ -1,15 +1,21 @@
 /**
- * Wizard module — 3-step guided flow that recommends a Meshtastic node kit.
+ * Wizard module — 4-step guided flow that recommends a Meshtastic node kit
+ * for the chosen frequency region.
  * Exposed as window.Wizard IIFE.
  */
 window.Wizard = (function () {
   'use strict';
 
-  var AFFILIATE_TAG = 'dpaschal26-20';
-
   // ── Step definitions ──
 
   var steps = [
+    {
+      key: 'region',
+      question: 'Which frequency band does your mesh use?',
+      options: (window.REGIONS || []).map(function (region) {
+        return { value: region.id, icon: region.icon, label: region.label };
+      })
+    },
     {
       key: 'budget',
       question: "What's your budget?",
@@ -50,7 +56,31 @@ window.Wizard = (function () {
 
   // ── Recommendation logic ──
 
+  /**
+   * Regions a kit can be built for. Kits without a list use US 915MHz parts.
+   */
+  function kitRegions(kit) {
+    return kit.regions || ['US915'];
+  }
+
+  /**
+   * Recommend a kit ID for the wizard answers. When the best kit can't be
+   * built for the chosen region, fall back to the first kit that can; if
+   * none can, the best kit is returned and the result explains the gap.
+   */
   function recommend(ans) {
+    var kitId = recommendForUS(ans);
+    var region = ans.region || 'US915';
+    var kit = findKit(kitId);
+    if (!kit || kitRegions(kit).indexOf(region) !== -1) return kitId;
+
+    for (var i = 0; i < (window.KITS || []).length; i++) {
+      if (kitRegions(window.KITS[i]).indexOf(region) !== -1) return window.KITS[i].id;
+    }
+    return kitId;
+  }
+
+  function recommendForUS(ans) {
     var budget = ans.budget;
     var usecase = ans.usecase;
     var experience = ans.experience;
@@ -78,10 +108,6 @@ window.Wizard = (function () {
     return div.innerHTML;
   }
 
-  function amazonSearchUrl(name) {
-    return 'https://www.amazon.com/s?k=' + encodeURIComponent(name) + '&tag=' + AFFILIATE_TAG;
-  }
-
   function findKit(kitId) {
     if (!window.KITS) return null;
     for (var i = 0; i < window.KITS.length; i++) {
@@ -90,6 +116,24 @@ window.Wizard = (function () {
     return null;
   }
 
+  function regionLabel(regionId) {
+    var regions = window.REGIONS || [];
+    for (var i = 0; i < regions.length; i++) {
+      if (regions[i].id === regionId) return regions[i].label;
+    }
+    return regionId;
+  }
+
+  /**
+   * Notice shown when a kit is made of parts for another band.
+   */
+  function regionNotice(kit, region) {
+    if (!region || kitRegions(kit).indexOf(region) !== -1) return '';
+    return '<div style="max-width:600px;margin:0 auto 1rem;font-size:0.85rem;color:#FBBF24;">' +
+      'This kit is built from ' + escapeHtml(kitRegions(kit).map(regionLabel).join(' / ')) +
+      ' parts \u2014 look for ' + escapeHtml(regionLabel(region)) + ' versions of the node and antenna.</div>';
+  }
+
   // ── Rendering ──
 
   /**
@@ -169,35 +213,44 @@ window.Wizard = (function () {
         renderStep(currentStep);
       } else {
         var kitId = recommend(answers);
+
+        // Show the catalog for the same band
+        if (window.Catalog && typeof window.Catalog.setRegion === 'function') {
+          window.Catalog.setRegion(answers.region);
+        }
         showResult(kitId);
       }
     }, 200);
   }
 
   /**
-   * Show the recommended kit result.
+   * Show the recommended kit result, resolved by the server for the chosen
+   * region with live prices.
    */
   function showResult(kitId) {
-    var kit = findKit(kitId);
-    if (!kit || !wizardEl) return;
-
-    // For match-based kits, dispatch event for app.js to resolve items
-    if (kit.items && !kit.hardcodedItems) {
-      var event = new CustomEvent('wizard-complete', {
-        detail: { kitId: kitId }
+    if (!findKit(kitId) || !wizardEl) return;
+
+    var url = '/api/kits/' + encodeURIComponent(kitId) +
+      (answers.region ? '?region=' + encodeURIComponent(answers.region) : '');
+    fetch(url)
+      .then(function (res) {
+        if (!res.ok) throw new Error('Failed to load kit: ' + res.status);
+        return res.json();
+      })
+      .then(renderKitResult)
+      .catch(function (err) {
+        console.error(err);
+        wizardEl.innerHTML = '<div class="wizard-step"><p style="color:var(--text-dim);">Could not load this kit. Please try again.</p>' +
+          '<button class="btn btn-ghost wizard-start-over">Start Over</button></div>';
+        wizardEl.querySelector('.wizard-start-over').addEventListener('click', init);
       });
-      wizardEl.dispatchEvent(event);
-      return;
-    }
-
-    // For hardcoded kits, render directly
-    renderHardcodedResult(kit);
   }
 
   /**
-   * Render a kit result that uses hardcodedItems (no catalog lookup needed).
+   * Render a resolved kit (from /api/kits/:id).
+   * @param {Object} kit — { name, desc, items: [{ part, note, substitutedFor }], unresolved, total, unpriced, ... }
    */
-  function renderHardcodedResult(kit) {
+  function renderKitResult(kit) {
     if (!wizardEl) return;
 
     var html = '<div class="wizard-step">';
@@ -205,118 +258,68 @@ window.Wizard = (function () {
     // Kit header
     html += '<div style="font-size:2.5rem;margin-bottom:0.5rem;">' + kit.emoji + '</div>';
     html += '<div class="wizard-question" style="margin-bottom:0.5rem;">' + escapeHtml(kit.name) + '</div>';
+    if (kit.communityMaker) {
+      html += '<div style="font-size:0.85rem;color:#A78BFA;margin-bottom:0.75rem;">Community kit by ' + escapeHtml(kit.communityMaker) + '</div>';
+    }
     if (kit.recommended) {
       html += '<div style="display:inline-block;background:rgba(16,185,129,0.15);color:#10B981;padding:0.25rem 0.75rem;border-radius:999px;font-size:0.8rem;font-weight:700;margin-bottom:0.75rem;border:1px solid rgba(16,185,129,0.3);">Recommended for Beginners</div>';
     }
     html += '<p style="color:var(--text-dim);font-size:0.95rem;max-width:600px;margin:0 auto 1.5rem;">' + escapeHtml(kit.desc) + '</p>';
+    html += regionNotice(kit, kit.region);
 
     // Items list
     html += '<div style="max-width:600px;margin:0 auto;text-align:left;">';
-    var items = kit.hardcodedItems;
-    for (var i = 0; i < items.length; i++) {
-      var item = items[i];
-      html += '<div style="display:flex;align-items:flex-start;gap:0.75rem;padding:0.75rem;background:var(--bg-surface);border:1px solid var(--border);border-radius:var(--radius-sm);margin-bottom:0.5rem;">';
-      html += '<div style="flex:1;min-width:0;">';
-      html += '<div style="font-weight:700;color:var(--text-bright);font-size:0.9rem;">' + escapeHtml(item.name) + '</div>';
-      if (item.notes) {
-        html += '<div style="font-size:0.8rem;color:var(--text-dim);margin-top:0.2rem;">' + escapeHtml(item.notes) + '</div>';
-      }
-      html += '</div>';
-      html += '<div style="display:flex;flex-direction:column;align-items:flex-end;gap:0.3rem;flex-shrink:0;">';
-      if (item.defaultPrice) {
-        html += '<span style="color:var(--green);font-weight:700;font-size:0.85rem;">' + escapeHtml(item.defaultPrice) + '</span>';
-      }
-      html += '<a href="' + amazonSearchUrl(item.name) + '" target="_blank" rel="noopener noreferrer" class="btn btn-buy" style="padding:0.3rem 0.7rem;font-size:0.75rem;">Amazon</a>';
-      html += '</div>';
-      html += '</div>';
-    }
-    html += '</div>';
-
-    // Actions
-    html += '<div style="display:flex;gap:0.75rem;justify-content:center;margin-top:1.5rem;flex-wrap:wrap;">';
-    html += '<button class="btn btn-primary wizard-add-all">Add All to List</button>';
-    html += '<button class="btn btn-ghost wizard-start-over">Start Over</button>';
-    html += '</div>';
-
-    html += '</div>';
-    wizardEl.innerHTML = html;
-
-    // Wire "Start Over"
-    var startOverBtn = wizardEl.querySelector('.wizard-start-over');
-    if (startOverBtn) {
-      startOverBtn.addEventListener('click', function () {
-        init();
-      });
-    }
-
-    // Wire "Add All to List"
-    var addAllBtn = wizardEl.querySelector('.wizard-add-all');
-    if (addAllBtn) {
-      addAllBtn.addEventListener('click', function () {
-        if (window.Wishlist && typeof window.Wishlist.addByName === 'function') {
-          var items = kit.hardcodedItems;
-          for (var i = 0; i < items.length; i++) {
-            window.Wishlist.addByName(items[i].name);
-          }
-        }
-      });
-    }
-  }
-
-  /**
-   * Render a match-based kit result (called by app.js after resolving items).
-   * @param {Object} kit — the kit definition
-   * @param {Array} resolvedItems — array of catalog items matching the kit
-   */
-  function renderMatchResult(kit, resolvedItems) {
-    if (!wizardEl) return;
-
-    var html = '<div class="wizard-step">';
-
-    // Kit header
-    html += '<div style="font-size:2.5rem;margin-bottom:0.5rem;">' + kit.emoji + '</div>';
-    html += '<div class="wizard-question" style="margin-bottom:0.5rem;">' + escapeHtml(kit.name) + '</div>';
-    html += '<p style="color:var(--text-dim);font-size:0.95rem;max-width:600px;margin:0 auto 1.5rem;">' + escapeHtml(kit.desc) + '</p>';
-
-    // Items list
-    html += '<div style="max-width:600px;margin:0 auto;text-align:left;">';
-    var totalPrice = 0;
-    for (var i = 0; i < resolvedItems.length; i++) {
-      var item = resolvedItems[i];
-      var price = item.price || '';
-      var numPrice = parseFloat(String(price).replace(/[^0-9.]/g, ''));
-      if (!isNaN(numPrice)) totalPrice += numPrice;
+    for (var i = 0; i < kit.items.length; i++) {
+      var item = kit.items[i].part;
+      var note = kit.items[i].note || item.notes;
 
       html += '<div style="display:flex;align-items:flex-start;gap:0.75rem;padding:0.75rem;background:var(--bg-surface);border:1px solid var(--border);border-radius:var(--radius-sm);margin-bottom:0.5rem;">';
       html += '<div style="flex:1;min-width:0;">';
-      html += '<div style="font-weight:700;color:var(--text-bright);font-size:0.9rem;">' + escapeHtml(item.item) + '</div>';
+      html += '<div style="font-weight:700;color:var(--text-bright);font-size:0.9rem;">' +
+        (kit.items[i].quantity > 1 ? kit.items[i].quantity + ' \u00D7 ' : '') + escapeHtml(item.item) + '</div>';
       if (item.category) {
-        html += '<div style="font-size:0.75rem;color:var(--text-dim);margin-top:0.15rem;">' + escapeHtml(item.category) + '</div>';
+        html += '<div style="font-size:0.75rem;color:var(--text-dim);margin-top:0.15rem;">' + escapeHtml(item.category) +
+          (kit.items[i].substitutedFor ? ' \u2014 ' + escapeHtml(regionLabel(kit.region)) + ' alternative' : '') + '</div>';
+      }
+      if (note) {
+        html += '<div style="font-size:0.8rem;color:var(--text-dim);margin-top:0.2rem;">' + escapeHtml(note) + '</div>';
       }
-      if (item.notes) {
-        html += '<div style="font-size:0.8rem;color:var(--text-dim);margin-top:0.2rem;">' + escapeHtml(item.notes) + '</div>';
+      var availability = window.Catalog ? window.Catalog.availabilityLabel(item) : null;
+      if (availability) {
+        html += '<div style="font-size:0.8rem;color:#FBBF24;margin-top:0.2rem;">' + escapeHtml(availability) +
+          (item.replacement ? ' \u2014 try the ' + escapeHtml(item.replacement.item) + ' instead' : '') + '</div>';
       }
       html += '</div>';
       html += '<div style="display:flex;flex-direction:column;align-items:flex-end;gap:0.3rem;flex-shrink:0;">';
-      if (price && price !== '-') {
-        html += '<span style="color:var(--green);font-weight:700;font-size:0.85rem;">' + escapeHtml(price) + '</span>';
+      if (item.price && item.price !== '-') {
+        html += '<span style="color:var(--green);font-weight:700;font-size:0.85rem;">' + escapeHtml(item.price) + '</span>';
       }
-      var buyUrl = item.amazonUrl || amazonSearchUrl(item.item);
-      html += '<a href="' + buyUrl + '" target="_blank" rel="noopener noreferrer" class="btn btn-buy" style="padding:0.3rem 0.7rem;font-size:0.75rem;">Amazon</a>';
+      var buyUrl = item.amazonUrl || window.Links.searchUrl(item.item);
+      var vendor = item.bestOffer && item.bestOffer.vendor ? item.bestOffer.vendor : 'Buy';
+      html += '<a href="' + escapeHtml(buyUrl) + '" target="_blank" rel="noopener noreferrer" class="btn btn-buy" style="padding:0.3rem 0.7rem;font-size:0.75rem;">' + escapeHtml(vendor) + '</a>';
       html += '</div>';
       html += '</div>';
     }
     html += '</div>';
 
-    // Total price
-    if (totalPrice > 0) {
-      html += '<div style="text-align:center;margin-top:1rem;font-size:1.1rem;font-weight:800;color:var(--green);">Estimated Total: $' + totalPrice.toFixed(2) + '</div>';
+    // Total price (standalone kits are a choice of one item)
+    if (kit.standalone) {
+      html += '<div style="text-align:center;margin-top:1rem;font-size:0.9rem;color:var(--text-dim);">Pick any one of these.</div>';
+    } else if (kit.total > 0) {
+      html += '<div style="text-align:center;margin-top:1rem;font-size:1.1rem;font-weight:800;color:var(--green);">Estimated Total: $' + kit.total.toFixed(2) + '</div>';
+      if (kit.unpriced > 0) {
+        html += '<div style="text-align:center;margin-top:0.25rem;font-size:0.8rem;color:var(--text-dim);">Plus ' + kit.unpriced + ' item' + (kit.unpriced !== 1 ? 's' : '') + ' without a current price</div>';
+      }
+    }
+
+    // Unavailable items warning
+    if (kit.unavailable && kit.unavailable.length > 0) {
+      html += '<div style="text-align:center;margin-top:0.5rem;font-size:0.8rem;color:#FBBF24;">' + kit.unavailable.length + ' item' + (kit.unavailable.length !== 1 ? 's' : '') + ' currently unavailable</div>';
     }
 
     // Unresolved items warning
-    var unresolvedCount = kit.items.length - resolvedItems.length;
-    if (unresolvedCount > 0) {
-      html += '<div style="text-align:center;margin-top:0.5rem;font-size:0.8rem;color:var(--text-dim);">' + unresolvedCount + ' item' + (unresolvedCount !== 1 ? 's' : '') + ' not found in current catalog</div>';
+    if (kit.unresolved.length > 0) {
+      html += '<div style="text-align:center;margin-top:0.5rem;font-size:0.8rem;color:var(--text-dim);">' + kit.unresolved.length + ' item' + (kit.unresolved.length !== 1 ? 's' : '') + ' not found in current catalog</div>';
     }
 
     // Actions
@@ -340,9 +343,9 @@ window.Wizard = (function () {
     var addAllBtn = wizardEl.querySelector('.wizard-add-all');
     if (addAllBtn) {
       addAllBtn.addEventListener('click', function () {
-        if (window.Wishlist && typeof window.Wishlist.addItem === 'function') {
-          for (var i = 0; i < resolvedItems.length; i++) {
-            window.Wishlist.addItem(resolvedItems[i]);
+        if (window.Wishlist && typeof window.Wishlist.add === 'function') {
+          for (var i = 0; i < kit.items.length; i++) {
+            window.Wishlist.add(kit.items[i].part.id, kit.items[i].quantity);
           }
         }
       });
@@ -351,6 +354,22 @@ window.Wizard = (function () {
 
   // ── Public API ──
 
+  /**
+   * Show a kit in the wizard section without going through the questions
+   * (e.g. from the community kits list), for the catalog's current region.
+   */
+  function showKit(kitId) {
+    wizardEl = document.getElementById('wizard');
+    if (!wizardEl) return;
+
+    answers = {};
+    if (window.Catalog && typeof window.Catalog.getRegion === 'function') {
+      answers.region = window.Catalog.getRegion() || undefined;
+    }
+    showResult(kitId);
+    wizardEl.scrollIntoView({ behavior: 'smooth' });
+  }
+
   /**
    * Initialize (or reset) the wizard — renders step 1.
    */
@@ -365,6 +384,8 @@ window.Wizard = (function () {
 
   return {
     init: init,
-    renderMatchResult: renderMatchResult
+    recommend: recommend,
+    showKit: showKit,
+    renderKitResult: renderKitResult
   };
 })();
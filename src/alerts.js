@@ -0,0 +1,109 @@
+/**
+ * Price drop emails to price alert subscribers (see routes/alerts.js for
+ * subscribing), sent with Resend when RESEND_API_KEY is set. Used by
+ * price-checker.js for the price changes it finds, and by the admin API
+ * for held price changes once they are accepted (see anomalies.js).
+ */
+
+const { Resend } = require('resend');
+const links = require('./links');
+
+/**
+ * Send email notifications to subscribers whose threshold is met by this price drop.
+ * @param {Object} product — { id, aliases, name, url, source } of the offer
+ * @param {number} oldPrice
+ * @param {number} newPrice
+ * @param {number} pctChange — the drop as a fraction of oldPrice
+ * @param {Object} db — database handle
+ */
+async function notifySubscribers(product, oldPrice, newPrice, pctChange, db) {
+  if (!process.env.RESEND_API_KEY) {
+    console.log('  ⚠️  RESEND_API_KEY not set — skipping email notifications');
+    return;
+  }
+
+  const resend = new Resend(process.env.RESEND_API_KEY);
+  // Alerts are keyed by part ID; include old IDs so pre-rename subscribers still match
+  const productIds = [product.id].concat(product.aliases || []);
+  const placeholders = productIds.map(() => '?').join(', ');
+  const pctDrop = pctChange * 100;
+
+  const subscribers = db.prepare(
+    `SELECT * FROM price_alerts WHERE product_id IN (${placeholders}) AND active = 1 AND threshold_pct <= ?`
+  ).all(...productIds, pctDrop);
+
+  if (subscribers.length === 0) {
+    console.log(`  📭 No subscribers matched for ${product.name} (${pctDrop.toFixed(1)}% drop)`);
+    return;
+  }
+
+  const buyUrl = links.withAffiliate(product.url, product.source);
+
+  let sent = 0;
+  const updateStmt = db.prepare(
+    "UPDATE price_alerts SET last_notified = datetime('now') WHERE id = ?"
+  );
+
+  for (const sub of subscribers) {
+    const unsubUrl = `https://node-parts.paschal.ai/api/alerts/unsubscribe/${sub.unsubscribe_token}`;
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"></head>
+<body style="margin:0; padding:0; background:#1a1a2e; font-family:Arial, Helvetica, sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background:#1a1a2e; padding:40px 20px;">
+    <tr><td align="center">
+      <table width="600" cellpadding="0" cellspacing="0" style="background:#16213e; border-radius:8px; overflow:hidden;">
+        <tr><td style="background:#0f3460; padding:24px 32px;">
+          <h1 style="margin:0; color:#e94560; font-size:24px;">Price Drop Alert</h1>
+        </td></tr>
+        <tr><td style="padding:32px;">
+          <h2 style="color:#eee; margin:0 0 16px 0; font-size:20px;">${product.name}</h2>
+          <table cellpadding="0" cellspacing="0" style="margin:0 0 24px 0;">
+            <tr>
+              <td style="color:#999; font-size:14px; padding-right:12px;">Was:</td>
+              <td style="color:#999; font-size:18px; text-decoration:line-through;">$${oldPrice.toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td style="color:#4ecca3; font-size:14px; padding-right:12px;">Now:</td>
+              <td style="color:#4ecca3; font-size:24px; font-weight:bold;">$${newPrice.toFixed(2)}</td>
+            </tr>
+            <tr>
+              <td style="color:#e94560; font-size:14px; padding-right:12px;">Save:</td>
+              <td style="color:#e94560; font-size:16px; font-weight:bold;">${pctDrop.toFixed(1)}% off</td>
+            </tr>
+          </table>
+          <a href="${buyUrl}" style="display:inline-block; background:#e94560; color:#fff; text-decoration:none; padding:14px 32px; border-radius:6px; font-size:16px; font-weight:bold;">Buy Now</a>
+        </td></tr>
+        <tr><td style="padding:16px 32px; border-top:1px solid #0f3460;">
+          <p style="color:#666; font-size:12px; margin:0;">
+            You received this because you subscribed to price alerts on
+            <a href="https://node-parts.paschal.ai" style="color:#4ecca3;">NC Mesh Parts</a>.
+            <a href="${unsubUrl}" style="color:#999;">Unsubscribe</a>
+          </p>
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`.trim();
+
+    try {
+      await resend.emails.send({
+        from: 'NC Mesh Parts <alerts@paschal.ai>',
+        to: sub.email,
+        subject: `Price Drop: ${product.name} — $${oldPrice.toFixed(2)} → $${newPrice.toFixed(2)}`,
+        html,
+      });
+      updateStmt.run(sub.id);
+      sent++;
+    } catch (err) {
+      console.log(`  ❌ Failed to send to ${sub.email}: ${err.message}`);
+    }
+  }
+
+  console.log(`  📧 Sent ${sent}/${subscribers.length} price alert notifications`);
+}
+
+module.exports = { notifySubscribers };
@@ -0,0 +1,282 @@
+/**
+ * Price anomalies. A scraper that grabs a shipping fee, an accessory's price
+ * or another variant's reports a price change that is not real, so before
+ * the price checker takes a change it looks for signs of that:
+ *
+ *   jump      — the price moved by more than JUMP_LIMIT at once
+ *   history   — it is far from the offer's recent median price
+ *   category  — it is outside the range of the other parts in its category
+ *
+ * Suspicious changes are held in the price_reviews table instead of being
+ * saved: the cached price stays, no alerts are sent, and an admin accepts
+ * (the price is applied and subscribers alerted) or rejects each one (the
+ * same price is then not raised again for REJECTED_DAYS). A review still
+ * pending when the checker next takes a price for the offer is superseded:
+ * accepting it then would overwrite the newer price with the suspicious one.
+ */
+
+const catalog = require('./catalog');
+const history = require('./history');
+const pricing = require('./pricing');
+const feeds = require('./feeds');
+const { resolveCategory } = require('./categories');
+
+const REVIEW_STATUSES = ['pending', 'accepted', 'rejected', 'superseded'];
+
+// A change by more than this fraction of the old price is a jump
+const JUMP_LIMIT = 0.5;
+
+// A price more than HISTORY_LIMIT away from the median of the offer's last
+// HISTORY_DAYS of readings disagrees with its history (given enough readings)
+const HISTORY_DAYS = 30;
+const HISTORY_LIMIT = 0.3;
+const MIN_HISTORY_READINGS = 3;
+
+// Category norms: the price range of the other priced parts in the category,
+// widened by CATEGORY_FACTOR each way, once it has MIN_CATEGORY_PARTS
+const CATEGORY_FACTOR = 2;
+const MIN_CATEGORY_PARTS = 5;
+
+// A rejected price (within SAME_PRICE_MARGIN) is kept out for this long
+const REJECTED_DAYS = 30;
+const SAME_PRICE_MARGIN = 0.02;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised when reviewing a change that has already been reviewed.
+ */
+class ReviewError extends Error {}
+
+function money(price) {
+  return `$${price.toFixed(2)}`;
+}
+
+function percent(fraction) {
+  return `${Math.round(fraction * 100)}%`;
+}
+
+/**
+ * The reasons a price change looks wrong, as [{ code, message }]; empty
+ * when it looks fine.
+ * @param {Object} db — database handle
+ * @param {Object} change — { partId, offer, category, oldPrice, newPrice }
+ * @param {Object} [options] — { entries } (defaults to the catalog) and { now }
+ */
+function findAnomalies(db, change, { entries = catalog.getEntries(), now = new Date() } = {}) {
+  const { partId, offer, oldPrice, newPrice } = change;
+  const reasons = [];
+
+  if (oldPrice > 0 && Math.abs(newPrice - oldPrice) / oldPrice > JUMP_LIMIT) {
+    reasons.push({ code: 'jump', message: `${percent((newPrice - oldPrice) / oldPrice)} change from ${money(oldPrice)}` });
+  }
+
+  const { median, count } = history.offerMedian(db, offer, HISTORY_DAYS, now);
+  if (count >= MIN_HISTORY_READINGS && Math.abs(newPrice - median) / median > HISTORY_LIMIT) {
+    reasons.push({
+      code: 'history',
+      message: `${percent((newPrice - median) / median)} from the ${HISTORY_DAYS}-day median of ${money(median)}`
+    });
+  }
+
+  const category = resolveCategory(change.category || 'Other');
+  const prices = entries
+    .filter(entry => entry.id !== partId && resolveCategory(entry.category || 'Other') === category)
+    .map(entry => catalog.parsePartsPrice(entry.price))
+    .filter(price => price !== null && price > 0);
+  if (prices.length >= MIN_CATEGORY_PARTS) {
+    const low = Math.min(...prices) / CATEGORY_FACTOR;
+    const high = Math.max(...prices) * CATEGORY_FACTOR;
+    if (newPrice < low || newPrice > high) {
+      reasons.push({ code: 'category', message: `outside the ${category} range of ${money(low)} to ${money(high)}` });
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * API representation of a price_reviews row. Timestamps are stored in
+ * SQLite's UTC "YYYY-MM-DD HH:MM:SS" form and returned as ISO 8601.
+ */
+function reviewFromRow(row) {
+  return {
+    id: row.id,
+    partId: row.part_id,
+    name: row.name,
+    vendor: row.vendor,
+    source: row.source,
+    offer: row.offer,
+    url: row.url,
+    oldPrice: row.old_price,
+    newPrice: row.new_price,
+    reasons: JSON.parse(row.reasons),
+    status: row.status,
+    createdAt: `${row.created_at.replace(' ', 'T')}Z`,
+    reviewedAt: row.reviewed_at ? `${row.reviewed_at.replace(' ', 'T')}Z` : null
+  };
+}
+
+function getReview(db, id) {
+  const row = db.prepare('SELECT * FROM price_reviews WHERE id = ?').get(id);
+  return row ? reviewFromRow(row) : null;
+}
+
+/**
+ * Hold a price change for review. An offer has at most one pending review:
+ * a newer suspicious price for it replaces the one held.
+ * @param {Object} db — database handle
+ * @param {Object} change — { partId, offer, name, vendor, source, url,
+ *   oldPrice, newPrice }; oldPrice is null for an offer's first price
+ * @param {Array} reasons — from findAnomalies
+ * @returns {Object} the review
+ */
+function holdForReview(db, change, reasons) {
+  const oldPrice = change.oldPrice != null ? change.oldPrice : null;
+  const pending = db.prepare("SELECT id FROM price_reviews WHERE offer = ? AND status = 'pending'").get(change.offer);
+  if (pending) {
+    db.prepare('UPDATE price_reviews SET old_price = ?, new_price = ?, reasons = ? WHERE id = ?')
+      .run(oldPrice, change.newPrice, JSON.stringify(reasons), pending.id);
+    return getReview(db, pending.id);
+  }
+  const result = db.prepare(`
+    INSERT INTO price_reviews (part_id, offer, name, vendor, source, url, old_price, new_price, reasons)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(change.partId, change.offer, change.name, change.vendor || null, change.source || null,
+    change.url || null, oldPrice, change.newPrice, JSON.stringify(reasons));
+  return getReview(db, result.lastInsertRowid);
+}
+
+/**
+ * True when an admin rejected this price for the offer in the last
+ * REJECTED_DAYS.
+ */
+function wasRejected(db, offer, price, now = new Date()) {
+  const since = new Date(now.getTime() - REJECTED_DAYS * DAY_MS).toISOString().replace('T', ' ').slice(0, 19);
+  return db.prepare("SELECT new_price FROM price_reviews WHERE offer = ? AND status = 'rejected' AND reviewed_at >= ?")
+    .all(offer, since)
+    .some(row => Math.abs(row.new_price - price) / row.new_price <= SAME_PRICE_MARGIN);
+}
+
+/**
+ * Decide whether the price checker may take a new price for an offer:
+ *   { status: 'rejected' } — an admin already rejected this price
+ *   { status: 'held', reasons, review } — it looks wrong and is now held
+ *   { status: 'ok' }
+ * A first price (oldPrice null) has nothing to jump from, so only the
+ * history and category checks apply to it.
+ * @param {Object} db — database handle
+ * @param {Object} change — as for holdForReview, plus { category }
+ * @param {Object} [options] — as for findAnomalies
+ */
+function screenChange(db, change, options = {}) {
+  if (wasRejected(db, change.offer, change.newPrice, options.now)) return { status: 'rejected' };
+  const reasons = findAnomalies(db, change, options);
+  if (reasons.length === 0) return { status: 'ok' };
+  return { status: 'held', reasons, review: holdForReview(db, change, reasons) };
+}
+
+/**
+ * Close the offer's pending review, if any, once the price checker has
+ * taken a newer price for it. Returns the number of reviews closed.
+ */
+function supersedeReviews(db, offer) {
+  return db.prepare(
+    "UPDATE price_reviews SET status = 'superseded', reviewed_at = CURRENT_TIMESTAMP WHERE offer = ? AND status = 'pending'"
+  ).run(offer).changes;
+}
+
+/**
+ * Reviews with a status, newest first.
+ */
+function listReviews(db, status = 'pending') {
+  return db.prepare('SELECT * FROM price_reviews WHERE status = ? ORDER BY id DESC').all(status).map(reviewFromRow);
+}
+
+/**
+ * Apply an accepted price to the catalog entry's price and offers with the
+ * review's ASIN or URL. Returns the updated entry, or null when nothing in
+ * the catalog sells through that offer any more.
+ */
+function applyToCatalog(review) {
+  const entry = catalog.getEntry(review.partId);
+  if (!entry) return null;
+  const display = catalog.formatPartsPrice(review.newPrice);
+  const matches = offer => (offer.asin || offer.url) === review.offer;
+
+  const changes = {};
+  if (matches(entry)) changes.price = display;
+  if (Array.isArray(entry.offers) && entry.offers.some(matches)) {
+    changes.offers = entry.offers.map(offer => (matches(offer) ? Object.assign({}, offer, { price: display }) : offer));
+  }
+  return Object.keys(changes).length > 0 ? catalog.updatePart(entry.id, changes) : null;
+}
+
+/**
+ * Settle a pending review, running `apply` in the same transaction.
+ * Returns { review, applied } (what apply returned), or null when there is
+ * no review with this ID.
+ */
+function settle(db, id, status, apply) {
+  const current = getReview(db, id);
+  if (!current) return null;
+  if (current.status !== 'pending') {
+    throw new ReviewError(`Price change ${id} was already ${current.status}`);
+  }
+  let applied = null;
+  db.transaction(() => {
+    if (apply) applied = apply(current);
+    db.prepare('UPDATE price_reviews SET status = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, id);
+  })();
+  return { review: getReview(db, id), applied };
+}
+
+/**
+ * Accept a held price change: save it as the offer's price, record it in
+ * the price history and the catalog (and its update feed). Sending alerts
+ * is left to the caller. Returns { review, entry } — entry is the updated
+ * catalog entry, or null when no entry sells through the offer any more —
+ * or null when there is no review with this ID; throws ReviewError when it
+ * was already reviewed.
+ */
+function acceptReview(db, id, now = new Date()) {
+  const result = settle(db, id, 'accepted', held => {
+    pricing.updatePrice(db, held.offer, {
+      price: held.newPrice,
+      priceDisplay: catalog.formatPartsPrice(held.newPrice),
+      changedAt: now.toISOString()
+    });
+    history.recordPrice(db, { partId: held.partId, price: held.newPrice, source: held.source, offer: held.offer, at: now });
+    const entry = applyToCatalog(held);
+    if (entry) {
+      feeds.recordEvent(db, 'price', entry, { oldPrice: held.oldPrice, newPrice: held.newPrice, vendor: held.vendor });
+    }
+    return entry;
+  });
+  return result && { review: result.review, entry: result.applied };
+}
+
+/**
+ * Reject a held price change; the cached price stays. Returns the review,
+ * or null when there is none with this ID; throws ReviewError when it was
+ * already reviewed.
+ */
+function rejectReview(db, id) {
+  const result = settle(db, id, 'rejected', null);
+  return result && result.review;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REJECTED_DAYS,
+  ReviewError,
+  findAnomalies,
+  holdForReview,
+  wasRejected,
+  screenChange,
+  supersedeReviews,
+  getReview,
+  listReviews,
+  acceptReview,
+  rejectReview
+};
@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+/**
+ * Express middleware guarding admin endpoints. Requests must send
+ * `Authorization: Bearer <ADMIN_TOKEN>`. When ADMIN_TOKEN is not set the
+ * admin API is disabled entirely.
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({ error: 'Admin API is disabled (ADMIN_TOKEN not set)' });
+  }
+
+  const header = req.get('authorization') || '';
+  const supplied = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  // Compare hashes so the comparison is constant-time regardless of length
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(supplied).digest();
+  if (!supplied || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+module.exports = { requireAdmin };
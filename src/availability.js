@@ -0,0 +1,101 @@
+/**
+ * Part availability. Catalog entries may set `availability` to one of
+ * AVAILABILITY (absent means in stock) and, usually for discontinued parts,
+ * `replacement`: the ID of the part to buy instead.
+ *
+ * The price checker keeps in-stock / backordered / out-of-stock current from
+ * the vendor pages; `discontinued` is only ever set by maintainers and the
+ * checker leaves it alone.
+ */
+
+const AVAILABILITY = {
+  'in-stock':     { label: 'In Stock', inStock: true },
+  'backordered':  { label: 'Backordered', inStock: false },
+  'out-of-stock': { label: 'Out of Stock', inStock: false },
+  'discontinued': { label: 'Discontinued', inStock: false }
+};
+
+const DEFAULT_AVAILABILITY = 'in-stock';
+
+// Statuses a maintainer sets that the price checker must not overwrite
+const MANUAL_AVAILABILITY = ['discontinued'];
+
+// schema.org ItemAvailability values (offers.availability / itemprop="availability")
+const SCHEMA_AVAILABILITY = {
+  InStock: 'in-stock',
+  InStoreOnly: 'in-stock',
+  LimitedAvailability: 'in-stock',
+  OnlineOnly: 'in-stock',
+  BackOrder: 'backordered',
+  PreOrder: 'backordered',
+  PreSale: 'backordered',
+  OutOfStock: 'out-of-stock',
+  SoldOut: 'out-of-stock',
+  Discontinued: 'out-of-stock'
+};
+
+// Phrases vendor pages use, most specific first
+const TEXT_PATTERNS = [
+  [/back-?order|pre-?order|usually ships within \d+\s*(?:to \d+\s*)?(?:weeks|months)/i, 'backordered'],
+  [/currently unavailable|out of stock|sold out|no longer available/i, 'out-of-stock'],
+  [/in stock|add to cart/i, 'in-stock']
+];
+
+/**
+ * Availability of a catalog entry or built part.
+ */
+function availabilityOf(part) {
+  return Object.hasOwn(AVAILABILITY, part.availability || '') ? part.availability : DEFAULT_AVAILABILITY;
+}
+
+/**
+ * True when a part can be bought now.
+ */
+function isInStock(part) {
+  return AVAILABILITY[availabilityOf(part)].inStock;
+}
+
+/**
+ * Classify a vendor's availability text (e.g. Amazon's "#availability"
+ * block). Returns null when the text says nothing about stock.
+ */
+function availabilityFromText(text) {
+  for (const [pattern, status] of TEXT_PATTERNS) {
+    if (pattern.test(text || '')) return status;
+  }
+  return null;
+}
+
+/**
+ * Map a schema.org availability value ("https://schema.org/InStock",
+ * "OutOfStock", ...) to a status, or null when it is not recognised.
+ */
+function availabilityFromSchema(value) {
+  const name = String(value || '').split('/').pop();
+  return Object.hasOwn(SCHEMA_AVAILABILITY, name) ? SCHEMA_AVAILABILITY[name] : null;
+}
+
+/**
+ * Part-level availability from the statuses of its offers: in stock when
+ * any offer is, else backordered when any offer is, else out of stock.
+ * Unknown (null) statuses are ignored; returns null when all are unknown.
+ */
+function combineAvailability(statuses) {
+  const known = statuses.filter(Boolean);
+  if (known.length === 0) return null;
+  for (const status of ['in-stock', 'backordered']) {
+    if (known.includes(status)) return status;
+  }
+  return 'out-of-stock';
+}
+
+module.exports = {
+  AVAILABILITY,
+  DEFAULT_AVAILABILITY,
+  MANUAL_AVAILABILITY,
+  availabilityOf,
+  isInStock,
+  availabilityFromText,
+  availabilityFromSchema,
+  combineAvailability
+};
@@ -0,0 +1,515 @@
+const fs = require('fs');
+const path = require('path');
+const feeds = require('./feeds');
+
+const PARTS_FILE = process.env.PARTS_FILE || path.join(__dirname, '..', 'data', 'parts.json');
+
+// IDs taken by the /api/parts/<name> lookup endpoints, which a part could
+// never be fetched by
+const RESERVED_IDS = ['aliases', 'specs'];
+
+/**
+ * Raised for catalog writes that conflict with existing data
+ * (duplicate IDs, unknown parts).
+ */
+class CatalogError extends Error {}
+
+// Database the catalog is stored in (null until init() — then the catalog is read from parts.json)
+let db = null;
+
+// Cached catalog state, refreshed whenever the parts table changes
+let entries = null;
+let aliasIndex = new Map();
+let dataVersion = null;
+
+// parts.json hot reload state
+let watchTimer = null;
+let watchedMtime = null;
+let lastReload = null;
+
+/**
+ * Derive a URL-safe slug from a part name. This is how part IDs were
+ * generated before they were stored in parts.json, so it is only used to
+ * mint IDs for new entries (and for entries that are still missing one).
+ */
+function slugify(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60);
+}
+
+/**
+ * Parse a parts.json price string like "$36.50" into a number.
+ * Returns null when the string has no amount in it.
+ */
+function parsePartsPrice(priceStr) {
+  if (!priceStr) return null;
+  const match = priceStr.match(/\$?([\d,]+\.?\d*)/);
+  if (match) return parseFloat(match[1].replace(',', ''));
+  return null;
+}
+
+/**
+ * Format a numeric price as a parts.json price string ("$36.50").
+ */
+function formatPartsPrice(price) {
+  return `$${price.toFixed(2)}`;
+}
+
+/**
+ * Build the alias -> canonical ID lookup for a list of entries.
+ * Canonical IDs map to themselves so every known ID resolves.
+ */
+function buildAliasIndex(list) {
+  const index = new Map();
+  list.forEach(entry => index.set(entry.id, entry.id));
+  list.forEach(entry => {
+    (entry.aliases || []).forEach(alias => {
+      if (!index.has(alias)) index.set(alias, entry.id);
+    });
+  });
+  return index;
+}
+
+/**
+ * Ensure every entry carries an ID. Entries added by hand without one fall
+ * back to the legacy name slug so they keep working until an ID is stored.
+ */
+function normalizeEntries(list) {
+  return list.map(entry => {
+    if (entry.id) return entry;
+    console.warn(`parts.json entry "${entry.name}" has no id — using name slug`);
+    return Object.assign({ id: slugify(entry.name) }, entry);
+  });
+}
+
+/**
+ * Read and normalize a parts.json file. Throws if it cannot be parsed.
+ */
+function readFile(file = PARTS_FILE) {
+  const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(list)) throw new Error('parts.json must contain an array');
+  return normalizeEntries(list);
+}
+
+/**
+ * Structural checks a parts.json file must pass before it replaces the
+ * catalog. Throws describing the first problem found.
+ */
+function checkEntries(list) {
+  const seen = new Set();
+  list.forEach((entry, index) => {
+    const label = entry && entry.name ? `"${entry.name}"` : `#${index + 1}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Entry ${label} is not an object`);
+    }
+    if (typeof entry.name !== 'string' || !entry.name.trim()) {
+      throw new Error(`Entry ${label} is missing a name`);
+    }
+    if (typeof entry.category !== 'string' || !entry.category.trim()) {
+      throw new Error(`Entry ${label} is missing a category`);
+    }
+    if (seen.has(entry.id)) {
+      throw new Error(`Entry ${label} reuses ID ${entry.id}`);
+    }
+    seen.add(entry.id);
+  });
+}
+
+/**
+ * Compare two versions of the catalog. Returns the IDs of added and removed
+ * parts and, for changed parts, which fields changed.
+ */
+function diffEntries(previous, next) {
+  const before = new Map(previous.map(entry => [entry.id, entry]));
+  const after = new Map(next.map(entry => [entry.id, entry]));
+  const changes = { added: [], removed: [], changed: [] };
+
+  after.forEach((entry, id) => {
+    const old = before.get(id);
+    if (!old) {
+      changes.added.push(id);
+      return;
+    }
+    const fields = Array.from(new Set(Object.keys(old).concat(Object.keys(entry))))
+      .filter(key => JSON.stringify(old[key]) !== JSON.stringify(entry[key]));
+    if (fields.length > 0) changes.changed.push({ id, fields });
+  });
+  before.forEach((entry, id) => {
+    if (!after.has(id)) changes.removed.push(id);
+  });
+
+  return changes;
+}
+
+/**
+ * Load the catalog straight from parts.json (used when no database is
+ * attached, e.g. by tooling).
+ */
+function load(file = PARTS_FILE) {
+  try {
+    entries = readFile(file);
+  } catch (e) {
+    console.error('Failed to load data/parts.json:', e.message);
+    entries = [];
+  }
+  aliasIndex = buildAliasIndex(entries);
+  return entries;
+}
+
+/**
+ * Attach the catalog to the database. On first run (empty parts table) the
+ * catalog is imported from parts.json; afterwards any edits made to
+ * parts.json while the server was down are applied.
+ */
+function init(database, { file = PARTS_FILE } = {}) {
+  db = database;
+  entries = null;
+
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM parts').get();
+  if (count === 0 && fs.existsSync(file)) {
+    const imported = importFile(file);
+    console.log(`Imported ${imported} parts from ${path.basename(file)}`);
+  } else if (fs.existsSync(file)) {
+    reloadFile(file);
+  }
+
+  refresh();
+}
+
+/**
+ * Re-read the catalog from the database.
+ */
+function refresh() {
+  if (!db) return load();
+  entries = db.prepare('SELECT entry FROM parts ORDER BY position, id').all()
+    .map(row => JSON.parse(row.entry));
+  aliasIndex = buildAliasIndex(entries);
+  dataVersion = db.pragma('data_version', { simple: true });
+  return entries;
+}
+
+/**
+ * Make sure the cache reflects the database. data_version changes when
+ * another connection (e.g. price-checker.js) commits to the database.
+ */
+function ensureFresh() {
+  if (!db) {
+    if (entries === null) load();
+    return;
+  }
+  if (entries === null || db.pragma('data_version', { simple: true }) !== dataVersion) {
+    refresh();
+  }
+}
+
+function requireDB() {
+  if (!db) throw new Error('Catalog database not initialized');
+}
+
+/**
+ * All catalog entries, in catalog order.
+ */
+function getEntries() {
+  ensureFresh();
+  return entries;
+}
+
+/**
+ * Find a catalog entry by its canonical ID or any alias.
+ */
+function getEntry(id) {
+  const canonical = resolveId(id);
+  if (!canonical) return null;
+  return getEntries().find(entry => entry.id === canonical) || null;
+}
+
+/**
+ * Resolve an ID or old alias to the canonical part ID. Returns null when the
+ * ID is unknown.
+ */
+function resolveId(id) {
+  ensureFresh();
+  return aliasIndex.get(id) || null;
+}
+
+/**
+ * Every ID a part has been known by: the canonical ID first, then aliases.
+ * Used for lookups in tables keyed by product_id (reviews, price alerts) so
+ * rows written under an old ID are still found. Unknown IDs are returned as-is.
+ */
+function idsFor(id) {
+  const entry = getEntry(id);
+  if (!entry) return [id];
+  return [entry.id].concat((entry.aliases || []).filter(alias => alias !== entry.id));
+}
+
+/**
+ * Map of every alias to its canonical ID (canonical IDs are omitted).
+ */
+function getAliases() {
+  ensureFresh();
+  const aliases = {};
+  aliasIndex.forEach((canonical, alias) => {
+    if (alias !== canonical) aliases[alias] = canonical;
+  });
+  return aliases;
+}
+
+/**
+ * Drop keys set to null/undefined so clearing a field removes it from the entry.
+ */
+function compactEntry(entry) {
+  const result = {};
+  Object.keys(entry).forEach(key => {
+    if (entry[key] !== null && entry[key] !== undefined) result[key] = entry[key];
+  });
+  return result;
+}
+
+function writeEntry(entry, position) {
+  db.prepare(`
+    INSERT INTO parts (id, position, name, category, entry) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      name = excluded.name,
+      category = excluded.category,
+      entry = excluded.entry,
+      updated_at = CURRENT_TIMESTAMP
+  `).run(entry.id, position, entry.name, entry.category, JSON.stringify(entry));
+}
+
+/**
+ * Add a part to the end of the catalog. The ID is taken from `fields.id`
+ * or minted from the name. Throws CatalogError if the ID is taken.
+ */
+function createPart(fields) {
+  requireDB();
+  ensureFresh();
+
+  let id = fields.id;
+  if (!id) {
+    // Mint a unique slug: "name", then "name-2", "name-3", ...
+    const base = slugify(fields.name);
+    id = base;
+    for (let n = 2; aliasIndex.has(id) || RESERVED_IDS.includes(id); n++) id = `${base}-${n}`;
+  } else if (aliasIndex.has(id)) {
+    throw new CatalogError(`Part ID already exists: ${id}`);
+  } else if (RESERVED_IDS.includes(id)) {
+    throw new CatalogError(`Part ID is reserved: ${id}`);
+  }
+
+  const entry = compactEntry(Object.assign({ id }, fields, { id }));
+  const { next } = db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM parts').get();
+  writeEntry(entry, next);
+  feeds.recordEvent(db, 'added', entry);
+  refresh();
+  return entry;
+}
+
+/**
+ * Merge changes into a part. IDs are permanent: `changes.id` is ignored.
+ * Returns the updated entry, or null when the part does not exist.
+ */
+function updatePart(id, changes) {
+  requireDB();
+  const existing = getEntry(id);
+  if (!existing) return null;
+
+  const entry = compactEntry(Object.assign({}, existing, changes, { id: existing.id }));
+  const { position } = db.prepare('SELECT position FROM parts WHERE id = ?').get(existing.id);
+  writeEntry(entry, position);
+  refresh();
+  return entry;
+}
+
+/**
+ * Remove a part. Returns false when it does not exist.
+ */
+function deletePart(id) {
+  requireDB();
+  const entry = getEntry(id);
+  if (!entry) return false;
+  db.prepare('DELETE FROM parts WHERE id = ?').run(entry.id);
+  feeds.recordEvent(db, 'removed', entry);
+  refresh();
+  return true;
+}
+
+/**
+ * Replace the whole catalog with the given entries in one transaction.
+ * Parts added or removed are recorded for the update feeds, except on the
+ * first import into an empty catalog. Returns the number of parts imported.
+ */
+function importEntries(list) {
+  requireDB();
+  const normalized = normalizeEntries(list);
+  const previous = getEntries();
+  db.transaction(() => {
+    db.prepare('DELETE FROM parts').run();
+    normalized.forEach((entry, position) => writeEntry(entry, position));
+    if (previous.length > 0) feeds.recordCatalogChanges(db, previous, normalized);
+  })();
+  refresh();
+  return normalized.length;
+}
+
+/**
+ * Replace the catalog with the contents of a parts.json file.
+ */
+function importFile(file = PARTS_FILE) {
+  return importEntries(readFile(file));
+}
+
+/**
+ * Write the catalog to a parts.json snapshot. The file is written to a
+ * temp path and renamed so readers never see a partial file.
+ */
+function exportFile(file = PARTS_FILE) {
+  const list = getEntries();
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(list, null, 2) + '\n');
+  fs.renameSync(tmp, file);
+  return list.length;
+}
+
+/**
+ * Apply parts.json to the catalog if it differs from what is stored.
+ * A file that fails to parse or check is ignored and the current catalog
+ * keeps being served. Returns a report of what happened, which is also kept
+ * for getReloadStatus().
+ */
+function reloadFile(file = PARTS_FILE) {
+  requireDB();
+  const at = new Date().toISOString();
+
+  let next;
+  try {
+    next = readFile(file);
+    checkEntries(next);
+  } catch (e) {
+    console.error(`Ignoring ${path.basename(file)} — ${e.message}. Still serving the last good catalog.`);
+    lastReload = { at, ok: false, error: e.message };
+    return lastReload;
+  }
+
+  const changes = diffEntries(getEntries(), next);
+  const changed = changes.added.length + changes.removed.length + changes.changed.length > 0;
+  if (changed) {
+    importEntries(next);
+    console.log(`Reloaded ${path.basename(file)}: ${changes.added.length} added, ` +
+      `${changes.removed.length} removed, ${changes.changed.length} changed`);
+    changes.added.forEach(id => console.log(`  + ${id}`));
+    changes.removed.forEach(id => console.log(`  - ${id}`));
+    changes.changed.forEach(c => console.log(`  ~ ${c.id} (${c.fields.join(', ')})`));
+  }
+
+  lastReload = { at, ok: true, changed, changes };
+  return lastReload;
+}
+
+function mtimeOf(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reload parts.json if its modification time changed since the last check.
+ * Returns the reload report, or null when the file is unchanged or missing.
+ */
+function checkForChanges(file = PARTS_FILE) {
+  const mtime = mtimeOf(file);
+  if (mtime === null || mtime === watchedMtime) return null;
+  watchedMtime = mtime;
+  return reloadFile(file);
+}
+
+/**
+ * Poll parts.json for changes. Polling the mtime (rather than fs.watch)
+ * also works on the hostPath volume the file lives on in Kubernetes.
+ */
+function watch({ file = PARTS_FILE, intervalMs = 5000 } = {}) {
+  unwatch();
+  watchedMtime = mtimeOf(file);
+  watchTimer = setInterval(() => checkForChanges(file), intervalMs);
+  watchTimer.unref();
+}
+
+function unwatch() {
+  if (watchTimer) clearInterval(watchTimer);
+  watchTimer = null;
+}
+
+/**
+ * Result of the most recent parts.json reload (null if none has run).
+ */
+function getReloadStatus() {
+  return lastReload;
+}
+
+// CLI: node src/catalog.js import [--force] [file] | export [file]
+if (require.main === module) {
+  const { initDB } = require('./db');
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const force = args.includes('--force');
+  const file = args.slice(1).find(arg => !arg.startsWith('--')) || PARTS_FILE;
+
+  const database = initDB(process.env.DB_PATH || undefined);
+  db = database;
+
+  try {
+    if (command === 'import') {
+      const { count } = db.prepare('SELECT COUNT(*) AS count FROM parts').get();
+      if (count > 0 && !force) {
+        console.error(`Catalog already has ${count} parts. Re-run with --force to replace them.`);
+        process.exitCode = 1;
+      } else {
+        console.log(`Imported ${importFile(file)} parts from ${file}`);
+      }
+    } else if (command === 'export') {
+      console.log(`Exported ${exportFile(file)} parts to ${file}`);
+    } else {
+      console.error('Usage: node src/catalog.js import [--force] [file] | export [file]');
+      process.exitCode = 1;
+    }
+  } finally {
+    database.close();
+  }
+}
+
+module.exports = {
+  PARTS_FILE,
+  RESERVED_IDS,
+  CatalogError,
+  slugify,
+  parsePartsPrice,
+  formatPartsPrice,
+  buildAliasIndex,
+  readFile,
+  checkEntries,
+  diffEntries,
+  load,
+  init,
+  refresh,
+  getEntries,
+  getEntry,
+  resolveId,
+  idsFor,
+  getAliases,
+  createPart,
+  updatePart,
+  deletePart,
+  importEntries,
+  importFile,
+  exportFile,
+  reloadFile,
+  checkForChanges,
+  watch,
+  unwatch,
+  getReloadStatus
+};
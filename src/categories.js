@@ -0,0 +1,125 @@
+/**
+ * Category registry, loaded from src/categories.json. Each category has an
+ * emoji, color and description, an optional `parent` (one level, e.g.
+ * Power > Solar) and optional `aliases` — old names that resolve to it.
+ * The file's order is the display order. These are also the only
+ * categories a catalog entry may use (see validate.js). The registry ships
+ * with the code: data/ is the deployment's volume and only holds the
+ * catalog and database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CATEGORIES_FILE = path.join(__dirname, 'categories.json');
+
+// Shown for parts whose category is not in the registry
+const FALLBACK_INFO = { emoji: '\u{1F4CB}', color: '#666', description: '', parent: null };
+
+/**
+ * Check the registry list and build the lookup tables. Throws on unknown
+ * or nested parents and on names/aliases used twice, so a bad file stops
+ * the server at startup instead of silently misfiling parts.
+ */
+function buildRegistry(list) {
+  const categories = {};
+  const aliases = {};
+
+  list.forEach((category, order) => {
+    if (!category.name || categories[category.name] || aliases[category.name]) {
+      throw new Error(`categories.json: duplicate or missing name at #${order + 1}`);
+    }
+    categories[category.name] = {
+      emoji: category.emoji,
+      color: category.color,
+      description: category.description || '',
+      parent: category.parent || null,
+      order
+    };
+    (category.aliases || []).forEach(alias => {
+      if (categories[alias] || aliases[alias]) throw new Error(`categories.json: alias "${alias}" is already used`);
+      aliases[alias] = category.name;
+    });
+  });
+
+  for (const [name, category] of Object.entries(categories)) {
+    if (!category.parent) continue;
+    const parent = categories[category.parent];
+    if (!parent) throw new Error(`categories.json: ${name} has unknown parent "${category.parent}"`);
+    if (parent.parent) throw new Error(`categories.json: ${name} is nested more than one level deep`);
+  }
+
+  return { categories, aliases };
+}
+
+const { categories: CATEGORIES, aliases: CATEGORY_ALIASES } =
+  buildRegistry(JSON.parse(fs.readFileSync(CATEGORIES_FILE, 'utf8')));
+
+/**
+ * Canonical name for a category or one of its aliases. Unknown names are
+ * returned unchanged.
+ */
+function resolveCategory(name) {
+  return Object.hasOwn(CATEGORY_ALIASES, name) ? CATEGORY_ALIASES[name] : name;
+}
+
+/**
+ * Display info for a category (resolving aliases).
+ */
+function categoryInfo(name) {
+  const canonical = resolveCategory(name);
+  return Object.hasOwn(CATEGORIES, canonical) ? CATEGORIES[canonical] : FALLBACK_INFO;
+}
+
+/**
+ * A category and its children — what selecting it in the nav shows.
+ */
+function withChildren(name) {
+  const canonical = resolveCategory(name);
+  return [canonical].concat(
+    Object.keys(CATEGORIES).filter(child => CATEGORIES[child].parent === canonical)
+  );
+}
+
+/**
+ * The registry as a nested list in display order, with part counts.
+ * `count` is the number of parts filed directly under a category; `total`
+ * includes its children.
+ * @param {Object} [counts] — category name -> number of parts
+ */
+function categoryTree(counts = {}) {
+  const node = name => {
+    const category = CATEGORIES[name];
+    const aliases = Object.keys(CATEGORY_ALIASES).filter(alias => CATEGORY_ALIASES[alias] === name);
+    return {
+      name,
+      emoji: category.emoji,
+      color: category.color,
+      description: category.description,
+      aliases,
+      count: counts[name] || 0
+    };
+  };
+
+  return Object.keys(CATEGORIES)
+    .filter(name => !CATEGORIES[name].parent)
+    .map(name => {
+      const parent = node(name);
+      parent.children = Object.keys(CATEGORIES)
+        .filter(child => CATEGORIES[child].parent === name)
+        .map(node);
+      parent.total = parent.children.reduce((sum, child) => sum + child.count, parent.count);
+      return parent;
+    });
+}
+
+module.exports = {
+  CATEGORIES_FILE,
+  CATEGORIES,
+  CATEGORY_ALIASES,
+  buildRegistry,
+  resolveCategory,
+  categoryInfo,
+  withChildren,
+  categoryTree
+};
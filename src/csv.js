@@ -0,0 +1,264 @@
+/**
+ * CSV import and export of the catalog, so members can edit parts in a
+ * spreadsheet (e.g. a Google Sheet published as CSV) and round-trip them.
+ *
+ * Each column maps to one catalog field (see COLUMNS). Headers match
+ * case-insensitively, ignoring spaces and punctuation, and may also be the
+ * field name ("communityMaker"). A sheet only needs the columns it edits:
+ * parts keep the fields the sheet has no column for. Rows are matched to
+ * parts by ID (or alias), else by name; parts missing from the sheet are
+ * removed.
+ *
+ * Cells starting with =, +, - or @ are exported with a leading ' so a
+ * spreadsheet shows them as text instead of running them as formulas
+ * (names, notes and URLs come from admin and community input); the ' is
+ * removed again on import.
+ *
+ * Usage:
+ *   node src/csv.js export [file]             — write the catalog as CSV (stdout without a file)
+ *   node src/csv.js import [--apply] <file|url> — report what importing would change; --apply imports it
+ */
+
+const fs = require('fs');
+const { parse } = require('csv-parse/sync');
+const catalog = require('./catalog');
+const { validateEntries, formatProblems } = require('./validate');
+const { validateKits } = require('./kits');
+
+/**
+ * Spreadsheet columns in export order. `type` is how the cell is read:
+ * string (default), list (comma-separated), boolean (yes/no) or json.
+ * Columns with `keepEmpty` import an empty cell as "" rather than leaving
+ * the field out, as the original sheet columns are stored that way.
+ */
+const COLUMNS = [
+  { header: 'ID', field: 'id' },
+  { header: 'Item', field: 'name' },
+  { header: 'Category', field: 'category' },
+  { header: 'Price', field: 'price', keepEmpty: true },
+  { header: 'Notes', field: 'notes', keepEmpty: true },
+  { header: 'ASIN', field: 'asin' },
+  { header: 'URL', field: 'url' },
+  { header: 'Image', field: 'image', keepEmpty: true },
+  { header: 'Regions', field: 'regions', type: 'list' },
+  { header: 'Availability', field: 'availability' },
+  { header: 'Replacement', field: 'replacement' },
+  { header: 'Aliases', field: 'aliases', type: 'list' },
+  { header: 'Add-ons', field: 'addons', type: 'list' },
+  { header: 'Community', field: 'community', type: 'boolean' },
+  { header: 'Community Maker', field: 'communityMaker' },
+  { header: 'Community Links', field: 'communityLinks', type: 'json' },
+  { header: 'Offers', field: 'offers', type: 'json' },
+  { header: 'Variant', field: 'variant' },
+  { header: 'Specs', field: 'specs', type: 'json' }
+];
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x'];
+const FALSE_VALUES = ['', 'no', 'n', 'false', '0'];
+
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Normalized header or field name -> column
+const COLUMN_INDEX = new Map();
+COLUMNS.forEach(column => {
+  COLUMN_INDEX.set(headerKey(column.header), column);
+  COLUMN_INDEX.set(headerKey(column.field), column);
+});
+
+// Cells a spreadsheet would read as a formula, including ones already
+// escaped with ' (so values that start with ' round-trip too)
+const FORMULA_CELL = /^'*[=+\-@]/;
+
+function escapeFormula(text) {
+  return FORMULA_CELL.test(text) ? `'${text}` : text;
+}
+
+function unescapeFormula(text) {
+  return text.startsWith("'") && FORMULA_CELL.test(text) ? text.slice(1) : text;
+}
+
+function csvCell(value) {
+  const text = escapeFormula(String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCell(column, value) {
+  if (value === undefined || value === null) return '';
+  if (column.type === 'list') return value.join(', ');
+  if (column.type === 'boolean') return value ? 'yes' : 'no';
+  if (column.type === 'json') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * The catalog as CSV, one row per part with a header row of COLUMNS.
+ */
+function toCsv(entries) {
+  const lines = [COLUMNS.map(column => column.header)]
+    .concat(entries.map(entry => COLUMNS.map(column => formatCell(column, entry[column.field]))));
+  return lines.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Read one cell. Returns { value } (undefined leaves the field out) or
+ * { error }.
+ */
+function parseCell(column, raw) {
+  const text = unescapeFormula(String(raw || '').trim());
+  if (column.type === 'list') {
+    const list = text.split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+    return { value: list.length > 0 ? list : undefined };
+  }
+  if (column.type === 'boolean') {
+    if (TRUE_VALUES.includes(text.toLowerCase())) return { value: true };
+    if (FALSE_VALUES.includes(text.toLowerCase())) return { value: undefined };
+    return { error: `${column.header} must be yes or no, got "${text}"` };
+  }
+  if (column.type === 'json') {
+    if (!text) return { value: undefined };
+    try {
+      return { value: JSON.parse(text) };
+    } catch {
+      return { error: `${column.header} is not valid JSON` };
+    }
+  }
+  if (!text) return { value: column.keepEmpty ? '' : undefined };
+  return { value: text };
+}
+
+/**
+ * Work out the catalog a CSV describes, merged with the current catalog.
+ * @param {string} text — CSV with a header row
+ * @param {Array} current — current catalog entries
+ * @returns {{ entries, changes, problems, kitProblems, ignoredColumns }}
+ *   changes as from catalog.diffEntries; problems (CSV and validation) and
+ *   kitProblems in the validate.js shape; ignoredColumns lists headers that
+ *   match no field
+ */
+function planImport(text, current) {
+  const rows = parse(text, { bom: true, skip_empty_lines: true, skip_records_with_empty_values: true });
+  const headers = rows.length > 0 ? rows[0] : [];
+  const columns = headers.map(header => COLUMN_INDEX.get(headerKey(header)) || null);
+  const ignoredColumns = headers.filter((header, i) => !columns[i] && String(header).trim());
+  const present = columns.filter(Boolean);
+
+  const aliasIndex = catalog.buildAliasIndex(current);
+  const byId = new Map(current.map(entry => [entry.id, entry]));
+  const cellProblems = [];
+
+  const entries = rows.slice(1).map((row, index) => {
+    const fields = {};
+    const errors = [];
+    columns.forEach((column, i) => {
+      if (!column) return;
+      const { value, error } = parseCell(column, row[i]);
+      if (error) errors.push({ field: column.field, message: `row ${index + 2}: ${error}` });
+      else fields[column.field] = value;
+    });
+
+    const existing = (fields.id && byId.get(aliasIndex.get(fields.id)))
+      || (!fields.id && current.find(entry => entry.name === fields.name))
+      || null;
+
+    // Keep the fields the sheet has no column for (in their original order);
+    // the rest come from the sheet, where an empty cell clears the field
+    const sheet = Object.fromEntries(present.map(column => [column.field, fields[column.field]]));
+    const merged = Object.assign({ id: null }, existing, sheet);
+    merged.id = (existing && existing.id) || fields.id || catalog.slugify(fields.name);
+    const entry = {};
+    Object.keys(merged).forEach(field => {
+      if (merged[field] !== undefined) entry[field] = merged[field];
+    });
+
+    errors.forEach(error => cellProblems.push(Object.assign({ index, id: entry.id, name: entry.name || null }, error)));
+    return entry;
+  });
+
+  return {
+    entries,
+    changes: catalog.diffEntries(current, entries),
+    problems: cellProblems.concat(validateEntries(entries)),
+    kitProblems: validateKits(entries),
+    ignoredColumns
+  };
+}
+
+/**
+ * Human-readable summary of an import plan.
+ */
+function formatPlan(plan) {
+  const { added, removed, changed } = plan.changes;
+  const lines = [`${added.length} added, ${removed.length} removed, ${changed.length} changed`];
+  added.forEach(id => lines.push(`  + ${id}`));
+  removed.forEach(id => lines.push(`  - ${id}`));
+  changed.forEach(c => lines.push(`  ~ ${c.id} (${c.fields.join(', ')})`));
+  if (plan.ignoredColumns.length > 0) lines.push(`Ignored columns: ${plan.ignoredColumns.join(', ')}`);
+  if (plan.problems.length > 0) lines.push(`${plan.problems.length} problem(s):`, formatProblems(plan.problems));
+  if (plan.kitProblems.length > 0) lines.push(`${plan.kitProblems.length} kit problem(s):`, formatProblems(plan.kitProblems));
+  return lines.join('\n');
+}
+
+/**
+ * Read CSV from a file path or an http(s) URL (e.g. a published Google Sheet).
+ */
+async function readSource(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Fetching ${source} failed: HTTP ${response.status}`);
+    return response.text();
+  }
+  return fs.readFileSync(source, 'utf8');
+}
+
+// CLI: node src/csv.js export [file] | import [--apply] <file|url>
+if (require.main === module) {
+  const { initDB } = require('./db');
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const apply = args.includes('--apply');
+  const target = args.slice(1).find(arg => !arg.startsWith('--'));
+
+  const database = initDB(process.env.DB_PATH || undefined);
+  catalog.init(database);
+
+  (async () => {
+    if (command === 'export') {
+      const csv = toCsv(catalog.getEntries());
+      if (target) {
+        fs.writeFileSync(target, csv);
+        console.log(`Exported ${catalog.getEntries().length} parts to ${target}`);
+      } else {
+        process.stdout.write(csv);
+      }
+    } else if (command === 'import' && target) {
+      const plan = planImport(await readSource(target), catalog.getEntries());
+      console.log(formatPlan(plan));
+      if (!apply) {
+        console.log('\nDry run — re-run with --apply to import.');
+      } else if (plan.problems.length > 0) {
+        console.error('\nNot imported: fix the problems above first.');
+        process.exitCode = 1;
+      } else {
+        catalog.importEntries(plan.entries);
+        catalog.exportFile();
+        console.log(`\nImported ${plan.entries.length} parts from ${target}`);
+      }
+    } else {
+      console.error('Usage: node src/csv.js export [file] | import [--apply] <file|url>');
+      process.exitCode = 1;
+    }
+  })().catch(e => {
+    console.error(e.message);
+    process.exitCode = 1;
+  }).finally(() => database.close());
+}
+
+module.exports = {
+  COLUMNS,
+  toCsv,
+  planImport,
+  formatPlan,
+  readSource
+};
@@ -37,14 +37,148 @@ const SCHEMA = `
     image_url TEXT NOT NULL,
     cached_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
+
+  -- Parts catalog. entry holds the full parts.json object as JSON;
+  -- name and category are copied out for querying.
+  CREATE TABLE IF NOT EXISTS parts (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    entry TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_parts_position ON parts(position);
+
+  -- Community-submitted kits. items holds [{ part, quantity, note }] and
+  -- regions the kit's region list, both as JSON. Kits stay pending until a
+  -- maintainer approves or rejects them.
+  CREATE TABLE IF NOT EXISTS community_kits (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    author TEXT NOT NULL,
+    regions TEXT,
+    items TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected')),
+    ip_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_community_kits_status ON community_kits(status);
+  CREATE INDEX IF NOT EXISTS idx_community_kits_ip ON community_kits(ip_hash, created_at);
+
+  -- Catalog changes published in the update feeds: parts added or removed
+  -- and price changes found by the price checker. name and category are
+  -- copied from the part so removed parts can still be shown.
+  CREATE TABLE IF NOT EXISTS catalog_events (
+    id INTEGER PRIMARY KEY,
+    type TEXT NOT NULL CHECK(type IN ('added', 'removed', 'price')),
+    part_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    old_price REAL,
+    new_price REAL,
+    vendor TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_catalog_events_category ON catalog_events(category, id);
+
+  -- Every price the price checker reads, per offer (offer is its ASIN or URL),
+  -- with the stock status read with it (NULL when the page did not say).
+  -- Old readings are downsampled by history.pruneHistory.
+  CREATE TABLE IF NOT EXISTS price_history (
+    id INTEGER PRIMARY KEY,
+    part_id TEXT NOT NULL,
+    price REAL NOT NULL,
+    source TEXT,
+    offer TEXT NOT NULL,
+    checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    availability TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_price_history_part ON price_history(part_id, checked_at);
+
+  -- Latest checked price and stock status per offer (offer is its ASIN or
+  -- URL), written by the price checker. in_stock is 0/1, or NULL when not
+  -- known; last_checked and last_changed are ISO 8601. variant_title is the
+  -- vendor's name for the variant priced, and variants a JSON list of the
+  -- vendor's variants ([{ title, price, inStock }]), when it has any.
+  CREATE TABLE IF NOT EXISTS prices (
+    offer TEXT PRIMARY KEY,
+    part_id TEXT,
+    name TEXT NOT NULL,
+    vendor TEXT,
+    source TEXT,
+    asin TEXT,
+    url TEXT,
+    price REAL,
+    price_display TEXT,
+    in_stock INTEGER,
+    availability TEXT,
+    last_checked TEXT,
+    last_changed TEXT,
+    variant_title TEXT,
+    variants TEXT
+  );
+
+  -- Price checker runs; finished_at stays NULL for a run that was stopped
+  -- before checking every offer, which the next run resumes. ISO 8601.
+  CREATE TABLE IF NOT EXISTS check_runs (
+    id INTEGER PRIMARY KEY,
+    started_at TEXT NOT NULL,
+    finished_at TEXT
+  );
+
+  -- Suspicious price changes the price checker held back for review (see
+  -- anomalies.js). reasons is a JSON list of { code, message }; status is
+  -- pending, accepted, rejected or superseded (by a newer price).
+  CREATE TABLE IF NOT EXISTS price_reviews (
+    id INTEGER PRIMARY KEY,
+    part_id TEXT NOT NULL,
+    offer TEXT NOT NULL,
+    name TEXT NOT NULL,
+    vendor TEXT,
+    source TEXT,
+    url TEXT,
+    old_price REAL,
+    new_price REAL NOT NULL,
+    reasons TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_price_reviews_status ON price_reviews(status, id);
+  CREATE INDEX IF NOT EXISTS idx_price_reviews_offer ON price_reviews(offer, status);
 `;
 
+// Columns added to tables after their first release, which CREATE TABLE IF
+// NOT EXISTS does not add to existing databases
+const ADDED_COLUMNS = [
+  { table: 'prices', column: 'variant_title', type: 'TEXT' },
+  { table: 'prices', column: 'variants', type: 'TEXT' },
+  { table: 'price_history', column: 'availability', type: 'TEXT' }
+];
+
+function addMissingColumns(db) {
+  ADDED_COLUMNS.forEach(({ table, column, type }) => {
+    const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+    if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  });
+}
+
 function initDB(dbPath) {
   const defaultPath = dbPath || path.join(__dirname, '..', 'data', 'ncmesh.db');
   const db = new Database(defaultPath);
   db.pragma('journal_mode = WAL');
   db.pragma('foreign_keys = ON');
   db.exec(SCHEMA);
+  addMissingColumns(db);
   return db;
 }
 
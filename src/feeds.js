@@ -0,0 +1,208 @@
+/**
+ * Catalog change feeds. Parts added to or removed from the catalog and price
+ * changes found by price-checker.js are recorded in the catalog_events table
+ * and published as Atom and JSON Feed documents (see routes/feeds.js), so
+ * members can follow the catalog in a feed reader or pipe it into Discord.
+ *
+ * Events copy the part's name and category, so removed parts stay listed.
+ */
+
+const { resolveCategory } = require('./categories');
+
+const SITE_NAME = 'NC Mesh Parts';
+
+// Entries per feed document
+const DEFAULT_LIMIT = 50;
+
+function formatPrice(price) {
+  return `$${price.toFixed(2)}`;
+}
+
+/**
+ * Record one catalog event for an entry.
+ * @param {Object} db — database handle
+ * @param {string} type — added, removed or price
+ * @param {Object} entry — catalog entry the event is about
+ * @param {Object} [price] — { oldPrice, newPrice, vendor } for price events;
+ *   oldPrice is null for an offer's first price
+ */
+function recordEvent(db, type, entry, { oldPrice = null, newPrice = null, vendor = null } = {}) {
+  db.prepare(`
+    INSERT INTO catalog_events (type, part_id, name, category, old_price, new_price, vendor)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(type, entry.id, entry.name, resolveCategory(entry.category || 'Other'), oldPrice, newPrice, vendor);
+}
+
+/**
+ * Record the parts added and removed between two versions of the catalog.
+ * Returns the number of events recorded.
+ */
+function recordCatalogChanges(db, previous, next) {
+  const before = new Set(previous.map(entry => entry.id));
+  const after = new Set(next.map(entry => entry.id));
+  const added = next.filter(entry => !before.has(entry.id));
+  const removed = previous.filter(entry => !after.has(entry.id));
+
+  added.forEach(entry => recordEvent(db, 'added', entry));
+  removed.forEach(entry => recordEvent(db, 'removed', entry));
+  return added.length + removed.length;
+}
+
+/**
+ * API representation of a catalog_events row. Timestamps are stored in
+ * SQLite's UTC "YYYY-MM-DD HH:MM:SS" form and returned as ISO 8601.
+ */
+function eventFromRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    partId: row.part_id,
+    name: row.name,
+    category: row.category,
+    oldPrice: row.old_price,
+    newPrice: row.new_price,
+    vendor: row.vendor,
+    createdAt: `${row.created_at.replace(' ', 'T')}Z`
+  };
+}
+
+/**
+ * Most recent events first.
+ * @param {Object} db — database handle
+ * @param {Object} [options]
+ * @param {string[]} [options.categories] — only events in these categories
+ * @param {number} [options.limit]
+ */
+function listEvents(db, { categories = null, limit = DEFAULT_LIMIT } = {}) {
+  const params = [];
+  let where = '';
+  if (categories) {
+    where = `WHERE category IN (${categories.map(() => '?').join(', ')})`;
+    params.push(...categories);
+  }
+  return db.prepare(`SELECT * FROM catalog_events ${where} ORDER BY id DESC LIMIT ?`)
+    .all(...params, limit)
+    .map(eventFromRow);
+}
+
+/**
+ * One-line title and a longer sentence describing an event.
+ */
+function describeEvent(event) {
+  if (event.type === 'added') {
+    return { title: `New: ${event.name}`, text: `${event.name} was added to the ${event.category} parts.` };
+  }
+  if (event.type === 'removed') {
+    return { title: `Removed: ${event.name}`, text: `${event.name} was removed from the ${event.category} parts.` };
+  }
+
+  const at = event.vendor ? ` at ${event.vendor}` : '';
+  // An offer's first price (accepted from review) has nothing to change from
+  if (event.oldPrice == null) {
+    return {
+      title: `New price: ${event.name} ${formatPrice(event.newPrice)}`,
+      text: `${event.name} is now priced at ${formatPrice(event.newPrice)}${at}.`
+    };
+  }
+
+  const direction = event.newPrice < event.oldPrice ? 'Price drop' : 'Price increase';
+  const change = `${formatPrice(event.oldPrice)} → ${formatPrice(event.newPrice)}`;
+  return {
+    title: `${direction}: ${event.name} ${change}`,
+    text: `${event.name} went from ${change}${at}.`
+  };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function feedTitle(category) {
+  return category ? `${SITE_NAME} — ${category} updates` : `${SITE_NAME} — catalog updates`;
+}
+
+/**
+ * Render events as an Atom 1.0 document.
+ * @param {Array} events — from listEvents
+ * @param {Object} links
+ * @param {string} links.home — site URL
+ * @param {string} links.self — URL of this feed
+ * @param {function(Object): string} links.part — URL for an event's part
+ * @param {string} [category] — category the feed is limited to
+ */
+function renderAtom(events, { home, self, part }, category = null) {
+  const updated = events.length > 0 ? events[0].createdAt : new Date().toISOString();
+
+  const entries = events.map(event => {
+    const { title, text } = describeEvent(event);
+    return [
+      '  <entry>',
+      `    <id>${escapeXml(`${home}#event-${event.id}`)}</id>`,
+      `    <title>${escapeXml(title)}</title>`,
+      `    <link href="${escapeXml(part(event))}"/>`,
+      `    <updated>${event.createdAt}</updated>`,
+      `    <category term="${escapeXml(event.category)}"/>`,
+      `    <summary>${escapeXml(text)}</summary>`,
+      '  </entry>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(self)}</id>`,
+    `  <title>${escapeXml(feedTitle(category))}</title>`,
+    `  <link rel="self" href="${escapeXml(self)}"/>`,
+    `  <link href="${escapeXml(home)}"/>`,
+    `  <updated>${updated}</updated>`,
+    `  <author><name>${SITE_NAME}</name></author>`
+  ].concat(entries, '</feed>', '').join('\n');
+}
+
+/**
+ * Render events as a JSON Feed 1.1 object. Each item carries the raw event
+ * under `_catalog` for consumers such as a Discord webhook.
+ * @param {Array} events — from listEvents
+ * @param {Object} links — as for renderAtom
+ * @param {string} [category] — category the feed is limited to
+ */
+function renderJsonFeed(events, { home, self, part }, category = null) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feedTitle(category),
+    home_page_url: home,
+    feed_url: self,
+    authors: [{ name: SITE_NAME }],
+    items: events.map(event => {
+      const { title, text } = describeEvent(event);
+      return {
+        id: `${home}#event-${event.id}`,
+        url: part(event),
+        title,
+        content_text: text,
+        date_published: event.createdAt,
+        tags: [event.category, event.type],
+        _catalog: {
+          type: event.type,
+          partId: event.partId,
+          oldPrice: event.oldPrice,
+          newPrice: event.newPrice,
+          vendor: event.vendor
+        }
+      };
+    })
+  };
+}
+
+module.exports = {
+  recordEvent,
+  recordCatalogChanges,
+  listEvents,
+  describeEvent,
+  renderAtom,
+  renderJsonFeed
+};
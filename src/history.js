@@ -0,0 +1,229 @@
+/**
+ * Price history. price-checker.js records every price it reads from a
+ * vendor page in the price_history table (one row per offer per check);
+ * the prices table (pricing.js) only keeps the latest.
+ *
+ * To keep the table small, old readings are downsampled (see RETENTION):
+ * only the lowest and highest reading of each offer per day, then per week,
+ * are kept, so lows and highs survive while averages over old windows become
+ * approximate. Readings older than MAX_AGE_DAYS are dropped.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Readings older than `days` keep only their lowest and highest per bucket
+// (an SQLite strftime format)
+const RETENTION = [
+  { days: 30, bucket: '%Y-%m-%d' },
+  { days: 365, bucket: '%Y-%W' }
+];
+const MAX_AGE_DAYS = 3 * 365;
+
+// A price within this fraction of the window's low counts as near the low
+const NEAR_LOW_MARGIN = 0.05;
+// Fewer readings than this say too little about what a good price is
+const MIN_LOW_READINGS = 3;
+
+// Windows summarised when the request names none
+const DEFAULT_WINDOWS = ['30d', '90d', '365d'];
+const MAX_WINDOWS = 6;
+
+/**
+ * Raised for history requests with invalid parameters.
+ */
+class HistoryError extends Error {}
+
+/**
+ * A Date as stored by SQLite's CURRENT_TIMESTAMP ("YYYY-MM-DD HH:MM:SS", UTC).
+ */
+function sqlTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function isoTime(value) {
+  return `${value.replace(' ', 'T')}Z`;
+}
+
+/**
+ * Record one price reading.
+ * @param {Object} db — database handle
+ * @param {Object} reading
+ * @param {string} reading.partId — canonical part ID
+ * @param {number} reading.price
+ * @param {string} reading.source — vendor source ("amazon", "seeed", ...)
+ * @param {string} reading.offer — the offer's ASIN or URL
+ * @param {string} [reading.availability] — stock status read with the price
+ * @param {Date} [reading.at] — defaults to now
+ */
+function recordPrice(db, { partId, price, source, offer, availability = null, at = new Date() }) {
+  db.prepare(`
+    INSERT INTO price_history (part_id, price, source, offer, availability, checked_at) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(partId, price, source, offer, availability, sqlTime(at));
+}
+
+/**
+ * Downsample and expire old readings (see RETENTION). Returns the number
+ * of rows removed.
+ */
+function pruneHistory(db, now = new Date()) {
+  let removed = 0;
+  db.transaction(() => {
+    RETENTION.forEach(({ days, bucket }) => {
+      const before = sqlTime(new Date(now.getTime() - days * DAY_MS));
+      // SQLite returns the row holding the MIN()/MAX() for bare columns
+      removed += db.prepare(`
+        DELETE FROM price_history WHERE checked_at < ? AND id NOT IN (
+          SELECT id FROM (SELECT id, MIN(price) FROM price_history WHERE checked_at < ?
+            GROUP BY part_id, offer, strftime('${bucket}', checked_at))
+          UNION
+          SELECT id FROM (SELECT id, MAX(price) FROM price_history WHERE checked_at < ?
+            GROUP BY part_id, offer, strftime('${bucket}', checked_at))
+        )
+      `).run(before, before, before).changes;
+    });
+    removed += db.prepare('DELETE FROM price_history WHERE checked_at < ?')
+      .run(sqlTime(new Date(now.getTime() - MAX_AGE_DAYS * DAY_MS))).changes;
+  })();
+  return removed;
+}
+
+/**
+ * Parse a comma-separated window list ("7d,30d,all"). Throws HistoryError.
+ * @returns {Array<{ name, days }>} days is null for "all"
+ */
+function parseWindows(value) {
+  const names = value === undefined || value === ''
+    ? DEFAULT_WINDOWS
+    : [...new Set(String(value).split(',').map(name => name.trim()).filter(Boolean))];
+  if (names.length > MAX_WINDOWS) throw new HistoryError(`Invalid windows: at most ${MAX_WINDOWS} allowed`);
+
+  return names.map(name => {
+    if (name === 'all') return { name, days: null };
+    const match = name.match(/^(\d+)d$/);
+    if (!match || Number(match[1]) < 1) {
+      throw new HistoryError(`Invalid window "${name}": use a number of days like 30d, or all`);
+    }
+    // No reading is kept longer; huge counts would also overflow the date math
+    if (Number(match[1]) > MAX_AGE_DAYS) {
+      throw new HistoryError(`Invalid window "${name}": at most ${MAX_AGE_DAYS}d, or all`);
+    }
+    return { name, days: Number(match[1]) };
+  });
+}
+
+/**
+ * Lowest, highest and average price of a list of readings, or null when
+ * there are none.
+ */
+function summarize(points) {
+  if (points.length === 0) return null;
+  const prices = points.map(point => point.price);
+  const average = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    average: Math.round(average * 100) / 100,
+    count: prices.length
+  };
+}
+
+/**
+ * A part's price history: the readings covering the longest window, oldest
+ * first, and a summary per window.
+ * @param {Object} db — database handle
+ * @param {string[]} ids — every ID the part has been known by (catalog.idsFor)
+ * @param {Array} windows — from parseWindows
+ * @param {Date} [now]
+ */
+function getHistory(db, ids, windows, now = new Date()) {
+  const longest = windows.some(window => window.days === null)
+    ? null
+    : Math.max(...windows.map(window => window.days));
+  const since = longest === null ? '' : sqlTime(new Date(now.getTime() - longest * DAY_MS));
+
+  const series = db.prepare(`
+    SELECT price, source, offer, availability, checked_at FROM price_history
+    WHERE part_id IN (${ids.map(() => '?').join(', ')}) AND checked_at >= ?
+    ORDER BY checked_at, id
+  `).all(...ids, since).map(row => ({
+    at: isoTime(row.checked_at),
+    price: row.price,
+    source: row.source,
+    offer: row.offer,
+    availability: row.availability
+  }));
+
+  const stats = {};
+  windows.forEach(window => {
+    const from = window.days === null ? '' : isoTime(sqlTime(new Date(now.getTime() - window.days * DAY_MS)));
+    stats[window.name] = summarize(series.filter(point => point.at >= from));
+  });
+
+  return { series, stats };
+}
+
+/**
+ * The median of one offer's readings over the last `days`, and how many
+ * readings there were ({ median: null, count: 0 } without any).
+ * @param {Object} db — database handle
+ * @param {string} offer — the offer's ASIN or URL
+ */
+function offerMedian(db, offer, days, now = new Date()) {
+  const since = sqlTime(new Date(now.getTime() - days * DAY_MS));
+  const prices = db.prepare('SELECT price FROM price_history WHERE offer = ? AND checked_at >= ? ORDER BY price')
+    .all(offer, since)
+    .map(row => row.price);
+  if (prices.length === 0) return { median: null, count: 0 };
+  const middle = Math.floor(prices.length / 2);
+  const median = prices.length % 2 ? prices[middle] : (prices[middle - 1] + prices[middle]) / 2;
+  return { median, count: prices.length };
+}
+
+/**
+ * Lowest and highest price and number of readings per part over the last
+ * `days`. Readings stored under old IDs are merged through `resolveId`.
+ * @returns {Map<string, { min, max, count }>}
+ */
+function getRanges(db, days, resolveId = id => id, now = new Date()) {
+  const rows = db.prepare(`
+    SELECT part_id, MIN(price) AS min, MAX(price) AS max, COUNT(*) AS count FROM price_history
+    WHERE checked_at >= ? GROUP BY part_id
+  `).all(sqlTime(new Date(now.getTime() - days * DAY_MS)));
+
+  const ranges = new Map();
+  rows.forEach(row => {
+    const id = resolveId(row.part_id) || row.part_id;
+    const range = ranges.get(id);
+    ranges.set(id, range
+      ? { min: Math.min(range.min, row.min), max: Math.max(range.max, row.max), count: range.count + row.count }
+      : { min: row.min, max: row.max, count: row.count });
+  });
+  return ranges;
+}
+
+/**
+ * How a current price compares to a range from getRanges: "lowest" at or
+ * below its low, "near-low" within NEAR_LOW_MARGIN of it, otherwise null.
+ * Also null when the range has too few readings or the price never moved.
+ */
+function lowStatus(price, range) {
+  if (price === null || !range || range.count < MIN_LOW_READINGS || range.max === range.min) return null;
+  if (price <= range.min) return 'lowest';
+  if (price <= range.min * (1 + NEAR_LOW_MARGIN)) return 'near-low';
+  return null;
+}
+
+module.exports = {
+  RETENTION,
+  MAX_AGE_DAYS,
+  DEFAULT_WINDOWS,
+  HistoryError,
+  recordPrice,
+  pruneHistory,
+  parseWindows,
+  summarize,
+  getHistory,
+  getRanges,
+  offerMedian,
+  lowStatus
+};
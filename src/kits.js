@@ -0,0 +1,163 @@
+/**
+ * Curated node kits, loaded from src/kits.json. Kit items reference parts
+ * by ID (old IDs resolve through part aliases), so renaming a part no
+ * longer breaks a kit.
+ *
+ * A kit lists the regions it can be built for (default: US915 only). An
+ * item may declare per-region substitutions in `regions`: another
+ * { part, note } or null when the item isn't needed in that region.
+ * Items may set a `quantity` (default 1). Standalone kits are a choice of
+ * one item rather than a bill of materials.
+ *
+ * Kits submitted by members are stored in the community_kits table and join
+ * the list once a maintainer approves them (see communityKit).
+ *
+ * The curated kits ship with the code, not in the data/ volume.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { REGIONS, availableIn } = require('./regions');
+
+const KITS_FILE = process.env.KITS_FILE || path.join(__dirname, 'kits.json');
+
+const DEFAULT_REGIONS = ['US915'];
+
+// Shown for community-submitted kits
+const COMMUNITY_EMOJI = '\u{1F9F0}';
+const COMMUNITY_COLOR = '#A78BFA';
+
+const kits = JSON.parse(fs.readFileSync(KITS_FILE, 'utf8'));
+
+/**
+ * All kit definitions in display order.
+ */
+function getKits() {
+  return kits;
+}
+
+function getKit(id) {
+  return kits.find(kit => kit.id === id) || null;
+}
+
+/**
+ * Regions a kit can be built for.
+ */
+function kitRegions(kit) {
+  return kit.regions || DEFAULT_REGIONS;
+}
+
+/**
+ * A kit's items for a region with substitutions applied; items substituted
+ * with null are left out. Each result is { part, quantity, note, index,
+ * substitutedFor } where index is the item's position in the kit definition
+ * and substitutedFor the part a regional substitution replaced (or null).
+ */
+function kitItemsFor(kit, region) {
+  const result = [];
+  (kit.items || []).forEach((item, index) => {
+    const subs = item.regions || {};
+    const quantity = item.quantity || 1;
+    if (!region || !Object.hasOwn(subs, region)) {
+      result.push({ part: item.part, quantity, note: item.note || null, index, substitutedFor: null });
+    } else if (subs[region]) {
+      const sub = subs[region];
+      result.push({
+        part: sub.part,
+        quantity: sub.quantity || quantity,
+        note: sub.note || item.note || null,
+        index,
+        substitutedFor: item.part
+      });
+    }
+  });
+  return result;
+}
+
+/**
+ * Kit definition for an approved community_kits row. The submitter is
+ * credited in `communityMaker`, as on community-made parts.
+ */
+function communityKit(row) {
+  return {
+    id: `community-${row.id}`,
+    emoji: COMMUNITY_EMOJI,
+    name: row.name,
+    desc: row.description || '',
+    color: COMMUNITY_COLOR,
+    regions: row.regions ? JSON.parse(row.regions) : undefined,
+    community: true,
+    communityMaker: row.author,
+    items: JSON.parse(row.items)
+  };
+}
+
+/**
+ * Check kits against a list of catalog entries: every item (and regional
+ * substitution) must name an existing part ID or alias, be available in
+ * each region the kit is built for and not be discontinued.
+ * @returns {Array<{ index, id, name, field, message }>} same shape as validate.js
+ */
+function validateKits(entries, list = kits) {
+  const byId = new Map();
+  entries.forEach(entry => {
+    if (!entry || typeof entry.id !== 'string') return;
+    byId.set(entry.id, entry);
+    (entry.aliases || []).forEach(alias => { if (!byId.has(alias)) byId.set(alias, entry); });
+  });
+
+  const problems = [];
+  const seen = new Set();
+
+  list.forEach((kit, index) => {
+    const report = message => problems.push({ index, id: kit.id || null, name: kit.name || null, field: 'kits', message });
+
+    if (!kit.id || seen.has(kit.id)) report(`kit id "${kit.id}" is missing or already used`);
+    seen.add(kit.id);
+
+    kitRegions(kit).forEach(region => {
+      if (!Object.hasOwn(REGIONS, region)) report(`unknown region "${region}"`);
+    });
+    (kit.items || []).forEach((item, i) => {
+      if (item.quantity !== undefined && !(Number.isInteger(item.quantity) && item.quantity > 0)) {
+        report(`item #${i + 1} quantity must be a positive whole number`);
+      }
+      Object.keys(item.regions || {}).forEach(region => {
+        if (!Object.hasOwn(REGIONS, region)) report(`item #${i + 1} has a substitution for unknown region "${region}"`);
+      });
+    });
+
+    const reported = new Set();
+    kitRegions(kit).filter(region => Object.hasOwn(REGIONS, region)).forEach(region => {
+      kitItemsFor(kit, region).forEach(item => {
+        const entry = byId.get(item.part);
+        const key = `${item.index}:${item.part}:${entry ? region : ''}`;
+        if (reported.has(key)) return;
+
+        if (!entry) {
+          reported.add(key);
+          report(`item #${item.index + 1}: part "${item.part}" does not match any part ID`);
+        } else if (!availableIn(entry, region)) {
+          reported.add(key);
+          report(`item #${item.index + 1}: "${entry.name}" is not available in ${region}`);
+        } else if (entry.availability === 'discontinued' && !reported.has(`${item.index}:${item.part}:discontinued`)) {
+          reported.add(`${item.index}:${item.part}:discontinued`);
+          report(`item #${item.index + 1}: "${entry.name}" is discontinued` +
+            (entry.replacement ? ` (replacement: "${entry.replacement}")` : ''));
+        }
+      });
+    });
+  });
+
+  return problems;
+}
+
+module.exports = {
+  KITS_FILE,
+  getKits,
+  getKit,
+  kitRegions,
+  kitItemsFor,
+  communityKit,
+  validateKits
+};
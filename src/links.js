@@ -0,0 +1,124 @@
+/**
+ * Outbound product links with affiliate parameters, shared by the API,
+ * price-checker.js and (via /api/links) the frontend.
+ *
+ * Configuration (environment):
+ *   AFFILIATE_LINKS=off       — never add affiliate parameters (for forks)
+ *   AFFILIATE_<VENDOR>=<query> — parameters to add to that vendor's links,
+ *                               e.g. AFFILIATE_AMAZON=tag=yourtag-20 or
+ *                               AFFILIATE_SEEED=ref=yourcode. Set it empty
+ *                               to turn off one vendor.
+ * Vendors are the sources from vendors.js. Community maker links never get
+ * affiliate parameters.
+ */
+
+const { VENDOR_LABELS, detectSource } = require('./vendors');
+
+// Used when AFFILIATE_<VENDOR> is not set
+const DEFAULT_AFFILIATES = {
+  amazon: 'tag=dpaschal26-20'
+};
+
+const AMAZON_SEARCH = 'https://www.amazon.com/s';
+
+/**
+ * Read the link configuration from an environment object.
+ * @returns {{ enabled: boolean, affiliates: Object<string, string> }}
+ *   affiliates maps vendor source -> query string to append
+ */
+function loadConfig(env = process.env) {
+  const enabled = !['off', 'false', '0'].includes(String(env.AFFILIATE_LINKS || '').toLowerCase());
+  const affiliates = {};
+
+  // 'generic' covers every unknown shop, so it never gets parameters
+  for (const source of Object.keys(VENDOR_LABELS).filter(source => source !== 'generic')) {
+    const key = `AFFILIATE_${source.toUpperCase()}`;
+    const value = env[key] !== undefined ? env[key] : DEFAULT_AFFILIATES[source];
+    if (value) affiliates[source] = value.replace(/^[?&]/, '');
+  }
+
+  return { enabled, affiliates };
+}
+
+let config = loadConfig();
+
+/**
+ * Reload the configuration (tests, or after changing the environment).
+ */
+function configure(env = process.env) {
+  config = loadConfig(env);
+  return config;
+}
+
+/**
+ * Add the vendor's affiliate parameters to a URL. Parameters the URL
+ * already carries are left alone; the URL is returned unchanged when there
+ * is nothing to add.
+ * @param {string} url
+ * @param {string} [source] — vendor source; detected from the URL when omitted
+ */
+function withAffiliate(url, source) {
+  if (!url || !config.enabled) return url;
+  const query = config.affiliates[source || detectSource(url)];
+  if (!query) return url;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url;
+  }
+
+  let added = false;
+  for (const [key, value] of new URLSearchParams(query)) {
+    if (!parsed.searchParams.has(key)) {
+      parsed.searchParams.set(key, value);
+      added = true;
+    }
+  }
+  return added ? parsed.toString() : url;
+}
+
+/**
+ * Amazon search link for a product name.
+ */
+function searchUrl(name) {
+  return withAffiliate(`${AMAZON_SEARCH}?k=${encodeURIComponent(name || '')}`, 'amazon');
+}
+
+/**
+ * Buy link for a catalog entry or offer: its URL, otherwise its Amazon
+ * product page. Returns null when it has neither.
+ * @param {{ asin?, url?, source?, community? }} target
+ */
+function productUrl(target) {
+  if (target.url) {
+    return target.community ? target.url : withAffiliate(target.url, target.source);
+  }
+  if (target.asin) {
+    return withAffiliate(`https://www.amazon.com/dp/${target.asin}`, 'amazon');
+  }
+  return null;
+}
+
+/**
+ * What the frontend needs to build links itself: whether affiliate links
+ * are on and a search URL template whose `searchParam` is filled in with
+ * the product name.
+ */
+function clientConfig() {
+  return {
+    enabled: config.enabled,
+    searchUrl: searchUrl(''),
+    searchParam: 'k'
+  };
+}
+
+module.exports = {
+  loadConfig,
+  configure,
+  withAffiliate,
+  searchUrl,
+  productUrl,
+  clientConfig
+};
@@ -0,0 +1,192 @@
+/**
+ * Latest checked prices. price-checker.js saves each offer's price and stock
+ * status in the prices table as soon as it has checked it, and the API
+ * serves them from there (GET /api/prices and the offer prices of parts and
+ * kits), so a scrape shows on the site without a restart or a file copy.
+ *
+ * Offers are keyed by ASIN or URL, like vendors.offersFor. The checker used
+ * to keep these in data/prices.json, which is imported on first run (see
+ * importLegacyPrices).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Where the price checker used to write its results
+const LEGACY_FILE = path.join(__dirname, '..', 'data', 'prices.json');
+
+// An unfinished run is resumed by the next one if it started within this
+const RESUME_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+function offerKey(product) {
+  return product.asin || product.url || null;
+}
+
+function productFromRow(row) {
+  return {
+    id: row.part_id,
+    name: row.name,
+    vendor: row.vendor,
+    price: row.price,
+    priceDisplay: row.price_display,
+    url: row.url,
+    source: row.source,
+    asin: row.asin,
+    inStock: row.in_stock === null ? null : Boolean(row.in_stock),
+    availability: row.availability,
+    lastChecked: row.last_checked,
+    lastChanged: row.last_changed,
+    variantTitle: row.variant_title,
+    variants: row.variants ? JSON.parse(row.variants) : []
+  };
+}
+
+/**
+ * Every offer's latest price, in the shape prices.json had:
+ * { products, lastRun }, where lastRun is the most recent check.
+ * @param {Object} db — database handle
+ */
+function loadPrices(db) {
+  const products = db.prepare('SELECT * FROM prices ORDER BY rowid').all().map(productFromRow);
+  const { lastRun } = db.prepare('SELECT MAX(last_checked) AS lastRun FROM prices').get();
+  return { products, lastRun };
+}
+
+/**
+ * One offer's latest price (keyed by ASIN or URL), or null when it has none.
+ * @param {Object} db — database handle
+ * @param {string} offer — the offer's ASIN or URL
+ */
+function loadPrice(db, offer) {
+  const row = db.prepare('SELECT * FROM prices WHERE offer = ?').get(offer);
+  return row ? productFromRow(row) : null;
+}
+
+/**
+ * Save one offer's price, replacing what was saved for it before. Products
+ * without an ASIN or URL are ignored.
+ * @param {Object} db — database handle
+ * @param {Object} product — a price checker product ({ id, name, vendor,
+ *   price, priceDisplay, url, source, asin, inStock, availability,
+ *   lastChecked, lastChanged, variantTitle, variants }); variantTitle is the
+ *   vendor's name for the variant priced and variants the vendor's variants
+ *   as [{ title, price, inStock }]
+ */
+function saveProduct(db, product) {
+  const key = offerKey(product);
+  if (!key) return;
+  db.prepare(`
+    INSERT INTO prices (offer, part_id, name, vendor, source, asin, url, price, price_display,
+      in_stock, availability, last_checked, last_changed, variant_title, variants)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(offer) DO UPDATE SET
+      part_id = excluded.part_id, name = excluded.name, vendor = excluded.vendor,
+      source = excluded.source, asin = excluded.asin, url = excluded.url,
+      price = excluded.price, price_display = excluded.price_display,
+      in_stock = excluded.in_stock, availability = excluded.availability,
+      last_checked = excluded.last_checked, last_changed = excluded.last_changed,
+      variant_title = excluded.variant_title, variants = excluded.variants
+  `).run(
+    key,
+    product.id || null,
+    product.name,
+    product.vendor || null,
+    product.source || null,
+    product.asin || null,
+    product.url || null,
+    typeof product.price === 'number' ? product.price : null,
+    product.priceDisplay || null,
+    typeof product.inStock === 'boolean' ? Number(product.inStock) : null,
+    product.availability || null,
+    product.lastChecked || null,
+    product.lastChanged || null,
+    product.variantTitle || null,
+    Array.isArray(product.variants) && product.variants.length > 0 ? JSON.stringify(product.variants) : null
+  );
+}
+
+/**
+ * Set the saved price of one offer (keyed by ASIN or URL) and mark it as
+ * changed at `changedAt`. Returns false when the offer has no saved price.
+ * @param {Object} db — database handle
+ * @param {string} offer — the offer's ASIN or URL
+ * @param {Object} change — { price, priceDisplay, changedAt } (ISO 8601)
+ */
+function updatePrice(db, offer, { price, priceDisplay, changedAt }) {
+  const result = db.prepare('UPDATE prices SET price = ?, price_display = ?, last_changed = ? WHERE offer = ?')
+    .run(price, priceDisplay, changedAt, offer);
+  return result.changes > 0;
+}
+
+/**
+ * Remove the prices of offers that are no longer checked (offers removed
+ * from the catalog). Returns the number of offers removed.
+ * @param {Object} db — database handle
+ * @param {Array} products — the products that are still checked
+ */
+function retainOffers(db, products) {
+  const keep = new Set(products.map(offerKey).filter(Boolean));
+  const stale = db.prepare('SELECT offer FROM prices').all()
+    .map(row => row.offer)
+    .filter(offer => !keep.has(offer));
+  const remove = db.prepare('DELETE FROM prices WHERE offer = ?');
+  db.transaction(() => stale.forEach(offer => remove.run(offer)))();
+  return stale.length;
+}
+
+/**
+ * Start a price check run, or resume the last one when it was stopped
+ * before it finished (and started within RESUME_WINDOW_MS). Offers checked
+ * since a resumed run's `startedAt` need no new check.
+ * @param {Object} db — database handle
+ * @param {Date} [now]
+ * @returns {{ id, startedAt, resumed }}
+ */
+function startRun(db, now = new Date()) {
+  const last = db.prepare('SELECT * FROM check_runs ORDER BY id DESC LIMIT 1').get();
+  if (last && !last.finished_at && now.getTime() - Date.parse(last.started_at) < RESUME_WINDOW_MS) {
+    return { id: last.id, startedAt: last.started_at, resumed: true };
+  }
+  const startedAt = now.toISOString();
+  const { lastInsertRowid } = db.prepare('INSERT INTO check_runs (started_at) VALUES (?)').run(startedAt);
+  return { id: Number(lastInsertRowid), startedAt, resumed: false };
+}
+
+/**
+ * Mark a run (from startRun) as having checked every offer.
+ */
+function finishRun(db, run, now = new Date()) {
+  db.prepare('UPDATE check_runs SET finished_at = ? WHERE id = ?').run(now.toISOString(), run.id);
+}
+
+/**
+ * Import a prices.json written by an earlier price checker when the prices
+ * table is empty. A missing or unreadable file imports nothing. Returns the
+ * number of offers imported.
+ */
+function importLegacyPrices(db, file = LEGACY_FILE) {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM prices').get();
+  if (count > 0) return 0;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return 0;
+  }
+  const products = (data.products || []).filter(offerKey);
+  db.transaction(() => products.forEach(product => saveProduct(db, product)))();
+  return products.length;
+}
+
+module.exports = {
+  LEGACY_FILE,
+  loadPrices,
+  loadPrice,
+  saveProduct,
+  updatePrice,
+  retainOffers,
+  startRun,
+  finishRun,
+  importLegacyPrices
+};
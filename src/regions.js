@@ -0,0 +1,21 @@
+/**
+ * LoRa frequency regions. Catalog entries that only work in some regions
+ * list them in an optional `regions` array (e.g. ["US915"]); entries
+ * without one (cables, power, tools...) work everywhere.
+ *
+ * Keep in sync with window.REGIONS in public/js/kits.js.
+ */
+const REGIONS = {
+  US915: { label: 'US 915MHz', band: '902-928MHz' },
+  EU868: { label: 'EU 868MHz', band: '863-870MHz' },
+  EU433: { label: '433MHz', band: '433MHz' }
+};
+
+/**
+ * True when a catalog entry (or built part) can be used in the region.
+ */
+function availableIn(part, region) {
+  return !Array.isArray(part.regions) || part.regions.length === 0 || part.regions.includes(region);
+}
+
+module.exports = { REGIONS, availableIn };
@@ -0,0 +1,274 @@
+const express = require('express');
+const catalog = require('../catalog');
+const csv = require('../csv');
+const { validateEntries } = require('../validate');
+const kits = require('../kits');
+const { resolveKit, listKits, submissionFromRow } = require('./kits');
+const { loadPrices, loadPrice } = require('../pricing');
+const { requireAdmin } = require('../auth');
+const { AVAILABILITY } = require('../availability');
+const { offersFor } = require('../vendors');
+const anomalies = require('../anomalies');
+const alerts = require('../alerts');
+
+// Moderation states a community kit submission can be listed by
+const SUBMISSION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Fields every catalog entry needs
+const REQUIRED_FIELDS = ['name', 'category'];
+
+/**
+ * Check a request body describing a part. Returns an error message or null.
+ */
+function checkPartBody(body, { partial }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Request body must be a JSON object';
+  }
+  for (const field of REQUIRED_FIELDS) {
+    if (partial && !(field in body)) continue;
+    if (typeof body[field] !== 'string' || !body[field].trim()) {
+      return `Missing required field: ${field}`;
+    }
+  }
+  if (body.id !== undefined && (typeof body.id !== 'string' || !/^[a-z0-9-]+$/.test(body.id))) {
+    return 'Invalid id: use lowercase letters, digits and hyphens';
+  }
+  if (catalog.RESERVED_IDS.includes(body.id)) {
+    return `Invalid id: ${body.id} is reserved`;
+  }
+  // null clears the availability (back to in stock)
+  if (body.availability != null && !Object.hasOwn(AVAILABILITY, body.availability)) {
+    return `Invalid availability: must be one of ${Object.keys(AVAILABILITY).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Whether a review's offer can be bought now, as the price checker decides
+ * it: the stock status saved with its price, else the catalog offer's
+ * inStock.
+ */
+function offerInStock(db, review) {
+  const saved = loadPrice(db, review.offer);
+  if (saved && typeof saved.inStock === 'boolean') return saved.inStock;
+  const entry = catalog.getEntry(review.partId);
+  const offer = entry && offersFor(entry).find(candidate => candidate.key === review.offer);
+  return !(offer && offer.inStock === false);
+}
+
+/**
+ * Mount admin API routes. Every write re-exports data/parts.json so the
+ * snapshot always mirrors the database (edits to the file are re-imported
+ * by the catalog's hot reload).
+ */
+function mount(app, db) {
+  // GET /api/admin/parts — raw catalog entries, in catalog order
+  app.get('/api/admin/parts', requireAdmin, (req, res) => {
+    res.json({ parts: catalog.getEntries() });
+  });
+
+  // GET /api/admin/parts/export — parts.json snapshot of the catalog
+  app.get('/api/admin/parts/export', requireAdmin, (req, res) => {
+    res.attachment('parts.json');
+    res.type('application/json');
+    res.send(JSON.stringify(catalog.getEntries(), null, 2) + '\n');
+  });
+
+  // POST /api/admin/parts/import — replace the catalog with a CSV body
+  // (text/csv). ?dryRun=true only reports what would change; an import with
+  // problems is refused with the same report.
+  app.post('/api/admin/parts/import', requireAdmin, express.text({ type: 'text/csv', limit: '2mb' }), (req, res) => {
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({ error: 'Request body must be CSV (Content-Type: text/csv)' });
+    }
+
+    let plan;
+    try {
+      plan = csv.planImport(req.body, catalog.getEntries());
+    } catch (err) {
+      return res.status(400).json({ error: `Cannot parse CSV: ${err.message}` });
+    }
+
+    const report = {
+      changes: plan.changes,
+      problems: plan.problems,
+      kitProblems: plan.kitProblems,
+      ignoredColumns: plan.ignoredColumns
+    };
+    if (req.query.dryRun === 'true') {
+      return res.json(Object.assign({ imported: false }, report));
+    }
+    if (plan.problems.length > 0) {
+      return res.status(400).json(Object.assign({ error: 'CSV has problems; nothing was imported', imported: false }, report));
+    }
+
+    catalog.importEntries(plan.entries);
+    catalog.exportFile();
+    res.json(Object.assign({ imported: true }, report));
+  });
+
+  // POST /api/admin/parts — add a part
+  app.post('/api/admin/parts', requireAdmin, (req, res) => {
+    const error = checkPartBody(req.body, { partial: false });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const entry = catalog.createPart(req.body);
+      catalog.exportFile();
+      res.status(201).json(entry);
+    } catch (err) {
+      if (err instanceof catalog.CatalogError) {
+        return res.status(409).json({ error: err.message });
+      }
+      throw err;
+    }
+  });
+
+  // PATCH /api/admin/parts/:id — update fields (null removes a field)
+  app.patch('/api/admin/parts/:id', requireAdmin, (req, res) => {
+    const error = checkPartBody(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (req.body.id !== undefined && req.body.id !== catalog.resolveId(req.params.id)) {
+      return res.status(400).json({ error: 'Part IDs cannot be changed' });
+    }
+
+    const entry = catalog.updatePart(req.params.id, req.body);
+    if (!entry) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+    catalog.exportFile();
+    res.json(entry);
+  });
+
+  // DELETE /api/admin/parts/:id — remove a part
+  app.delete('/api/admin/parts/:id', requireAdmin, (req, res) => {
+    if (!catalog.deletePart(req.params.id)) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+    catalog.exportFile();
+    res.status(204).end();
+  });
+
+  // GET /api/admin/catalog/status — catalog size, validation problems and the last parts.json reload
+  app.get('/api/admin/catalog/status', requireAdmin, (req, res) => {
+    const entries = catalog.getEntries();
+    res.json({
+      parts: entries.length,
+      problems: validateEntries(entries),
+      kitProblems: kits.validateKits(entries),
+      lastReload: catalog.getReloadStatus()
+    });
+  });
+
+  // GET /api/admin/kits — each kit (curated and approved community kits)
+  // resolved for every region it is built for, with its unresolved items,
+  // plus the kit validation problems
+  app.get('/api/admin/kits', requireAdmin, (req, res) => {
+    const pricesData = loadPrices(db);
+    const allKits = listKits(db);
+    res.json({
+      kits: allKits.map(kit => ({
+        id: kit.id,
+        name: kit.name,
+        regions: Object.fromEntries(kits.kitRegions(kit).map(region => {
+          const resolved = resolveKit(kit, region, pricesData);
+          return [region, { items: resolved.items.length, unresolved: resolved.unresolved, total: resolved.total }];
+        }))
+      })),
+      problems: kits.validateKits(catalog.getEntries(), allKits)
+    });
+  });
+
+  // GET /api/admin/kits/submissions — community kit submissions, newest
+  // first; ?status=pending (default), approved or rejected
+  app.get('/api/admin/kits/submissions', requireAdmin, (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!SUBMISSION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: must be one of ${SUBMISSION_STATUSES.join(', ')}` });
+    }
+
+    const entries = catalog.getEntries();
+    const rows = db.prepare('SELECT * FROM community_kits WHERE status = ? ORDER BY created_at DESC, id DESC').all(status);
+    res.json({
+      submissions: rows.map(row => Object.assign(submissionFromRow(row), {
+        problems: kits.validateKits(entries, [kits.communityKit(row)])
+      }))
+    });
+  });
+
+  // POST /api/admin/kits/submissions/:id/approve — publish a submitted kit
+  // POST /api/admin/kits/submissions/:id/reject — decline it (or unpublish an approved kit)
+  for (const [action, status] of [['approve', 'approved'], ['reject', 'rejected']]) {
+    app.post(`/api/admin/kits/submissions/:id/${action}`, requireAdmin, (req, res) => {
+      const result = db.prepare(
+        'UPDATE community_kits SET status = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?'
+      ).run(status, req.params.id);
+      if (result.changes === 0) {
+        return res.status(404).json({ error: 'Submission not found' });
+      }
+      res.json(submissionFromRow(db.prepare('SELECT * FROM community_kits WHERE id = ?').get(req.params.id)));
+    });
+  }
+
+  // GET /api/admin/price-reviews — price changes the price checker held
+  // back as suspicious, newest first; ?status=pending (default), accepted,
+  // rejected or superseded
+  app.get('/api/admin/price-reviews', requireAdmin, (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!anomalies.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: must be one of ${anomalies.REVIEW_STATUSES.join(', ')}` });
+    }
+    res.json({ reviews: anomalies.listReviews(db, status) });
+  });
+
+  // POST /api/admin/price-reviews/:id/accept — apply a held price to the
+  // offer and the catalog, and alert subscribers to a drop they can buy at
+  app.post('/api/admin/price-reviews/:id/accept', requireAdmin, async (req, res) => {
+    let result;
+    try {
+      result = anomalies.acceptReview(db, req.params.id);
+    } catch (err) {
+      if (err instanceof anomalies.ReviewError) {
+        return res.status(409).json({ error: err.message });
+      }
+      throw err;
+    }
+    if (!result) {
+      return res.status(404).json({ error: 'Price review not found' });
+    }
+
+    const { review, entry } = result;
+    if (entry) catalog.exportFile();
+    // As in the price checker: subscribers only hear of prices they can buy at now
+    if (review.oldPrice && review.newPrice < review.oldPrice && offerInStock(db, review)) {
+      const [id, ...aliases] = catalog.idsFor(review.partId);
+      const product = { id, aliases, name: review.name, url: review.url, source: review.source };
+      const pctChange = (review.oldPrice - review.newPrice) / review.oldPrice;
+      await alerts.notifySubscribers(product, review.oldPrice, review.newPrice, pctChange, db);
+    }
+    res.json(review);
+  });
+
+  // POST /api/admin/price-reviews/:id/reject — keep the cached price
+  app.post('/api/admin/price-reviews/:id/reject', requireAdmin, (req, res) => {
+    let review;
+    try {
+      review = anomalies.rejectReview(db, req.params.id);
+    } catch (err) {
+      if (err instanceof anomalies.ReviewError) {
+        return res.status(409).json({ error: err.message });
+      }
+      throw err;
+    }
+    if (!review) {
+      return res.status(404).json({ error: 'Price review not found' });
+    }
+    res.json(review);
+  });
+}
+
+module.exports = { mount };
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const catalog = require('../catalog');
 
 function mount(app, db) {
   // POST /api/alerts — subscribe to a price alert
@@ -16,13 +17,15 @@ function mount(app, db) {
       return res.status(400).json({ error: 'Invalid email address' });
     }
 
+    // Store alerts against the canonical part ID
+    const productId = catalog.resolveId(product_id) || product_id;
     const unsubscribe_token = crypto.randomBytes(16).toString('hex');
     const pct = threshold_pct != null ? threshold_pct : 5.0;
 
     const stmt = db.prepare(
       'INSERT INTO price_alerts (product_id, email, threshold_pct, unsubscribe_token) VALUES (?, ?, ?, ?)'
     );
-    const result = stmt.run(product_id, email, pct, unsubscribe_token);
+    const result = stmt.run(productId, email, pct, unsubscribe_token);
 
     res.status(201).json({
       id: Number(result.lastInsertRowid),
@@ -0,0 +1,19 @@
+const catalog = require('../catalog');
+const { categoryTree, resolveCategory } = require('../categories');
+
+/**
+ * Mount the category registry route used by the category nav.
+ */
+function mount(app) {
+  // GET /api/categories — nested categories in display order with part counts
+  app.get('/api/categories', (req, res) => {
+    const counts = {};
+    catalog.getEntries().forEach(entry => {
+      const category = resolveCategory(entry.category);
+      counts[category] = (counts[category] || 0) + 1;
+    });
+    res.json({ categories: categoryTree(counts) });
+  });
+}
+
+module.exports = { mount };
@@ -0,0 +1,59 @@
+const catalog = require('../catalog');
+const feeds = require('../feeds');
+const { CATEGORIES, resolveCategory, withChildren } = require('../categories');
+
+/**
+ * Absolute URLs for a feed request: the site, the feed itself and a part
+ * page (the site with ?part= to open the part's details). Removed parts
+ * link to the site.
+ */
+function feedLinks(req) {
+  const home = `${req.protocol}://${req.get('host')}/`;
+  return {
+    home,
+    self: `${home}${req.originalUrl.replace(/^\//, '')}`,
+    part: event => {
+      const entry = event.type !== 'removed' && catalog.getEntry(event.partId);
+      return entry ? `${home}?part=${encodeURIComponent(entry.id)}` : home;
+    }
+  };
+}
+
+/**
+ * Send events in the requested format.
+ */
+function sendFeed(req, res, events, format, category = null) {
+  const links = feedLinks(req);
+  if (format === 'atom') {
+    res.type('application/atom+xml').send(feeds.renderAtom(events, links, category));
+  } else {
+    res.type('application/feed+json').send(JSON.stringify(feeds.renderJsonFeed(events, links, category)));
+  }
+}
+
+/**
+ * Mount the catalog update feed routes.
+ */
+function mount(app, db) {
+  // GET /api/feeds/catalog.atom, /api/feeds/catalog.json — all catalog changes
+  app.get('/api/feeds/catalog.:format', (req, res) => {
+    const { format } = req.params;
+    if (format !== 'atom' && format !== 'json') {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    sendFeed(req, res, feeds.listEvents(db), format);
+  });
+
+  // GET /api/feeds/categories/:category.atom|json — changes in one category
+  // (aliases resolve; a parent category includes its children)
+  app.get('/api/feeds/categories/:category.:format', (req, res) => {
+    const { format } = req.params;
+    const category = resolveCategory(req.params.category);
+    if ((format !== 'atom' && format !== 'json') || !Object.hasOwn(CATEGORIES, category)) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    sendFeed(req, res, feeds.listEvents(db, { categories: withChildren(category) }), format, category);
+  });
+}
+
+module.exports = { mount };
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const catalog = require('../catalog');
+const kits = require('../kits');
+const { REGIONS, availableIn } = require('../regions');
+const { buildPart, numericPrice } = require('./parts');
+const { loadPrices } = require('../pricing');
+
+// Limits on community kit submissions
+const MAX_SUBMISSIONS_PER_DAY = 3;
+const MAX_ITEMS = 30;
+const MAX_QUANTITY = 99;
+const MAX_LENGTHS = { name: 80, author: 40, description: 500, note: 200 };
+
+const REGION_ERROR = `Invalid region: must be one of ${Object.keys(REGIONS).join(', ')}`;
+
+function validRegion(region) {
+  return region === null || Object.hasOwn(REGIONS, region);
+}
+
+/**
+ * All kits: the curated kits from src/kits.json followed by approved
+ * community kits in the order they were approved.
+ */
+function listKits(db) {
+  const approved = db.prepare(
+    "SELECT * FROM community_kits WHERE status = 'approved' ORDER BY reviewed_at, id"
+  ).all();
+  return kits.getKits().concat(approved.map(kits.communityKit));
+}
+
+function findKit(db, id) {
+  return listKits(db).find(kit => kit.id === id) || null;
+}
+
+/**
+ * API representation of a community_kits row, for the submitter and the
+ * moderation queue.
+ */
+function submissionFromRow(row) {
+  return {
+    id: row.id,
+    kitId: kits.communityKit(row).id,
+    name: row.name,
+    description: row.description || '',
+    author: row.author,
+    regions: row.regions ? JSON.parse(row.regions) : null,
+    items: JSON.parse(row.items),
+    status: row.status,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at
+  };
+}
+
+function isText(value, max) {
+  return typeof value === 'string' && value.trim() !== '' && value.length <= max;
+}
+
+/**
+ * Check a kit submission body. Returns an error message or null. Item parts
+ * may be given by any ID or alias; they are stored by canonical ID.
+ */
+function checkSubmission(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Request body must be a JSON object';
+  }
+  if (!isText(body.name, MAX_LENGTHS.name)) {
+    return `Kit name is required (up to ${MAX_LENGTHS.name} characters)`;
+  }
+  if (!isText(body.author, MAX_LENGTHS.author)) {
+    return `Author is required (up to ${MAX_LENGTHS.author} characters)`;
+  }
+  if (body.description !== undefined && (typeof body.description !== 'string' || body.description.length > MAX_LENGTHS.description)) {
+    return `Description must be text up to ${MAX_LENGTHS.description} characters`;
+  }
+  if (body.regions !== undefined) {
+    if (!Array.isArray(body.regions) || body.regions.length === 0 || !body.regions.every(region => Object.hasOwn(REGIONS, region))) {
+      return REGION_ERROR;
+    }
+  }
+  if (!Array.isArray(body.items) || body.items.length === 0 || body.items.length > MAX_ITEMS) {
+    return `A kit needs between 1 and ${MAX_ITEMS} items`;
+  }
+
+  for (const [i, item] of body.items.entries()) {
+    if (!item || typeof item !== 'object' || typeof item.part !== 'string' || !catalog.getEntry(item.part)) {
+      return `Item #${i + 1} is not a catalog part`;
+    }
+    if (item.quantity !== undefined && !(Number.isInteger(item.quantity) && item.quantity >= 1 && item.quantity <= MAX_QUANTITY)) {
+      return `Item #${i + 1} quantity must be a whole number from 1 to ${MAX_QUANTITY}`;
+    }
+    if (item.note !== undefined && (typeof item.note !== 'string' || item.note.length > MAX_LENGTHS.note)) {
+      return `Item #${i + 1} note must be text up to ${MAX_LENGTHS.note} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a kit for a region against the live catalog. Only the kit's own
+ * regional substitutions (src/kits.json) replace parts: items whose part
+ * is made for another band, like items missing from the catalog, are
+ * listed in `unresolved`, and items that cannot be bought right now in `unavailable`
+ * (with the suggested replacement, if any). `total` sums the current (best
+ * offer) prices and is null for standalone kits, where each item is an
+ * alternative.
+ */
+function resolveKit(kit, region, pricesData) {
+  const items = [];
+  const unresolved = [];
+
+  kits.kitItemsFor(kit, region).forEach(item => {
+    const entry = catalog.getEntry(item.part);
+    if (!entry) {
+      unresolved.push({ part: item.part, reason: 'not in catalog' });
+      return;
+    }
+    if (region && !availableIn(entry, region)) {
+      unresolved.push({ part: entry.id, reason: `not made for ${region}` });
+      return;
+    }
+
+    const substitutedFor = item.substitutedFor ? catalog.resolveId(item.substitutedFor) : null;
+    items.push({ part: buildPart(entry, pricesData), quantity: item.quantity, note: item.note, substitutedFor });
+  });
+
+  const prices = items.map(item => numericPrice(item.part));
+  const total = kit.standalone
+    ? null
+    : Math.round(prices.reduce((sum, price, i) => sum + (price || 0) * items[i].quantity, 0) * 100) / 100;
+
+  return {
+    id: kit.id,
+    emoji: kit.emoji,
+    name: kit.name,
+    desc: kit.desc,
+    color: kit.color,
+    regions: kits.kitRegions(kit),
+    standalone: Boolean(kit.standalone),
+    recommended: Boolean(kit.recommended),
+    community: Boolean(kit.community),
+    communityMaker: kit.communityMaker || null,
+    region: region || null,
+    items,
+    unresolved,
+    unavailable: items
+      .filter(item => item.part.availability !== 'in-stock')
+      .map(item => ({ part: item.part.id, availability: item.part.availability, replacement: item.part.replacement })),
+    total,
+    unpriced: prices.filter(price => price === null).length
+  };
+}
+
+/**
+ * Mount kit routes on the Express app.
+ */
+function mount(app, db) {
+  // GET /api/kits — every kit resolved against the catalog, optionally for ?region=
+  app.get('/api/kits', (req, res) => {
+    const region = req.query.region || null;
+    if (!validRegion(region)) {
+      return res.status(400).json({ error: REGION_ERROR });
+    }
+
+    const pricesData = loadPrices(db);
+    res.json({ kits: listKits(db).map(kit => resolveKit(kit, region, pricesData)) });
+  });
+
+  // GET /api/kits/:id — one resolved kit, optionally for ?region=
+  app.get('/api/kits/:id', (req, res) => {
+    const region = req.query.region || null;
+    if (!validRegion(region)) {
+      return res.status(400).json({ error: REGION_ERROR });
+    }
+
+    const kit = findKit(db, req.params.id);
+    if (!kit) {
+      return res.status(404).json({ error: 'Kit not found' });
+    }
+    res.json(resolveKit(kit, region, loadPrices(db)));
+  });
+
+  // POST /api/kits/submissions — submit a community kit for review
+  app.post('/api/kits/submissions', (req, res) => {
+    const error = checkSubmission(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Rate limit: a few submissions per IP per 24h
+    const ip = req.ip || req.socket.remoteAddress || '127.0.0.1';
+    const ipHash = crypto.createHash('sha256').update(ip + 'kits').digest('hex').slice(0, 16);
+
+    const recent = db.prepare(
+      "SELECT COUNT(*) as count FROM community_kits WHERE ip_hash = ? AND created_at > datetime('now', '-1 day')"
+    ).get(ipHash);
+
+    if (recent.count >= MAX_SUBMISSIONS_PER_DAY) {
+      return res.status(429).json({ error: 'Too many kit submissions today, please try again tomorrow' });
+    }
+
+    // Store items against canonical part IDs
+    const items = req.body.items.map(item => {
+      const stored = { part: catalog.resolveId(item.part) };
+      if (item.quantity !== undefined && item.quantity !== 1) stored.quantity = item.quantity;
+      if (item.note && item.note.trim()) stored.note = item.note.trim();
+      return stored;
+    });
+
+    const result = db.prepare(
+      'INSERT INTO community_kits (name, description, author, regions, items, ip_hash) VALUES (?, ?, ?, ?, ?, ?)'
+    ).run(
+      req.body.name.trim(),
+      (req.body.description || '').trim() || null,
+      req.body.author.trim(),
+      req.body.regions ? JSON.stringify(req.body.regions) : null,
+      JSON.stringify(items),
+      ipHash
+    );
+
+    const row = db.prepare('SELECT * FROM community_kits WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json(submissionFromRow(row));
+  });
+}
+
+module.exports = { mount, resolveKit, listKits, submissionFromRow };
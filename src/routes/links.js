@@ -0,0 +1,14 @@
+const links = require('../links');
+
+/**
+ * Mount the link configuration route used by the frontend to build
+ * search links with the right affiliate parameters.
+ */
+function mount(app) {
+  // GET /api/links — { enabled, searchUrl, searchParam }
+  app.get('/api/links', (req, res) => {
+    res.json(links.clientConfig());
+  });
+}
+
+module.exports = { mount };
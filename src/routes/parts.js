@@ -1,116 +1,354 @@
-const fs = require('fs');
-const path = require('path');
-
-// Amazon Associates affiliate tag
-const AFFILIATE_TAG = 'dpaschal26-20';
-
-// Category definitions with emoji and color
-const CATEGORIES = {
-  'Node':       { emoji: '\u{1F4E1}', color: '#4CAF50' },
-  'Antenna':    { emoji: '\u{1F4F6}', color: '#2196F3' },
-  'Cable':      { emoji: '\u{1F50C}', color: '#FF9800' },
-  'Adapter':    { emoji: '\u{1F517}', color: '#9C27B0' },
-  'Connector':  { emoji: '\u{1F517}', color: '#9C27B0' },
-  'Power':      { emoji: '\u{1F50B}', color: '#F44336' },
-  'Enclosure':  { emoji: '\u{1F4E6}', color: '#795548' },
-  'Mounting':   { emoji: '\u{1F529}', color: '#607D8B' },
-  'Hardware':   { emoji: '\u{1F527}', color: '#607D8B' },
-  'Radio':      { emoji: '\u{1F4FB}', color: '#E91E63' },
-  'Tools':      { emoji: '\u{1F6E0}\uFE0F', color: '#FF5722' },
-  'Electronics': { emoji: '\u26A1',   color: '#FFEB3B' },
-  'Network':    { emoji: '\u{1F310}', color: '#00BCD4' },
-  'Reference':  { emoji: '\u{1F4DA}', color: '#3F51B5' },
-  'Emergency':  { emoji: '\u{1F6A8}', color: '#F44336' },
-  'Materials':  { emoji: '\u{1F9F1}', color: '#8D6E63' },
-  'Grounding':  { emoji: '\u26A1',   color: '#FFC107' },
-  'Solar':      { emoji: '\u2600\uFE0F', color: '#FF9800' },
-  'Sensor':     { emoji: '\u{1F321}\uFE0F', color: '#00BCD4' }
-};
-
-// Load parts from local JSON file
-let partsData = [];
-try {
-  const partsPath = path.join(__dirname, '..', '..', 'data', 'parts.json');
-  partsData = JSON.parse(fs.readFileSync(partsPath, 'utf8'));
-} catch (e) {
-  console.error('Failed to load data/parts.json:', e.message);
+const catalog = require('../catalog');
+const search = require('../search');
+const { toCsv } = require('../csv');
+const history = require('../history');
+const pricing = require('../pricing');
+const links = require('../links');
+const { VENDOR_LABELS, partSource, offersFor } = require('../vendors');
+const { CATEGORIES, resolveCategory, categoryInfo } = require('../categories');
+const { SPEC_FIELDS } = require('../specs');
+const { MANUAL_AVAILABILITY, availabilityOf, isInStock, combineAvailability } = require('../availability');
+
+// Window for the "lowest price" indicator on parts
+const LOW_WINDOW_DAYS = 90;
+
+/**
+ * The part to suggest instead of an entry (usually a discontinued one), as
+ * { id, item }, or null.
+ */
+function replacementFor(entry) {
+  const replacement = entry.replacement ? catalog.getEntry(entry.replacement) : null;
+  return replacement ? { id: replacement.id, item: replacement.name } : null;
 }
 
 /**
- * Build grouped parts object from the local JSON data.
+ * Build the API representation of a single catalog entry. `price` and
+ * `amazonUrl` follow the best offer when one is known.
+ * @param {Object} entry — catalog entry
+ * @param {Object} [pricesData] — from pricing.loadPrices, for checked offer prices
  */
-function buildParts() {
+function buildPart(entry, pricesData = { products: [] }) {
+  const category = resolveCategory(entry.category || 'Other');
+  const name = entry.name || '';
+  const asin = entry.asin || null;
+  const offers = buildOffers(entry, pricesData);
+  const bestOffer = offers.find(offer => offer.best) || null;
+
+  // Best offer, else the vendor URL or Amazon page, else an Amazon search
+  const amazonUrl = bestOffer
+    ? bestOffer.buyUrl
+    : links.productUrl(entry) || links.searchUrl(name);
+
+  return {
+    id: entry.id,
+    item: name,
+    price: bestOffer ? bestOffer.priceDisplay : entry.price || '',
+    notes: entry.notes || '',
+    category,
+    categoryInfo: categoryInfo(category),
+    amazonUrl,
+    asin,
+    source: bestOffer ? bestOffer.source : partSource(entry),
+    offers,
+    bestOffer,
+    specs: entry.specs || {},
+    regions: entry.regions || null,
+    availability: partAvailability(entry, offers),
+    replacement: replacementFor(entry),
+    imageUrl: entry.image || null,
+    addons: entry.addons || null,
+    community: entry.community || false,
+    communityMaker: entry.communityMaker || null,
+    communityLinks: entry.communityLinks || null
+  };
+}
+
+/**
+ * A part's availability: what the price checker last read from its offers'
+ * pages, so a check shows as soon as it is saved, else the catalog's (which
+ * the checker syncs at the end of each run). Statuses set by maintainers,
+ * such as discontinued, always win.
+ */
+function partAvailability(entry, offers) {
+  const listed = availabilityOf(entry);
+  if (MANUAL_AVAILABILITY.includes(listed)) return listed;
+  return combineAvailability(offers.map(offer => offer.availability)) || listed;
+}
+
+/**
+ * Build grouped parts object from the catalog and the latest checked prices.
+ */
+function buildParts(db) {
   const grouped = {};
+  const pricesData = pricing.loadPrices(db);
 
-  partsData.forEach(entry => {
-    const category = entry.category || 'Other';
-    if (!grouped[category]) {
-      grouped[category] = [];
+  catalog.getEntries().forEach(entry => {
+    const part = buildPart(entry, pricesData);
+    if (!grouped[part.category]) {
+      grouped[part.category] = [];
     }
-
-    const name = entry.name || '';
-    const asin = entry.asin || null;
-
-    // Generate a stable ID from the item name
-    const id = name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-|-$/g, '')
-      .slice(0, 60);
-
-    // Use vendor URL if provided, otherwise Amazon affiliate link
-    const amazonUrl = entry.url
-      ? entry.url
-      : asin
-        ? `https://www.amazon.com/dp/${asin}?tag=${AFFILIATE_TAG}`
-        : `https://www.amazon.com/s?k=${encodeURIComponent(name)}&tag=${AFFILIATE_TAG}`;
-
-    grouped[category].push({
-      id,
-      item: name,
-      price: entry.price || '',
-      notes: entry.notes || '',
-      category,
-      categoryInfo: CATEGORIES[category] || { emoji: '\u{1F4CB}', color: '#666' },
-      amazonUrl,
-      asin,
-      imageUrl: entry.image || null,
-      addons: entry.addons || null,
-      community: entry.community || false,
-      communityMaker: entry.communityMaker || null,
-      communityLinks: entry.communityLinks || null
-    });
+    grouped[part.category].push(part);
   });
 
   return grouped;
 }
 
+/**
+ * Find the price checker's record for one offer. Records are matched by
+ * ASIN or URL; records written before offers and part IDs existed are
+ * matched to the entry's primary offer by name.
+ */
+function findOfferPrice(entry, offer, pricesData) {
+  const products = pricesData.products || [];
+  return (offer.asin && products.find(p => p.asin === offer.asin))
+    || (!offer.asin && offer.url && products.find(p => p.url === offer.url))
+    || (offer.primary && products.find(p => !p.id && !p.asin && p.name === entry.name))
+    || null;
+}
+
+function variantPrices(record) {
+  if (!record || record.variants.length < 2) return [];
+  return record.variants.map(variant => ({
+    title: variant.title,
+    price: variant.price,
+    inStock: variant.inStock,
+    selected: variant.title === record.variantTitle
+  }));
+}
+
+/**
+ * Build the offers for an entry with their latest prices. The cheapest
+ * in-stock offer with a known price is flagged `best`. When the part as a
+ * whole is marked unavailable, only offers the price checker last saw in
+ * stock count as in stock. `availability` is the stock status the checker
+ * last read (null before the first check), `variant` the variant the offer
+ * means and `variants` the vendor's variant prices when it sells more than
+ * one, the priced one flagged `selected`.
+ */
+function buildOffers(entry, pricesData) {
+  const offers = offersFor(entry).map(offer => {
+    const record = findOfferPrice(entry, offer, pricesData);
+    const price = record && typeof record.price === 'number' ? record.price : parsePrice(offer.price);
+    const inStock = record && typeof record.inStock === 'boolean' ? record.inStock : offer.inStock && isInStock(entry);
+
+    return {
+      source: offer.source,
+      vendor: offer.vendor,
+      buyUrl: links.productUrl({ asin: offer.asin, url: offer.url, source: offer.source, community: entry.community }),
+      asin: offer.asin,
+      price,
+      priceDisplay: record && record.priceDisplay ? record.priceDisplay : offer.price,
+      inStock,
+      availability: record ? record.availability || null : null,
+      variant: offer.variant,
+      variants: variantPrices(record),
+      note: offer.note,
+      lastChecked: record ? record.lastChecked || null : null,
+      lastChanged: record ? record.lastChanged || null : null,
+      best: false
+    };
+  });
+
+  let best = null;
+  offers.forEach(offer => {
+    if (!offer.inStock || offer.price === null) return;
+    if (!best || offer.price < best.price) best = offer;
+  });
+  if (best) best.best = true;
+
+  return offers;
+}
+
+/**
+ * Parse a display price like "$36.50", "~$40" or "From $12" into a number.
+ * Returns null for prices without a dollar amount ("Contact on Discord").
+ */
+function parsePrice(priceStr) {
+  const match = String(priceStr || '').match(/\$\s*([\d,]+(?:\.\d+)?)/);
+  return match ? parseFloat(match[1].replace(/,/g, '')) : null;
+}
+
+/**
+ * Numeric price of a built part — its best offer, otherwise the catalog's
+ * display price.
+ */
+function numericPrice(part) {
+  return part.bestOffer ? part.bestOffer.price : parsePrice(part.price);
+}
+
+/**
+ * Set `priceLow` on built parts whose current price is at or near the
+ * lowest recorded over LOW_WINDOW_DAYS ({ status, low, days }; see
+ * history.lowStatus), null otherwise.
+ */
+function addPriceLows(parts, db) {
+  const ranges = history.getRanges(db, LOW_WINDOW_DAYS, catalog.resolveId);
+  parts.forEach(part => {
+    const range = ranges.get(part.id);
+    const status = history.lowStatus(numericPrice(part), range);
+    part.priceLow = status ? { status, low: range.min, days: LOW_WINDOW_DAYS } : null;
+  });
+  return parts;
+}
+
+/**
+ * Run a catalog search for /api/parts query parameters.
+ */
+function searchCatalog(query, db) {
+  const params = search.parseSearchParams(query);
+  const pricesData = pricing.loadPrices(db);
+  const parts = addPriceLows(catalog.getEntries().map(entry => buildPart(entry, pricesData)), db);
+
+  return search.searchParts(parts, params, numericPrice);
+}
+
+/**
+ * Build the aggregated detail view of one part: the part itself plus its
+ * current (best offer) price, review summary, active alert count, resolved add-ons and
+ * up to 4 related items from the same category.
+ */
+function buildPartDetail(entry, db) {
+  const pricesData = pricing.loadPrices(db);
+  const part = addPriceLows([buildPart(entry, pricesData)], db)[0];
+  const ids = catalog.idsFor(entry.id);
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const best = part.bestOffer;
+  const currentPrice = best
+    ? {
+      price: best.price,
+      priceDisplay: best.priceDisplay,
+      lastChecked: best.lastChecked,
+      lastChanged: best.lastChanged
+    }
+    : null;
+
+  const reviewRow = db.prepare(
+    `SELECT AVG(rating) as avg, COUNT(*) as count FROM reviews WHERE product_id IN (${placeholders}) AND approved = 1`
+  ).get(...ids);
+
+  const alertRow = db.prepare(
+    `SELECT COUNT(*) as count FROM price_alerts WHERE product_id IN (${placeholders}) AND active = 1`
+  ).get(...ids);
+
+  const addons = (entry.addons || [])
+    .map(addonId => catalog.getEntry(addonId))
+    .filter(Boolean)
+    .map(addon => buildPart(addon, pricesData));
+
+  const related = catalog.getEntries()
+    .filter(candidate => candidate.id !== entry.id && candidate.category === entry.category)
+    .slice(0, 4)
+    .map(candidate => buildPart(candidate, pricesData));
+
+  return Object.assign(part, {
+    currentPrice,
+    reviews: {
+      average_rating: reviewRow.avg ? Math.round(reviewRow.avg * 10) / 10 : null,
+      total: reviewRow.count
+    },
+    alerts: { active: alertRow.count },
+    addons,
+    related
+  });
+}
+
 /**
  * Mount parts-related API routes on the Express app.
  */
-function mount(app) {
-  // GET /api/parts — returns grouped parts JSON
+function mount(app, db) {
+  // GET /api/parts — returns grouped parts JSON, or paginated search
+  // results when any search parameter (q, category, minPrice, maxPrice,
+  // source, community, region, availability, spec filters, sort, page, limit) is given
   app.get('/api/parts', (req, res) => {
     try {
-      const parts = buildParts();
+      if (search.isSearchRequest(req.query)) {
+        return res.json(searchCatalog(req.query, db));
+      }
+      const parts = buildParts(db);
+      addPriceLows(Object.values(parts).flat(), db);
       res.json(parts);
     } catch (error) {
+      if (error instanceof search.SearchError) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Error building parts:', error);
       res.status(500).json({ error: 'Failed to load parts' });
     }
   });
 
-  // GET /api/prices — returns prices.json from project root
+  // GET /api/parts.csv — the whole catalog as a spreadsheet (see csv.js)
+  app.get('/api/parts.csv', (req, res) => {
+    res.attachment('parts.csv');
+    res.type('text/csv');
+    res.send(toCsv(catalog.getEntries()));
+  });
+
+  // GET /api/parts/aliases — old part IDs mapped to their canonical IDs
+  app.get('/api/parts/aliases', (req, res) => {
+    res.json({ aliases: catalog.getAliases() });
+  });
+
+  // GET /api/parts/specs — spec field definitions per category (labels, types, values)
+  app.get('/api/parts/specs', (req, res) => {
+    res.json({ specs: SPEC_FIELDS });
+  });
+
+  // GET /api/parts/:id — one part with price, reviews, alerts, add-ons and related items
+  app.get('/api/parts/:id', (req, res) => {
+    const entry = catalog.getEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+
+    // Old IDs redirect to the canonical URL so links and caches converge
+    if (entry.id !== req.params.id) {
+      return res.redirect(301, `/api/parts/${encodeURIComponent(entry.id)}`);
+    }
+
+    try {
+      res.json(buildPartDetail(entry, db));
+    } catch (error) {
+      console.error('Error building part detail:', error);
+      res.status(500).json({ error: 'Failed to load part' });
+    }
+  });
+
+  // GET /api/prices — the latest checked price of every offer
   app.get('/api/prices', (req, res) => {
     try {
-      const pricesPath = path.join(__dirname, '..', '..', 'prices.json');
-      const data = JSON.parse(fs.readFileSync(pricesPath, 'utf8'));
-      res.json(data);
+      res.json(pricing.loadPrices(db));
     } catch (error) {
-      console.error('Error reading prices.json:', error);
+      console.error('Error loading prices:', error);
       res.status(500).json({ error: 'Failed to load prices' });
     }
   });
+
+  // GET /api/prices/:id/history — every recorded price of a part, oldest
+  // first and labelled with its vendor, with min/max/average per window
+  // (?windows=7d,30d,all)
+  app.get('/api/prices/:id/history', (req, res) => {
+    const entry = catalog.getEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Part not found' });
+    }
+
+    let windows;
+    try {
+      windows = history.parseWindows(req.query.windows);
+    } catch (error) {
+      if (error instanceof history.HistoryError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Label each reading with the vendor of its offer
+    const vendors = new Map(offersFor(entry).map(offer => [offer.key, offer.vendor]));
+    const { series, stats } = history.getHistory(db, catalog.idsFor(entry.id), windows);
+    series.forEach(point => { point.vendor = vendors.get(point.offer) || VENDOR_LABELS[point.source] || 'Vendor'; });
+    res.json({ id: entry.id, item: entry.name, windows: windows.map(window => window.name), stats, series });
+  });
 }
 
-module.exports = { mount, buildParts, CATEGORIES, AFFILIATE_TAG };
+module.exports = { mount, buildPart, buildParts, numericPrice, parsePrice, CATEGORIES };
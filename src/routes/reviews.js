@@ -1,15 +1,20 @@
 const crypto = require('crypto');
+const catalog = require('../catalog');
 
 function mount(app, db) {
   // GET /api/reviews/:productId — get reviews for a product
   app.get('/api/reviews/:productId', (req, res) => {
+    // Include reviews written under any of the part's previous IDs
+    const ids = catalog.idsFor(req.params.productId);
+    const placeholders = ids.map(() => '?').join(', ');
+
     const reviews = db.prepare(
-      'SELECT id, display_name, discord_handle, rating, title, body, created_at FROM reviews WHERE product_id = ? AND approved = 1 ORDER BY created_at DESC'
-    ).all(req.params.productId);
+      `SELECT id, display_name, discord_handle, rating, title, body, created_at FROM reviews WHERE product_id IN (${placeholders}) AND approved = 1 ORDER BY created_at DESC`
+    ).all(...ids);
 
     const avgRow = db.prepare(
-      'SELECT AVG(rating) as avg, COUNT(*) as count FROM reviews WHERE product_id = ? AND approved = 1'
-    ).get(req.params.productId);
+      `SELECT AVG(rating) as avg, COUNT(*) as count FROM reviews WHERE product_id IN (${placeholders}) AND approved = 1`
+    ).get(...ids);
 
     res.json({
       reviews,
@@ -30,9 +35,12 @@ function mount(app, db) {
       return res.status(400).json({ error: 'Rating must be 1-5' });
     }
 
+    // Store reviews against the canonical part ID
+    const productId = catalog.resolveId(product_id) || product_id;
+
     // Rate limit: 1 review per product per IP per 24h
     const ip = req.ip || req.socket.remoteAddress || '127.0.0.1';
-    const ipHash = crypto.createHash('sha256').update(ip + product_id).digest('hex').slice(0, 16);
+    const ipHash = crypto.createHash('sha256').update(ip + productId).digest('hex').slice(0, 16);
 
     const existing = db.prepare(
       "SELECT id FROM reviews WHERE ip_hash = ? AND created_at > datetime('now', '-1 day')"
@@ -45,7 +53,7 @@ function mount(app, db) {
     const stmt = db.prepare(
       'INSERT INTO reviews (product_id, display_name, discord_handle, rating, title, body, ip_hash) VALUES (?, ?, ?, ?, ?, ?, ?)'
     );
-    const result = stmt.run(product_id, display_name, discord_handle || null, rating, title || null, body, ipHash);
+    const result = stmt.run(productId, display_name, discord_handle || null, rating, title || null, body, ipHash);
 
     res.status(201).json({ id: Number(result.lastInsertRowid) });
   });
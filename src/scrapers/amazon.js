@@ -0,0 +1,30 @@
+/**
+ * Amazon product pages (/dp/<ASIN>). The buy box price is in the core price
+ * block; other .a-price elements on the page belong to other sellers and
+ * sponsored products, so they are only read when the core block is missing.
+ */
+
+const cheerio = require('cheerio');
+const { parseAmount, priceFromSelectors, availabilityFrom, titleFrom } = require('./common');
+
+function extract(html) {
+  const $ = cheerio.load(html);
+  let price = priceFromSelectors($, [
+    '#corePrice_feature_div .a-price .a-offscreen',
+    '#corePriceDisplay_desktop_feature_div .a-price .a-offscreen',
+    '.a-price .a-offscreen', '.a-price-whole', '.a-color-price',
+    '[data-a-color="price"] .a-offscreen',
+  ]);
+  if (price === null) {
+    const match = html.match(/\$\s*([\d,]+\.\d{2})/);
+    price = match ? parseAmount(match[1]) : null;
+  }
+
+  return {
+    price,
+    availability: availabilityFrom($, ['#availability', '#outOfStock']),
+    title: titleFrom($, ['#productTitle'])
+  };
+}
+
+module.exports = { name: 'amazon', extract };
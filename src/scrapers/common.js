@@ -0,0 +1,262 @@
+/**
+ * Helpers shared by the scraper adapters: fetching a product page and
+ * reading prices, stock status and titles out of it, plus page readers for
+ * the shop platforms several vendors run on (Shopify, WooCommerce,
+ * Magento).
+ */
+
+const cheerio = require('cheerio');
+const { availabilityFromText, availabilityFromSchema } = require('../availability');
+
+const USER_AGENTS = [
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+  'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Safari/605.1.15',
+];
+
+// Selectors whose text says whether most shops can sell the product now
+const STOCK_SELECTORS = ['.product-stock', '.stock', '.availability', '.sold-out', '.product-form__submit'];
+
+function randomUserAgent() {
+  return USER_AGENTS[Math.floor(Math.random() * USER_AGENTS.length)];
+}
+
+/**
+ * A Retry-After header value (seconds, or an HTTP date) in milliseconds
+ * from `now`, or null when there is none or it cannot be read.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) * 1000;
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Fetch a URL's body as text. Failed responses throw an Error carrying the
+ * HTTP `status` and, when the server sent one, `retryAfter` (milliseconds).
+ */
+async function fetchText(url, accept) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 8000);
+  try {
+    const res = await fetch(url, {
+      headers: {
+        'User-Agent': randomUserAgent(),
+        'Accept': accept,
+        'Accept-Language': 'en-US,en;q=0.9',
+      },
+      signal: controller.signal,
+    });
+    clearTimeout(timeout);
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status}`);
+      err.status = res.status;
+      err.retryAfter = parseRetryAfter(res.headers && res.headers.get('retry-after'));
+      throw err;
+    }
+    return await res.text();
+  } catch (e) {
+    clearTimeout(timeout);
+    throw e;
+  }
+}
+
+/**
+ * Fetch a product page's HTML.
+ */
+function fetchPage(url) {
+  return fetchText(url, 'text/html,application/xhtml+xml');
+}
+
+/**
+ * Fetch and parse a JSON document.
+ */
+async function fetchJson(url) {
+  return JSON.parse(await fetchText(url, 'application/json'));
+}
+
+/**
+ * The first amount in a price text ("$1,299.00", "US$24.90", "24.9"), or
+ * null when there is none.
+ */
+function parseAmount(text) {
+  const match = String(text || '').match(/(\d[\d,]*(?:\.\d+)?)/);
+  if (!match) return null;
+  const amount = parseFloat(match[1].replace(/,/g, ''));
+  return amount > 0 ? amount : null;
+}
+
+/**
+ * Price from the first selector whose text holds an amount.
+ */
+function priceFromSelectors($, selectors) {
+  for (const sel of selectors) {
+    const amount = parseAmount($(sel).first().text().trim());
+    if (amount !== null) return amount;
+  }
+  return null;
+}
+
+/**
+ * Price from the page's price meta tags (Open Graph / Facebook product
+ * tags and schema.org microdata), which most shop platforms emit.
+ */
+function metaPrice($) {
+  const tag = $([
+    'meta[property="og:price:amount"]',
+    'meta[property="product:price:amount"]',
+    'meta[itemprop="price"]',
+    '[itemprop="price"][content]'
+  ].join(', ')).first();
+  return parseAmount(tag.attr('content'));
+}
+
+/**
+ * Stock status from schema.org availability markup, then from the text of
+ * `selectors`. Returns null when the page does not say.
+ */
+function availabilityFrom($, selectors = STOCK_SELECTORS) {
+  const schema = $('[itemprop="availability"]').first();
+  const fromSchema = availabilityFromSchema(schema.attr('href') || schema.attr('content'));
+  if (fromSchema) return fromSchema;
+
+  for (const sel of selectors) {
+    const status = availabilityFromText($(sel).first().text().trim());
+    if (status) return status;
+  }
+  return null;
+}
+
+/**
+ * Product title: the first selector with text, else the Open Graph title,
+ * else the document title.
+ */
+function titleFrom($, selectors = ['h1']) {
+  for (const sel of selectors) {
+    const text = $(sel).first().text().replace(/\s+/g, ' ').trim();
+    if (text) return text;
+  }
+  const og = $('meta[property="og:title"]').attr('content');
+  if (og) return og.trim();
+  return $('title').first().text().trim() || null;
+}
+
+/**
+ * Shopify product pages. Themes show a sale price next to the struck-out
+ * regular one, so the sale price is read before the regular one.
+ */
+function shopifyPage(html) {
+  const $ = cheerio.load(html);
+  return {
+    price: priceFromSelectors($, [
+      '.price--on-sale .price-item--sale',
+      '.price-item--sale',
+      '.price-item--regular',
+      '.product__price',
+      '.product-single__price',
+      '.price'
+    ]),
+    availability: availabilityFrom($, ['.product-form__submit', '.product-form__inventory', '.product__inventory', '.sold-out']),
+    title: titleFrom($, ['.product__title h1', 'h1.product-single__title', 'h1'])
+  };
+}
+
+// WooCommerce stock classes (p.stock.<class>)
+const WOOCOMMERCE_STOCK = {
+  'in-stock': 'in-stock',
+  'available-on-backorder': 'backordered',
+  'out-of-stock': 'out-of-stock'
+};
+
+/**
+ * A WooCommerce variable product's variations, from the JSON its variation
+ * form carries (data-product_variations). Attribute values are often slugs
+ * ("10000mah"), which variants.matchVariant compares loosely.
+ */
+function wooCommerceVariants($) {
+  let variations;
+  try {
+    variations = JSON.parse($('form.variations_form').first().attr('data-product_variations') || '[]');
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(variations)) return [];
+  return variations
+    .filter(variation => variation && variation.variation_is_active !== false && parseAmount(variation.display_price) !== null)
+    .map(variation => {
+      const options = Object.values(variation.attributes || {}).filter(value => typeof value === 'string' && value);
+      // Backorderable variations count as in stock, saying so only in their stock line
+      let availability = variation.is_in_stock ? 'in-stock' : 'out-of-stock';
+      if (variation.is_in_stock && /backorder/i.test(variation.availability_html || '')) availability = 'backordered';
+      return {
+        id: variation.variation_id !== undefined ? variation.variation_id : null,
+        title: options.join(' / '),
+        options,
+        price: parseAmount(variation.display_price),
+        currency: null,
+        availability
+      };
+    });
+}
+
+/**
+ * WooCommerce product pages. A sale price is the <ins> after the struck-out
+ * <del>; variable products show a range, whose low end is used, and list
+ * their variations.
+ */
+function wooCommercePage(html) {
+  const $ = cheerio.load(html);
+  const stock = $('.summary .stock, .product .stock').first();
+  const stockClass = Object.keys(WOOCOMMERCE_STOCK).find(name => stock.hasClass(name));
+
+  return {
+    price: priceFromSelectors($, [
+      '.summary .price ins .woocommerce-Price-amount',
+      '.summary .price .woocommerce-Price-amount',
+      '.product .price ins .woocommerce-Price-amount',
+      '.product .price .woocommerce-Price-amount'
+    ]) || metaPrice($),
+    // Products without a stock line still say "Add to cart" when they can be bought
+    availability: stockClass
+      ? WOOCOMMERCE_STOCK[stockClass]
+      : availabilityFrom($, ['.summary .stock', '.single_add_to_cart_button']),
+    title: titleFrom($, ['.product_title', 'h1']),
+    variants: wooCommerceVariants($)
+  };
+}
+
+/**
+ * Magento 2 product pages. The final (after discounts) price carries its
+ * amount in data-price-amount.
+ */
+function magentoPage(html) {
+  const $ = cheerio.load(html);
+  const finalPrice = $('.product-info-main [data-price-type="finalPrice"]').first();
+  return {
+    price: parseAmount(finalPrice.attr('data-price-amount'))
+      || metaPrice($)
+      || priceFromSelectors($, ['.product-info-main .price-final_price .price', '.product-info-main .price']),
+    availability: availabilityFrom($, ['.product-info-main .stock', '.product-info-stock-sku .stock', '#product-addtocart-button']),
+    title: titleFrom($, ['h1.page-title .base', 'h1.page-title', 'h1'])
+  };
+}
+
+module.exports = {
+  STOCK_SELECTORS,
+  parseRetryAfter,
+  fetchText,
+  fetchPage,
+  fetchJson,
+  parseAmount,
+  priceFromSelectors,
+  metaPrice,
+  availabilityFrom,
+  titleFrom,
+  shopifyPage,
+  wooCommercePage,
+  magentoPage
+};
@@ -0,0 +1,7 @@
+/**
+ * Elecrow product pages (elecrow.com/<name>.html), a Magento shop.
+ */
+
+const { magentoPage } = require('./common');
+
+module.exports = { name: 'elecrow', extract: magentoPage };
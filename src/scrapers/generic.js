@@ -0,0 +1,29 @@
+/**
+ * Fallback for shops without an adapter, used when the page has no
+ * structured product data (see structured.js): price microdata, then common
+ * price classes, then the lowest plausible dollar amount on the page. The
+ * last step can pick up shipping or accessory prices, which is why vendors
+ * we check regularly get an adapter of their own.
+ */
+
+const cheerio = require('cheerio');
+const { parseAmount, priceFromSelectors, metaPrice, availabilityFrom, titleFrom } = require('./common');
+
+function extract(html) {
+  const $ = cheerio.load(html);
+  let price = metaPrice($) || priceFromSelectors($, [
+    '.price', '.product-price', '.current-price', '.sale-price',
+    '[data-product-price]', '.money', '.ProductPrice',
+    '.price--main', '.price-item--regular', '.price-item--sale',
+  ]);
+  if (price === null) {
+    const prices = [...html.matchAll(/\$\s*([\d,]+\.\d{2})/g)]
+      .map(m => parseAmount(m[1]))
+      .filter(p => p > 5 && p < 500);
+    price = prices.length > 0 ? Math.min(...prices) : null;
+  }
+
+  return { price, availability: availabilityFrom($), title: titleFrom($) };
+}
+
+module.exports = { name: 'generic', extract };
@@ -0,0 +1,9 @@
+/**
+ * Heltec product pages (heltec.org/project/<name>/), a WooCommerce shop.
+ * Most nodes are variable products priced as a range ("$39.00 – $59.00");
+ * the low end is the base board.
+ */
+
+const { wooCommercePage } = require('./common');
+
+module.exports = { name: 'heltec', extract: wooCommercePage };
@@ -0,0 +1,126 @@
+/**
+ * Scraper adapter registry for price-checker.js.
+ *
+ * An adapter reads one vendor's product pages:
+ *   name                 — the vendor source it handles
+ *   extract(html, url)   — reads the page with CSS selectors; returns
+ *                          { price, availability, title }, each null when
+ *                          the page does not say, plus optionally the
+ *                          page's variants (see variants.js)
+ *   match(url)           — optional; by default the vendor's hosts from
+ *                          src/vendors.json
+ *   fetch(url)           — optional; by default common.fetchPage
+ *   fetchProduct(url)    — optional; product data from a platform API
+ *                          (see structured.js), tried before the page
+ *
+ * Structured data is preferred: the adapter's fetchProduct(), then the
+ * page's JSON-LD and Open Graph tags; extract() only fills in what those
+ * leave out.
+ *
+ * Offers that name a variant get that variant's price (variants.js).
+ *
+ * Each vendor in src/vendors.json names its adapter module in this
+ * directory (`scraper`); URLs no adapter matches use the generic one.
+ */
+
+const path = require('path');
+const { VENDORS, onHosts } = require('../vendors');
+const { fetchPage } = require('./common');
+const structured = require('./structured');
+const { resolveVariant } = require('./variants');
+const generic = require('./generic');
+
+const adapters = [];
+const fallback = Object.assign({ fetch: fetchPage }, generic);
+
+/**
+ * Add an adapter. Adapters registered first win when several match a URL.
+ * @param {Object} adapter — see above
+ * @param {string[]} [hosts] — hosts to match when the adapter has no match()
+ */
+function register(adapter, hosts = []) {
+  if (!adapter || !adapter.name || typeof adapter.extract !== 'function') {
+    throw new Error('Scraper adapters need a name and an extract() function');
+  }
+  const match = adapter.match || (url => onHosts(url, hosts));
+  adapters.push(Object.assign({ fetch: fetchPage }, adapter, { match }));
+}
+
+/**
+ * The adapter for a product page URL.
+ */
+function adapterFor(url) {
+  return adapters.find(adapter => adapter.match(url)) || fallback;
+}
+
+/**
+ * Combine structured data with what the adapter's selectors read (a
+ * function, so the page is only parsed again when needed). The price and
+ * its currency always come from the same source.
+ */
+function merge(data, selectors) {
+  const variants = data && data.variants.length > 0 ? data.variants : selectors().variants || [];
+  if (data && data.price !== null) {
+    return {
+      price: data.price,
+      currency: data.currency,
+      availability: data.availability || selectors().availability,
+      title: data.title || selectors().title,
+      variants,
+      via: data.via
+    };
+  }
+  const read = selectors();
+  return {
+    price: read.price,
+    currency: null,
+    availability: read.availability,
+    title: read.title,
+    variants,
+    via: read.price !== null ? 'selectors' : null
+  };
+}
+
+/**
+ * Read a fetched product page with the URL's adapter.
+ * @param {string} url
+ * @param {string} html
+ * @param {Object} [options] — { variant }: the variant the offer means
+ * @returns {{ source, price, currency, availability, title, variants, variant, via }}
+ *   currency is null when the page does not name one; variant is the title
+ *   of the variant priced, null when the price is the product's; via is how
+ *   the price was found (json-ld, open-graph or selectors), null without a
+ *   price. See variants.resolveVariant for variants that are not found.
+ */
+function readPage(url, html, options = {}) {
+  const adapter = adapterFor(url);
+  let read = null;
+  const selectors = () => read || (read = adapter.extract(html, url));
+  const result = Object.assign({ source: adapter.name }, merge(structured.fromPage(html), selectors), { variant: null });
+  return resolveVariant(result, options.variant, url);
+}
+
+/**
+ * Fetch and read a product page. Adapters with fetchProduct() use its data
+ * when it has a price and only fetch the page otherwise.
+ * @param {string} url
+ * @param {Object} [options] — as for readPage
+ * @returns {Promise<Object>} as for readPage; via may also be shopify-json
+ */
+async function scrape(url, options = {}) {
+  const adapter = adapterFor(url);
+  if (adapter.fetchProduct) {
+    let product = null;
+    try {
+      product = await adapter.fetchProduct(url);
+    } catch { /* fall back to the page */ }
+    if (product && product.price !== null) {
+      return resolveVariant(Object.assign({ source: adapter.name }, product, { variant: null }), options.variant, url);
+    }
+  }
+  return readPage(url, await adapter.fetch(url), options);
+}
+
+VENDORS.forEach(vendor => register(require(path.join(__dirname, vendor.scraper)), vendor.hosts));
+
+module.exports = { register, adapterFor, readPage, scrape };
@@ -0,0 +1,9 @@
+/**
+ * LILYGO store (lilygo.cc/products/<name>), a Shopify shop: prices come from
+ * its product JSON, with the page as the fallback.
+ */
+
+const { shopifyPage } = require('./common');
+const { fetchShopifyProduct } = require('./structured');
+
+module.exports = { name: 'lilygo', extract: shopifyPage, fetchProduct: fetchShopifyProduct };
@@ -0,0 +1,9 @@
+/**
+ * Muzi Works store (muzi.works/products/<name>), a Shopify shop: prices come
+ * from its product JSON, with the page as the fallback.
+ */
+
+const { shopifyPage } = require('./common');
+const { fetchShopifyProduct } = require('./structured');
+
+module.exports = { name: 'muzi', extract: shopifyPage, fetchProduct: fetchShopifyProduct };
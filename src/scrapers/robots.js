@@ -0,0 +1,127 @@
+/**
+ * robots.txt support for the price checker. Each shop's robots.txt is
+ * fetched once per run; product pages it disallows for all crawlers
+ * (User-agent: *) are not checked, and its Crawl-delay widens the spacing
+ * between requests to the shop (see scheduler.js).
+ *
+ * Rules follow RFC 9309: the longest matching Allow or Disallow path wins,
+ * Allow on a tie; `*` matches any characters and a trailing `$` anchors the
+ * end of the path. A missing robots.txt (4xx) allows everything; one that
+ * cannot be fetched (5xx, network errors) disallows everything for the run.
+ */
+
+const { fetchText } = require('./common');
+
+const ALLOW_ALL = { rules: [], crawlDelay: null };
+const DISALLOW_ALL = { rules: [{ allow: false, path: '/', pattern: /^\// }], crawlDelay: null };
+
+function patternFor(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * The rules of a robots.txt that apply to every crawler:
+ * { rules: [{ allow, path, pattern }], crawlDelay } (seconds, or null).
+ */
+function parseRobots(text) {
+  const rules = [];
+  let crawlDelay = null;
+  let agents = [];
+  let inRules = false;
+
+  String(text || '').split(/\r?\n/).forEach(raw => {
+    const line = raw.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) return;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // A user-agent line after rules starts a new group
+      if (inRules) {
+        agents = [];
+        inRules = false;
+      }
+      agents.push(value.toLowerCase());
+      return;
+    }
+    inRules = true;
+    if (!agents.includes('*')) return;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      rules.push({ allow: field === 'allow', path: value, pattern: patternFor(value) });
+    } else if (field === 'crawl-delay' && Number(value) > 0) {
+      crawlDelay = Number(value);
+    }
+  });
+
+  return { rules, crawlDelay };
+}
+
+/**
+ * Whether robots rules (from parseRobots) allow fetching a URL.
+ */
+function isAllowed(robots, url) {
+  let target;
+  try {
+    const parsed = new URL(url);
+    target = parsed.pathname + parsed.search;
+  } catch {
+    return false;
+  }
+
+  let best = null;
+  robots.rules.forEach(rule => {
+    if (!rule.pattern.test(target)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetch and parse an origin's robots.txt ("https://shop.example").
+ * Transient failures are thrown so the caller can retry them; see above
+ * for what failures mean.
+ */
+async function fetchRobots(origin) {
+  try {
+    return parseRobots(await fetchText(`${origin}/robots.txt`, 'text/plain'));
+  } catch (err) {
+    if (err.status >= 400 && err.status < 500 && err.status !== 429) return ALLOW_ALL;
+    throw err;
+  }
+}
+
+/**
+ * A robots.txt lookup for one run, fetching each origin's rules once.
+ * Origins whose robots.txt cannot be fetched are treated as disallowing
+ * everything.
+ * @param {Function} [load] — (origin) => Promise of parseRobots rules;
+ *   defaults to fetchRobots
+ * @returns {Function} (url) => Promise<{ allowed, crawlDelay }>
+ */
+function createRobots(load = fetchRobots) {
+  const byOrigin = new Map();
+  return async url => {
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch {
+      return { allowed: false, crawlDelay: null };
+    }
+    if (!byOrigin.has(origin)) {
+      byOrigin.set(origin, Promise.resolve().then(() => load(origin)).catch(() => DISALLOW_ALL));
+    }
+    const robots = await byOrigin.get(origin);
+    return { allowed: isAllowed(robots, url), crawlDelay: robots.crawlDelay };
+  };
+}
+
+module.exports = { parseRobots, isAllowed, fetchRobots, createRobots };
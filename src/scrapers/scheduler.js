@@ -0,0 +1,162 @@
+/**
+ * Polite request scheduling for the price checker. Products are grouped by
+ * host: each host's products are checked one after another, with at least
+ * the host's spacing between requests, while up to `concurrency` hosts are
+ * worked on at once.
+ *
+ * Transient failures (timeouts, network errors, 429 and 5xx responses) are
+ * retried with exponential backoff and jitter. A Retry-After from the
+ * server sets the wait instead, and holds back the host's other requests
+ * too; one longer than `maxDelay` is not waited for.
+ */
+
+// Statuses worth another try
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const DEFAULTS = {
+  concurrency: 4,
+  spacing: 1500,
+  retries: 3,
+  baseDelay: 2000,
+  maxDelay: 60000
+};
+
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * True for failures another try may get past. Fetch errors without a
+ * status are network failures (with a `cause`) or timeouts (AbortError).
+ */
+function isTransient(err) {
+  if (!err) return false;
+  if (err.status) return TRANSIENT_STATUSES.includes(err.status);
+  return err.name === 'AbortError' || err.name === 'TimeoutError' || Boolean(err.cause && err.cause.code);
+}
+
+/**
+ * How long to wait before retry number `attempt` (0 for the first), or null
+ * when the server asks for a longer wait than `maxDelay`. Without a
+ * Retry-After the delay doubles per attempt, randomised over its upper half.
+ */
+function retryDelay(attempt, err, { baseDelay, maxDelay, random }) {
+  if (typeof err.retryAfter === 'number') {
+    return err.retryAfter <= maxDelay ? err.retryAfter : null;
+  }
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * Create a scheduler.
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] — hosts worked on at once
+ * @param {Function} [options.spacingFor] — (host) => milliseconds between
+ *   its requests; defaults to `spacing` for every host
+ * @param {number} [options.retries] — retries per request
+ * @param {number} [options.baseDelay] — first backoff delay (ms)
+ * @param {number} [options.maxDelay] — longest wait for a retry (ms)
+ * @param {number} [options.deadline] — time (ms since the epoch) after
+ *   which run() starts no more tasks
+ * @param {Function} [options.onRetry] — (url, err, delay, attempt), for logging
+ * @param {Function} [options.sleep], [options.now], [options.random] — for tests
+ * @returns {{ request, run, setSpacing }}
+ */
+function createScheduler(options = {}) {
+  const settings = Object.assign({}, DEFAULTS, {
+    sleep: defaultSleep,
+    now: Date.now,
+    random: Math.random,
+    onRetry: () => {}
+  }, options);
+  const spacingFor = settings.spacingFor || (() => settings.spacing);
+  const { sleep, now } = settings;
+
+  // host -> { nextAt, spacing }: when its next request may start
+  const hosts = new Map();
+  const stateOf = host => {
+    if (!hosts.has(host)) hosts.set(host, { nextAt: 0, spacing: spacingFor(host) });
+    return hosts.get(host);
+  };
+
+  /**
+   * Widen a host's spacing (e.g. to its robots.txt Crawl-delay). Spacing
+   * is never narrowed.
+   */
+  function setSpacing(url, ms) {
+    const state = stateOf(hostOf(url));
+    state.spacing = Math.max(state.spacing, ms);
+  }
+
+  /**
+   * Make a request to a URL's host with `fn`, once the host's spacing has
+   * passed, retrying transient failures. Resolves to what fn resolves to;
+   * the last failure is thrown.
+   */
+  async function request(url, fn) {
+    const state = stateOf(hostOf(url));
+    for (let attempt = 0; ; attempt++) {
+      const wait = state.nextAt - now();
+      if (wait > 0) await sleep(wait);
+      try {
+        return await fn();
+      } catch (err) {
+        const delay = attempt < settings.retries && isTransient(err) ? retryDelay(attempt, err, settings) : null;
+        if (delay === null) throw err;
+        settings.onRetry(url, err, delay, attempt);
+        state.nextAt = Math.max(state.nextAt, now() + delay);
+      } finally {
+        state.nextAt = Math.max(state.nextAt, now() + state.spacing);
+      }
+    }
+  }
+
+  /**
+   * Run `task` for every item, grouped by the host of urlOf(item). The
+   * hosts with the most items start first. Items not started by the
+   * deadline are skipped; a task that throws does not stop the others.
+   * @returns {Promise<{ done: Array, skipped: Array, failed: Array<{ item, error }> }>}
+   */
+  async function run(items, urlOf, task) {
+    const lanes = new Map();
+    items.forEach(item => {
+      const host = hostOf(urlOf(item));
+      if (!lanes.has(host)) lanes.set(host, []);
+      lanes.get(host).push(item);
+    });
+    const queue = [...lanes.values()].sort((a, b) => b.length - a.length);
+    const result = { done: [], skipped: [], failed: [] };
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        for (const item of queue.shift()) {
+          if (settings.deadline && now() >= settings.deadline) {
+            result.skipped.push(item);
+            continue;
+          }
+          try {
+            await task(item);
+            result.done.push(item);
+          } catch (error) {
+            result.failed.push({ item, error });
+          }
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(settings.concurrency, queue.length) }, worker));
+    return result;
+  }
+
+  return { request, run, setSpacing };
+}
+
+module.exports = { TRANSIENT_STATUSES, isTransient, retryDelay, createScheduler };
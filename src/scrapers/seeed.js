@@ -0,0 +1,26 @@
+/**
+ * Seeed Studio product pages (seeedstudio.com/...-p-<id>.html).
+ */
+
+const cheerio = require('cheerio');
+const { parseAmount, priceFromSelectors, availabilityFrom, titleFrom } = require('./common');
+
+function extract(html) {
+  const $ = cheerio.load(html);
+  let price = priceFromSelectors($, [
+    '.product-price .price', '.pro-price', '#product_price',
+    '[data-product-price]', '.price--main .money', '.product__price',
+  ]);
+  if (price === null) {
+    const match = html.match(/\$\s*([\d,]+\.\d{2})/);
+    price = match ? parseAmount(match[1]) : null;
+  }
+
+  return {
+    price,
+    availability: availabilityFrom($),
+    title: titleFrom($, ['.product-info-main h1', 'h1'])
+  };
+}
+
+module.exports = { name: 'seeed', extract };
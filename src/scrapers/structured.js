@@ -0,0 +1,241 @@
+/**
+ * Structured product data: what a shop states about a product for search
+ * engines and its own storefront, rather than what its theme happens to
+ * print. Read before any CSS selectors (see index.js), in this order:
+ *
+ *   1. Shopify's product JSON (/products/<handle>.js), for Shopify vendors
+ *   2. schema.org Product JSON-LD (offers with price, currency, availability)
+ *   3. Open Graph product tags (og:price:amount, og:price:currency, ...)
+ *
+ * Each reader returns { price, currency, availability, title, variants, via },
+ * with null for what the source does not say; `via` names the source and
+ * `variants` lists the product's variants (see variants.js), empty when the
+ * source lists none.
+ */
+
+const cheerio = require('cheerio');
+const { fetchJson, parseAmount } = require('./common');
+const { variantIdFromUrl } = require('./variants');
+const { availabilityFromText, availabilityFromSchema, combineAvailability } = require('../availability');
+
+// Open Graph / Facebook product availability values
+const OG_AVAILABILITY = {
+  'instock': 'in-stock',
+  'in stock': 'in-stock',
+  'available for order': 'backordered',
+  'preorder': 'backordered',
+  'pending': 'backordered',
+  'oos': 'out-of-stock',
+  'out of stock': 'out-of-stock',
+  'discontinued': 'out-of-stock'
+};
+
+function typesOf(node) {
+  return [].concat(node['@type'] || []);
+}
+
+/**
+ * Every schema.org Product (or ProductGroup) in the page's JSON-LD blocks,
+ * including ones nested in @graph or under other nodes. Blocks that are not
+ * valid JSON are skipped.
+ */
+function jsonLdProducts($) {
+  const products = [];
+  const visit = node => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== 'object') return;
+    if (typesOf(node).some(type => type === 'Product' || type === 'ProductGroup')) {
+      products.push(node);
+      return;
+    }
+    Object.values(node).forEach(visit);
+  };
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      visit(JSON.parse($(el).contents().text()));
+    } catch { /* malformed block */ }
+  });
+  return products;
+}
+
+/**
+ * A product's offers as { price, currency, availability }: its own offers
+ * (AggregateOffer ranges count as their low price) and those of its
+ * variants.
+ */
+function offersOf(product) {
+  const offers = [];
+  const add = offer => {
+    if (Array.isArray(offer)) return offer.forEach(add);
+    if (!offer || typeof offer !== 'object') return;
+    if (Array.isArray(offer.offers)) offer.offers.forEach(add);
+    const spec = [].concat(offer.priceSpecification || [])[0] || {};
+    const price = parseAmount(offer.price !== undefined ? offer.price : offer.lowPrice !== undefined ? offer.lowPrice : spec.price);
+    if (price === null) return;
+    offers.push({
+      price,
+      currency: offer.priceCurrency || spec.priceCurrency || null,
+      availability: availabilityFromSchema(offer.availability)
+    });
+  };
+  add(product.offers);
+  [].concat(product.hasVariant || []).forEach(variant => add(variant.offers));
+  return offers;
+}
+
+/**
+ * A product's variants: its ProductGroup variants, or its offers when it
+ * lists several named ones. IDs come from the offer URL's ?variant=.
+ */
+function variantsOf(product) {
+  const variant = (title, node) => {
+    const offer = bestOffer(offersOf(node));
+    if (!offer || typeof title !== 'string' || !title.trim()) return null;
+    const firstOffer = [].concat(node.offers || [])[0] || {};
+    return {
+      id: variantIdFromUrl(node.url || firstOffer.url),
+      title: title.trim(),
+      options: [],
+      price: offer.price,
+      currency: offer.currency,
+      availability: offer.availability
+    };
+  };
+
+  const groupVariants = [].concat(product.hasVariant || []).filter(node => node && typeof node === 'object');
+  if (groupVariants.length > 0) {
+    return groupVariants.map(node => variant(node.name, node)).filter(Boolean);
+  }
+  const offers = [].concat(product.offers || []).filter(offer => offer && typeof offer === 'object');
+  if (offers.length < 2) return [];
+  return offers.map(offer => variant(offer.name, { url: offer.url, offers: offer })).filter(Boolean);
+}
+
+/**
+ * The price to report from a list of offers: the cheapest one that can be
+ * bought now, else the cheapest. The availability covers all offers.
+ */
+function bestOffer(offers) {
+  if (offers.length === 0) return null;
+  const available = offers.filter(offer => offer.availability === 'in-stock');
+  const cheapest = (available.length > 0 ? available : offers)
+    .reduce((best, offer) => (offer.price < best.price ? offer : best));
+  return Object.assign({}, cheapest, { availability: combineAvailability(offers.map(offer => offer.availability)) });
+}
+
+/**
+ * Product data from schema.org JSON-LD, or null when the page has no
+ * product with a price.
+ */
+function fromJsonLd($) {
+  for (const product of jsonLdProducts($)) {
+    const offer = bestOffer(offersOf(product));
+    if (!offer) continue;
+    return {
+      price: offer.price,
+      currency: offer.currency,
+      availability: offer.availability,
+      title: typeof product.name === 'string' ? product.name.trim() : null,
+      variants: variantsOf(product),
+      via: 'json-ld'
+    };
+  }
+  return null;
+}
+
+function metaContent($, names) {
+  const tag = $(names.map(name => `meta[property="${name}"]`).join(', ')).first();
+  const content = tag.attr('content');
+  return content ? content.trim() : null;
+}
+
+/**
+ * Product data from Open Graph product tags, or null when there is no
+ * price tag.
+ */
+function fromOpenGraph($) {
+  const price = parseAmount(metaContent($, ['og:price:amount', 'product:price:amount']));
+  if (price === null) return null;
+  const availability = (metaContent($, ['og:availability', 'product:availability']) || '').toLowerCase();
+  return {
+    price,
+    currency: metaContent($, ['og:price:currency', 'product:price:currency']),
+    availability: Object.hasOwn(OG_AVAILABILITY, availability) ? OG_AVAILABILITY[availability] : availabilityFromText(availability),
+    title: metaContent($, ['og:title']),
+    variants: [],
+    via: 'open-graph'
+  };
+}
+
+/**
+ * Structured product data in a page: JSON-LD, then Open Graph. Returns
+ * null when neither states a price.
+ */
+function fromPage(html) {
+  const $ = cheerio.load(html);
+  return fromJsonLd($) || fromOpenGraph($);
+}
+
+/**
+ * The Shopify product JSON URL for a product page URL
+ * (…/products/<handle> → …/products/<handle>.js), or null for other pages.
+ */
+function shopifyJsonUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  const match = parsed.pathname.match(/\/products\/([^/.]+)\/?$/);
+  return match ? `${parsed.origin}/products/${match[1]}.js` : null;
+}
+
+/**
+ * Product data from Shopify product JSON (prices are in cents, in the
+ * shop's currency, which the JSON does not name). Returns null when it has
+ * no priced variant.
+ */
+function fromShopifyJson(product) {
+  const variants = (product.variants || [])
+    .filter(variant => typeof variant.price === 'number' && variant.price > 0)
+    .map(variant => ({
+      id: variant.id !== undefined ? variant.id : null,
+      title: variant.title || '',
+      options: Array.isArray(variant.options)
+        ? variant.options
+        : [variant.option1, variant.option2, variant.option3].filter(Boolean),
+      price: variant.price / 100,
+      currency: null,
+      availability: variant.available ? 'in-stock' : 'out-of-stock'
+    }));
+  const offer = bestOffer(variants);
+  if (!offer) return null;
+  return {
+    price: offer.price,
+    currency: null,
+    availability: offer.availability,
+    title: product.title || null,
+    variants,
+    via: 'shopify-json'
+  };
+}
+
+/**
+ * Fetch a Shopify product page's product JSON. Resolves to null for URLs
+ * that are not product pages; fetch errors are thrown.
+ */
+async function fetchShopifyProduct(url) {
+  const jsonUrl = shopifyJsonUrl(url);
+  return jsonUrl ? fromShopifyJson(await fetchJson(jsonUrl)) : null;
+}
+
+module.exports = {
+  fromPage,
+  fromJsonLd,
+  fromOpenGraph,
+  shopifyJsonUrl,
+  fromShopifyJson,
+  fetchShopifyProduct
+};
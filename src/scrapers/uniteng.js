@@ -0,0 +1,8 @@
+/**
+ * Unit Engineering shop (shop.uniteng.com/product/<name>/), a WooCommerce
+ * shop.
+ */
+
+const { wooCommercePage } = require('./common');
+
+module.exports = { name: 'uniteng', extract: wooCommercePage };
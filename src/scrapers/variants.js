@@ -0,0 +1,107 @@
+/**
+ * Product variants: the frequency band, pack size or bundle a shop sells
+ * one product page in. A catalog entry or offer names the variant it means
+ * in `variant` ("915MHz", "3-pack", "915 MHz / with case"), and the price
+ * checker reports that variant's price instead of the page's lowest one.
+ *
+ * Variants read from a shop are { id, title, options, price, currency,
+ * availability }: id is the shop's variant ID (null when not known) and
+ * options the values the variant is chosen by (["915MHz", "With case"]).
+ */
+
+/**
+ * Text reduced to lowercase letters and digits, so "915 MHz", "915MHz" and
+ * "915-mhz" compare equal.
+ */
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * The terms of a declared variant, split on "/" or ",".
+ */
+function variantTerms(declared) {
+  return String(declared || '').split(/[/,]/).map(normalize).filter(Boolean);
+}
+
+/**
+ * The variant ID a product URL selects (Shopify's ?variant=<id>), or null.
+ */
+function variantIdFromUrl(url) {
+  try {
+    return new URL(url).searchParams.get('variant') || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The cheapest variant that can be bought now, else the cheapest.
+ */
+function cheapest(variants) {
+  const available = variants.filter(variant => variant.availability === 'in-stock');
+  return (available.length > 0 ? available : variants)
+    .reduce((best, variant) => (variant.price < best.price ? variant : best));
+}
+
+/**
+ * Find the variant an offer means. A variant ID in the URL wins; otherwise
+ * every declared term must be one of the variant's options or part of its
+ * title. Variants matching the declaration exactly beat ones that only
+ * contain it ("915MHz" over "915MHz / With case"); among several, the
+ * cheapest in stock is used. Returns null when none match.
+ * @param {Array} variants — the shop's variants
+ * @param {string} [declared] — the catalog's `variant`
+ * @param {string} [url] — the product URL
+ */
+function matchVariant(variants, declared, url) {
+  const id = variantIdFromUrl(url);
+  const byId = id && variants.find(variant => variant.id !== null && String(variant.id) === id);
+  if (byId) return byId;
+
+  const terms = variantTerms(declared);
+  if (terms.length === 0) return null;
+  const matches = variants.filter(variant => {
+    const options = variant.options.map(normalize);
+    const title = normalize(variant.title);
+    return terms.every(term => options.includes(term) || title.includes(term));
+  });
+  if (matches.length === 0) return null;
+
+  const exact = matches.filter(variant =>
+    normalize(variant.title) === terms.join('') ||
+    (variant.options.length === terms.length && variant.options.every(option => terms.includes(normalize(option)))));
+  return cheapest(exact.length > 0 ? exact : matches);
+}
+
+/**
+ * Narrow a scrape result to the variant an offer means. Results for offers
+ * that name no variant (in the catalog or the URL) are returned as they
+ * are. When the named variant is not among the result's variants, the price
+ * and availability are cleared, as the product's may be another variant's,
+ * and `unmatchedVariant` holds the declared variant.
+ * @param {Object} result — from scrapers.readPage or scrapers.scrape
+ * @param {string} [declared] — the catalog's `variant`
+ * @param {string} [url] — the product URL
+ */
+function resolveVariant(result, declared, url) {
+  const match = matchVariant(result.variants, declared, url);
+  if (match) {
+    return Object.assign({}, result, {
+      price: match.price,
+      currency: match.currency,
+      availability: match.availability || result.availability,
+      variant: match.title
+    });
+  }
+  if (!declared) return result;
+  return Object.assign({}, result, {
+    price: null,
+    currency: null,
+    availability: null,
+    variant: null,
+    unmatchedVariant: declared
+  });
+}
+
+module.exports = { normalize, variantTerms, variantIdFromUrl, matchVariant, resolveVariant };
@@ -0,0 +1,360 @@
+/**
+ * Server-side catalog search: free-text matching, filters, sorting,
+ * pagination and category/spec facets over the parts built by routes/parts.js.
+ */
+
+const { allSpecFields } = require('./specs');
+const { REGIONS, availableIn } = require('./regions');
+const { withChildren } = require('./categories');
+const { AVAILABILITY } = require('./availability');
+
+const SORTS = ['default', 'relevance', 'name', 'price-asc', 'price-desc'];
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+const SPEC_FIELDS = allSpecFields();
+
+// Spec filter parameters: the field name for enum/list/boolean specs
+// (e.g. chipset=nRF52840,ESP32-S3 or gps=true) and min/max bounds for
+// number specs (e.g. minGainDbi=5)
+const SPEC_PARAMS = [];
+for (const [field, def] of Object.entries(SPEC_FIELDS)) {
+  if (def.type === 'number') {
+    SPEC_PARAMS.push(boundParam('min', field), boundParam('max', field));
+  } else if (def.type !== 'string') {
+    SPEC_PARAMS.push(field);
+  }
+}
+
+// Query parameters that switch /api/parts from the grouped view to search results
+const SEARCH_PARAMS = ['q', 'category', 'minPrice', 'maxPrice', 'source', 'community', 'region', 'availability', 'sort', 'page', 'limit']
+  .concat(SPEC_PARAMS);
+
+class SearchError extends Error {}
+
+/**
+ * Lowercase and strip accents so "Écran" matches "ecran".
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Remove everything but letters and digits so "tbeam" matches "T-Beam".
+ */
+function compact(text) {
+  return text.replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split a query into normalized tokens.
+ */
+function tokenize(query) {
+  return normalize(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Score how well a part matches every query token. Returns 0 when any token
+ * is missing. Name matches outweigh notes/category matches, and matches at
+ * the start of a word outweigh matches mid-word.
+ */
+function scorePart(part, tokens) {
+  const name = normalize(part.item);
+  const rest = normalize([part.notes, part.category, part.asin, part.communityMaker].join(' '));
+  const nameCompact = compact(name);
+  const restCompact = compact(rest);
+  let score = 0;
+
+  for (const token of tokens) {
+    const tokenCompact = compact(token);
+    if (new RegExp(`(^|[^a-z0-9])${escapeRegExp(token)}`).test(name)) {
+      score += 3;
+    } else if (name.includes(token) || (tokenCompact && nameCompact.includes(tokenCompact))) {
+      score += 2;
+    } else if (rest.includes(token) || (tokenCompact && restCompact.includes(tokenCompact))) {
+      score += 1;
+    } else {
+      return 0;
+    }
+  }
+
+  return score;
+}
+
+function boundParam(prefix, field) {
+  return prefix + field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a comma-separated query value into a list (or null when absent).
+ */
+function parseList(value) {
+  if (value == null || value === '') return null;
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parseNumber(value, name) {
+  if (value == null || value === '') return null;
+  const num = Number(value);
+  if (!Number.isFinite(num)) throw new SearchError(`Invalid ${name}: must be a number`);
+  return num;
+}
+
+function parseBoolean(value, name) {
+  if (value == null || value === '') return null;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  throw new SearchError(`Invalid ${name}: must be true or false`);
+}
+
+/**
+ * Parse spec filter parameters into a list of { field, type, ... } filters.
+ */
+function parseSpecFilters(query) {
+  const filters = [];
+  for (const [field, def] of Object.entries(SPEC_FIELDS)) {
+    if (def.type === 'number') {
+      const min = parseNumber(query[boundParam('min', field)], boundParam('min', field));
+      const max = parseNumber(query[boundParam('max', field)], boundParam('max', field));
+      if (min !== null || max !== null) filters.push({ field, type: def.type, min, max });
+    } else if (def.type === 'boolean') {
+      const value = parseBoolean(query[field], field);
+      if (value !== null) filters.push({ field, type: def.type, value });
+    } else if (def.type !== 'string') {
+      const values = parseList(query[field]);
+      if (!values) continue;
+      const known = values.map(value => def.values.find(v => v.toLowerCase() === value.toLowerCase()));
+      if (known.includes(undefined)) {
+        throw new SearchError(`Invalid ${field}: must be one of ${def.values.join(', ')}`);
+      }
+      filters.push({ field, type: def.type, values: known });
+    }
+  }
+  return filters;
+}
+
+/**
+ * True when a part's specs pass a spec filter. Parts without the spec never
+ * match. enum filters match any of the values; list filters (e.g. cable
+ * connectors) need all of them.
+ */
+function matchesSpec(part, filter) {
+  const value = (part.specs || {})[filter.field];
+  if (value === undefined) return false;
+
+  switch (filter.type) {
+    case 'number':
+      return (filter.min === null || value >= filter.min) && (filter.max === null || value <= filter.max);
+    case 'boolean':
+      return value === filter.value;
+    case 'list':
+      return filter.values.every(v => value.includes(v));
+    default:
+      return filter.values.includes(value);
+  }
+}
+
+/**
+ * Count spec values across results. Each field's counts ignore that field's
+ * own filter, so the counts show what selecting another value would give.
+ * Number specs report their { min, max } range instead.
+ */
+function specFacets(results, filters) {
+  const facets = {};
+  for (const [field, def] of Object.entries(SPEC_FIELDS)) {
+    if (def.type === 'string') continue;
+    const others = filters.filter(f => f.field !== field);
+
+    results.forEach(({ part }) => {
+      const value = (part.specs || {})[field];
+      if (value === undefined || !others.every(f => matchesSpec(part, f))) return;
+
+      if (def.type === 'number') {
+        const range = facets[field] || (facets[field] = { min: value, max: value });
+        range.min = Math.min(range.min, value);
+        range.max = Math.max(range.max, value);
+      } else {
+        const counts = facets[field] || (facets[field] = {});
+        (def.type === 'list' ? value : [value]).forEach(v => {
+          counts[v] = (counts[v] || 0) + 1;
+        });
+      }
+    });
+  }
+  return facets;
+}
+
+/**
+ * Parse the category filter. Aliases resolve to their category and a
+ * parent category includes its children (category=Power also matches Solar).
+ */
+function parseCategories(value) {
+  const list = parseList(value);
+  if (!list) return null;
+  return [...new Set(list.flatMap(withChildren))];
+}
+
+/**
+ * Validate and normalize raw query-string parameters.
+ * Throws SearchError on invalid input.
+ */
+function parseSearchParams(query) {
+  const sort = query.sort || 'default';
+  if (!SORTS.includes(sort)) {
+    throw new SearchError(`Invalid sort: must be one of ${SORTS.join(', ')}`);
+  }
+
+  const page = query.page != null ? parseNumber(query.page, 'page') : 1;
+  if (!Number.isInteger(page) || page < 1) throw new SearchError('Invalid page: must be a positive integer');
+
+  const limit = query.limit != null ? parseNumber(query.limit, 'limit') : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new SearchError(`Invalid limit: must be an integer from 1 to ${MAX_LIMIT}`);
+  }
+
+  const region = query.region || null;
+  if (region !== null && !Object.hasOwn(REGIONS, region)) {
+    throw new SearchError(`Invalid region: must be one of ${Object.keys(REGIONS).join(', ')}`);
+  }
+
+  const availability = parseList(query.availability);
+  if (availability && !availability.every(status => Object.hasOwn(AVAILABILITY, status))) {
+    throw new SearchError(`Invalid availability: must be one of ${Object.keys(AVAILABILITY).join(', ')}`);
+  }
+
+  return {
+    q: String(query.q || '').trim(),
+    categories: parseCategories(query.category),
+    minPrice: parseNumber(query.minPrice, 'minPrice'),
+    maxPrice: parseNumber(query.maxPrice, 'maxPrice'),
+    sources: parseList(query.source),
+    community: parseBoolean(query.community, 'community'),
+    region,
+    availability,
+    specs: parseSpecFilters(query),
+    sort,
+    page,
+    limit
+  };
+}
+
+/**
+ * True when the request carries any search parameter.
+ */
+function isSearchRequest(query) {
+  return SEARCH_PARAMS.some(key => query[key] !== undefined);
+}
+
+/**
+ * Every vendor a part can be bought from — one per offer, or its single
+ * source when it has no offers.
+ */
+function sourcesOf(part) {
+  return part.offers && part.offers.length > 0 ? part.offers.map(offer => offer.source) : [part.source];
+}
+
+/**
+ * Search a flat list of parts.
+ * @param {Array} parts — parts as built by buildPart()
+ * @param {Object} params — output of parseSearchParams()
+ * @param {Function} priceOf — part -> numeric price (or null when unknown)
+ * @returns {{ items, total, page, limit, pages, facets }}
+ */
+function searchParts(parts, params, priceOf) {
+  const tokens = tokenize(params.q);
+
+  // Everything except the category and spec filters, so facets can show counts for other values too
+  const matched = [];
+  parts.forEach((part, index) => {
+    const score = tokens.length > 0 ? scorePart(part, tokens) : 1;
+    if (score === 0) return;
+
+    if (params.sources && !sourcesOf(part).some(source => params.sources.includes(source))) return;
+    if (params.community !== null && Boolean(part.community) !== params.community) return;
+    if (params.region && !availableIn(part, params.region)) return;
+    if (params.availability && !params.availability.includes(part.availability)) return;
+
+    const price = priceOf(part);
+    if (params.minPrice !== null && (price === null || price < params.minPrice)) return;
+    if (params.maxPrice !== null && (price === null || price > params.maxPrice)) return;
+
+    matched.push({ part, score, price, index });
+  });
+
+  const specFilters = params.specs || [];
+  const withSpecs = matched.filter(({ part }) => specFilters.every(f => matchesSpec(part, f)));
+
+  const categories = {};
+  withSpecs.forEach(({ part }) => {
+    categories[part.category] = (categories[part.category] || 0) + 1;
+  });
+
+  const inCategory = params.categories
+    ? matched.filter(({ part }) => params.categories.includes(part.category))
+    : matched;
+  const results = params.categories
+    ? withSpecs.filter(({ part }) => params.categories.includes(part.category))
+    : withSpecs;
+
+  sortResults(results, params.sort === 'default' && tokens.length > 0 ? 'relevance' : params.sort);
+
+  const total = results.length;
+  const start = (params.page - 1) * params.limit;
+
+  return {
+    items: results.slice(start, start + params.limit).map(r => r.part),
+    total,
+    page: params.page,
+    limit: params.limit,
+    pages: Math.ceil(total / params.limit),
+    facets: { categories, specs: specFacets(inCategory, specFilters) }
+  };
+}
+
+/**
+ * Sort results in place. Unpriced parts sort last for price sorts; ties keep
+ * catalog order.
+ */
+function sortResults(results, sort) {
+  const byIndex = (a, b) => a.index - b.index;
+  const missingLast = (a, b, cmp) => {
+    if (a.price === null && b.price === null) return byIndex(a, b);
+    if (a.price === null) return 1;
+    if (b.price === null) return -1;
+    return cmp || byIndex(a, b);
+  };
+
+  switch (sort) {
+    case 'relevance':
+      results.sort((a, b) => (b.score - a.score) || byIndex(a, b));
+      break;
+    case 'name':
+      results.sort((a, b) => a.part.item.localeCompare(b.part.item) || byIndex(a, b));
+      break;
+    case 'price-asc':
+      results.sort((a, b) => missingLast(a, b, a.price - b.price));
+      break;
+    case 'price-desc':
+      results.sort((a, b) => missingLast(a, b, b.price - a.price));
+      break;
+    default:
+      results.sort(byIndex);
+  }
+}
+
+module.exports = {
+  SearchError,
+  SORTS,
+  parseSearchParams,
+  isSearchRequest,
+  searchParts,
+  scorePart,
+  tokenize
+};
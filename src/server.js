@@ -4,10 +4,19 @@ const path = require('path');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { initDB } = require('./db');
+const catalog = require('./catalog');
+const pricing = require('./pricing');
+const { validateEntries, formatProblems, ValidationError } = require('./validate');
+const { validateKits } = require('./kits');
 const partsRoutes = require('./routes/parts');
 const reviewsRoutes = require('./routes/reviews');
 const alertsRoutes = require('./routes/alerts');
 const imagesRoutes = require('./routes/images');
+const adminRoutes = require('./routes/admin');
+const linksRoutes = require('./routes/links');
+const categoriesRoutes = require('./routes/categories');
+const kitsRoutes = require('./routes/kits');
+const feedsRoutes = require('./routes/feeds');
 
 /**
  * Start the application. Returns a promise resolving to
@@ -21,6 +30,27 @@ async function start() {
   // Initialize database
   const db = initDB(DB_PATH);
 
+  // Load the parts catalog (imports data/parts.json on first run)
+  catalog.init(db);
+
+  // Carry over the price checker's former data/prices.json on first run
+  const importedPrices = pricing.importLegacyPrices(db);
+  if (importedPrices > 0) console.log(`Imported ${importedPrices} prices from prices.json`);
+
+  // Report catalog and kit problems; with CATALOG_STRICT=true refuse to start instead
+  const entries = catalog.getEntries();
+  const problems = validateEntries(entries).concat(validateKits(entries));
+  if (problems.length > 0) {
+    console.warn(`Catalog validation found ${problems.length} problem(s):\n${formatProblems(problems)}`);
+    if (process.env.CATALOG_STRICT === 'true') {
+      db.close();
+      throw new ValidationError(problems);
+    }
+  }
+
+  // Pick up later edits to parts.json without a restart
+  catalog.watch();
+
   const app = express();
 
   // Trust proxy (required for rate limiting behind Traefik)
@@ -70,10 +100,15 @@ async function start() {
   app.use(express.static(path.join(__dirname, '..', 'public')));
 
   // Mount API routes
-  partsRoutes.mount(app);
+  partsRoutes.mount(app, db);
   reviewsRoutes.mount(app, db);
   alertsRoutes.mount(app, db);
   imagesRoutes.mount(app, db);
+  linksRoutes.mount(app);
+  categoriesRoutes.mount(app);
+  kitsRoutes.mount(app, db);
+  feedsRoutes.mount(app, db);
+  adminRoutes.mount(app, db);
 
   // Fallback: serve index.html for any unmatched GET request (SPA support)
   // Express 5 requires named wildcard parameters
@@ -112,6 +147,11 @@ async function start() {
 // Auto-start only when run directly
 if (require.main === module) {
   start().catch((err) => {
+    if (err instanceof ValidationError) {
+      console.error('Failed to start server:', err.message);
+      console.error(JSON.stringify({ problems: err.problems }, null, 2));
+      process.exit(1);
+    }
     console.error('Failed to start server:', err);
     process.exit(1);
   });
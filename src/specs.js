@@ -0,0 +1,239 @@
+/**
+ * Structured spec attributes for catalog entries. Each category that has
+ * specs lists its typed fields here; entries carry the confirmed values in
+ * an optional `specs` object in parts.json.
+ *
+ * Usage: node src/specs.js suggest [--apply] [file]
+ *   Lists spec values extracted from each entry's name and notes that are
+ *   not yet set. --apply writes them into parts.json for review (git diff).
+ */
+
+const fs = require('fs');
+const { PARTS_FILE } = require('./catalog');
+
+const BANDS = ['902-928MHz', '863-870MHz', '433MHz'];
+const RF_CONNECTORS = ['SMA', 'RP-SMA', 'N', 'u.FL'];
+
+/**
+ * Spec fields per category. Types:
+ *   enum    — one of `values`
+ *   list    — any number of `values`
+ *   number  — a number in `unit`
+ *   boolean — true/false
+ *   string  — free text
+ * A field name means the same thing (and has the same type) in every
+ * category that uses it, so search can filter on it without a category.
+ */
+const SPEC_FIELDS = {
+  Node: {
+    chipset: { label: 'Chipset', type: 'enum', values: ['nRF52840', 'ESP32', 'ESP32-S3', 'RP2040'] },
+    radio:   { label: 'Radio', type: 'enum', values: ['SX1262', 'SX1276', 'LR1110'] },
+    band:    { label: 'Band', type: 'enum', values: BANDS },
+    gps:     { label: 'GPS', type: 'boolean' },
+    display: { label: 'Display', type: 'enum', values: ['None', 'OLED', 'TFT', 'LCD', 'E-Ink'] }
+  },
+  Antenna: {
+    connector: { label: 'Connector', type: 'enum', values: RF_CONNECTORS },
+    gainDbi:   { label: 'Gain', type: 'number', unit: 'dBi' },
+    band:      { label: 'Band', type: 'enum', values: BANDS }
+  },
+  Cable: {
+    connectors: { label: 'Connectors', type: 'list', values: RF_CONNECTORS.concat(['USB-A', 'USB-C']) },
+    lengthM:    { label: 'Length', type: 'number', unit: 'm' },
+    cableType:  { label: 'Cable type', type: 'string' }
+  }
+};
+
+/**
+ * Every spec field across categories: name -> definition.
+ */
+function allSpecFields() {
+  const fields = {};
+  for (const category of Object.keys(SPEC_FIELDS)) {
+    Object.assign(fields, SPEC_FIELDS[category]);
+  }
+  return fields;
+}
+
+/**
+ * Check an entry's `specs` object against its category's fields.
+ * @returns {Array<string>} one message per problem
+ */
+function validateSpecs(category, specs) {
+  if (!Object.hasOwn(SPEC_FIELDS, category)) return [`category "${category}" has no spec fields`];
+  const fields = SPEC_FIELDS[category];
+
+  const messages = [];
+  for (const [field, value] of Object.entries(specs)) {
+    const def = Object.hasOwn(fields, field) ? fields[field] : null;
+    if (!def) {
+      messages.push(`unknown spec "${field}" for ${category}`);
+    } else if (def.type === 'enum' && !def.values.includes(value)) {
+      messages.push(`spec ${field} must be one of ${def.values.join(', ')}`);
+    } else if (def.type === 'list' &&
+        (!Array.isArray(value) || value.length === 0 || value.some(v => !def.values.includes(v)))) {
+      messages.push(`spec ${field} must be a list of ${def.values.join(', ')}`);
+    } else if (def.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      messages.push(`spec ${field} must be a non-negative number (${def.unit})`);
+    } else if (def.type === 'boolean' && typeof value !== 'boolean') {
+      messages.push(`spec ${field} must be true or false`);
+    } else if (def.type === 'string' && (typeof value !== 'string' || !value.trim())) {
+      messages.push(`spec ${field} must be a non-empty string`);
+    }
+  }
+  return messages;
+}
+
+// ── Extraction ──
+
+const LENGTH_UNITS = { ft: 0.3048, in: 0.0254, cm: 0.01, mm: 0.001, m: 1 };
+
+function extractBand(text) {
+  if (/\b(902-928|900-930|915)\s*mhz\b|\bus915\b/i.test(text)) return '902-928MHz';
+  if (/\b(863-870|868)\s*mhz\b|\beu868\b/i.test(text)) return '863-870MHz';
+  if (/\b433\s*mhz\b/i.test(text)) return '433MHz';
+  return undefined;
+}
+
+function extractChipset(text) {
+  if (/\bnrf52\d*\b/i.test(text)) return 'nRF52840';
+  if (/\besp32-?s3\b/i.test(text)) return 'ESP32-S3';
+  if (/\besp32\b/i.test(text)) return 'ESP32';
+  if (/\brp2040\b/i.test(text)) return 'RP2040';
+  return undefined;
+}
+
+function extractRadio(text) {
+  const match = text.match(/\b(SX1262|SX1276|LR1110)\b/i);
+  return match ? match[1].toUpperCase() : undefined;
+}
+
+function extractGps(text) {
+  if (/\bno (display\/)?gps\b/i.test(text)) return false;
+  if (/\b(gps|gnss)\b/i.test(text)) return true;
+  return undefined;
+}
+
+function extractDisplay(text) {
+  if (/\bno display\b/i.test(text)) return 'None';
+  if (/\be-?(ink|paper)\b/i.test(text)) return 'E-Ink';
+  if (/\boled\b/i.test(text)) return 'OLED';
+  if (/\btft\b/i.test(text)) return 'TFT';
+  if (/\blcd\b/i.test(text)) return 'LCD';
+  return undefined;
+}
+
+function extractRfConnectors(text) {
+  const found = [];
+  if (/\brp-?sma\b/i.test(text)) found.push('RP-SMA');
+  if (/(^|[^-])\bsma\b/i.test(text.replace(/\brp-?sma\b/ig, ''))) found.push('SMA');
+  if (/\bn[- ](type|male|female)\b|\bn to\b|\bto n\b|\bn connector\b/i.test(text)) found.push('N');
+  if (/\b(u\.fl|ipex)\b/i.test(text)) found.push('u.FL');
+  return found;
+}
+
+function extractGain(text) {
+  const match = text.match(/(\d+(?:\.\d+)?)\s*dbi\b/i);
+  return match ? parseFloat(match[1]) : undefined;
+}
+
+function extractLength(text) {
+  const match = text.match(/(\d+(?:\.\d+)?)\s*(ft|in|cm|mm|m)\b/i);
+  if (!match) return undefined;
+  return Math.round(parseFloat(match[1]) * LENGTH_UNITS[match[2].toLowerCase()] * 100) / 100;
+}
+
+/**
+ * Suggest spec values for an entry from its name and notes. Only fields
+ * that could be found are returned; nothing here is authoritative — a
+ * maintainer confirms suggestions before they are stored.
+ */
+function suggestSpecs(entry) {
+  const text = `${entry.name || ''} ${entry.notes || ''}`;
+  const suggestions = {};
+  const set = (field, value) => {
+    if (value !== undefined) suggestions[field] = value;
+  };
+
+  if (entry.category === 'Node') {
+    set('chipset', extractChipset(text));
+    set('radio', extractRadio(text));
+    set('band', extractBand(text));
+    set('gps', extractGps(text));
+    set('display', extractDisplay(text));
+  } else if (entry.category === 'Antenna') {
+    // Antennas name a single connector; prefer the one on the antenna itself
+    const connectors = extractRfConnectors(text).filter(c => c !== 'u.FL');
+    set('connector', connectors[0]);
+    set('gainDbi', extractGain(text));
+    set('band', extractBand(text));
+  } else if (entry.category === 'Cable') {
+    const connectors = extractRfConnectors(text);
+    if (/\busb-?a\b/i.test(text)) connectors.push('USB-A');
+    if (/\busb-?c\b/i.test(text)) connectors.push('USB-C');
+    if (connectors.length > 0) set('connectors', connectors);
+    set('lengthM', extractLength(entry.name || ''));
+    const coax = text.match(/\b(RG\d{2,3}|KMR\d{3}|LMR\d{3})\b/i);
+    set('cableType', coax ? coax[1].toUpperCase() : undefined);
+  }
+
+  return suggestions;
+}
+
+/**
+ * Suggestions for every entry, leaving out fields the entry already has.
+ * @returns {Array<{ id, name, suggestions }>} entries with something to suggest
+ */
+function suggestAll(list) {
+  return list
+    .map(entry => {
+      const existing = entry.specs || {};
+      const suggestions = {};
+      for (const [field, value] of Object.entries(suggestSpecs(entry))) {
+        if (!Object.hasOwn(existing, field)) suggestions[field] = value;
+      }
+      return { id: entry.id, name: entry.name, suggestions };
+    })
+    .filter(result => Object.keys(result.suggestions).length > 0);
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const command = args[0];
+  const apply = args.includes('--apply');
+  const file = args.slice(1).find(arg => !arg.startsWith('--')) || PARTS_FILE;
+
+  if (command !== 'suggest') {
+    console.error('Usage: node src/specs.js suggest [--apply] [file]');
+    process.exitCode = 1;
+  } else {
+    const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const results = suggestAll(list);
+
+    results.forEach(({ name, suggestions }) => {
+      console.log(name);
+      for (const [field, value] of Object.entries(suggestions)) {
+        console.log(`  ${field}: ${JSON.stringify(value)}`);
+      }
+    });
+
+    if (apply && results.length > 0) {
+      const byId = new Map(results.map(result => [result.id, result.suggestions]));
+      list.forEach(entry => {
+        if (byId.has(entry.id)) entry.specs = Object.assign({}, entry.specs, byId.get(entry.id));
+      });
+      fs.writeFileSync(file, JSON.stringify(list, null, 2) + '\n');
+      console.log(`\nApplied suggestions to ${results.length} entries in ${file} — review them with git diff`);
+    } else {
+      console.log(`\n${results.length} entries with suggestions${results.length > 0 ? ' (re-run with --apply to write them)' : ''}`);
+    }
+  }
+}
+
+module.exports = {
+  SPEC_FIELDS,
+  allSpecFields,
+  validateSpecs,
+  suggestSpecs,
+  suggestAll
+};
@@ -0,0 +1,313 @@
+/**
+ * Catalog schema validation. Checks every data/parts.json entry against the
+ * fields the site and price checker rely on and reports each problem with
+ * the entry it belongs to. The CLI also checks that every kit item in
+ * src/kits.json resolves to a part.
+ *
+ * Usage: node src/validate.js [--json] [file]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CATEGORIES, resolveCategory } = require('./categories');
+const { PARTS_FILE, RESERVED_IDS, parsePartsPrice } = require('./catalog');
+const { validateSpecs } = require('./specs');
+const { REGIONS } = require('./regions');
+const { AVAILABILITY } = require('./availability');
+const { validateKits } = require('./kits');
+
+/**
+ * Schema for a catalog entry: field -> { type, required }.
+ * Anything not listed here is reported as an unknown field (usually a typo).
+ */
+const SCHEMA = {
+  id:             { type: 'string', required: true },
+  name:           { type: 'string', required: true },
+  category:       { type: 'string', required: true },
+  notes:          { type: 'string' },
+  asin:           { type: 'string' },
+  url:            { type: 'string' },
+  price:          { type: 'string' },
+  variant:        { type: 'string' },
+  image:          { type: 'string' },
+  offers:         { type: 'array' },
+  addons:         { type: 'array' },
+  aliases:        { type: 'array' },
+  regions:        { type: 'array' },
+  availability:   { type: 'string' },
+  replacement:    { type: 'string' },
+  community:      { type: 'boolean' },
+  communityMaker: { type: 'string' },
+  communityLinks: { type: 'object' },
+  specs:          { type: 'object' }
+};
+
+// Fields of each `offers` item (see vendors.offersFor)
+const OFFER_FIELDS = ['asin', 'url', 'price', 'variant', 'inStock', 'note'];
+
+const ID_PATTERN = /^[a-z0-9-]+$/;
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/;
+
+/**
+ * Thrown by the server at startup when CATALOG_STRICT is set and the
+ * catalog has problems. `problems` holds the structured list.
+ */
+class ValidationError extends Error {
+  constructor(problems) {
+    super(`Catalog has ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    this.problems = problems;
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'https:' || protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a list of raw parts.json entries.
+ * @returns {Array<{ index, id, name, field, message }>} one item per problem
+ *   (empty when the catalog is valid)
+ */
+function validateEntries(list) {
+  const problems = [];
+  if (!Array.isArray(list)) {
+    return [{ index: null, id: null, name: null, field: null, message: 'parts.json must contain an array' }];
+  }
+
+  // Every ID and alias in the catalog, for add-on and duplicate checks
+  const ids = new Map();
+  list.forEach((entry, index) => {
+    if (entry && typeof entry.id === 'string') {
+      if (!ids.has(entry.id)) ids.set(entry.id, index);
+    }
+  });
+  const aliases = new Map();
+  list.forEach((entry, index) => {
+    if (entry && Array.isArray(entry.aliases)) {
+      entry.aliases.forEach(alias => { if (!aliases.has(alias)) aliases.set(alias, index); });
+    }
+  });
+
+  list.forEach((entry, index) => {
+    const isObject = typeOf(entry) === 'object';
+    const report = (field, message) => problems.push({
+      index,
+      id: isObject && typeof entry.id === 'string' ? entry.id : null,
+      name: isObject && typeof entry.name === 'string' ? entry.name : null,
+      field,
+      message
+    });
+
+    if (!isObject) {
+      report(null, 'entry is not an object');
+      return;
+    }
+
+    for (const [field, rule] of Object.entries(SCHEMA)) {
+      const value = entry[field];
+      if (value === undefined) {
+        if (rule.required) report(field, `missing ${field}`);
+      } else if (typeOf(value) !== rule.type) {
+        report(field, `${field} must be a ${rule.type}, got ${typeOf(value)}`);
+      } else if (rule.required && rule.type === 'string' && !value.trim()) {
+        report(field, `${field} is empty`);
+      }
+    }
+    for (const field of Object.keys(entry)) {
+      if (!Object.hasOwn(SCHEMA, field)) report(field, `unknown field "${field}"`);
+    }
+
+    if (typeof entry.id === 'string' && entry.id) {
+      if (!ID_PATTERN.test(entry.id)) {
+        report('id', `id "${entry.id}" may only contain lowercase letters, digits and hyphens`);
+      }
+      if (ids.get(entry.id) !== index) {
+        report('id', `id "${entry.id}" is already used by entry #${ids.get(entry.id) + 1}`);
+      }
+      if (RESERVED_IDS.includes(entry.id)) {
+        report('id', `id "${entry.id}" is reserved for /api/parts/${entry.id}`);
+      }
+    }
+
+    // Aliases (old category names) are accepted and resolved when parts are built
+    if (typeof entry.category === 'string' && entry.category && !Object.hasOwn(CATEGORIES, resolveCategory(entry.category))) {
+      report('category', `unknown category "${entry.category}"`);
+    }
+
+    if (typeof entry.asin === 'string' && entry.asin && !ASIN_PATTERN.test(entry.asin)) {
+      report('asin', `malformed ASIN "${entry.asin}" (expected 10 uppercase letters or digits)`);
+    }
+
+    // Empty means "price unknown"; "Contact ..." prices are skipped by the price checker
+    if (typeof entry.price === 'string' && entry.price && !/contact/i.test(entry.price) &&
+        parsePartsPrice(entry.price) === null) {
+      report('price', `price "${entry.price}" cannot be parsed`);
+    }
+
+    if (typeof entry.variant === 'string' && !entry.variant.trim()) {
+      report('variant', 'variant is empty');
+    }
+
+    if (typeof entry.url === 'string' && entry.url && !isHttpUrl(entry.url)) {
+      report('url', `url "${entry.url}" is not an http(s) URL`);
+    }
+    // Images may also be served from public/ (e.g. /images/community/...)
+    if (typeof entry.image === 'string' && entry.image &&
+        !entry.image.startsWith('/') && !isHttpUrl(entry.image)) {
+      report('image', `image "${entry.image}" is not an http(s) URL or site path`);
+    }
+
+    if (Array.isArray(entry.offers)) {
+      entry.offers.forEach((offer, i) => {
+        const label = `offers[${i}]`;
+        if (typeOf(offer) !== 'object') {
+          report('offers', `${label} is not an object`);
+          return;
+        }
+        Object.keys(offer).filter(key => !OFFER_FIELDS.includes(key))
+          .forEach(key => report('offers', `${label} has unknown field "${key}"`));
+        if (!offer.asin && !offer.url) {
+          report('offers', `${label} needs an asin or url`);
+        }
+        if (offer.asin !== undefined && (typeof offer.asin !== 'string' || !ASIN_PATTERN.test(offer.asin))) {
+          report('offers', `${label} has malformed ASIN "${offer.asin}"`);
+        }
+        if (offer.url !== undefined && (typeof offer.url !== 'string' || !isHttpUrl(offer.url))) {
+          report('offers', `${label} url "${offer.url}" is not an http(s) URL`);
+        }
+        if (offer.price !== undefined && (typeof offer.price !== 'string' || parsePartsPrice(offer.price) === null)) {
+          report('offers', `${label} price "${offer.price}" cannot be parsed`);
+        }
+        if (offer.variant !== undefined && (typeof offer.variant !== 'string' || !offer.variant.trim())) {
+          report('offers', `${label} variant must be a non-empty string`);
+        }
+        if (offer.inStock !== undefined && typeof offer.inStock !== 'boolean') {
+          report('offers', `${label} inStock must be true or false`);
+        }
+      });
+    }
+
+    if (Array.isArray(entry.addons)) {
+      entry.addons.forEach(addon => {
+        if (typeof addon !== 'string') {
+          report('addons', 'addons must be a list of part IDs');
+        } else if (addon === entry.id) {
+          report('addons', 'entry lists itself as an add-on');
+        } else if (!ids.has(addon)) {
+          report('addons', `add-on "${addon}" does not match any part ID`);
+        }
+      });
+    }
+
+    if (Array.isArray(entry.aliases)) {
+      entry.aliases.forEach(alias => {
+        if (typeof alias !== 'string' || !alias) {
+          report('aliases', 'aliases must be a list of IDs');
+        } else if (ids.has(alias)) {
+          report('aliases', `alias "${alias}" is the ID of entry #${ids.get(alias) + 1}`);
+        } else if (RESERVED_IDS.includes(alias)) {
+          report('aliases', `alias "${alias}" is reserved for /api/parts/${alias}`);
+        } else if (aliases.get(alias) !== index) {
+          report('aliases', `alias "${alias}" is also claimed by entry #${aliases.get(alias) + 1}`);
+        }
+      });
+    }
+
+    if (Array.isArray(entry.regions)) {
+      entry.regions.forEach(region => {
+        if (!Object.hasOwn(REGIONS, region)) {
+          report('regions', `unknown region "${region}" (expected one of ${Object.keys(REGIONS).join(', ')})`);
+        }
+      });
+    }
+
+    if (typeof entry.availability === 'string' && !Object.hasOwn(AVAILABILITY, entry.availability)) {
+      report('availability', `unknown availability "${entry.availability}" (expected one of ${Object.keys(AVAILABILITY).join(', ')})`);
+    }
+    if (typeof entry.replacement === 'string') {
+      if (entry.replacement === entry.id) {
+        report('replacement', 'entry lists itself as its replacement');
+      } else if (!ids.has(entry.replacement)) {
+        report('replacement', `replacement "${entry.replacement}" does not match any part ID`);
+      }
+    }
+
+    if (typeOf(entry.specs) === 'object' && typeof entry.category === 'string') {
+      validateSpecs(resolveCategory(entry.category), entry.specs).forEach(message => report('specs', message));
+    }
+
+    if (entry.community === true && !entry.communityMaker) {
+      report('communityMaker', 'community entries need a communityMaker');
+    }
+    if (typeOf(entry.communityLinks) === 'object') {
+      for (const [key, link] of Object.entries(entry.communityLinks)) {
+        if (typeof link !== 'string' || !isHttpUrl(link)) {
+          report('communityLinks', `communityLinks.${key} is not an http(s) URL`);
+        }
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Read and validate a parts.json file, plus the kits that reference its
+ * parts. Unparseable JSON is reported as a single problem.
+ */
+function validateFile(file = PARTS_FILE) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    return [{ index: null, id: null, name: null, field: null, message: `cannot read ${path.basename(file)}: ${e.message}` }];
+  }
+  const problems = validateEntries(list);
+  return Array.isArray(list) ? problems.concat(validateKits(list)) : problems;
+}
+
+/**
+ * Human-readable report, one line per problem.
+ */
+function formatProblems(problems) {
+  return problems.map(problem => {
+    const label = problem.name ? `"${problem.name}"` : problem.index !== null ? `entry #${problem.index + 1}` : 'catalog';
+    const id = problem.id ? ` (${problem.id})` : '';
+    return `  - ${label}${id}: ${problem.message}`;
+  }).join('\n');
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--')) || PARTS_FILE;
+  const problems = validateFile(file);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ file, problems }, null, 2));
+  } else if (problems.length === 0) {
+    console.log(`${file}: no problems found`);
+  } else {
+    console.error(`${file}: ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    console.error(formatProblems(problems));
+  }
+  if (problems.length > 0) process.exitCode = 1;
+}
+
+module.exports = {
+  SCHEMA,
+  ValidationError,
+  validateEntries,
+  validateFile,
+  formatProblems
+};
@@ -0,0 +1,130 @@
+/**
+ * Vendor detection and per-part offers, shared by the API and price-checker.js.
+ *
+ * Vendors are registered in src/vendors.json: each has a `source` key, a
+ * display `label`, the `hosts` its product pages live on (subdomains
+ * included), the `scraper` adapter in src/scrapers/ that reads its pages
+ * and optionally `delayMs`, the price checker's spacing between requests to
+ * the shop. Shops not listed there are the "generic" source. The registry
+ * ships with the code, not in the data/ volume.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VENDORS_FILE = path.join(__dirname, 'vendors.json');
+
+// Spacing between the price checker's requests to a shop without its own delayMs
+const DEFAULT_DELAY_MS = 1500;
+
+const GENERIC = { source: 'generic', label: 'Vendor', hosts: [], scraper: 'generic', delayMs: DEFAULT_DELAY_MS };
+
+/**
+ * Check the vendor list. Throws on missing or duplicate sources and hosts,
+ * so a bad file stops the server at startup.
+ */
+function buildRegistry(list) {
+  const sources = new Set([GENERIC.source]);
+  const hosts = new Set();
+
+  list.forEach((vendor, index) => {
+    if (!vendor.source || !vendor.label || sources.has(vendor.source)) {
+      throw new Error(`vendors.json: duplicate or missing source/label at #${index + 1}`);
+    }
+    if (!Array.isArray(vendor.hosts) || vendor.hosts.length === 0) {
+      throw new Error(`vendors.json: ${vendor.source} has no hosts`);
+    }
+    vendor.hosts.forEach(host => {
+      if (hosts.has(host)) throw new Error(`vendors.json: host "${host}" is listed twice`);
+      hosts.add(host);
+    });
+    if (vendor.delayMs !== undefined && !(typeof vendor.delayMs === 'number' && vendor.delayMs > 0)) {
+      throw new Error(`vendors.json: ${vendor.source} delayMs must be a positive number`);
+    }
+    sources.add(vendor.source);
+  });
+
+  return list.map(vendor => ({
+    source: vendor.source,
+    label: vendor.label,
+    hosts: vendor.hosts.map(host => host.toLowerCase()),
+    scraper: vendor.scraper || GENERIC.scraper,
+    delayMs: vendor.delayMs || DEFAULT_DELAY_MS
+  }));
+}
+
+const VENDORS = buildRegistry(JSON.parse(fs.readFileSync(VENDORS_FILE, 'utf8')));
+
+// Display names for detected sources
+const VENDOR_LABELS = Object.fromEntries(VENDORS.concat(GENERIC).map(vendor => [vendor.source, vendor.label]));
+
+/**
+ * True when a URL is on one of `hosts` or their subdomains.
+ */
+function onHosts(url, hosts) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+  return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * The registered vendor a URL belongs to, or the generic vendor.
+ */
+function vendorFor(url) {
+  return VENDORS.find(vendor => onHosts(url, vendor.hosts)) || GENERIC;
+}
+
+/**
+ * Detect source from URL hostname.
+ */
+function detectSource(url) {
+  return vendorFor(url).source;
+}
+
+/**
+ * Source of a catalog entry: Amazon when it has an ASIN, otherwise whatever
+ * its vendor URL points at.
+ */
+function partSource(entry) {
+  if (entry.asin) return 'amazon';
+  if (entry.url) return detectSource(entry.url);
+  return 'amazon';
+}
+
+/**
+ * Every place a catalog entry can be bought. The entry's own asin/url is the
+ * first offer; parts.json may list more in `offers`, each with an asin or
+ * url plus optional price, variant, inStock (default true) and note.
+ * `variant` names the product variant meant (e.g. "915MHz / with case");
+ * offers without one use the entry's.
+ * Offers are keyed by ASIN or URL — the same key the prices table uses.
+ */
+function offersFor(entry) {
+  const list = [];
+  if (entry.asin || entry.url) {
+    list.push({ asin: entry.asin, url: entry.url, price: entry.price });
+  }
+  (entry.offers || []).forEach(offer => list.push(offer));
+
+  return list.map((offer, index) => {
+    const source = partSource(offer);
+    return {
+      key: offer.asin || offer.url,
+      primary: index === 0 && Boolean(entry.asin || entry.url),
+      source,
+      vendor: VENDOR_LABELS[source],
+      asin: offer.asin || null,
+      url: offer.url || null,
+      price: offer.price || '',
+      variant: offer.variant || entry.variant || null,
+      inStock: offer.inStock !== false,
+      note: offer.note || null
+    };
+  });
+}
+
+module.exports = { VENDORS, GENERIC, VENDOR_LABELS, buildRegistry, onHosts, vendorFor, detectSource, partSource, offersFor };
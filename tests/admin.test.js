@@ -0,0 +1,458 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+// Use random ports and test env
+process.env.PORT = '0';
+process.env.HEALTH_PORT = '0';
+process.env.NODE_ENV = 'test';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const TEST_DB_PATH = path.join(__dirname, 'test-admin.db');
+process.env.DB_PATH = TEST_DB_PATH;
+const TEST_PARTS_PATH = path.join(__dirname, 'test-parts-admin.json');
+process.env.PARTS_FILE = TEST_PARTS_PATH;
+
+fs.writeFileSync(TEST_PARTS_PATH, JSON.stringify([
+  { id: 'test-node', name: 'Test Node', category: 'Node', notes: '', asin: 'B0TESTNOD1', price: '$30.00', image: '' }
+]));
+const TEST_KITS_PATH = path.join(__dirname, 'test-kits-admin.json');
+process.env.KITS_FILE = TEST_KITS_PATH;
+
+// The antenna is created (and later deleted) by the CRUD tests
+fs.writeFileSync(TEST_KITS_PATH, JSON.stringify([
+  { id: 'test-kit', name: 'Test Kit', items: [{ part: 'test-node' }, { part: 'test-antenna-915mhz' }] }
+]));
+
+// Clear require cache so modules pick up new env vars
+delete require.cache[require.resolve('../src/server')];
+delete require.cache[require.resolve('../src/db')];
+delete require.cache[require.resolve('../src/catalog')];
+
+const { start } = require('../src/server');
+const { initDB } = require('../src/db');
+const anomalies = require('../src/anomalies');
+
+const AUTH = { Authorization: 'Bearer test-admin-token' };
+
+/**
+ * Helper to make HTTP requests (supports GET and POST with JSON body).
+ * Does NOT follow redirects.
+ */
+function request(port, method, urlPath, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: '127.0.0.1',
+      port,
+      path: urlPath,
+      method,
+      headers: Object.assign({}, headers)
+    };
+
+    let payload;
+    if (body !== undefined) {
+      payload = JSON.stringify(body);
+      options.headers['Content-Type'] = 'application/json';
+      options.headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try { parsed = JSON.parse(data); } catch { parsed = data; }
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * POST a CSV body as an admin.
+ */
+function postCsv(port, urlPath, text) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: '127.0.0.1',
+      port,
+      path: urlPath,
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'text/csv', 'Content-Length': Buffer.byteLength(text) }, AUTH)
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(text);
+  });
+}
+
+describe('Admin Parts API', () => {
+  let appServer;
+  let healthServer;
+  let port;
+
+  before(async () => {
+    for (const suffix of ['', '-journal', '-wal', '-shm']) {
+      const f = TEST_DB_PATH + suffix;
+      if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+    const servers = await start();
+    appServer = servers.app;
+    healthServer = servers.health;
+    port = appServer.address().port;
+  });
+
+  after(() => {
+    if (appServer) appServer.close();
+    if (healthServer) healthServer.close();
+    for (const suffix of ['', '-journal', '-wal', '-shm']) {
+      const f = TEST_DB_PATH + suffix;
+      if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+    if (fs.existsSync(TEST_PARTS_PATH)) fs.unlinkSync(TEST_PARTS_PATH);
+    if (fs.existsSync(TEST_KITS_PATH)) fs.unlinkSync(TEST_KITS_PATH);
+  });
+
+  describe('Authentication', () => {
+    it('rejects requests without a token with 401', async () => {
+      const res = await request(port, 'GET', '/api/admin/parts');
+      assert.equal(res.status, 401);
+    });
+
+    it('rejects requests with the wrong token with 401', async () => {
+      const res = await request(port, 'GET', '/api/admin/parts', undefined, { Authorization: 'Bearer nope' });
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('CRUD', () => {
+    it('GET /api/admin/parts lists the imported catalog', async () => {
+      const res = await request(port, 'GET', '/api/admin/parts', undefined, AUTH);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.parts.map(p => p.id), ['test-node']);
+    });
+
+    it('POST /api/admin/parts creates a part with a minted ID', async () => {
+      const res = await request(port, 'POST', '/api/admin/parts', {
+        name: 'Test Antenna 915MHz',
+        category: 'Antenna',
+        price: '$19.99'
+      }, AUTH);
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.id, 'test-antenna-915mhz');
+
+      const parts = await request(port, 'GET', '/api/parts');
+      assert.equal(parts.body.Antenna[0].item, 'Test Antenna 915MHz');
+    });
+
+    it('POST /api/admin/parts rejects missing fields with 400', async () => {
+      const res = await request(port, 'POST', '/api/admin/parts', { name: 'No Category' }, AUTH);
+
+      assert.equal(res.status, 400);
+      assert.ok(res.body.error.includes('category'));
+    });
+
+    it('POST /api/admin/parts rejects a duplicate ID with 409', async () => {
+      const res = await request(port, 'POST', '/api/admin/parts', { id: 'test-node', name: 'Dup', category: 'Node' }, AUTH);
+
+      assert.equal(res.status, 409);
+    });
+
+    it('POST /api/admin/parts refuses the IDs of the lookup endpoints with 400', async () => {
+      const res = await request(port, 'POST', '/api/admin/parts', { id: 'aliases', name: 'Aliases', category: 'Tools' }, AUTH);
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Invalid id: aliases is reserved');
+    });
+
+    it('PATCH /api/admin/parts/:id updates fields', async () => {
+      const res = await request(port, 'PATCH', '/api/admin/parts/test-node', { name: 'Test Node V2', price: '$32.00' }, AUTH);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.id, 'test-node');
+      assert.equal(res.body.name, 'Test Node V2');
+
+      const detail = await request(port, 'GET', '/api/parts/test-node');
+      assert.equal(detail.body.item, 'Test Node V2');
+      assert.equal(detail.body.price, '$32.00');
+    });
+
+    it('PATCH /api/admin/parts/:id sets and clears availability', async () => {
+      const res = await request(port, 'PATCH', '/api/admin/parts/test-node', { availability: 'backordered' }, AUTH);
+      assert.equal(res.status, 200);
+      assert.equal((await request(port, 'GET', '/api/parts/test-node')).body.availability, 'backordered');
+
+      const invalid = await request(port, 'PATCH', '/api/admin/parts/test-node', { availability: 'gone' }, AUTH);
+      assert.equal(invalid.status, 400);
+      const inherited = await request(port, 'PATCH', '/api/admin/parts/test-node', { availability: 'toString' }, AUTH);
+      assert.equal(inherited.status, 400);
+
+      await request(port, 'PATCH', '/api/admin/parts/test-node', { availability: null }, AUTH);
+      assert.equal((await request(port, 'GET', '/api/parts/test-node')).body.availability, 'in-stock');
+    });
+
+    it('PATCH /api/admin/parts/:id refuses to change the ID', async () => {
+      const res = await request(port, 'PATCH', '/api/admin/parts/test-node', { id: 'renamed-node' }, AUTH);
+
+      assert.equal(res.status, 400);
+    });
+
+    it('PATCH /api/admin/parts/:id returns 404 for unknown parts', async () => {
+      const res = await request(port, 'PATCH', '/api/admin/parts/no-such-part', { name: 'x' }, AUTH);
+
+      assert.equal(res.status, 404);
+    });
+
+    it('GET /api/admin/parts/export returns a parts.json snapshot', async () => {
+      const res = await request(port, 'GET', '/api/admin/parts/export', undefined, AUTH);
+
+      assert.equal(res.status, 200);
+      assert.ok(res.headers['content-disposition'].includes('parts.json'));
+      assert.deepEqual(res.body.map(p => p.id), ['test-node', 'test-antenna-915mhz']);
+    });
+
+    it('writes keep data/parts.json in sync with the database', async () => {
+      const snapshot = JSON.parse(fs.readFileSync(TEST_PARTS_PATH, 'utf8'));
+      assert.deepEqual(snapshot.map(p => p.id), ['test-node', 'test-antenna-915mhz']);
+      assert.equal(snapshot[0].name, 'Test Node V2');
+    });
+
+    it('GET /api/admin/catalog/status reports the catalog size', async () => {
+      const res = await request(port, 'GET', '/api/admin/catalog/status', undefined, AUTH);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.parts, 2);
+      assert.deepEqual(res.body.problems, []);
+      assert.deepEqual(res.body.kitProblems, []);
+    });
+
+    it('DELETE /api/admin/parts/:id removes the part', async () => {
+      const res = await request(port, 'DELETE', '/api/admin/parts/test-antenna-915mhz', undefined, AUTH);
+      assert.equal(res.status, 204);
+
+      const detail = await request(port, 'GET', '/api/parts/test-antenna-915mhz');
+      assert.equal(detail.status, 404);
+    });
+
+    it('GET /api/admin/kits reports kit items that no longer resolve', async () => {
+      const res = await request(port, 'GET', '/api/admin/kits', undefined, AUTH);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.kits, [{
+        id: 'test-kit',
+        name: 'Test Kit',
+        regions: { US915: { items: 1, unresolved: [{ part: 'test-antenna-915mhz', reason: 'not in catalog' }], total: 32 } }
+      }]);
+      assert.deepEqual(res.body.problems.map(p => p.message),
+        ['item #2: part "test-antenna-915mhz" does not match any part ID']);
+    });
+  });
+
+  describe('Community kits', () => {
+    const submission = {
+      name: 'Pocket Node',
+      author: 'meshfan',
+      description: 'Two of everything',
+      items: [{ part: 'test-node', quantity: 2, note: 'One spare' }]
+    };
+
+    it('rejects submissions with parts that are not in the catalog', async () => {
+      const res = await request(port, 'POST', '/api/kits/submissions',
+        Object.assign({}, submission, { items: [{ part: 'no-such-part' }] }));
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, 'Item #1 is not a catalog part');
+    });
+
+    it('rejects submissions for unknown regions, including inherited object keys', async () => {
+      for (const regions of [['AU915'], ['toString'], ['__proto__']]) {
+        const res = await request(port, 'POST', '/api/kits/submissions', Object.assign({}, submission, { regions }));
+        assert.equal(res.status, 400);
+        assert.match(res.body.error, /^Invalid region/);
+      }
+    });
+
+    it('keeps submitted kits out of /api/kits until they are approved', async () => {
+      const res = await request(port, 'POST', '/api/kits/submissions', submission);
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.status, 'pending');
+      assert.equal(res.body.kitId, `community-${res.body.id}`);
+
+      const kits = await request(port, 'GET', '/api/kits');
+      assert.deepEqual(kits.body.kits.map(kit => kit.id), ['test-kit']);
+    });
+
+    it('lists pending submissions for maintainers only', async () => {
+      assert.equal((await request(port, 'GET', '/api/admin/kits/submissions')).status, 401);
+
+      const res = await request(port, 'GET', '/api/admin/kits/submissions', undefined, AUTH);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.submissions.length, 1);
+      assert.deepEqual(res.body.submissions[0].items, [{ part: 'test-node', quantity: 2, note: 'One spare' }]);
+      assert.deepEqual(res.body.submissions[0].problems, []);
+
+      const bad = await request(port, 'GET', '/api/admin/kits/submissions?status=spam', undefined, AUTH);
+      assert.equal(bad.status, 400);
+    });
+
+    it('publishes approved kits with author attribution and quantity-aware totals', async () => {
+      const pending = await request(port, 'GET', '/api/admin/kits/submissions', undefined, AUTH);
+      const id = pending.body.submissions[0].id;
+
+      const res = await request(port, 'POST', `/api/admin/kits/submissions/${id}/approve`, undefined, AUTH);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'approved');
+
+      const kit = await request(port, 'GET', `/api/kits/community-${id}`);
+      assert.equal(kit.status, 200);
+      assert.equal(kit.body.community, true);
+      assert.equal(kit.body.communityMaker, 'meshfan');
+      assert.equal(kit.body.items[0].quantity, 2);
+      assert.equal(kit.body.total, 64);
+    });
+
+    it('unpublishes rejected kits and 404s unknown submissions', async () => {
+      const approved = await request(port, 'GET', '/api/admin/kits/submissions?status=approved', undefined, AUTH);
+      const id = approved.body.submissions[0].id;
+
+      const res = await request(port, 'POST', `/api/admin/kits/submissions/${id}/reject`, undefined, AUTH);
+      assert.equal(res.body.status, 'rejected');
+      assert.equal((await request(port, 'GET', `/api/kits/community-${id}`)).status, 404);
+
+      const missing = await request(port, 'POST', '/api/admin/kits/submissions/9999/approve', undefined, AUTH);
+      assert.equal(missing.status, 404);
+    });
+  });
+
+  describe('Price reviews', () => {
+    let held;
+
+    before(() => {
+      const db = initDB(TEST_DB_PATH);
+      try {
+        held = ['B0TESTNOD1', 'https://shop.test/node'].map(offer => anomalies.holdForReview(db, {
+          partId: 'test-node', offer, name: 'Test Node V2', source: 'amazon', oldPrice: 32, newPrice: 3.2
+        }, [{ code: 'jump', message: '-90% change from $32.00' }]));
+      } finally {
+        db.close();
+      }
+    });
+
+    it('lists held price changes for maintainers only', async () => {
+      assert.equal((await request(port, 'GET', '/api/admin/price-reviews')).status, 401);
+
+      const res = await request(port, 'GET', '/api/admin/price-reviews', undefined, AUTH);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.reviews.map(review => review.offer), ['https://shop.test/node', 'B0TESTNOD1']);
+      assert.equal(res.body.reviews[1].reasons[0].code, 'jump');
+
+      const bad = await request(port, 'GET', '/api/admin/price-reviews?status=spam', undefined, AUTH);
+      assert.equal(bad.status, 400);
+    });
+
+    it('applies accepted changes to the catalog', async () => {
+      const res = await request(port, 'POST', `/api/admin/price-reviews/${held[0].id}/accept`, undefined, AUTH);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'accepted');
+
+      const detail = await request(port, 'GET', '/api/parts/test-node');
+      assert.equal(detail.body.price, '$3.20');
+      assert.equal(JSON.parse(fs.readFileSync(TEST_PARTS_PATH, 'utf8'))[0].price, '$3.20');
+
+      const again = await request(port, 'POST', `/api/admin/price-reviews/${held[0].id}/reject`, undefined, AUTH);
+      assert.equal(again.status, 409);
+    });
+
+    it('leaves parts.json alone when an accepted offer is no longer in the catalog', async () => {
+      const db = initDB(TEST_DB_PATH);
+      let gone;
+      try {
+        gone = anomalies.holdForReview(db, {
+          partId: 'test-node', offer: 'https://shop.test/gone', name: 'Test Node', oldPrice: 32, newPrice: 3.2
+        }, [{ code: 'jump', message: '-90% change from $32.00' }]);
+      } finally {
+        db.close();
+      }
+      const past = new Date('2026-01-01T00:00:00Z');
+      fs.utimesSync(TEST_PARTS_PATH, past, past);
+
+      const res = await request(port, 'POST', `/api/admin/price-reviews/${gone.id}/accept`, undefined, AUTH);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, 'accepted');
+      assert.equal(fs.statSync(TEST_PARTS_PATH).mtimeMs, past.getTime());
+    });
+
+    it('rejects changes without touching the catalog and 404s unknown reviews', async () => {
+      const res = await request(port, 'POST', `/api/admin/price-reviews/${held[1].id}/reject`, undefined, AUTH);
+      assert.equal(res.body.status, 'rejected');
+
+      const rejected = await request(port, 'GET', '/api/admin/price-reviews?status=rejected', undefined, AUTH);
+      assert.deepEqual(rejected.body.reviews.map(review => review.id), [held[1].id]);
+      assert.equal((await request(port, 'POST', '/api/admin/price-reviews/9999/accept', undefined, AUTH)).status, 404);
+    });
+  });
+
+  describe('CSV import', () => {
+    it('round-trips the CSV export without changes', async () => {
+      const exported = await request(port, 'GET', '/api/parts.csv');
+      assert.equal(exported.status, 200);
+      assert.match(exported.headers['content-type'], /text\/csv/);
+      assert.ok(exported.headers['content-disposition'].includes('parts.csv'));
+
+      const res = await postCsv(port, '/api/admin/parts/import?dryRun=true', exported.body);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.changes, { added: [], removed: [], changed: [] });
+      assert.deepEqual(res.body.problems, []);
+    });
+
+    it('reports what a dry run would change without importing it', async () => {
+      const csv = 'Item,Category,Price,Source Sheet\nTest Node V2,Node,$29.00,x\nTest Solar Panel,Solar,$40.00,x\n';
+      const res = await postCsv(port, '/api/admin/parts/import?dryRun=true', csv);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.imported, false);
+      assert.deepEqual(res.body.changes, {
+        added: ['test-solar-panel'],
+        removed: [],
+        changed: [{ id: 'test-node', fields: ['price'] }]
+      });
+      assert.deepEqual(res.body.ignoredColumns, ['Source Sheet']);
+      assert.equal((await request(port, 'GET', '/api/admin/parts', undefined, AUTH)).body.parts.length, 1);
+    });
+
+    it('refuses a CSV with problems', async () => {
+      const res = await postCsv(port, '/api/admin/parts/import', 'Item,Category,Offers\nTest Node V2,Antena,[oops\n');
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.imported, false);
+      assert.deepEqual(res.body.problems.map(p => p.message), ['row 2: Offers is not valid JSON', 'unknown category "Antena"']);
+      assert.equal((await request(port, 'GET', '/api/parts/test-node')).body.category, 'Node');
+    });
+
+    it('imports the CSV, keeping fields the sheet has no column for', async () => {
+      const res = await postCsv(port, '/api/admin/parts/import',
+        'ID,Item,Category,Price\ntest-node,Test Node V2,Node,$29.00\n,Test Solar Panel,Solar,$40.00\n');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.imported, true);
+
+      const snapshot = JSON.parse(fs.readFileSync(TEST_PARTS_PATH, 'utf8'));
+      assert.deepEqual(snapshot.map(p => [p.id, p.price]), [['test-node', '$29.00'], ['test-solar-panel', '$40.00']]);
+      assert.equal(snapshot[0].asin, 'B0TESTNOD1');
+    });
+
+    it('requires a text/csv body', async () => {
+      const res = await request(port, 'POST', '/api/admin/parts/import', { parts: [] }, AUTH);
+      assert.equal(res.status, 400);
+    });
+  });
+});
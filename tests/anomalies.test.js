@@ -0,0 +1,210 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { initDB } = require('../src/db');
+const catalog = require('../src/catalog');
+const history = require('../src/history');
+const pricing = require('../src/pricing');
+const anomalies = require('../src/anomalies');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-anomalies.db');
+const TEST_PARTS_PATH = path.join(__dirname, 'test-parts-anomalies.json');
+const NOW = new Date('2026-06-30T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Five antennas between $10 and $30: the category norm is $5 to $60
+const ANTENNAS = [10, 15, 20, 25, 30].map((price, i) => ({
+  id: `antenna-${i}`,
+  name: `Antenna ${i}`,
+  category: 'Antenna',
+  price: `$${price.toFixed(2)}`
+}));
+
+const CHANGE = { partId: 'test-antenna', offer: 'B0TESTANT1', category: 'Antenna', oldPrice: 20, newPrice: 24 };
+
+function removeFiles() {
+  for (const suffix of ['', '-journal', '-wal', '-shm']) {
+    const f = TEST_DB_PATH + suffix;
+    if (fs.existsSync(f)) fs.unlinkSync(f);
+  }
+  if (fs.existsSync(TEST_PARTS_PATH)) fs.unlinkSync(TEST_PARTS_PATH);
+}
+
+describe('Price Anomalies Module', () => {
+  let db;
+
+  function codes(change, options = {}) {
+    return anomalies.findAnomalies(db, Object.assign({}, CHANGE, change), Object.assign({ entries: ANTENNAS, now: NOW }, options))
+      .map(reason => reason.code);
+  }
+
+  function hold(newPrice, oldPrice = 20) {
+    return anomalies.holdForReview(db, {
+      partId: 'test-antenna',
+      offer: 'B0TESTANT1',
+      name: 'Test Antenna',
+      vendor: 'Amazon',
+      source: 'amazon',
+      url: 'https://www.amazon.com/dp/B0TESTANT1',
+      oldPrice,
+      newPrice
+    }, [{ code: 'jump', message: 'test' }]);
+  }
+
+  before(() => {
+    removeFiles();
+    fs.writeFileSync(TEST_PARTS_PATH, JSON.stringify(ANTENNAS.concat([
+      { id: 'test-antenna', name: 'Test Antenna', category: 'Antenna', asin: 'B0TESTANT1', price: '$20.00' }
+    ])));
+    db = initDB(TEST_DB_PATH);
+    catalog.init(db, { file: TEST_PARTS_PATH });
+  });
+
+  beforeEach(() => {
+    db.prepare('DELETE FROM price_history').run();
+    db.prepare('DELETE FROM price_reviews').run();
+  });
+
+  after(() => {
+    if (db) db.close();
+    removeFiles();
+  });
+
+  describe('findAnomalies', () => {
+    it('passes ordinary changes', () => {
+      assert.deepEqual(codes({}), []);
+    });
+
+    it('flags jumps of more than half the old price', () => {
+      assert.deepEqual(codes({ newPrice: 9 }), ['jump']);
+      assert.deepEqual(codes({ newPrice: 31 }), ['jump']);
+      assert.deepEqual(codes({ newPrice: 29 }), []);
+    });
+
+    it('flags prices far from the recent median, given enough readings', () => {
+      [20, 21, 20].forEach((price, i) => history.recordPrice(db, {
+        partId: 'test-antenna', price, source: 'amazon', offer: 'B0TESTANT1', at: new Date(NOW.getTime() - (i + 1) * DAY_MS)
+      }));
+      const reasons = anomalies.findAnomalies(db, Object.assign({}, CHANGE, { newPrice: 27 }), { entries: ANTENNAS, now: NOW });
+      assert.deepEqual(reasons, [{ code: 'history', message: '35% from the 30-day median of $20.00' }]);
+      assert.deepEqual(codes({ newPrice: 24 }), []);
+      // Another offer's readings say nothing about this one
+      assert.deepEqual(codes({ offer: 'B0OTHER001', newPrice: 27 }), []);
+    });
+
+    it('flags prices outside the range of the rest of the category', () => {
+      assert.deepEqual(codes({ oldPrice: 50, newPrice: 61 }), ['category']);
+      assert.deepEqual(codes({ oldPrice: 6, newPrice: 4.5 }), ['category']);
+      // Not enough other parts to judge by
+      assert.deepEqual(codes({ oldPrice: 50, newPrice: 61 }, { entries: ANTENNAS.slice(1) }), []);
+      // A shipping fee caught instead of the price trips several checks at once
+      assert.deepEqual(codes({ newPrice: 4.99 }), ['jump', 'category']);
+    });
+  });
+
+  describe('review queue', () => {
+    it('keeps one pending review per offer, updated with the latest price', () => {
+      const first = hold(4.99);
+      const second = hold(3.99);
+
+      assert.equal(second.id, first.id);
+      assert.equal(second.newPrice, 3.99);
+      assert.equal(second.status, 'pending');
+      assert.deepEqual(second.reasons, [{ code: 'jump', message: 'test' }]);
+      assert.match(second.createdAt, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ$/);
+      assert.deepEqual(anomalies.listReviews(db).map(review => review.id), [first.id]);
+    });
+
+    it('accepts a held change into the saved prices, history, catalog and feed', () => {
+      pricing.saveProduct(db, {
+        id: 'test-antenna', name: 'Test Antenna', asin: 'B0TESTANT1', url: 'https://www.amazon.com/dp/B0TESTANT1',
+        source: 'amazon', price: 20, priceDisplay: '$20.00'
+      });
+      const held = hold(9.5);
+
+      const { review, entry } = anomalies.acceptReview(db, held.id, NOW);
+      assert.equal(review.status, 'accepted');
+      assert.ok(review.reviewedAt);
+      assert.equal(entry.price, '$9.50');
+
+      const saved = pricing.loadPrices(db).products.find(p => p.asin === 'B0TESTANT1');
+      assert.equal(saved.price, 9.5);
+      assert.equal(saved.lastChanged, NOW.toISOString());
+      assert.equal(history.offerMedian(db, 'B0TESTANT1', 30, NOW).median, 9.5);
+      assert.equal(catalog.getEntry('test-antenna').price, '$9.50');
+      const event = db.prepare("SELECT * FROM catalog_events WHERE type = 'price' ORDER BY id DESC").get();
+      assert.equal(event.part_id, 'test-antenna');
+
+      assert.throws(() => anomalies.acceptReview(db, held.id), anomalies.ReviewError);
+    });
+
+    it('accepts a change for an offer the catalog no longer sells without touching the catalog', () => {
+      const held = anomalies.holdForReview(db, {
+        partId: 'test-antenna', offer: 'B0GONE0001', name: 'Test Antenna', oldPrice: 20, newPrice: 9.5
+      }, [{ code: 'jump', message: 'test' }]);
+      const before = catalog.getEntry('test-antenna');
+
+      const { review, entry } = anomalies.acceptReview(db, held.id, NOW);
+      assert.equal(review.status, 'accepted');
+      assert.equal(entry, null);
+      assert.deepEqual(catalog.getEntry('test-antenna'), before);
+    });
+
+    it('rejects a held change and keeps the same price out afterwards', () => {
+      const held = hold(4.99);
+      assert.equal(anomalies.rejectReview(db, held.id).status, 'rejected');
+
+      assert.equal(anomalies.wasRejected(db, 'B0TESTANT1', 5.01), true);
+      assert.equal(anomalies.wasRejected(db, 'B0TESTANT1', 7.5), false);
+      assert.equal(anomalies.wasRejected(db, 'B0OTHER001', 4.99), false);
+      const later = new Date(Date.now() + (anomalies.REJECTED_DAYS + 1) * DAY_MS);
+      assert.equal(anomalies.wasRejected(db, 'B0TESTANT1', 4.99, later), false);
+      assert.deepEqual(anomalies.listReviews(db, 'rejected').map(review => review.id), [held.id]);
+    });
+
+    it('supersedes a held change once a newer price is taken for the offer', () => {
+      pricing.saveProduct(db, {
+        id: 'test-antenna', name: 'Test Antenna', asin: 'B0TESTANT1', url: 'https://www.amazon.com/dp/B0TESTANT1',
+        source: 'amazon', price: 21, priceDisplay: '$21.00'
+      });
+      const held = hold(4.99);
+
+      // The next check reads a sound price for the offer
+      assert.equal(anomalies.supersedeReviews(db, 'B0TESTANT1'), 1);
+      assert.equal(anomalies.supersedeReviews(db, 'B0TESTANT1'), 0);
+
+      assert.throws(() => anomalies.acceptReview(db, held.id, NOW), anomalies.ReviewError);
+      assert.equal(pricing.loadPrice(db, 'B0TESTANT1').price, 21);
+      assert.deepEqual(anomalies.listReviews(db), []);
+      assert.deepEqual(anomalies.listReviews(db, 'superseded').map(review => review.id), [held.id]);
+    });
+
+    it('holds suspicious first prices, with no old price to jump from', () => {
+      const change = Object.assign({}, CHANGE, { name: 'Test Antenna', oldPrice: null });
+      const options = { entries: ANTENNAS, now: NOW };
+
+      assert.deepEqual(anomalies.screenChange(db, Object.assign({}, change, { newPrice: 24 }), options), { status: 'ok' });
+
+      const held = anomalies.screenChange(db, Object.assign({}, change, { newPrice: 4.99 }), options);
+      assert.equal(held.status, 'held');
+      assert.deepEqual(held.reasons.map(reason => reason.code), ['category']);
+      assert.equal(held.review.oldPrice, null);
+      assert.equal(held.review.newPrice, 4.99);
+
+      [20, 21, 20].forEach((price, i) => history.recordPrice(db, {
+        partId: 'test-antenna', price, source: 'amazon', offer: 'B0TESTANT1', at: new Date(NOW.getTime() - (i + 1) * DAY_MS)
+      }));
+      const drifted = anomalies.screenChange(db, Object.assign({}, change, { newPrice: 27 }), options);
+      assert.deepEqual(drifted.reasons.map(reason => reason.code), ['history']);
+
+      anomalies.rejectReview(db, drifted.review.id);
+      assert.deepEqual(anomalies.screenChange(db, Object.assign({}, change, { newPrice: 27 }), options), { status: 'rejected' });
+    });
+
+    it('returns null for unknown reviews', () => {
+      assert.equal(anomalies.acceptReview(db, 9999), null);
+      assert.equal(anomalies.rejectReview(db, 9999), null);
+    });
+  });
+});
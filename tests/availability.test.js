@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  availabilityOf, isInStock, availabilityFromText, availabilityFromSchema, combineAvailability
+} = require('../src/availability');
+
+describe('Availability', () => {
+  it('treats entries without a known availability as in stock', () => {
+    assert.equal(availabilityOf({}), 'in-stock');
+    assert.equal(availabilityOf({ availability: 'sideways' }), 'in-stock');
+    assert.equal(availabilityOf({ availability: 'toString' }), 'in-stock');
+    assert.equal(availabilityOf({ availability: 'backordered' }), 'backordered');
+    assert.equal(isInStock({}), true);
+    assert.equal(isInStock({ availability: 'discontinued' }), false);
+  });
+
+  it('classifies vendor availability text', () => {
+    assert.equal(availabilityFromText('In Stock'), 'in-stock');
+    assert.equal(availabilityFromText('Currently unavailable. We don\'t know when or if this item will be back in stock.'), 'out-of-stock');
+    assert.equal(availabilityFromText('Temporarily out of stock. Order now and we\'ll deliver when available.'), 'out-of-stock');
+    assert.equal(availabilityFromText('Usually ships within 2 to 3 weeks.'), 'backordered');
+    assert.equal(availabilityFromText('Pre-order now'), 'backordered');
+    assert.equal(availabilityFromText(''), null);
+  });
+
+  it('maps schema.org availability values', () => {
+    assert.equal(availabilityFromSchema('https://schema.org/InStock'), 'in-stock');
+    assert.equal(availabilityFromSchema('http://schema.org/OutOfStock'), 'out-of-stock');
+    assert.equal(availabilityFromSchema('BackOrder'), 'backordered');
+    assert.equal(availabilityFromSchema('https://schema.org/Unknown'), null);
+    assert.equal(availabilityFromSchema(undefined), null);
+    assert.equal(availabilityFromSchema('https://schema.org/constructor'), null);
+  });
+
+  it('combines offer statuses into a part status', () => {
+    assert.equal(combineAvailability(['out-of-stock', 'in-stock']), 'in-stock');
+    assert.equal(combineAvailability(['out-of-stock', null, 'backordered']), 'backordered');
+    assert.equal(combineAvailability(['out-of-stock', null]), 'out-of-stock');
+    assert.equal(combineAvailability([null, null]), null);
+  });
+});
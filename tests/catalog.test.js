@@ -0,0 +1,226 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const catalog = require('../src/catalog');
+const { initDB } = require('../src/db');
+
+const TEST_PARTS_PATH = path.join(__dirname, 'test-parts.json');
+const TEST_DB_PATH = path.join(__dirname, 'test-catalog.db');
+const TEST_EXPORT_PATH = path.join(__dirname, 'test-parts-export.json');
+
+describe('Catalog Module', () => {
+  before(() => {
+    fs.writeFileSync(TEST_PARTS_PATH, JSON.stringify([
+      {
+        id: 'heltec-t114',
+        name: 'Heltec Mesh Node T114 V2 (renamed)',
+        category: 'Node',
+        aliases: ['heltec-mesh-node-t114-meshtastic-tracker']
+      },
+      { id: 'hotspotrf-915', name: 'HotspotRF Tuned 915MHz', category: 'Antenna' },
+      { name: 'Entry Without An ID', category: 'Tools' }
+    ]));
+    catalog.load(TEST_PARTS_PATH);
+  });
+
+  after(() => {
+    if (fs.existsSync(TEST_PARTS_PATH)) fs.unlinkSync(TEST_PARTS_PATH);
+  });
+
+  describe('slugify', () => {
+    it('lowercases and hyphenates names', () => {
+      assert.equal(catalog.slugify('LILYGO T-Beam (915MHz) ESP32'), 'lilygo-t-beam-915mhz-esp32');
+    });
+
+    it('truncates to 60 characters', () => {
+      assert.equal(catalog.slugify('x'.repeat(80)).length, 60);
+    });
+  });
+
+  describe('IDs and aliases', () => {
+    it('keeps the stored ID regardless of the name', () => {
+      assert.equal(catalog.getEntries()[0].id, 'heltec-t114');
+    });
+
+    it('falls back to the name slug for entries without an ID', () => {
+      assert.equal(catalog.getEntries()[2].id, 'entry-without-an-id');
+    });
+
+    it('resolves canonical IDs to themselves', () => {
+      assert.equal(catalog.resolveId('hotspotrf-915'), 'hotspotrf-915');
+    });
+
+    it('resolves aliases to the canonical ID', () => {
+      assert.equal(catalog.resolveId('heltec-mesh-node-t114-meshtastic-tracker'), 'heltec-t114');
+      assert.equal(catalog.getEntry('heltec-mesh-node-t114-meshtastic-tracker').name, 'Heltec Mesh Node T114 V2 (renamed)');
+    });
+
+    it('returns null for unknown IDs', () => {
+      assert.equal(catalog.resolveId('does-not-exist'), null);
+      assert.equal(catalog.getEntry('does-not-exist'), null);
+    });
+
+    it('idsFor lists the canonical ID followed by aliases', () => {
+      assert.deepEqual(catalog.idsFor('heltec-mesh-node-t114-meshtastic-tracker'),
+        ['heltec-t114', 'heltec-mesh-node-t114-meshtastic-tracker']);
+      assert.deepEqual(catalog.idsFor('B0UNKNOWN1'), ['B0UNKNOWN1']);
+    });
+
+    it('getAliases omits canonical IDs', () => {
+      assert.deepEqual(catalog.getAliases(), { 'heltec-mesh-node-t114-meshtastic-tracker': 'heltec-t114' });
+    });
+  });
+
+  describe('Database storage', () => {
+    let db;
+
+    before(() => {
+      for (const suffix of ['', '-journal', '-wal', '-shm']) {
+        const f = TEST_DB_PATH + suffix;
+        if (fs.existsSync(f)) fs.unlinkSync(f);
+      }
+      db = initDB(TEST_DB_PATH);
+      catalog.init(db, { file: TEST_PARTS_PATH });
+    });
+
+    after(() => {
+      if (db) db.close();
+      for (const suffix of ['', '-journal', '-wal', '-shm']) {
+        const f = TEST_DB_PATH + suffix;
+        if (fs.existsSync(f)) fs.unlinkSync(f);
+      }
+      if (fs.existsSync(TEST_EXPORT_PATH)) fs.unlinkSync(TEST_EXPORT_PATH);
+    });
+
+    it('imports parts.json into an empty database on init', () => {
+      const row = db.prepare('SELECT COUNT(*) AS count FROM parts').get();
+      assert.equal(row.count, 3);
+      assert.deepEqual(catalog.getEntries().map(e => e.id), ['heltec-t114', 'hotspotrf-915', 'entry-without-an-id']);
+    });
+
+    it('does not re-import an unchanged snapshot once the catalog has parts', () => {
+      catalog.updatePart('hotspotrf-915', { price: '$49.99' });
+      catalog.exportFile(TEST_PARTS_PATH);
+      catalog.init(db, { file: TEST_PARTS_PATH });
+      assert.equal(catalog.getEntry('hotspotrf-915').price, '$49.99');
+      assert.equal(catalog.getReloadStatus().changed, false);
+    });
+
+    it('createPart mints a unique ID from the name', () => {
+      const first = catalog.createPart({ name: 'Test Cable', category: 'Cable' });
+      const second = catalog.createPart({ name: 'Test Cable', category: 'Cable' });
+      assert.equal(first.id, 'test-cable');
+      assert.equal(second.id, 'test-cable-2');
+      assert.equal(catalog.getEntries().at(-1).id, 'test-cable-2');
+    });
+
+    it('createPart rejects an ID that is already taken', () => {
+      assert.throws(() => catalog.createPart({ id: 'heltec-mesh-node-t114-meshtastic-tracker', name: 'Dup', category: 'Node' }),
+        catalog.CatalogError);
+    });
+
+    it('updatePart merges fields, removes nulls and keeps the ID', () => {
+      const entry = catalog.updatePart('heltec-t114', { name: 'Heltec T114 V2', notes: 'Updated', aliases: null, id: 'other' });
+      assert.equal(entry.id, 'heltec-t114');
+      assert.equal(entry.name, 'Heltec T114 V2');
+      assert.equal(entry.notes, 'Updated');
+      assert.equal('aliases' in entry, false);
+      assert.equal(catalog.updatePart('no-such-part', { name: 'x' }), null);
+    });
+
+    it('deletePart removes the part', () => {
+      assert.equal(catalog.deletePart('test-cable-2'), true);
+      assert.equal(catalog.getEntry('test-cable-2'), null);
+      assert.equal(catalog.deletePart('test-cable-2'), false);
+    });
+
+    it('sees writes made through another connection', () => {
+      const other = initDB(TEST_DB_PATH);
+      other.prepare("UPDATE parts SET entry = json_set(entry, '$.price', '$1.00') WHERE id = 'test-cable'").run();
+      other.close();
+      assert.equal(catalog.getEntry('test-cable').price, '$1.00');
+    });
+
+    it('exportFile writes the catalog as a parts.json snapshot', () => {
+      catalog.exportFile(TEST_EXPORT_PATH);
+      const exported = JSON.parse(fs.readFileSync(TEST_EXPORT_PATH, 'utf8'));
+      assert.deepEqual(exported, catalog.getEntries());
+    });
+
+    it('reloadFile applies edits to parts.json and reports the changes', () => {
+      const edited = catalog.getEntries().map(entry => Object.assign({}, entry));
+      edited[0].price = '$10.00';
+      edited.pop();
+      edited.push({ id: 'new-part', name: 'New Part', category: 'Tools' });
+      fs.writeFileSync(TEST_EXPORT_PATH, JSON.stringify(edited));
+
+      const report = catalog.reloadFile(TEST_EXPORT_PATH);
+      assert.equal(report.ok, true);
+      assert.deepEqual(report.changes.added, ['new-part']);
+      assert.deepEqual(report.changes.removed, ['test-cable']);
+      assert.deepEqual(report.changes.changed, [{ id: 'heltec-t114', fields: ['price'] }]);
+      assert.equal(catalog.getEntry('heltec-t114').price, '$10.00');
+    });
+
+    it('records parts added and removed after the first import for the update feeds', () => {
+      const events = db.prepare('SELECT type, part_id FROM catalog_events ORDER BY id').all()
+        .map(event => `${event.type} ${event.part_id}`);
+      assert.deepEqual(events, [
+        'added test-cable',
+        'added test-cable-2',
+        'removed test-cable-2',
+        'added new-part',
+        'removed test-cable'
+      ]);
+    });
+
+    it('createPart keeps the IDs of the /api/parts lookup endpoints free', () => {
+      assert.throws(() => catalog.createPart({ id: 'specs', name: 'Specs', category: 'Tools' }), /reserved/);
+      const minted = catalog.createPart({ name: 'Aliases', category: 'Tools' });
+      assert.equal(minted.id, 'aliases-2');
+      assert.equal(catalog.deletePart(minted.id), true);
+    });
+
+    it('reloadFile keeps the last good catalog when the file is malformed', () => {
+      const before = catalog.getEntries();
+      fs.writeFileSync(TEST_EXPORT_PATH, '[{"id": "broken", ');
+
+      const report = catalog.reloadFile(TEST_EXPORT_PATH);
+      assert.equal(report.ok, false);
+      assert.ok(report.error);
+      assert.deepEqual(catalog.getEntries(), before);
+    });
+
+    it('reloadFile rejects entries missing required fields or reusing IDs', () => {
+      fs.writeFileSync(TEST_EXPORT_PATH, JSON.stringify([{ id: 'a', name: 'A' }]));
+      assert.match(catalog.reloadFile(TEST_EXPORT_PATH).error, /missing a category/);
+
+      fs.writeFileSync(TEST_EXPORT_PATH, JSON.stringify([
+        { id: 'a', name: 'A', category: 'Tools' },
+        { id: 'a', name: 'B', category: 'Tools' }
+      ]));
+      assert.match(catalog.reloadFile(TEST_EXPORT_PATH).error, /reuses ID a/);
+    });
+
+    it('checkForChanges only reloads when the file modification time changes', () => {
+      catalog.exportFile(TEST_EXPORT_PATH);
+      catalog.checkForChanges(TEST_EXPORT_PATH);
+      assert.equal(catalog.checkForChanges(TEST_EXPORT_PATH), null);
+
+      const edited = catalog.getEntries().map(entry => Object.assign({}, entry, { notes: 'Edited' }));
+      fs.writeFileSync(TEST_EXPORT_PATH, JSON.stringify(edited));
+      const future = new Date(Date.now() + 60000);
+      fs.utimesSync(TEST_EXPORT_PATH, future, future);
+
+      const report = catalog.checkForChanges(TEST_EXPORT_PATH);
+      assert.equal(report.changed, true);
+      assert.equal(catalog.getEntries()[0].notes, 'Edited');
+    });
+
+    it('importEntries replaces the whole catalog', () => {
+      assert.equal(catalog.importEntries([{ id: 'only-part', name: 'Only Part', category: 'Tools' }]), 1);
+      assert.deepEqual(catalog.getEntries().map(e => e.id), ['only-part']);
+    });
+  });
+});
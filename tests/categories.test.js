@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const categories = require('../src/categories');
+
+describe('Categories Module', () => {
+  it('loads src/categories.json in display order', () => {
+    const names = Object.keys(categories.CATEGORIES);
+    assert.equal(names[0], 'Node');
+    assert.equal(categories.CATEGORIES.Solar.parent, 'Power');
+  });
+
+  it('loads from the code alone, without a data/ directory', () => {
+    // The image ships src/ only; data/ is a volume holding the catalog and database
+    const app = fs.mkdtempSync(path.join(os.tmpdir(), 'categories-'));
+    try {
+      fs.cpSync(path.join(__dirname, '..', 'src'), path.join(app, 'src'), { recursive: true });
+      const shipped = require(path.join(app, 'src', 'categories'));
+      assert.deepEqual(Object.keys(shipped.CATEGORIES), Object.keys(categories.CATEGORIES));
+    } finally {
+      fs.rmSync(app, { recursive: true, force: true });
+    }
+  });
+
+  it('resolves aliases to their category', () => {
+    assert.equal(categories.resolveCategory('Adapter'), 'Connector');
+    assert.equal(categories.resolveCategory('Node'), 'Node');
+    assert.equal(categories.categoryInfo('Adapter'), categories.CATEGORIES.Connector);
+    assert.equal(categories.categoryInfo('Unknown').emoji, '\u{1F4CB}');
+    assert.equal(categories.resolveCategory('constructor'), 'constructor');
+    assert.equal(categories.categoryInfo('toString').emoji, '\u{1F4CB}');
+  });
+
+  it('expands a parent category to include its children', () => {
+    assert.deepEqual(categories.withChildren('Power'), ['Power', 'Solar', 'Grounding']);
+    assert.deepEqual(categories.withChildren('Adapter'), ['Connector']);
+  });
+
+  it('builds a nested tree with counts', () => {
+    const tree = categories.categoryTree({ Power: 7, Solar: 2 });
+    const power = tree.find(category => category.name === 'Power');
+
+    assert.ok(!tree.some(category => category.name === 'Solar'), 'Children are not top-level');
+    assert.deepEqual(power.children.map(child => [child.name, child.count]), [['Solar', 2], ['Grounding', 0]]);
+    assert.equal(power.total, 9);
+    assert.deepEqual(tree.find(category => category.name === 'Cable').children[0].aliases, ['Adapter']);
+  });
+
+  it('rejects unknown parents, nesting and reused names', () => {
+    assert.throws(() => categories.buildRegistry([{ name: 'Solar', parent: 'Power' }]), /unknown parent "Power"/);
+    assert.throws(() => categories.buildRegistry([
+      { name: 'Power' }, { name: 'Solar', parent: 'Power' }, { name: 'Panels', parent: 'Solar' }
+    ]), /nested more than one level/);
+    assert.throws(() => categories.buildRegistry([{ name: 'Cable', aliases: ['Cable'] }]), /alias "Cable" is already used/);
+    assert.throws(() => categories.buildRegistry([{ name: 'Cable' }, { name: 'Cable' }]), /duplicate or missing name/);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const csv = require('../src/csv');
+
+const SHIPPED = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'parts.json'), 'utf8'));
+
+const CURRENT = [
+  { id: 'test-node', name: 'Test Node', category: 'Node', notes: '', price: '$30.00', image: '', asin: 'B0TESTNOD1', aliases: ['old-node'] },
+  {
+    id: 'test-antenna',
+    name: 'Test Antenna',
+    category: 'Antenna',
+    notes: 'Tuned, 915 MHz',
+    price: '$20.00',
+    image: '',
+    regions: ['US915'],
+    community: true,
+    offers: [{ url: 'https://example.com/antenna', price: '$22.00' }]
+  }
+];
+
+describe('CSV Module', () => {
+  it('round-trips the shipped catalog without changes', () => {
+    const plan = csv.planImport(csv.toCsv(SHIPPED), SHIPPED);
+    assert.deepEqual(plan.changes, { added: [], removed: [], changed: [] });
+    assert.deepEqual(plan.problems, []);
+    assert.deepEqual(plan.entries, SHIPPED);
+  });
+
+  it('exports lists, booleans and JSON columns in spreadsheet form', () => {
+    const [header, , antenna] = csv.toCsv(CURRENT).split('\r\n');
+    assert.match(header, /^ID,Item,Category,Price,Notes,ASIN,URL,Image,Regions/);
+    assert.match(antenna, /^test-antenna,Test Antenna,Antenna,\$20\.00,"Tuned, 915 MHz",,,,US915,/);
+    assert.match(antenna, /,yes,,,"\[\{""url"":""https:\/\/example\.com\/antenna""/);
+  });
+
+  it('exports cells that look like formulas as text and reads them back unchanged', () => {
+    const entries = [
+      { id: 'test-node', name: '=HYPERLINK("https://evil.test","Node")', category: 'Node', notes: '-40C rated', price: '+$1.00', image: '' },
+      { id: 'test-antenna', name: '@antenna', category: 'Antenna', notes: "'=quoted", price: '', image: '', aliases: ['-old'] }
+    ];
+    const rows = csv.toCsv(entries).split('\r\n');
+    assert.match(rows[1], /^test-node,"'=HYPERLINK\(""https:\/\/evil\.test"",""Node""\)",Node,'\+\$1\.00,'-40C rated,/);
+    assert.match(rows[2], /^test-antenna,'@antenna,Antenna,,''=quoted,/);
+
+    const plan = csv.planImport(csv.toCsv(entries), entries);
+    assert.deepEqual(plan.entries, entries);
+    assert.deepEqual(plan.changes, { added: [], removed: [], changed: [] });
+  });
+
+  it('reads the original sheet columns, matching rows by name and keeping other fields', () => {
+    const plan = csv.planImport('Item,Price,Notes,Category,ASIN\nTest Node,$28.00,,Node,B0TESTNOD1\n', CURRENT);
+
+    assert.deepEqual(plan.entries, [
+      { id: 'test-node', name: 'Test Node', category: 'Node', notes: '', price: '$28.00', image: '', asin: 'B0TESTNOD1', aliases: ['old-node'] }
+    ]);
+    assert.deepEqual(plan.changes, { added: [], removed: ['test-antenna'], changed: [{ id: 'test-node', fields: ['price'] }] });
+  });
+
+  it('matches rows by alias, mints IDs for new rows and clears emptied cells', () => {
+    const plan = csv.planImport([
+      'id,name,category,Community Maker,community,Regions',
+      'old-node,Test Node,Node,,,',
+      ',Test Antenna,Antenna,meshfan,no,"US915, EU868"',
+      ',New Cable,Cable,,,'
+    ].join('\n'), CURRENT);
+
+    assert.deepEqual(plan.entries.map(entry => entry.id), ['test-node', 'test-antenna', 'new-cable']);
+    assert.equal(plan.entries[1].communityMaker, 'meshfan');
+    assert.equal('community' in plan.entries[1], false);
+    assert.deepEqual(plan.entries[1].regions, ['US915', 'EU868']);
+    assert.deepEqual(plan.changes.added, ['new-cable']);
+  });
+
+  it('reports unreadable cells with their row and validation problems', () => {
+    const plan = csv.planImport('Item,Category,Community,Specs\nTest Node,Node,maybe,{\nTest Antenna,Antena,,\n', CURRENT);
+    assert.deepEqual(plan.problems.map(problem => problem.message), [
+      'row 2: Community must be yes or no, got "maybe"',
+      'row 2: Specs is not valid JSON',
+      'unknown category "Antena"'
+    ]);
+  });
+
+  it('reads CSV from a local file', async () => {
+    const file = path.join(__dirname, 'test-csv-source.csv');
+    fs.writeFileSync(file, 'Item,Category\nTest Node,Node\n');
+    try {
+      assert.equal(await csv.readSource(file), 'Item,Category\nTest Node,Node\n');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+});
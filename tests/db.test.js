@@ -43,6 +43,14 @@ describe('Database Module', () => {
       assert.equal(row.name, 'price_alerts');
     });
 
+    it('parts table exists', () => {
+      const row = db.prepare(
+        "SELECT name FROM sqlite_master WHERE type='table' AND name='parts'"
+      ).get();
+      assert.ok(row, 'parts table should exist');
+      assert.equal(row.name, 'parts');
+    });
+
     it('image_cache table exists', () => {
       const row = db.prepare(
         "SELECT name FROM sqlite_master WHERE type='table' AND name='image_cache'"
@@ -0,0 +1,179 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+// Use random ports and test env
+process.env.PORT = '0';
+process.env.HEALTH_PORT = '0';
+process.env.NODE_ENV = 'test';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const TEST_DB_PATH = path.join(__dirname, 'test-feeds.db');
+process.env.DB_PATH = TEST_DB_PATH;
+const TEST_PARTS_PATH = path.join(__dirname, 'test-parts-feeds.json');
+process.env.PARTS_FILE = TEST_PARTS_PATH;
+
+fs.writeFileSync(TEST_PARTS_PATH, JSON.stringify([
+  { id: 'test-node', name: 'Test Node', category: 'Node', price: '$30.00', aliases: ['old-test-node'] },
+  { id: 'test-panel', name: 'Test Panel', category: 'Solar', price: '$20.00' }
+]));
+
+// Clear require cache so modules pick up new env vars
+delete require.cache[require.resolve('../src/server')];
+delete require.cache[require.resolve('../src/db')];
+delete require.cache[require.resolve('../src/catalog')];
+
+const { start } = require('../src/server');
+const catalog = require('../src/catalog');
+const feeds = require('../src/feeds');
+const { initDB } = require('../src/db');
+
+const AUTH = { Authorization: 'Bearer test-admin-token' };
+
+function request(port, method, urlPath, body) {
+  return new Promise((resolve, reject) => {
+    const options = { hostname: '127.0.0.1', port, path: urlPath, method, headers: Object.assign({}, AUTH) };
+
+    let payload;
+    if (body !== undefined) {
+      payload = JSON.stringify(body);
+      options.headers['Content-Type'] = 'application/json';
+      options.headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try { parsed = JSON.parse(data); } catch { parsed = data; }
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+function removeDB() {
+  for (const suffix of ['', '-journal', '-wal', '-shm']) {
+    const f = TEST_DB_PATH + suffix;
+    if (fs.existsSync(f)) fs.unlinkSync(f);
+  }
+}
+
+describe('Feeds Module', () => {
+  it('describes price drops and increases with the vendor', () => {
+    const event = { type: 'price', name: 'Test Node', oldPrice: 30, newPrice: 25.5, vendor: 'Amazon' };
+    assert.deepEqual(feeds.describeEvent(event), {
+      title: 'Price drop: Test Node $30.00 → $25.50',
+      text: 'Test Node went from $30.00 → $25.50 at Amazon.'
+    });
+    assert.match(feeds.describeEvent(Object.assign({}, event, { newPrice: 35 })).title, /^Price increase:/);
+  });
+
+  it('renders a first price, with no old price, in both feed formats', () => {
+    const events = [{
+      id: 1, type: 'price', name: 'Test Node', category: 'Node', oldPrice: null, newPrice: 25, vendor: 'Amazon',
+      createdAt: '2026-01-02T03:04:05Z'
+    }];
+    const links = { home: 'http://x/', self: 'http://x/feed', part: () => 'http://x/?part=test-node' };
+
+    assert.match(feeds.renderAtom(events, links), /<title>New price: Test Node \$25\.00<\/title>/);
+    const [item] = feeds.renderJsonFeed(events, links).items;
+    assert.equal(item.title, 'New price: Test Node $25.00');
+    assert.equal(item.content_text, 'Test Node is now priced at $25.00 at Amazon.');
+    assert.equal(item._catalog.oldPrice, null);
+  });
+
+  it('escapes names in Atom documents', () => {
+    const events = [{ id: 1, type: 'added', name: 'Cable <N> & "Type"', category: 'Cable', createdAt: '2026-01-02T03:04:05Z' }];
+    const xml = feeds.renderAtom(events, { home: 'http://x/', self: 'http://x/feed', part: () => 'http://x/?part=a&b' });
+    assert.match(xml, /<title>New: Cable &lt;N&gt; &amp; &quot;Type&quot;<\/title>/);
+    assert.match(xml, /<link href="http:\/\/x\/\?part=a&amp;b"\/>/);
+    assert.match(xml, /<updated>2026-01-02T03:04:05Z<\/updated>/);
+  });
+});
+
+describe('Feeds API', () => {
+  let appServer;
+  let healthServer;
+  let port;
+
+  before(async () => {
+    removeDB();
+    const servers = await start();
+    appServer = servers.app;
+    healthServer = servers.health;
+    port = appServer.address().port;
+
+    // Catalog changes: one part added, one removed and a price change from the price checker
+    await request(port, 'POST', '/api/admin/parts', { id: 'test-antenna', name: 'Test Antenna', category: 'Antenna' });
+    await request(port, 'DELETE', '/api/admin/parts/test-panel');
+    const db = initDB(TEST_DB_PATH);
+    feeds.recordEvent(db, 'price', catalog.getEntry('test-node'), { oldPrice: 30, newPrice: 25, vendor: 'Amazon' });
+    db.close();
+  });
+
+  after(() => {
+    catalog.unwatch();
+    if (appServer) appServer.close();
+    if (healthServer) healthServer.close();
+    removeDB();
+    if (fs.existsSync(TEST_PARTS_PATH)) fs.unlinkSync(TEST_PARTS_PATH);
+  });
+
+  it('does not list the parts of the first import', async () => {
+    const res = await request(port, 'GET', '/api/feeds/catalog.json');
+    assert.ok(!res.body.items.some(item => item.title === 'New: Test Node'));
+  });
+
+  it('serves a JSON Feed of catalog changes, newest first', async () => {
+    const res = await request(port, 'GET', '/api/feeds/catalog.json');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /application\/feed\+json/);
+    assert.equal(res.body.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(res.body.feed_url, `http://127.0.0.1:${port}/api/feeds/catalog.json`);
+    assert.deepEqual(res.body.items.map(item => item.title), [
+      'Price drop: Test Node $30.00 → $25.00',
+      'Removed: Test Panel',
+      'New: Test Antenna'
+    ]);
+
+    const [price, removed] = res.body.items;
+    assert.equal(price.url, `http://127.0.0.1:${port}/?part=test-node`);
+    assert.deepEqual(price._catalog, { type: 'price', partId: 'test-node', oldPrice: 30, newPrice: 25, vendor: 'Amazon' });
+    assert.deepEqual(price.tags, ['Node', 'price']);
+    assert.equal(removed.url, `http://127.0.0.1:${port}/`);
+    assert.match(price.date_published, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ$/);
+  });
+
+  it('serves the same changes as Atom', async () => {
+    const res = await request(port, 'GET', '/api/feeds/catalog.atom');
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /application\/atom\+xml/);
+    assert.match(res.body, /^<\?xml version="1.0" encoding="utf-8"\?>\n<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">/);
+    assert.equal((res.body.match(/<entry>/g) || []).length, 3);
+    assert.match(res.body, /<title>Removed: Test Panel<\/title>/);
+  });
+
+  it('serves per-category feeds that include child categories', async () => {
+    const power = await request(port, 'GET', '/api/feeds/categories/Power.json');
+    assert.equal(power.status, 200);
+    assert.equal(power.body.title, 'NC Mesh Parts — Power updates');
+    assert.deepEqual(power.body.items.map(item => item.title), ['Removed: Test Panel']);
+
+    const antenna = await request(port, 'GET', '/api/feeds/categories/Antenna.atom');
+    assert.equal(antenna.status, 200);
+    assert.match(antenna.body, /<title>New: Test Antenna<\/title>/);
+    assert.doesNotMatch(antenna.body, /Test Node/);
+  });
+
+  it('returns 404 for unknown categories and formats', async () => {
+    assert.equal((await request(port, 'GET', '/api/feeds/categories/Nope.json')).status, 404);
+    assert.equal((await request(port, 'GET', '/api/feeds/categories/constructor.json')).status, 404);
+    assert.equal((await request(port, 'GET', '/api/feeds/catalog.rss')).status, 404);
+  });
+});
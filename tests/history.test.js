@@ -0,0 +1,159 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { initDB } = require('../src/db');
+const history = require('../src/history');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-history.db');
+const NOW = new Date('2026-06-30T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days, hours = 0) {
+  return new Date(NOW.getTime() - days * DAY_MS + hours * 60 * 60 * 1000);
+}
+
+describe('Price History Module', () => {
+  let db;
+
+  function record(price, at, partId = 'test-node', offer = 'B0TESTNOD1') {
+    history.recordPrice(db, { partId, price, source: 'amazon', offer, at });
+  }
+
+  before(() => {
+    for (const suffix of ['', '-journal', '-wal', '-shm']) {
+      const f = TEST_DB_PATH + suffix;
+      if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+    db = initDB(TEST_DB_PATH);
+  });
+
+  beforeEach(() => {
+    db.prepare('DELETE FROM price_history').run();
+  });
+
+  after(() => {
+    if (db) db.close();
+    for (const suffix of ['', '-journal', '-wal', '-shm']) {
+      const f = TEST_DB_PATH + suffix;
+      if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+  });
+
+  describe('parseWindows', () => {
+    it('defaults to 30, 90 and 365 days', () => {
+      assert.deepEqual(history.parseWindows(undefined).map(w => w.name), ['30d', '90d', '365d']);
+    });
+
+    it('parses day windows and all', () => {
+      assert.deepEqual(history.parseWindows('7d, all,7d'), [{ name: '7d', days: 7 }, { name: 'all', days: null }]);
+    });
+
+    it('rejects anything else', () => {
+      assert.throws(() => history.parseWindows('1w'), history.HistoryError);
+      assert.throws(() => history.parseWindows('0d'), /Invalid window "0d"/);
+      assert.throws(() => history.parseWindows('99999999999d'), /at most 1095d/);
+      assert.equal(history.parseWindows('1095d')[0].days, 1095);
+      assert.throws(() => history.parseWindows('1d,2d,3d,4d,5d,6d,7d'), /at most 6/);
+    });
+  });
+
+  describe('getHistory', () => {
+    it('returns readings oldest first with a summary per window', () => {
+      record(40, daysAgo(60));
+      record(30, daysAgo(20));
+      record(35, daysAgo(1));
+      record(99, daysAgo(1), 'other-part');
+
+      const { series, stats } = history.getHistory(db, ['test-node'], history.parseWindows('7d,30d,all'), NOW);
+      assert.deepEqual(series.map(point => point.price), [40, 30, 35]);
+      assert.deepEqual(series[2], { at: '2026-06-29T12:00:00Z', price: 35, source: 'amazon', offer: 'B0TESTNOD1', availability: null });
+      assert.deepEqual(stats['7d'], { min: 35, max: 35, average: 35, count: 1 });
+      assert.deepEqual(stats['30d'], { min: 30, max: 35, average: 32.5, count: 2 });
+      assert.deepEqual(stats.all, { min: 30, max: 40, average: 35, count: 3 });
+    });
+
+    it('only returns the longest window and reports empty windows as null', () => {
+      record(40, daysAgo(60));
+      const { series, stats } = history.getHistory(db, ['test-node'], history.parseWindows('7d,30d'), NOW);
+      assert.deepEqual(series, []);
+      assert.equal(stats['7d'], null);
+    });
+
+    it('returns the stock status read with each price', () => {
+      history.recordPrice(db, { partId: 'test-node', price: 30, source: 'seeed', offer: 'https://seeed.test/node', availability: 'backordered', at: daysAgo(1) });
+      const { series } = history.getHistory(db, ['test-node'], history.parseWindows('7d'), NOW);
+      assert.deepEqual(series.map(point => point.availability), ['backordered']);
+    });
+
+    it('includes readings stored under old IDs', () => {
+      record(20, daysAgo(2), 'old-test-node');
+      record(25, daysAgo(1));
+      const { series } = history.getHistory(db, ['test-node', 'old-test-node'], history.parseWindows('7d'), NOW);
+      assert.deepEqual(series.map(point => point.price), [20, 25]);
+    });
+  });
+
+  describe('getRanges and lowStatus', () => {
+    it('merges readings stored under old IDs', () => {
+      record(30, daysAgo(10), 'old-test-node');
+      record(25, daysAgo(5));
+      record(28, daysAgo(100));
+
+      const ranges = history.getRanges(db, 90, id => (id === 'old-test-node' ? 'test-node' : id), NOW);
+      assert.deepEqual([...ranges], [['test-node', { min: 25, max: 30, count: 2 }]]);
+    });
+
+    it('reports prices at or within 5% of the low', () => {
+      const range = { min: 20, max: 30, count: 5 };
+      assert.equal(history.lowStatus(19, range), 'lowest');
+      assert.equal(history.lowStatus(20, range), 'lowest');
+      assert.equal(history.lowStatus(21, range), 'near-low');
+      assert.equal(history.lowStatus(22, range), null);
+    });
+
+    it('says nothing without enough readings or when the price never moved', () => {
+      assert.equal(history.lowStatus(20, { min: 20, max: 30, count: 2 }), null);
+      assert.equal(history.lowStatus(20, { min: 20, max: 20, count: 9 }), null);
+      assert.equal(history.lowStatus(null, { min: 20, max: 30, count: 5 }), null);
+      assert.equal(history.lowStatus(20, undefined), null);
+    });
+  });
+
+  describe('offerMedian', () => {
+    it('takes the median of an offer\'s readings within the window', () => {
+      [30, 20, 25, 28].forEach((price, day) => record(price, daysAgo(day + 1)));
+      record(90, daysAgo(40));
+      record(5, daysAgo(1), 'test-node', 'https://shop.test/node');
+
+      assert.deepEqual(history.offerMedian(db, 'B0TESTNOD1', 30, NOW), { median: 26.5, count: 4 });
+      assert.deepEqual(history.offerMedian(db, 'B0NOREADS1', 30, NOW), { median: null, count: 0 });
+    });
+  });
+
+  describe('pruneHistory', () => {
+    it('keeps recent readings untouched', () => {
+      for (let hour = 0; hour < 4; hour++) record(30 + hour, daysAgo(3, hour));
+      assert.equal(history.pruneHistory(db, NOW), 0);
+    });
+
+    it('keeps the lowest and highest reading per offer per day after 30 days', () => {
+      [32, 28, 30, 35].forEach((price, hour) => record(price, daysAgo(40, hour)));
+      record(50, daysAgo(40), 'test-node', 'https://heltec.org/test-node');
+
+      assert.equal(history.pruneHistory(db, NOW), 2);
+      const prices = db.prepare('SELECT price FROM price_history ORDER BY price').all().map(row => row.price);
+      assert.deepEqual(prices, [28, 35, 50]);
+    });
+
+    it('keeps the lowest and highest per week after a year and drops readings after three years', () => {
+      // 2025-06-02 is a Monday, so these four days share a week
+      [30, 25, 40, 35].forEach((price, day) => record(price, new Date(Date.UTC(2025, 5, 2 + day, 12))));
+      record(20, daysAgo(history.MAX_AGE_DAYS + 1));
+
+      history.pruneHistory(db, NOW);
+      const prices = db.prepare('SELECT price FROM price_history ORDER BY price').all().map(row => row.price);
+      assert.deepEqual(prices, [25, 40]);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const kits = require('../src/kits');
+
+const ENTRIES = [
+  { id: 'us-node', name: 'US Node', category: 'Node', regions: ['US915'], aliases: ['old-us-node'] },
+  { id: 'eu-node', name: 'EU Node', category: 'Node', regions: ['EU868'] },
+  { id: 'antenna', name: 'Antenna', category: 'Antenna' },
+  { id: 'old-antenna', name: 'Old Antenna', category: 'Antenna', availability: 'discontinued', replacement: 'antenna' }
+];
+
+describe('Kits Module', () => {
+  it('loads the shipped kits, which all resolve against data/parts.json', () => {
+    assert.ok(kits.getKits().length > 0);
+    assert.deepEqual(kits.validateKits(require(path.join(__dirname, '..', 'data', 'parts.json'))), []);
+  });
+
+  it('loads the curated kits from the code alone, without a data/ directory', () => {
+    // The image ships src/ only; data/ is a volume holding the catalog and database
+    const app = fs.mkdtempSync(path.join(os.tmpdir(), 'kits-'));
+    try {
+      fs.cpSync(path.join(__dirname, '..', 'src'), path.join(app, 'src'), { recursive: true });
+      const shipped = require(path.join(app, 'src', 'kits'));
+      assert.deepEqual(shipped.getKits().map(kit => kit.id), kits.getKits().map(kit => kit.id));
+    } finally {
+      fs.rmSync(app, { recursive: true, force: true });
+    }
+  });
+
+  describe('kitItemsFor', () => {
+    const kit = {
+      id: 'kit',
+      regions: ['US915', 'EU868'],
+      items: [
+        { part: 'us-node', regions: { EU868: { part: 'eu-node', note: 'EU version' } } },
+        { part: 'antenna', quantity: 2, note: 'Mount it high', regions: { EU868: null } }
+      ]
+    };
+
+    it('returns the kit items without a region', () => {
+      assert.deepEqual(kits.kitItemsFor(kit), [
+        { part: 'us-node', quantity: 1, note: null, index: 0, substitutedFor: null },
+        { part: 'antenna', quantity: 2, note: 'Mount it high', index: 1, substitutedFor: null }
+      ]);
+    });
+
+    it('applies regional substitutions and drops items not needed in the region', () => {
+      assert.deepEqual(kits.kitItemsFor(kit, 'EU868'), [
+        { part: 'eu-node', quantity: 1, note: 'EU version', index: 0, substitutedFor: 'us-node' }
+      ]);
+    });
+  });
+
+  describe('communityKit', () => {
+    it('builds a kit definition from an approved submission, crediting its author', () => {
+      const kit = kits.communityKit({
+        id: 7,
+        name: 'Pocket Node',
+        description: null,
+        author: 'meshfan',
+        regions: '["EU868"]',
+        items: '[{"part":"eu-node","quantity":2}]'
+      });
+
+      assert.equal(kit.id, 'community-7');
+      assert.equal(kit.desc, '');
+      assert.equal(kit.community, true);
+      assert.equal(kit.communityMaker, 'meshfan');
+      assert.deepEqual(kit.regions, ['EU868']);
+      assert.deepEqual(kits.validateKits(ENTRIES, [kit]), []);
+    });
+  });
+
+  describe('validateKits', () => {
+    it('accepts items that name a part ID or alias available in every kit region', () => {
+      assert.deepEqual(kits.validateKits(ENTRIES, [
+        { id: 'kit', name: 'Kit', items: [{ part: 'old-us-node' }, { part: 'antenna' }] }
+      ]), []);
+    });
+
+    it('reports unknown parts, parts for another band and unknown regions', () => {
+      const problems = kits.validateKits(ENTRIES, [
+        { id: 'kit', name: 'Kit', regions: ['US915', 'EU868'], items: [{ part: 'us-node' }, { part: 'gone', quantity: 0, regions: { AU915: null } }] }
+      ]);
+
+      assert.deepEqual(problems.map(p => p.message), [
+        'item #2 quantity must be a positive whole number',
+        'item #2 has a substitution for unknown region "AU915"',
+        'item #2: part "gone" does not match any part ID',
+        'item #1: "US Node" is not available in EU868'
+      ]);
+      assert.deepEqual([problems[0].id, problems[0].name, problems[0].field], ['kit', 'Kit', 'kits']);
+    });
+
+    it('does not take inherited object keys for regions', () => {
+      const problems = kits.validateKits(ENTRIES, [
+        { id: 'kit', name: 'Kit', regions: ['toString'], items: [{ part: 'antenna', regions: { constructor: null } }] }
+      ]);
+      assert.deepEqual(problems.map(p => p.message), [
+        'unknown region "toString"',
+        'item #1 has a substitution for unknown region "constructor"'
+      ]);
+    });
+
+    it('reports discontinued parts once, with their replacement', () => {
+      assert.deepEqual(kits.validateKits(ENTRIES, [
+        { id: 'kit', name: 'Kit', regions: ['US915', 'EU868'], items: [{ part: 'old-antenna' }] }
+      ]).map(p => p.message), ['item #1: "Old Antenna" is discontinued (replacement: "antenna")']);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const links = require('../src/links');
+
+describe('Links Module', () => {
+  afterEach(() => {
+    links.configure({});
+  });
+
+  describe('loadConfig', () => {
+    it('tags Amazon links by default and nothing else', () => {
+      assert.deepEqual(links.loadConfig({}), { enabled: true, affiliates: { amazon: 'tag=dpaschal26-20' } });
+    });
+
+    it('reads per-vendor parameters and the off switch from the environment', () => {
+      assert.deepEqual(links.loadConfig({
+        AFFILIATE_AMAZON: 'tag=othergroup-20',
+        AFFILIATE_SEEED: '?ref=ncmesh',
+        AFFILIATE_GENERIC: 'ref=everyone',
+        AFFILIATE_LINKS: 'off'
+      }), { enabled: false, affiliates: { amazon: 'tag=othergroup-20', seeed: 'ref=ncmesh' } });
+
+      assert.deepEqual(links.loadConfig({ AFFILIATE_AMAZON: '' }).affiliates, {});
+    });
+  });
+
+  describe('productUrl', () => {
+    it('adds the vendor parameters to Amazon pages and configured vendors', () => {
+      links.configure({ AFFILIATE_SEEED: 'ref=ncmesh' });
+
+      assert.equal(links.productUrl({ asin: 'B0TESTNOD1' }), 'https://www.amazon.com/dp/B0TESTNOD1?tag=dpaschal26-20');
+      assert.equal(links.productUrl({ url: 'https://www.seeedstudio.com/node.html' }),
+        'https://www.seeedstudio.com/node.html?ref=ncmesh');
+      assert.equal(links.productUrl({ url: 'https://lilygo.cc/products/t-deck' }), 'https://lilygo.cc/products/t-deck');
+    });
+
+    it('keeps parameters a URL already has', () => {
+      assert.equal(links.productUrl({ url: 'https://www.amazon.com/dp/B0TESTNOD1?tag=maker-20' }),
+        'https://www.amazon.com/dp/B0TESTNOD1?tag=maker-20');
+    });
+
+    it('never tags community maker links', () => {
+      assert.equal(links.productUrl({ url: 'https://www.amazon.com/dp/B0TESTNOD1', community: true }),
+        'https://www.amazon.com/dp/B0TESTNOD1');
+    });
+
+    it('returns plain links when affiliate links are off', () => {
+      links.configure({ AFFILIATE_LINKS: 'false' });
+
+      assert.equal(links.productUrl({ asin: 'B0TESTNOD1' }), 'https://www.amazon.com/dp/B0TESTNOD1');
+      assert.equal(links.searchUrl('T-Beam'), 'https://www.amazon.com/s?k=T-Beam');
+      assert.equal(links.productUrl({}), null);
+    });
+  });
+
+  describe('clientConfig', () => {
+    it('gives the frontend a search URL template', () => {
+      assert.deepEqual(links.clientConfig(), {
+        enabled: true,
+        searchUrl: 'https://www.amazon.com/s?k=&tag=dpaschal26-20',
+        searchParam: 'k'
+      });
+    });
+  });
+});
@@ -0,0 +1,494 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+// Use random ports and test env
+process.env.PORT = '0';
+process.env.HEALTH_PORT = '0';
+process.env.NODE_ENV = 'test';
+const TEST_DB_PATH = path.join(__dirname, 'test-parts.db');
+process.env.DB_PATH = TEST_DB_PATH;
+// Serve a small fixture catalog instead of data/parts.json
+const TEST_PARTS_PATH = path.join(__dirname, 'test-parts-api.json');
+process.env.PARTS_FILE = TEST_PARTS_PATH;
+
+fs.writeFileSync(TEST_PARTS_PATH, JSON.stringify([
+  {
+    id: 'test-solar-node',
+    name: 'Test Solar Node',
+    category: 'Node',
+    notes: 'nRF52840 + SX1262 solar node',
+    url: 'https://www.seeedstudio.com/test-solar-node.html',
+    price: '$89.90',
+    image: '',
+    addons: ['test-antenna', 'missing-addon'],
+    aliases: ['old-test-solar-node'],
+    specs: { chipset: 'nRF52840', radio: 'SX1262', gps: true },
+    availability: 'discontinued',
+    replacement: 'test-tracker',
+    regions: ['EU868']
+  },
+  {
+    id: 'test-tracker', name: 'Test Tracker', category: 'Node', notes: '', asin: 'B0TESTTRK1', price: '$39.90', image: '',
+    aliases: ['old-test-tracker'],
+    offers: [
+      { url: 'https://heltec.org/test-tracker', price: '$34.00' },
+      { url: 'https://lilygo.cc/test-tracker', price: '$29.00', inStock: false, variant: '915MHz' }
+    ],
+    specs: { chipset: 'ESP32-S3', gps: true },
+    regions: ['US915']
+  },
+  {
+    id: 'test-antenna', name: 'Test Antenna', category: 'Antenna', notes: '', asin: 'B0TESTANT1', price: '$19.99', image: '',
+    specs: { connector: 'SMA', gainDbi: 3 }
+  }
+]));
+
+const TEST_KITS_PATH = path.join(__dirname, 'test-kits-api.json');
+process.env.KITS_FILE = TEST_KITS_PATH;
+
+fs.writeFileSync(TEST_KITS_PATH, JSON.stringify([
+  {
+    id: 'test-kit', emoji: '', name: 'Test Kit', desc: '', color: '#fff', regions: ['US915', 'EU868'],
+    items: [
+      { part: 'old-test-tracker' },
+      { part: 'test-antenna', note: 'Mount it high' },
+      { part: 'missing-part' }
+    ]
+  },
+  {
+    id: 'test-choice', emoji: '', name: 'Test Choice', desc: '', color: '#fff', standalone: true,
+    items: [{ part: 'test-solar-node' }, { part: 'test-tracker' }]
+  }
+]));
+
+// Clear require cache so modules pick up new env vars
+delete require.cache[require.resolve('../src/server')];
+delete require.cache[require.resolve('../src/db')];
+delete require.cache[require.resolve('../src/catalog')];
+
+const { start } = require('../src/server');
+const { initDB } = require('../src/db');
+const history = require('../src/history');
+const pricing = require('../src/pricing');
+
+/**
+ * Helper to make HTTP requests (supports GET and POST with JSON body).
+ * Does NOT follow redirects.
+ */
+function request(port, method, urlPath, body) {
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: '127.0.0.1',
+      port,
+      path: urlPath,
+      method,
+      headers: {}
+    };
+
+    let payload;
+    if (body !== undefined) {
+      payload = JSON.stringify(body);
+      options.headers['Content-Type'] = 'application/json';
+      options.headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    const req = http.request(options, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try { parsed = JSON.parse(data); } catch { parsed = data; }
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+describe('Parts API', () => {
+  let appServer;
+  let healthServer;
+  let port;
+
+  before(async () => {
+    for (const suffix of ['', '-journal', '-wal', '-shm']) {
+      const f = TEST_DB_PATH + suffix;
+      if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+    const servers = await start();
+    appServer = servers.app;
+    healthServer = servers.health;
+    port = appServer.address().port;
+  });
+
+  after(() => {
+    if (appServer) appServer.close();
+    if (healthServer) healthServer.close();
+    for (const suffix of ['', '-journal', '-wal', '-shm']) {
+      const f = TEST_DB_PATH + suffix;
+      if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+    if (fs.existsSync(TEST_PARTS_PATH)) fs.unlinkSync(TEST_PARTS_PATH);
+    if (fs.existsSync(TEST_KITS_PATH)) fs.unlinkSync(TEST_KITS_PATH);
+  });
+
+  describe('GET /api/parts/:id', () => {
+    it('returns the part with aggregated detail', async () => {
+      await request(port, 'POST', '/api/reviews', {
+        product_id: 'test-solar-node',
+        display_name: 'Reviewer',
+        rating: 4,
+        body: 'Solid solar node.'
+      });
+      await request(port, 'POST', '/api/alerts', {
+        product_id: 'test-solar-node',
+        email: 'watcher@example.com'
+      });
+
+      const res = await request(port, 'GET', '/api/parts/test-solar-node');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.id, 'test-solar-node');
+      assert.equal(res.body.item, 'Test Solar Node');
+      assert.equal(res.body.category, 'Node');
+      assert.deepEqual(res.body.reviews, { average_rating: 4, total: 1 });
+      assert.deepEqual(res.body.alerts, { active: 1 });
+      assert.ok('currentPrice' in res.body, 'Should include currentPrice');
+    });
+
+    it('resolves add-ons to full part objects and drops unknown ones', async () => {
+      const res = await request(port, 'GET', '/api/parts/test-solar-node');
+
+      assert.equal(res.body.addons.length, 1);
+      assert.equal(res.body.addons[0].id, 'test-antenna');
+      assert.equal(res.body.addons[0].item, 'Test Antenna');
+    });
+
+    it('lists related items from the same category', async () => {
+      const res = await request(port, 'GET', '/api/parts/test-solar-node');
+
+      assert.deepEqual(res.body.related.map(p => p.id), ['test-tracker']);
+    });
+
+    it('lists every offer and picks the cheapest in-stock one', async () => {
+      const res = await request(port, 'GET', '/api/parts/test-tracker');
+
+      assert.deepEqual(res.body.offers.map(o => [o.vendor, o.price, o.inStock, o.best]), [
+        ['Amazon', 39.9, true, false],
+        ['Heltec', 34, true, true],
+        ['LILYGO', 29, false, false]
+      ]);
+      assert.equal(res.body.bestOffer.buyUrl, 'https://heltec.org/test-tracker');
+      assert.equal(res.body.price, '$34.00');
+      assert.equal(res.body.amazonUrl, 'https://heltec.org/test-tracker');
+      assert.equal(res.body.source, 'heltec');
+      assert.equal(res.body.currentPrice.price, 34);
+    });
+
+    it('marks discontinued parts, without an in-stock offer, and suggests a replacement', async () => {
+      const res = await request(port, 'GET', '/api/parts/test-solar-node');
+
+      assert.equal(res.body.availability, 'discontinued');
+      assert.deepEqual(res.body.replacement, { id: 'test-tracker', item: 'Test Tracker' });
+      assert.equal(res.body.offers[0].inStock, false);
+      assert.equal(res.body.bestOffer, null);
+      assert.equal(res.body.price, '$89.90');
+
+      const tracker = await request(port, 'GET', '/api/parts/test-tracker');
+      assert.equal(tracker.body.availability, 'in-stock');
+      assert.equal(tracker.body.replacement, null);
+    });
+
+    it('redirects old aliases to the canonical ID', async () => {
+      const res = await request(port, 'GET', '/api/parts/old-test-solar-node');
+
+      assert.equal(res.status, 301);
+      assert.equal(res.headers.location, '/api/parts/test-solar-node');
+    });
+
+    it('returns 404 for unknown parts', async () => {
+      const res = await request(port, 'GET', '/api/parts/no-such-part');
+
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error, 'Part not found');
+    });
+  });
+
+  describe('GET /api/parts search', () => {
+    it('returns the grouped catalog without query parameters', async () => {
+      const res = await request(port, 'GET', '/api/parts');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(Object.keys(res.body).sort(), ['Antenna', 'Node']);
+    });
+
+    it('returns paginated results with facets when searching', async () => {
+      const res = await request(port, 'GET', '/api/parts?q=test&sort=price-asc&limit=2');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.items.map(p => p.id), ['test-antenna', 'test-tracker']);
+      assert.equal(res.body.total, 3);
+      assert.equal(res.body.pages, 2);
+      assert.deepEqual(res.body.facets.categories, { Node: 2, Antenna: 1 });
+    });
+
+    it('filters by source', async () => {
+      const res = await request(port, 'GET', '/api/parts?source=seeed');
+
+      assert.deepEqual(res.body.items.map(p => p.id), ['test-solar-node']);
+    });
+
+    it('matches the source of any offer and sorts by the best offer price', async () => {
+      const bySource = await request(port, 'GET', '/api/parts?source=heltec');
+      assert.deepEqual(bySource.body.items.map(p => p.id), ['test-tracker']);
+
+      const byPrice = await request(port, 'GET', '/api/parts?maxPrice=35&sort=price-desc');
+      assert.deepEqual(byPrice.body.items.map(p => p.id), ['test-tracker', 'test-antenna']);
+    });
+
+    it('filters by spec and returns spec facets', async () => {
+      const res = await request(port, 'GET', '/api/parts?category=Node&chipset=nRF52840&gps=true');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.items.map(p => p.id), ['test-solar-node']);
+      assert.deepEqual(res.body.items[0].specs, { chipset: 'nRF52840', radio: 'SX1262', gps: true });
+      assert.deepEqual(res.body.facets.specs.chipset, { nRF52840: 1, 'ESP32-S3': 1 });
+    });
+
+    it('filters by region', async () => {
+      const res = await request(port, 'GET', '/api/parts?region=EU868');
+
+      assert.deepEqual(res.body.items.map(p => p.id), ['test-solar-node', 'test-antenna']);
+    });
+
+    it('filters by availability', async () => {
+      const res = await request(port, 'GET', '/api/parts?availability=in-stock,backordered');
+      assert.deepEqual(res.body.items.map(p => p.id), ['test-tracker', 'test-antenna']);
+
+      const invalid = await request(port, 'GET', '/api/parts?availability=gone');
+      assert.equal(invalid.status, 400);
+      assert.ok(invalid.body.error.includes('Invalid availability'));
+      assert.equal((await request(port, 'GET', '/api/parts?availability=toString')).status, 400);
+    });
+
+    it('rejects invalid parameters with 400', async () => {
+      const res = await request(port, 'GET', '/api/parts?sort=sideways');
+
+      assert.equal(res.status, 400);
+      assert.ok(res.body.error.includes('Invalid sort'));
+    });
+  });
+
+  describe('GET /api/kits', () => {
+    it('resolves kit items by part ID and alias with live totals', async () => {
+      const res = await request(port, 'GET', '/api/kits');
+
+      assert.equal(res.status, 200);
+      const [kit, choice] = res.body.kits;
+      assert.deepEqual(kit.items.map(item => [item.part.id, item.note]), [['test-tracker', null], ['test-antenna', 'Mount it high']]);
+      assert.deepEqual(kit.unresolved, [{ part: 'missing-part', reason: 'not in catalog' }]);
+      assert.equal(kit.total, 53.99);
+      assert.equal(choice.standalone, true);
+      assert.equal(choice.total, null);
+      assert.deepEqual(choice.unavailable, [
+        { part: 'test-solar-node', availability: 'discontinued', replacement: { id: 'test-tracker', item: 'Test Tracker' } }
+      ]);
+    });
+
+    it('resolves one kit for a region, reporting parts made for another band', async () => {
+      const res = await request(port, 'GET', '/api/kits/test-kit?region=EU868');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.region, 'EU868');
+      // The EU868 solar node is another product, not a stand-in for the tracker
+      assert.deepEqual(res.body.items.map(item => [item.part.id, item.substitutedFor]), [['test-antenna', null]]);
+      assert.deepEqual(res.body.unresolved, [
+        { part: 'test-tracker', reason: 'not made for EU868' },
+        { part: 'missing-part', reason: 'not in catalog' }
+      ]);
+    });
+
+    it('returns 404 for unknown kits and 400 for unknown regions', async () => {
+      assert.equal((await request(port, 'GET', '/api/kits/no-such-kit')).status, 404);
+      assert.equal((await request(port, 'GET', '/api/kits?region=AU915')).status, 400);
+      assert.equal((await request(port, 'GET', '/api/kits?region=toString')).status, 400);
+    });
+  });
+
+  describe('GET /api/prices/:id/history', () => {
+    before(() => {
+      const db = initDB(TEST_DB_PATH);
+      const day = 24 * 60 * 60 * 1000;
+      history.recordPrice(db, { partId: 'old-test-tracker', price: 44, source: 'amazon', offer: 'B0TESTTRK1', at: new Date(Date.now() - 100 * day) });
+      history.recordPrice(db, { partId: 'test-tracker', price: 39.9, source: 'amazon', offer: 'B0TESTTRK1', at: new Date(Date.now() - 10 * day) });
+      history.recordPrice(db, { partId: 'test-tracker', price: 34, source: 'other', offer: 'https://heltec.org/test-tracker', at: new Date(Date.now() - day) });
+      db.close();
+    });
+
+    it('returns the price series with min/max/average per default window', async () => {
+      const res = await request(port, 'GET', '/api/prices/old-test-tracker/history');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.id, 'test-tracker');
+      assert.deepEqual(res.body.windows, ['30d', '90d', '365d']);
+      assert.deepEqual(res.body.series.map(point => [point.price, point.offer]), [
+        [44, 'B0TESTTRK1'], [39.9, 'B0TESTTRK1'], [34, 'https://heltec.org/test-tracker']
+      ]);
+      assert.deepEqual(res.body.stats['30d'], { min: 34, max: 39.9, average: 36.95, count: 2 });
+      assert.deepEqual(res.body.stats['365d'], { min: 34, max: 44, average: 39.3, count: 3 });
+    });
+
+    it('accepts custom windows and rejects invalid ones', async () => {
+      const res = await request(port, 'GET', '/api/prices/test-tracker/history?windows=7d');
+      assert.deepEqual(res.body.series.map(point => point.price), [34]);
+      assert.deepEqual(Object.keys(res.body.stats), ['7d']);
+
+      const bad = await request(port, 'GET', '/api/prices/test-tracker/history?windows=forever');
+      assert.equal(bad.status, 400);
+      assert.match(bad.body.error, /Invalid window "forever"/);
+
+      const huge = await request(port, 'GET', '/api/prices/test-tracker/history?windows=99999999999d');
+      assert.equal(huge.status, 400);
+      assert.match(huge.body.error, /Invalid window "99999999999d"/);
+    });
+
+    it('returns 404 for unknown parts', async () => {
+      assert.equal((await request(port, 'GET', '/api/prices/no-such-part/history')).status, 404);
+    });
+
+    it('labels readings with the vendor of their offer', async () => {
+      const res = await request(port, 'GET', '/api/prices/test-tracker/history');
+      assert.deepEqual(res.body.series.map(point => point.vendor), ['Amazon', 'Amazon', 'Heltec']);
+    });
+
+    it('flags parts at their lowest price once there are enough readings', async () => {
+      const before = await request(port, 'GET', '/api/parts/test-tracker');
+      assert.equal(before.body.priceLow, null);
+
+      const db = initDB(TEST_DB_PATH);
+      history.recordPrice(db, { partId: 'test-tracker', price: 36, source: 'amazon', offer: 'B0TESTTRK1', at: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000) });
+      db.close();
+
+      const res = await request(port, 'GET', '/api/parts/test-tracker');
+      assert.deepEqual(res.body.priceLow, { status: 'lowest', low: 34, days: 90 });
+
+      const grouped = await request(port, 'GET', '/api/parts');
+      const tracker = grouped.body.Node.find(part => part.id === 'test-tracker');
+      assert.deepEqual(tracker.priceLow, { status: 'lowest', low: 34, days: 90 });
+      assert.equal(grouped.body.Node.find(part => part.id === 'test-solar-node').priceLow, null);
+    });
+  });
+
+  describe('GET /api/parts/specs', () => {
+    it('lists spec field definitions per category', async () => {
+      const res = await request(port, 'GET', '/api/parts/specs');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.specs.Antenna.gainDbi.unit, 'dBi');
+      assert.ok(res.body.specs.Node.chipset.values.includes('nRF52840'));
+    });
+  });
+
+  describe('Aliases', () => {
+    it('GET /api/parts/aliases maps old IDs to canonical IDs', async () => {
+      const res = await request(port, 'GET', '/api/parts/aliases');
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.aliases, {
+        'old-test-solar-node': 'test-solar-node',
+        'old-test-tracker': 'test-tracker'
+      });
+    });
+
+    it('stores reviews posted under an alias against the canonical ID', async () => {
+      await request(port, 'POST', '/api/reviews', {
+        product_id: 'old-test-tracker',
+        display_name: 'AliasUser',
+        rating: 5,
+        body: 'Posted with an old share link.'
+      });
+
+      const res = await request(port, 'GET', '/api/reviews/test-tracker');
+      const names = res.body.reviews.map(r => r.display_name);
+      assert.ok(names.includes('AliasUser'));
+    });
+  });
+
+  describe('GET /api/prices', () => {
+    before(() => {
+      // A price the price checker has just saved
+      const db = initDB(TEST_DB_PATH);
+      pricing.saveProduct(db, {
+        id: 'test-tracker', name: 'Test Tracker', vendor: 'Heltec', price: 31, priceDisplay: '$31.00',
+        url: 'https://heltec.org/test-tracker', source: 'other', inStock: true,
+        lastChecked: '2026-10-01T06:00:00.000Z', lastChanged: '2026-10-01T06:00:00.000Z'
+      });
+      db.close();
+    });
+
+    it('serves the latest saved prices from the database', async () => {
+      const res = await request(port, 'GET', '/api/prices');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.lastRun, '2026-10-01T06:00:00.000Z');
+      assert.deepEqual(res.body.products.map(p => [p.id, p.vendor, p.price, p.inStock]), [
+        ['test-tracker', 'Heltec', 31, true]
+      ]);
+    });
+
+    it('uses saved prices for part offers without a restart', async () => {
+      const res = await request(port, 'GET', '/api/parts/test-tracker');
+
+      assert.equal(res.body.bestOffer.vendor, 'Heltec');
+      assert.equal(res.body.bestOffer.price, 31);
+      assert.equal(res.body.price, '$31.00');
+    });
+
+    it('shows checked stock status on parts and kits before the catalog is synced', async () => {
+      const db = initDB(TEST_DB_PATH);
+      pricing.saveProduct(db, {
+        id: 'test-antenna', name: 'Test Antenna', vendor: 'Amazon', price: 19.99, priceDisplay: '$19.99',
+        url: 'https://www.amazon.com/dp/B0TESTANT1', source: 'amazon', asin: 'B0TESTANT1',
+        inStock: false, availability: 'out-of-stock', lastChecked: '2026-10-01T06:00:00.000Z'
+      });
+      db.close();
+
+      const part = await request(port, 'GET', '/api/parts/test-antenna');
+      assert.equal(part.body.availability, 'out-of-stock');
+      assert.deepEqual(part.body.offers.map(o => [o.availability, o.inStock]), [['out-of-stock', false]]);
+
+      const kit = await request(port, 'GET', '/api/kits/test-kit');
+      assert.ok(kit.body.unavailable.some(item => item.part === 'test-antenna' && item.availability === 'out-of-stock'));
+
+      // Maintainer statuses are kept
+      const discontinued = await request(port, 'GET', '/api/parts/test-solar-node');
+      assert.equal(discontinued.body.availability, 'discontinued');
+    });
+
+    it('lists the vendor variant prices of offers for a variant', async () => {
+      const db = initDB(TEST_DB_PATH);
+      pricing.saveProduct(db, {
+        id: 'test-tracker', name: 'Test Tracker', vendor: 'LILYGO', price: 32.9, priceDisplay: '$32.90',
+        url: 'https://lilygo.cc/test-tracker', source: 'lilygo', inStock: false,
+        lastChecked: '2026-10-01T06:00:00.000Z', variantTitle: '915MHz',
+        variants: [{ title: '868MHz', price: 30.9, inStock: true }, { title: '915MHz', price: 32.9, inStock: false }]
+      });
+      db.close();
+
+      const res = await request(port, 'GET', '/api/parts/test-tracker');
+      const lilygo = res.body.offers.find(offer => offer.source === 'lilygo');
+      assert.equal(lilygo.variant, '915MHz');
+      assert.equal(lilygo.price, 32.9);
+      assert.deepEqual(lilygo.variants, [
+        { title: '868MHz', price: 30.9, inStock: true, selected: false },
+        { title: '915MHz', price: 32.9, inStock: false, selected: true }
+      ]);
+      assert.deepEqual(res.body.offers.find(offer => offer.vendor === 'Heltec').variants, []);
+    });
+  });
+});
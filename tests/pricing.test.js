@@ -0,0 +1,149 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { initDB } = require('../src/db');
+const pricing = require('../src/pricing');
+
+const TEST_DB_PATH = path.join(__dirname, 'test-pricing.db');
+const TEST_PRICES_PATH = path.join(__dirname, 'test-prices.json');
+
+const TRACKER = {
+  id: 'test-tracker',
+  name: 'Test Tracker',
+  vendor: 'Amazon',
+  price: 39.9,
+  priceDisplay: '$39.90',
+  url: 'https://www.amazon.com/dp/B0TESTTRK1',
+  source: 'amazon',
+  asin: 'B0TESTTRK1',
+  inStock: true,
+  availability: 'in-stock',
+  lastChecked: '2026-10-01T06:00:00.000Z',
+  lastChanged: null,
+  variantTitle: null,
+  variants: []
+};
+
+describe('Pricing Module', () => {
+  let db;
+
+  before(() => {
+    for (const suffix of ['', '-journal', '-wal', '-shm']) {
+      const f = TEST_DB_PATH + suffix;
+      if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+    db = initDB(TEST_DB_PATH);
+  });
+
+  beforeEach(() => {
+    db.prepare('DELETE FROM prices').run();
+  });
+
+  after(() => {
+    if (db) db.close();
+    for (const suffix of ['', '-journal', '-wal', '-shm']) {
+      const f = TEST_DB_PATH + suffix;
+      if (fs.existsSync(f)) fs.unlinkSync(f);
+    }
+    if (fs.existsSync(TEST_PRICES_PATH)) fs.unlinkSync(TEST_PRICES_PATH);
+  });
+
+  it('returns nothing before the first check', () => {
+    assert.deepEqual(pricing.loadPrices(db), { products: [], lastRun: null });
+  });
+
+  it('saves offers and loads them in the prices.json shape', () => {
+    pricing.saveProduct(db, TRACKER);
+    pricing.saveProduct(db, {
+      id: 'test-tracker', name: 'Test Tracker', vendor: 'Heltec', price: 34, priceDisplay: '$34.00',
+      url: 'https://heltec.org/test-tracker', source: 'other', lastChecked: '2026-10-01T06:01:00.000Z'
+    });
+
+    const { products, lastRun } = pricing.loadPrices(db);
+    assert.deepEqual(products[0], TRACKER);
+    assert.equal(products[1].inStock, null);
+    assert.equal(products[1].asin, null);
+    assert.equal(lastRun, '2026-10-01T06:01:00.000Z');
+  });
+
+  it('replaces the saved price of an offer', () => {
+    pricing.saveProduct(db, TRACKER);
+    pricing.saveProduct(db, Object.assign({}, TRACKER, { price: 35, priceDisplay: '$35.00', inStock: false }));
+
+    const { products } = pricing.loadPrices(db);
+    assert.deepEqual(products.map(p => [p.price, p.priceDisplay, p.inStock]), [[35, '$35.00', false]]);
+  });
+
+  it('saves the variant priced and the vendor variant prices', () => {
+    const variants = [
+      { title: '868MHz', price: 62.9, inStock: true },
+      { title: '915MHz', price: 64.9, inStock: false }
+    ];
+    pricing.saveProduct(db, Object.assign({}, TRACKER, { price: 64.9, variantTitle: '915MHz', variants }));
+
+    const [product] = pricing.loadPrices(db).products;
+    assert.equal(product.variantTitle, '915MHz');
+    assert.deepEqual(product.variants, variants);
+  });
+
+  it('adds the variant columns to prices tables created before them', () => {
+    const OLD_DB_PATH = path.join(__dirname, 'test-pricing-old.db');
+    const Database = require('better-sqlite3');
+    const old = new Database(OLD_DB_PATH);
+    old.exec('CREATE TABLE prices (offer TEXT PRIMARY KEY, part_id TEXT, name TEXT NOT NULL, price REAL)');
+    old.close();
+
+    const migrated = initDB(OLD_DB_PATH);
+    try {
+      const columns = migrated.prepare('PRAGMA table_info(prices)').all().map(info => info.name);
+      assert.ok(columns.includes('variant_title'));
+      assert.ok(columns.includes('variants'));
+    } finally {
+      migrated.close();
+      for (const suffix of ['', '-journal', '-wal', '-shm']) {
+        if (fs.existsSync(OLD_DB_PATH + suffix)) fs.unlinkSync(OLD_DB_PATH + suffix);
+      }
+    }
+  });
+
+  it('drops offers that are no longer checked', () => {
+    pricing.saveProduct(db, TRACKER);
+    pricing.saveProduct(db, { name: 'Gone', price: 10, url: 'https://example.com/gone' });
+
+    assert.equal(pricing.retainOffers(db, [TRACKER]), 1);
+    assert.deepEqual(pricing.loadPrices(db).products.map(p => p.name), ['Test Tracker']);
+  });
+
+  it('resumes the last run only when it did not finish recently', () => {
+    db.prepare('DELETE FROM check_runs').run();
+    const first = pricing.startRun(db, new Date('2026-10-01T06:00:00.000Z'));
+    assert.equal(first.resumed, false);
+
+    const resumed = pricing.startRun(db, new Date('2026-10-01T12:00:00.000Z'));
+    assert.deepEqual(resumed, { id: first.id, startedAt: '2026-10-01T06:00:00.000Z', resumed: true });
+
+    pricing.finishRun(db, resumed, new Date('2026-10-01T12:05:00.000Z'));
+    const next = pricing.startRun(db, new Date('2026-10-01T18:00:00.000Z'));
+    assert.equal(next.resumed, false);
+    assert.notEqual(next.id, first.id);
+
+    // Runs stopped too long ago start over
+    assert.equal(pricing.startRun(db, new Date('2026-10-03T18:00:00.000Z')).resumed, false);
+  });
+
+  it('imports an old prices.json only into an empty table', () => {
+    fs.writeFileSync(TEST_PRICES_PATH, JSON.stringify({
+      products: [
+        { name: 'Old Node', price: 59, priceDisplay: '~$59', url: 'https://heltec.org/old-node', source: 'heltec' },
+        { name: 'No Offer', price: 5 }
+      ],
+      lastRun: '2026-02-17T11:41:00.000Z'
+    }));
+
+    assert.equal(pricing.importLegacyPrices(db, TEST_PRICES_PATH), 1);
+    assert.deepEqual(pricing.loadPrices(db).products.map(p => [p.id, p.name, p.price]), [[null, 'Old Node', 59]]);
+    assert.equal(pricing.importLegacyPrices(db, TEST_PRICES_PATH), 0);
+    assert.equal(pricing.importLegacyPrices(db, path.join(__dirname, 'no-such-prices.json')), 0);
+  });
+});
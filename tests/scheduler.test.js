@@ -0,0 +1,201 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler, isTransient, retryDelay } = require('../src/scrapers/scheduler');
+const robots = require('../src/scrapers/robots');
+
+/**
+ * A scheduler on a fake clock: sleeping advances the clock at once and is
+ * logged in `sleeps`. Only accurate for one host at a time.
+ */
+function fakeScheduler(options = {}) {
+  const clock = { time: 1000, sleeps: [] };
+  const scheduler = createScheduler(Object.assign({
+    spacing: 1500,
+    baseDelay: 1000,
+    random: () => 0.5,
+    now: () => clock.time,
+    sleep: async ms => {
+      clock.sleeps.push(ms);
+      clock.time += ms;
+    }
+  }, options));
+  return { scheduler, clock };
+}
+
+function httpError(status, retryAfter = null) {
+  const err = new Error(`HTTP ${status}`);
+  err.status = status;
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+describe('Scheduler', () => {
+  describe('request', () => {
+    it('spaces requests to the same host but not to different hosts', async () => {
+      const { scheduler, clock } = fakeScheduler();
+      await scheduler.request('https://shop.test/a', async () => 'a');
+      await scheduler.request('https://other.test/a', async () => 'b');
+      assert.equal(await scheduler.request('https://shop.test/b', async () => 'c'), 'c');
+      assert.deepEqual(clock.sleeps, [1500]);
+    });
+
+    it('retries transient failures with growing delays', async () => {
+      const { scheduler, clock } = fakeScheduler({ spacing: 10 });
+      let calls = 0;
+      const result = await scheduler.request('https://shop.test/a', async () => {
+        calls++;
+        if (calls < 3) throw httpError(503);
+        return 'ok';
+      });
+      assert.equal(result, 'ok');
+      // 0.75 of 1s, then 0.75 of 2s
+      assert.deepEqual(clock.sleeps, [750, 1500]);
+    });
+
+    it('waits as long as Retry-After asks, and holds back the host', async () => {
+      const { scheduler, clock } = fakeScheduler({ spacing: 10 });
+      let calls = 0;
+      await scheduler.request('https://shop.test/a', async () => {
+        if (calls++ === 0) throw httpError(429, 20000);
+        return 'ok';
+      });
+      assert.deepEqual(clock.sleeps, [20000]);
+    });
+
+    it('gives up on Retry-After waits longer than maxDelay, permanent failures and the last retry', async () => {
+      const { scheduler } = fakeScheduler({ retries: 2, maxDelay: 5000 });
+      let calls = 0;
+      const failing = err => () => {
+        calls++;
+        return Promise.reject(err);
+      };
+
+      await assert.rejects(scheduler.request('https://shop.test/a', failing(httpError(429, 3600 * 1000))), /HTTP 429/);
+      assert.equal(calls, 1);
+      calls = 0;
+      await assert.rejects(scheduler.request('https://shop.test/b', failing(httpError(404))), /HTTP 404/);
+      assert.equal(calls, 1);
+      calls = 0;
+      await assert.rejects(scheduler.request('https://shop.test/c', failing(httpError(502))), /HTTP 502/);
+      assert.equal(calls, 3);
+    });
+
+    it('widens the spacing of a host on request', async () => {
+      const { scheduler, clock } = fakeScheduler();
+      scheduler.setSpacing('https://shop.test/', 10000);
+      scheduler.setSpacing('https://shop.test/', 500);
+      await scheduler.request('https://shop.test/a', async () => null);
+      await scheduler.request('https://shop.test/b', async () => null);
+      assert.deepEqual(clock.sleeps, [10000]);
+    });
+  });
+
+  describe('run', () => {
+    it('works on several hosts at once, one request per host at a time', async () => {
+      const scheduler = createScheduler({ concurrency: 2, sleep: async () => {} });
+      const active = new Map();
+      let most = 0;
+      const order = [];
+      const items = ['a.test/1', 'a.test/2', 'a.test/3', 'b.test/1', 'c.test/1'].map(path => `https://${path}`);
+
+      const result = await scheduler.run(items, url => url, async url => {
+        const host = new URL(url).host;
+        assert.ok(!active.get(host), `${host} has two requests at once`);
+        active.set(host, true);
+        most = Math.max(most, [...active.values()].filter(Boolean).length);
+        await new Promise(resolve => setImmediate(resolve));
+        active.set(host, false);
+        order.push(url);
+      });
+
+      assert.equal(most, 2);
+      assert.equal(result.done.length, 5);
+      // The busiest host starts first and keeps its order
+      assert.deepEqual(order.filter(url => url.includes('a.test')), ['https://a.test/1', 'https://a.test/2', 'https://a.test/3']);
+    });
+
+    it('skips items once the deadline passes and keeps going after failures', async () => {
+      let time = 0;
+      const scheduler = createScheduler({ concurrency: 1, deadline: 2, now: () => time, sleep: async () => {} });
+      const result = await scheduler.run(['https://a.test/1', 'https://a.test/2', 'https://a.test/3'], url => url, async url => {
+        time++;
+        if (url.endsWith('1')) throw new Error('broken page');
+      });
+
+      assert.deepEqual(result.failed.map(({ item, error }) => [item, error.message]), [['https://a.test/1', 'broken page']]);
+      assert.deepEqual(result.done, ['https://a.test/2']);
+      assert.deepEqual(result.skipped, ['https://a.test/3']);
+    });
+  });
+
+  it('treats timeouts, network errors, 429 and 5xx responses as transient', () => {
+    assert.equal(isTransient(httpError(503)), true);
+    assert.equal(isTransient(httpError(429)), true);
+    assert.equal(isTransient(httpError(404)), false);
+    assert.equal(isTransient(Object.assign(new Error('aborted'), { name: 'AbortError' })), true);
+    assert.equal(isTransient(new TypeError('fetch failed', { cause: Object.assign(new Error('reset'), { code: 'ECONNRESET' }) })), true);
+    assert.equal(isTransient(new TypeError('undefined is not a function')), false);
+  });
+
+  it('caps backoff delays at maxDelay', () => {
+    const settings = { baseDelay: 1000, maxDelay: 8000, random: () => 1 };
+    assert.deepEqual([0, 1, 2, 3, 4].map(attempt => retryDelay(attempt, {}, settings)), [1000, 2000, 4000, 8000, 8000]);
+  });
+});
+
+describe('robots.txt', () => {
+  const ROBOTS = [
+    'User-agent: Googlebot',
+    'Disallow: /',
+    '',
+    'User-agent: *',
+    'Disallow: /checkout',
+    'Disallow: /*?q=',
+    'Disallow: /collections/*/products$',
+    'Allow: /checkout/help',
+    'Crawl-delay: 5',
+    '# Sitemap lines and comments are ignored',
+    'Sitemap: https://shop.test/sitemap.xml'
+  ].join('\n');
+
+  it('applies the rules for all crawlers, longest match first', () => {
+    const rules = robots.parseRobots(ROBOTS);
+    assert.equal(rules.crawlDelay, 5);
+    assert.equal(robots.isAllowed(rules, 'https://shop.test/products/node'), true);
+    assert.equal(robots.isAllowed(rules, 'https://shop.test/checkout/cart'), false);
+    assert.equal(robots.isAllowed(rules, 'https://shop.test/checkout/help'), true);
+    assert.equal(robots.isAllowed(rules, 'https://shop.test/search?q=node'), false);
+    assert.equal(robots.isAllowed(rules, 'https://shop.test/collections/all/products'), false);
+    assert.equal(robots.isAllowed(rules, 'https://shop.test/collections/all/products/node'), true);
+  });
+
+  it('fetches each origin once and disallows everything when robots.txt cannot be read', async () => {
+    const loaded = [];
+    const lookup = robots.createRobots(async origin => {
+      loaded.push(origin);
+      if (origin === 'https://down.test') throw Object.assign(new Error('HTTP 503'), { status: 503 });
+      return robots.parseRobots(ROBOTS);
+    });
+
+    assert.deepEqual(await lookup('https://shop.test/products/node'), { allowed: true, crawlDelay: 5 });
+    assert.deepEqual(await lookup('https://shop.test/checkout'), { allowed: false, crawlDelay: 5 });
+    assert.equal((await lookup('https://down.test/products/node')).allowed, false);
+    assert.deepEqual(loaded, ['https://shop.test', 'https://down.test']);
+  });
+
+  describe('fetchRobots', () => {
+    const realFetch = global.fetch;
+
+    it('allows everything when the shop has no robots.txt', async () => {
+      global.fetch = async () => ({ ok: false, status: 404, headers: new Map(), text: async () => '' });
+      try {
+        const rules = await robots.fetchRobots('https://shop.test');
+        assert.equal(robots.isAllowed(rules, 'https://shop.test/anything'), true);
+        global.fetch = async () => ({ ok: false, status: 503, headers: new Map([['retry-after', '120']]), text: async () => '' });
+        await assert.rejects(robots.fetchRobots('https://shop.test'), err => err.status === 503 && err.retryAfter === 120000);
+      } finally {
+        global.fetch = realFetch;
+      }
+    });
+  });
+});
@@ -0,0 +1,311 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const scrapers = require('../src/scrapers');
+const common = require('../src/scrapers/common');
+const structured = require('../src/scrapers/structured');
+const variants = require('../src/scrapers/variants');
+const vendors = require('../src/vendors');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'scrapers');
+
+function fixture(name, extension = 'html') {
+  return fs.readFileSync(path.join(FIXTURES, `${name}.${extension}`), 'utf8');
+}
+
+// Saved product pages (trimmed) and what should be read from them, apart
+// from their variants (see the variants tests)
+const PAGES = [
+  {
+    fixture: 'amazon',
+    url: 'https://www.amazon.com/dp/B0TESTHEL3',
+    expected: { source: 'amazon', price: 29.99, currency: null, availability: 'in-stock', title: 'Heltec LoRa 32 V3 Meshtastic Development Board', via: 'selectors' }
+  },
+  {
+    fixture: 'seeed',
+    url: 'https://www.seeedstudio.com/SenseCAP-Card-Tracker-T1000-E-for-Meshtastic-p-5913.html',
+    expected: { source: 'seeed', price: 39.9, currency: null, availability: 'in-stock', title: 'SenseCAP Card Tracker T1000-E for Meshtastic', via: 'selectors' }
+  },
+  {
+    fixture: 'heltec',
+    url: 'https://heltec.org/project/meshpocket/',
+    expected: { source: 'heltec', price: 59, currency: null, availability: 'in-stock', title: 'MeshPocket', via: 'selectors' }
+  },
+  {
+    fixture: 'lilygo',
+    url: 'https://lilygo.cc/products/t-echo-meshtastic',
+    expected: { source: 'lilygo', price: 59.9, currency: 'USD', availability: 'in-stock', title: 'LILYGO® T-Echo Meshtastic', via: 'open-graph' }
+  },
+  {
+    fixture: 'rakwireless',
+    url: 'https://store.rakwireless.com/products/wismesh-pocket',
+    expected: { source: 'rakwireless', price: 99, currency: 'USD', availability: 'out-of-stock', title: 'WisMesh Pocket', via: 'open-graph' }
+  },
+  {
+    fixture: 'elecrow',
+    url: 'https://www.elecrow.com/thinknode-m1-meshtastic-lora-signal-transceiver-powered-by-nrf52840-with-154-screen-support-gps.html',
+    expected: {
+      source: 'elecrow',
+      price: 39.9,
+      currency: null,
+      availability: 'in-stock',
+      title: 'ThinkNode M1 Meshtastic LoRa Signal Transceiver Powered By nRF52840',
+      via: 'selectors'
+    }
+  },
+  {
+    fixture: 'rokland',
+    url: 'https://store.rokland.com/products/meshtac-gooseneck-tactical-antenna-4-dbi-gain-sma-male-915-mhz-flexible-for-meshtastic-lora',
+    expected: {
+      source: 'rokland',
+      price: 24.95,
+      currency: null,
+      availability: 'in-stock',
+      title: 'MeshTac Gooseneck Tactical Antenna 4 dBi Gain SMA Male 915 MHz',
+      via: 'selectors'
+    }
+  },
+  {
+    fixture: 'uniteng',
+    url: 'https://shop.uniteng.com/product/meshtastic-mesh-device-nano-g2-ultra/',
+    expected: { source: 'uniteng', price: 79.99, currency: 'USD', availability: 'out-of-stock', title: 'Meshtastic Mesh Device Nano G2 Ultra', via: 'json-ld' }
+  },
+  {
+    fixture: 'muzi',
+    url: 'https://muzi.works/products/r1-neo-complete-meshtastic-device',
+    expected: { source: 'muzi', price: 119, currency: 'USD', availability: 'backordered', title: 'R1 Neo Complete Meshtastic Device', via: 'json-ld' }
+  },
+  {
+    fixture: 'generic',
+    url: 'https://shop.example.com/solar-node-kit',
+    expected: { source: 'generic', price: 45, currency: null, availability: 'in-stock', title: 'Solar Node Kit', via: 'selectors' }
+  },
+  {
+    fixture: 'eu-shop',
+    url: 'https://funkshop.example.de/t-beam-supreme',
+    expected: { source: 'generic', price: 54.9, currency: 'EUR', availability: 'in-stock', title: 'T-Beam Supreme', via: 'json-ld' }
+  }
+];
+
+describe('Scraper Adapters', () => {
+  describe('adapterFor', () => {
+    it('picks the adapter registered for the URL host and its subdomains', () => {
+      assert.equal(scrapers.adapterFor('https://www.amazon.com/dp/B0TESTHEL3').name, 'amazon');
+      assert.equal(scrapers.adapterFor('https://store.rakwireless.com/products/x').name, 'rakwireless');
+      assert.equal(scrapers.adapterFor('https://heltec.org/project/x/').name, 'heltec');
+    });
+
+    it('falls back to the generic adapter for other shops and bad URLs', () => {
+      assert.equal(scrapers.adapterFor('https://notheltec.org/project/x/').name, 'generic');
+      assert.equal(scrapers.adapterFor('not a url').name, 'generic');
+    });
+
+    it('has an adapter for every vendor in vendors.json', () => {
+      vendors.VENDORS.forEach(vendor => {
+        assert.equal(scrapers.adapterFor(`https://${vendor.hosts[0]}/product`).name, vendor.source);
+      });
+    });
+  });
+
+  describe('readPage', () => {
+    PAGES.forEach(({ fixture: name, url, expected }) => {
+      it(`reads the ${name} fixture`, () => {
+        const { variants: list, ...page } = scrapers.readPage(url, fixture(name));
+        assert.ok(Array.isArray(list));
+        assert.deepEqual(page, Object.assign({ variant: null }, expected));
+      });
+    });
+
+    it('falls back to the adapter selectors without structured data', () => {
+      const url = 'https://lilygo.cc/products/t-echo-meshtastic';
+      const html = fixture('lilygo').replace(/<meta property="og:price:[^>]*>/g, '');
+      assert.deepEqual(scrapers.readPage(url, html), {
+        source: 'lilygo', price: 59.9, currency: null, availability: 'in-stock', title: 'LILYGO® T-Echo Meshtastic',
+        variants: [], variant: null, via: 'selectors'
+      });
+    });
+
+    it('ignores Open Graph availability values it does not know', () => {
+      const html = '<html><head><meta property="og:price:amount" content="10.00">' +
+        '<meta property="og:availability" content="constructor"></head><body></body></html>';
+      const page = scrapers.readPage('https://shop.test/products/x', html);
+      assert.equal(page.price, 10);
+      assert.equal(page.availability, null);
+    });
+
+    it('returns nulls for pages that say nothing', () => {
+      const adapter = scrapers.adapterFor('https://store.rokland.com/products/x');
+      assert.deepEqual(adapter.extract('<html><body><p>Page not found</p></body></html>'), {
+        price: null,
+        availability: null,
+        title: null
+      });
+    });
+  });
+
+  describe('scrape', () => {
+    it('fetches with the adapter and labels the result with its source', async () => {
+      const url = 'https://parts.test.invalid/node';
+      scrapers.register({
+        name: 'test-shop',
+        match: target => target.startsWith('https://parts.test.invalid/'),
+        fetch: async target => `<h1>Fetched ${new URL(target).pathname}</h1><p class="price">$12.50</p>`,
+        extract: html => ({ price: common.parseAmount(html.match(/\$([\d.]+)/)[1]), availability: null, title: html.match(/<h1>(.*)<\/h1>/)[1] })
+      });
+
+      assert.deepEqual(await scrapers.scrape(url), {
+        source: 'test-shop', price: 12.5, currency: null, availability: null, title: 'Fetched /node',
+        variants: [], variant: null, via: 'selectors'
+      });
+    });
+
+    describe('with Shopify product JSON', () => {
+      const realFetch = global.fetch;
+      const requested = [];
+
+      before(() => {
+        // Serve the LILYGO product JSON; every other .js URL is missing
+        global.fetch = async url => {
+          requested.push(url);
+          if (url === 'https://lilygo.cc/products/t-echo-meshtastic.js') {
+            return { ok: true, status: 200, text: async () => fixture('lilygo-product', 'json') };
+          }
+          if (url.endsWith('.js')) return { ok: false, status: 404, text: async () => '' };
+          return { ok: true, status: 200, text: async () => fixture('rokland') };
+        };
+      });
+
+      after(() => {
+        global.fetch = realFetch;
+      });
+
+      it('prefers the product JSON and skips the page', async () => {
+        const { variants: list, ...result } = await scrapers.scrape('https://lilygo.cc/products/t-echo-meshtastic');
+        assert.deepEqual(result, {
+          source: 'lilygo', price: 62.9, currency: null, availability: 'in-stock', title: 'LILYGO® T-Echo Meshtastic',
+          variant: null, via: 'shopify-json'
+        });
+        assert.deepEqual(list.map(v => v.title), ['433MHz', '868MHz', '915MHz']);
+        assert.deepEqual(requested, ['https://lilygo.cc/products/t-echo-meshtastic.js']);
+      });
+
+      it('prices the variant the offer names or its URL selects', async () => {
+        const named = await scrapers.scrape('https://lilygo.cc/products/t-echo-meshtastic', { variant: '915 MHz' });
+        assert.deepEqual([named.price, named.availability, named.variant], [64.9, 'in-stock', '915MHz']);
+        const selected = await scrapers.scrape('https://lilygo.cc/products/t-echo-meshtastic?variant=40112345678901');
+        assert.deepEqual([selected.price, selected.availability, selected.variant], [59.9, 'out-of-stock', '433MHz']);
+      });
+
+      it('reads the page when there is no product JSON', async () => {
+        const result = await scrapers.scrape('https://store.rokland.com/products/meshtac-gooseneck');
+        assert.equal(result.price, 24.95);
+        assert.equal(result.via, 'selectors');
+      });
+    });
+
+    it('rejects adapters without an extract function', () => {
+      assert.throws(() => scrapers.register({ name: 'broken' }), /extract/);
+    });
+  });
+
+  describe('structured data', () => {
+    it('maps Shopify product page URLs to their product JSON', () => {
+      assert.equal(structured.shopifyJsonUrl('https://lilygo.cc/products/t-echo?variant=1'), 'https://lilygo.cc/products/t-echo.js');
+      assert.equal(structured.shopifyJsonUrl('https://store.rokland.com/collections/x/products/antenna/'), 'https://store.rokland.com/products/antenna.js');
+      assert.equal(structured.shopifyJsonUrl('https://store.rakwireless.com/collections/meshtastic'), null);
+    });
+
+    it('reports the cheapest variant that is in stock from Shopify product JSON', () => {
+      const product = JSON.parse(fixture('lilygo-product', 'json'));
+      const { variants: list, ...data } = structured.fromShopifyJson(product);
+      assert.deepEqual(data, {
+        price: 62.9, currency: null, availability: 'in-stock', title: 'LILYGO® T-Echo Meshtastic', via: 'shopify-json'
+      });
+      assert.deepEqual(list[2], {
+        id: 40112345678903, title: '915MHz', options: ['915MHz'], price: 64.9, currency: null, availability: 'in-stock'
+      });
+      const soldOut = Object.assign({}, product, { variants: product.variants.map(v => Object.assign({}, v, { available: false })) });
+      assert.equal(structured.fromShopifyJson(soldOut).price, 59.9);
+      assert.equal(structured.fromShopifyJson(soldOut).availability, 'out-of-stock');
+      assert.equal(structured.fromShopifyJson({ title: 'Empty', variants: [] }), null);
+    });
+
+    it('reads AggregateOffer ranges as their low price', () => {
+      const html = `<script type="application/ld+json">${JSON.stringify({
+        '@type': 'Product', name: 'Range', offers: { '@type': 'AggregateOffer', lowPrice: '39.00', highPrice: '59.00', priceCurrency: 'USD' }
+      })}</script>`;
+      assert.deepEqual(scrapers.readPage('https://heltec.org/project/range/', html), {
+        source: 'heltec', price: 39, currency: 'USD', availability: null, title: 'Range', variants: [], variant: null, via: 'json-ld'
+      });
+    });
+  });
+
+  describe('variants', () => {
+    const variant = (title, options, price, availability = 'in-stock') => ({ id: null, title, options, price, currency: null, availability });
+    const BUNDLES = [
+      variant('915MHz', ['915MHz'], 49),
+      variant('915MHz / With case', ['915MHz', 'With case'], 59),
+      variant('868MHz / With case', ['868MHz', 'With case'], 59),
+      variant('915MHz 3-pack', [], 129, 'out-of-stock'),
+      variant('915MHz 3-pack (black)', [], 135)
+    ];
+
+    it('matches declared terms against options and titles, preferring exact matches', () => {
+      assert.equal(variants.matchVariant(BUNDLES, '915 MHz').price, 49);
+      assert.equal(variants.matchVariant(BUNDLES, 'with case, 915mhz').price, 59);
+      assert.equal(variants.matchVariant(BUNDLES, '915MHz / 3 pack').price, 129);
+      // Without an exact match, the cheapest one in stock
+      assert.equal(variants.matchVariant(BUNDLES, '3-pack').price, 135);
+      assert.equal(variants.matchVariant(BUNDLES, '433MHz'), null);
+      assert.equal(variants.matchVariant(BUNDLES, ''), null);
+    });
+
+    it('reads WooCommerce variations', () => {
+      const url = 'https://heltec.org/project/meshpocket/';
+      const { variants: list } = scrapers.readPage(url, fixture('heltec'));
+      assert.deepEqual(list.map(v => [v.id, v.title, v.price, v.availability]), [
+        [8205, '5000mAh', 59, 'in-stock'],
+        [8206, '10000mAh', 69, 'out-of-stock']
+      ]);
+      const page = scrapers.readPage(url, fixture('heltec'), { variant: '10000 mAh' });
+      assert.deepEqual([page.price, page.availability, page.variant], [69, 'out-of-stock', '10000mAh']);
+    });
+
+    it('reads JSON-LD ProductGroup variants', () => {
+      const page = scrapers.readPage('https://muzi.works/products/r1-neo-complete-meshtastic-device', fixture('muzi'), { variant: '868 MHz' });
+      assert.deepEqual(page.variants.map(v => v.id), ['45512345678901', '45512345678902']);
+      assert.deepEqual([page.price, page.currency, page.availability, page.variant], [
+        119, 'USD', 'out-of-stock', 'R1 Neo Complete Meshtastic Device - 868 MHz'
+      ]);
+    });
+
+    it('reports no price when the named variant is not found', () => {
+      const page = scrapers.readPage('https://heltec.org/project/meshpocket/', fixture('heltec'), { variant: '20000mAh' });
+      assert.deepEqual([page.price, page.availability, page.variant, page.unmatchedVariant], [null, null, null, '20000mAh']);
+      // Pages without variant data cannot say which variant their price is for
+      const plain = scrapers.readPage('https://shop.example.com/solar-node-kit', fixture('generic'), { variant: '915MHz' });
+      assert.equal(plain.price, null);
+    });
+  });
+
+  describe('common.parseRetryAfter', () => {
+    it('reads seconds and HTTP dates as milliseconds from now', () => {
+      const now = Date.parse('2026-10-01T06:00:00Z');
+      assert.equal(common.parseRetryAfter('120', now), 120000);
+      assert.equal(common.parseRetryAfter('Thu, 01 Oct 2026 06:00:30 GMT', now), 30000);
+      assert.equal(common.parseRetryAfter('Thu, 01 Oct 2026 05:00:00 GMT', now), 0);
+      assert.equal(common.parseRetryAfter('soon', now), null);
+      assert.equal(common.parseRetryAfter(null, now), null);
+    });
+  });
+
+  describe('common.parseAmount', () => {
+    it('reads amounts with currency symbols and thousands separators', () => {
+      assert.equal(common.parseAmount('US$1,299.00'), 1299);
+      assert.equal(common.parseAmount(' $24.9 USD'), 24.9);
+      assert.equal(common.parseAmount('Price'), null);
+      assert.equal(common.parseAmount('$0.00'), null);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const search = require('../src/search');
+
+const PARTS = [
+  { id: 'tbeam', item: 'LILYGO T-Beam Meshtastic 915MHz', notes: 'ESP32 + SX1262 with GPS', category: 'Node', source: 'amazon', community: false,
+    specs: { chipset: 'ESP32', radio: 'SX1262', gps: true }, regions: ['US915'] },
+  { id: 't114', item: 'Heltec Mesh Node T114', notes: 'nRF52840 SX1262, solar support', category: 'Node', source: 'amazon', community: false,
+    specs: { chipset: 'nRF52840', radio: 'SX1262', gps: false } },
+  { id: 'antenna', item: 'HotspotRF Tuned 915MHz Antenna', notes: 'Fiberglass, N-type', category: 'Antenna', source: 'amazon', community: false,
+    specs: { connector: 'N', gainDbi: 8 } },
+  { id: 'solarxiao', item: 'SolarXiao Plus', notes: 'nRF52840 solar board', category: 'Node', source: 'generic', community: true,
+    specs: { chipset: 'nRF52840', gps: true }, regions: ['US915', 'EU868'] },
+  { id: 'p1', item: 'SenseCAP P1-Pro Solar Node', notes: 'Built-in GPS', category: 'Solar', source: 'seeed', community: false }
+];
+const PRICES = { tbeam: 50, t114: 38.35, antenna: 45, solarxiao: null, p1: 89.9 };
+const priceOf = part => PRICES[part.id];
+
+function run(query) {
+  return search.searchParts(PARTS, search.parseSearchParams(query), priceOf);
+}
+
+describe('Search Module', () => {
+  describe('parseSearchParams', () => {
+    it('applies defaults', () => {
+      const params = search.parseSearchParams({});
+      assert.equal(params.sort, 'default');
+      assert.equal(params.page, 1);
+      assert.equal(params.limit, 24);
+      assert.equal(params.community, null);
+    });
+
+    it('rejects an unknown sort', () => {
+      assert.throws(() => search.parseSearchParams({ sort: 'random' }), search.SearchError);
+    });
+
+    it('rejects out-of-range limits and pages', () => {
+      assert.throws(() => search.parseSearchParams({ limit: '500' }), /Invalid limit/);
+      assert.throws(() => search.parseSearchParams({ page: '0' }), /Invalid page/);
+      assert.throws(() => search.parseSearchParams({ minPrice: 'cheap' }), /Invalid minPrice/);
+    });
+
+    it('parses spec filters and rejects unknown spec values', () => {
+      assert.deepEqual(search.parseSearchParams({ chipset: 'nrf52840,ESP32', gps: 'true', minGainDbi: '5' }).specs, [
+        { field: 'chipset', type: 'enum', values: ['nRF52840', 'ESP32'] },
+        { field: 'gps', type: 'boolean', value: true },
+        { field: 'gainDbi', type: 'number', min: 5, max: null }
+      ]);
+      assert.throws(() => search.parseSearchParams({ connector: 'BNC' }), /Invalid connector/);
+    });
+  });
+
+  describe('isSearchRequest', () => {
+    it('is false for a bare request and true with any search parameter', () => {
+      assert.equal(search.isSearchRequest({}), false);
+      assert.equal(search.isSearchRequest({ q: 'gps' }), true);
+      assert.equal(search.isSearchRequest({ page: '2' }), true);
+      assert.equal(search.isSearchRequest({ minGainDbi: '5' }), true);
+    });
+  });
+
+  describe('searchParts', () => {
+    it('requires every token to match', () => {
+      assert.deepEqual(run({ q: 'nrf52840 solar' }).items.map(p => p.id), ['solarxiao', 't114']);
+    });
+
+    it('matches names ignoring punctuation', () => {
+      assert.deepEqual(run({ q: 'tbeam' }).items.map(p => p.id), ['tbeam']);
+    });
+
+    it('ranks name matches above notes matches', () => {
+      assert.deepEqual(run({ q: 'solar' }).items.map(p => p.id), ['solarxiao', 'p1', 't114']);
+    });
+
+    it('filters by category, source and community', () => {
+      assert.deepEqual(run({ category: 'Antenna,Solar' }).items.map(p => p.id), ['antenna', 'p1']);
+      assert.deepEqual(run({ source: 'seeed' }).items.map(p => p.id), ['p1']);
+      assert.deepEqual(run({ community: 'true' }).items.map(p => p.id), ['solarxiao']);
+    });
+
+    it('filters by price range and excludes unpriced parts', () => {
+      assert.deepEqual(run({ minPrice: '40', maxPrice: '60' }).items.map(p => p.id), ['tbeam', 'antenna']);
+    });
+
+    it('sorts by price with unpriced parts last', () => {
+      assert.deepEqual(run({ sort: 'price-asc' }).items.map(p => p.id), ['t114', 'antenna', 'tbeam', 'p1', 'solarxiao']);
+      assert.deepEqual(run({ sort: 'price-desc' }).items.map(p => p.id), ['p1', 'tbeam', 'antenna', 't114', 'solarxiao']);
+    });
+
+    it('paginates and reports totals', () => {
+      const result = run({ limit: '2', page: '2' });
+      assert.deepEqual(result.items.map(p => p.id), ['antenna', 'solarxiao']);
+      assert.equal(result.total, 5);
+      assert.equal(result.pages, 3);
+    });
+
+    it('counts category facets without applying the category filter', () => {
+      const result = run({ q: 'gps', category: 'Solar' });
+      assert.deepEqual(result.items.map(p => p.id), ['p1']);
+      assert.deepEqual(result.facets.categories, { Node: 1, Solar: 1 });
+    });
+
+    it('includes child categories and resolves category aliases', () => {
+      assert.deepEqual(run({ category: 'Power' }).items.map(p => p.id), ['p1']);
+      assert.equal(search.parseSearchParams({ category: 'Adapter' }).categories[0], 'Connector');
+    });
+
+    it('filters by region, keeping parts without a region list', () => {
+      assert.deepEqual(run({ region: 'EU868' }).items.map(p => p.id), ['t114', 'antenna', 'solarxiao', 'p1']);
+      assert.deepEqual(run({ region: 'US915', category: 'Node' }).items.map(p => p.id), ['tbeam', 't114', 'solarxiao']);
+      assert.throws(() => search.parseSearchParams({ region: 'AU915' }), /Invalid region/);
+      assert.throws(() => search.parseSearchParams({ region: 'constructor' }), /Invalid region/);
+    });
+
+    it('filters by spec values and excludes parts without the spec', () => {
+      assert.deepEqual(run({ chipset: 'nRF52840', gps: 'true' }).items.map(p => p.id), ['solarxiao']);
+      assert.deepEqual(run({ connector: 'N', minGainDbi: '5' }).items.map(p => p.id), ['antenna']);
+      assert.deepEqual(run({ maxGainDbi: '5' }).items.map(p => p.id), []);
+    });
+
+    it('counts spec facets ignoring each field\'s own filter', () => {
+      const result = run({ category: 'Node', chipset: 'nRF52840' });
+      assert.deepEqual(result.items.map(p => p.id), ['t114', 'solarxiao']);
+      assert.deepEqual(result.facets.categories, { Node: 2 });
+      assert.deepEqual(result.facets.specs.chipset, { ESP32: 1, nRF52840: 2 });
+      assert.deepEqual(result.facets.specs.gps, { false: 1, true: 1 });
+      assert.equal(result.facets.specs.gainDbi, undefined);
+    });
+  });
+});
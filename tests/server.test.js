@@ -69,6 +69,38 @@ describe('Server', () => {
     assert.equal(typeof data, 'object', 'Should return an object');
   });
 
+  it('GET /api/parts returns stored part IDs', async () => {
+    const res = await get(appPort, '/api/parts');
+    const data = JSON.parse(res.body);
+    const ids = Object.values(data).flat().map(item => item.id);
+    assert.ok(ids.includes('raspberry-pi-5-8gb'), 'Should include a known part ID');
+    assert.equal(new Set(ids).size, ids.length, 'Part IDs should be unique');
+  });
+
+  it('GET /api/parts/aliases returns an alias map', async () => {
+    const res = await get(appPort, '/api/parts/aliases');
+    assert.equal(res.status, 200);
+    const data = JSON.parse(res.body);
+    assert.equal(typeof data.aliases, 'object');
+  });
+
+  it('GET /api/links returns the link configuration', async () => {
+    const res = await get(appPort, '/api/links');
+    assert.equal(res.status, 200);
+    const data = JSON.parse(res.body);
+    assert.equal(data.searchParam, 'k');
+    assert.ok(data.searchUrl.startsWith('https://www.amazon.com/s?'), 'Should have a search URL template');
+  });
+
+  it('GET /api/categories returns nested categories with counts', async () => {
+    const res = await get(appPort, '/api/categories');
+    assert.equal(res.status, 200);
+    const data = JSON.parse(res.body);
+    const power = data.categories.find(category => category.name === 'Power');
+    assert.ok(power.children.some(child => child.name === 'Solar' && child.count > 0), 'Power should list Solar');
+    assert.ok(power.total > power.count, 'Power total should include its children');
+  });
+
   it('Health check returns {status: "ok"}', async () => {
     const res = await get(healthPort, '/health');
     assert.equal(res.status, 200);
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const specs = require('../src/specs');
+
+describe('Specs Module', () => {
+  describe('suggestSpecs', () => {
+    it('extracts node specs from the name and notes', () => {
+      assert.deepEqual(specs.suggestSpecs({
+        name: 'LILYGO T-Beam V1.2 ESP32 LoRa 915MHz GPS',
+        category: 'Node',
+        notes: 'ESP32 + SX1276, NEO-6M GPS, WiFi/BLE, 18650 battery holder'
+      }), { chipset: 'ESP32', radio: 'SX1276', band: '902-928MHz', gps: true });
+
+      assert.deepEqual(specs.suggestSpecs({
+        name: 'Heltec Wireless Stick Lite V3 ESP32-S3 902-928MHz',
+        category: 'Node',
+        notes: 'ESP32-S3 + SX1262, no display, no GPS'
+      }), { chipset: 'ESP32-S3', radio: 'SX1262', band: '902-928MHz', gps: false, display: 'None' });
+    });
+
+    it('extracts antenna connector, gain and band', () => {
+      assert.deepEqual(specs.suggestSpecs({
+        name: 'Slinkdsco 5.8dBi Meshtastic LoRa 915MHz Fiberglass Antenna',
+        category: 'Antenna',
+        notes: 'Waterproof fiberglass, N-male connector, includes IPEX/u.fl adapter cable'
+      }), { connector: 'N', gainDbi: 5.8, band: '902-928MHz' });
+    });
+
+    it('extracts cable connectors, length in metres and cable type', () => {
+      assert.deepEqual(specs.suggestSpecs({
+        name: 'MOOKEERF SMA Male to N Male Cable 3ft (2 Pack)',
+        category: 'Cable',
+        notes: 'RG316 50 ohm low loss coaxial jumper'
+      }), { connectors: ['SMA', 'N'], lengthM: 0.91, cableType: 'RG316' });
+    });
+
+    it('suggests nothing for categories without spec fields', () => {
+      assert.deepEqual(specs.suggestSpecs({ name: 'Solar Panel 6W', category: 'Solar', notes: 'GPS' }), {});
+    });
+  });
+
+  describe('suggestAll', () => {
+    it('leaves out fields that are already set', () => {
+      const results = specs.suggestAll([
+        { id: 'node', name: 'Test Node nRF52840 OLED', category: 'Node', specs: { chipset: 'nRF52840' } },
+        { id: 'tool', name: 'Crimper', category: 'Tools' }
+      ]);
+      assert.deepEqual(results, [{ id: 'node', name: 'Test Node nRF52840 OLED', suggestions: { display: 'OLED' } }]);
+    });
+  });
+
+  describe('validateSpecs', () => {
+    it('accepts values matching the category fields', () => {
+      assert.deepEqual(specs.validateSpecs('Cable', { connectors: ['SMA', 'N'], lengthM: 0.91, cableType: 'RG316' }), []);
+    });
+
+    it('reports unknown fields, bad values and categories without specs', () => {
+      assert.deepEqual(specs.validateSpecs('Antenna', { connector: 'BNC', gainDbi: '5', colour: 'black' }), [
+        'spec connector must be one of SMA, RP-SMA, N, u.FL',
+        'spec gainDbi must be a non-negative number (dBi)',
+        'unknown spec "colour" for Antenna'
+      ]);
+      assert.deepEqual(specs.validateSpecs('Tools', { gps: true }), ['category "Tools" has no spec fields']);
+    });
+
+    it('does not take Object prototype members for categories or fields', () => {
+      assert.deepEqual(specs.validateSpecs('Node', { constructor: 'x', toString: 1 }), [
+        'unknown spec "constructor" for Node',
+        'unknown spec "toString" for Node'
+      ]);
+      assert.deepEqual(specs.validateSpecs('toString', { gps: true }), ['category "toString" has no spec fields']);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const { validateEntries, validateFile, formatProblems } = require('../src/validate');
+
+const TEST_FILE = path.join(__dirname, 'test-validate.json');
+
+function validEntry(overrides) {
+  return Object.assign({
+    id: 'test-node',
+    name: 'Test Node',
+    category: 'Node',
+    notes: '',
+    asin: 'B0TESTNOD1',
+    price: '$30.00',
+    image: ''
+  }, overrides);
+}
+
+function messages(list) {
+  return validateEntries(list).map(p => p.message);
+}
+
+describe('Catalog validation', () => {
+  after(() => {
+    if (fs.existsSync(TEST_FILE)) fs.unlinkSync(TEST_FILE);
+  });
+
+  it('accepts the shipped data/parts.json', () => {
+    assert.deepEqual(validateFile(path.join(__dirname, '..', 'data', 'parts.json')), []);
+  });
+
+  it('accepts a valid entry', () => {
+    assert.deepEqual(validateEntries([validEntry()]), []);
+  });
+
+  it('reports missing required fields with the entry name', () => {
+    const problems = validateEntries([validEntry({ category: undefined })]);
+    assert.deepEqual(problems, [{ index: 0, id: 'test-node', name: 'Test Node', field: 'category', message: 'missing category' }]);
+  });
+
+  it('reports categories that are not in CATEGORIES', () => {
+    assert.deepEqual(messages([validEntry({ category: 'Antena' })]), ['unknown category "Antena"']);
+    assert.deepEqual(messages([validEntry({ category: 'constructor' })]), ['unknown category "constructor"']);
+  });
+
+  it('accepts category aliases', () => {
+    assert.deepEqual(messages([validEntry({ category: 'Adapter' })]), []);
+  });
+
+  it('reports malformed ASINs', () => {
+    assert.match(messages([validEntry({ asin: 'b0short' })])[0], /malformed ASIN "b0short"/);
+  });
+
+  it('reports prices that cannot be parsed but allows empty and contact prices', () => {
+    assert.deepEqual(messages([validEntry({ price: 'TBD' })]), ['price "TBD" cannot be parsed']);
+    assert.deepEqual(messages([validEntry({ price: '' })]), []);
+    assert.deepEqual(messages([validEntry({ price: 'Contact on Discord' })]), []);
+  });
+
+  it('reports add-ons pointing at nonexistent IDs', () => {
+    const list = [
+      validEntry({ addons: ['test-antenna', 'no-such-part'] }),
+      validEntry({ id: 'test-antenna', name: 'Test Antenna', category: 'Antenna', asin: 'B0TESTANT1' })
+    ];
+    assert.deepEqual(messages(list), ['add-on "no-such-part" does not match any part ID']);
+  });
+
+  it('reports duplicate IDs, alias clashes, unknown fields and wrong types', () => {
+    const list = [
+      validEntry({ aliases: ['other-node'] }),
+      validEntry({ name: 'Copy', catgory: 'Node', price: 30 }),
+      validEntry({ id: 'other-node', name: 'Other Node' })
+    ];
+    assert.deepEqual(messages(list), [
+      'alias "other-node" is the ID of entry #3',
+      'price must be a string, got number',
+      'unknown field "catgory"',
+      'id "test-node" is already used by entry #1'
+    ]);
+  });
+
+  it('reports fields named like Object prototype members as unknown', () => {
+    // As read from parts.json, where "__proto__" is an own key
+    const entry = JSON.parse(JSON.stringify(validEntry()).replace(/}$/, ', "constructor": "Node", "toString": "x", "__proto__": {}}'));
+    assert.deepEqual(messages([entry]), [
+      'unknown field "constructor"',
+      'unknown field "toString"',
+      'unknown field "__proto__"'
+    ]);
+  });
+
+  it('reports IDs and aliases reserved for the /api/parts lookup endpoints', () => {
+    assert.deepEqual(messages([validEntry({ id: 'specs', aliases: ['aliases'] })]), [
+      'id "specs" is reserved for /api/parts/specs',
+      'alias "aliases" is reserved for /api/parts/aliases'
+    ]);
+  });
+
+  it('reports specs that do not match the category fields', () => {
+    assert.deepEqual(messages([validEntry({ specs: { chipset: 'nRF52840', gps: 'yes' } })]),
+      ['spec gps must be true or false']);
+  });
+
+  it('reports unknown regions', () => {
+    assert.deepEqual(messages([validEntry({ regions: ['US915', 'AU915'] })]),
+      ['unknown region "AU915" (expected one of US915, EU868, EU433)']);
+    assert.deepEqual(messages([validEntry({ regions: ['constructor'] })]),
+      ['unknown region "constructor" (expected one of US915, EU868, EU433)']);
+  });
+
+  it('reports unknown availability and replacements that are not part IDs', () => {
+    assert.deepEqual(messages([validEntry({ availability: 'discontinued', replacement: 'test-node' })]), [
+      'entry lists itself as its replacement'
+    ]);
+    assert.deepEqual(messages([validEntry({ availability: 'gone', replacement: 'no-such-part' })]), [
+      'unknown availability "gone" (expected one of in-stock, backordered, out-of-stock, discontinued)',
+      'replacement "no-such-part" does not match any part ID'
+    ]);
+    assert.deepEqual(messages([validEntry({ availability: 'toString' })]), [
+      'unknown availability "toString" (expected one of in-stock, backordered, out-of-stock, discontinued)'
+    ]);
+  });
+
+  it('reports empty variants', () => {
+    assert.deepEqual(messages([validEntry({ price: 'From $49.00', variant: '915MHz' })]), []);
+    assert.deepEqual(messages([validEntry({ variant: '' })]), ['variant is empty']);
+  });
+
+  it('reports malformed offers', () => {
+    assert.deepEqual(messages([validEntry({ offers: [{ url: 'https://heltec.org/project/test/', price: '$25.00' }] })]), []);
+    assert.deepEqual(messages([validEntry({ offers: [
+      { price: 'soon', inStock: 'yes', variant: ' ' },
+      { url: 'heltec.org/test', vendor: 'Heltec' },
+      'B0TESTNOD2'
+    ] })]), [
+      'offers[0] needs an asin or url',
+      'offers[0] price "soon" cannot be parsed',
+      'offers[0] variant must be a non-empty string',
+      'offers[0] inStock must be true or false',
+      'offers[1] has unknown field "vendor"',
+      'offers[1] url "heltec.org/test" is not an http(s) URL',
+      'offers[2] is not an object'
+    ]);
+  });
+
+  it('reports unparseable files as a single problem', () => {
+    fs.writeFileSync(TEST_FILE, '[{');
+    const problems = validateFile(TEST_FILE);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0].message, /cannot read test-validate\.json/);
+  });
+
+  it('formats one line per problem', () => {
+    const report = formatProblems(validateEntries([validEntry({ category: 'Antena' }), 'oops']));
+    assert.equal(report, [
+      '  - "Test Node" (test-node): unknown category "Antena"',
+      '  - entry #2: entry is not an object'
+    ].join('\n'));
+  });
+});
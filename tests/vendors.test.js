@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vendors = require('../src/vendors');
+
+describe('Vendors Module', () => {
+  it('loads the registry from the code alone, without a data/ directory', () => {
+    // The image ships src/ only; data/ is a volume holding the catalog and database
+    const app = fs.mkdtempSync(path.join(os.tmpdir(), 'vendors-'));
+    try {
+      fs.cpSync(path.join(__dirname, '..', 'src'), path.join(app, 'src'), { recursive: true });
+      const shipped = require(path.join(app, 'src', 'vendors'));
+      assert.deepEqual(shipped.VENDORS.map(vendor => vendor.source), vendors.VENDORS.map(vendor => vendor.source));
+    } finally {
+      fs.rmSync(app, { recursive: true, force: true });
+    }
+  });
+
+  describe('detectSource', () => {
+    it('matches registered hosts and their subdomains only', () => {
+      assert.equal(vendors.detectSource('https://store.rokland.com/products/x'), 'rokland');
+      assert.equal(vendors.detectSource('https://www.amazon.com/dp/B0TESTNOD1'), 'amazon');
+      assert.equal(vendors.detectSource('https://notamazon.com/dp/B0TESTNOD1'), 'generic');
+      assert.equal(vendors.detectSource('not a url'), 'generic');
+    });
+
+    it('labels every registered vendor', () => {
+      assert.equal(vendors.VENDOR_LABELS.uniteng, 'Unit Eng');
+      assert.equal(vendors.VENDOR_LABELS.generic, 'Vendor');
+    });
+  });
+
+  describe('buildRegistry', () => {
+    it('rejects duplicate sources, vendors without hosts and hosts listed twice', () => {
+      const shop = { source: 'shop', label: 'Shop', hosts: ['shop.test'] };
+      assert.throws(() => vendors.buildRegistry([shop, shop]), /duplicate or missing source/);
+      assert.throws(() => vendors.buildRegistry([{ source: 'shop', label: 'Shop', hosts: [] }]), /has no hosts/);
+      assert.throws(() => vendors.buildRegistry([shop, { source: 'other', label: 'Other', hosts: ['shop.test'] }]), /listed twice/);
+    });
+
+    it('defaults the scraper to the generic adapter', () => {
+      assert.equal(vendors.buildRegistry([{ source: 'shop', label: 'Shop', hosts: ['Shop.test'] }])[0].scraper, 'generic');
+    });
+
+    it('defaults the request spacing and rejects bad ones', () => {
+      assert.equal(vendors.buildRegistry([{ source: 'shop', label: 'Shop', hosts: ['shop.test'] }])[0].delayMs, 1500);
+      assert.equal(vendors.vendorFor('https://www.amazon.com/dp/B0TESTNOD1').delayMs, 3000);
+      assert.throws(() => vendors.buildRegistry([{ source: 'shop', label: 'Shop', hosts: ['shop.test'], delayMs: '3s' }]), /delayMs/);
+    });
+  });
+
+  describe('offersFor', () => {
+    it('lists the entry itself first, then its extra offers', () => {
+      const offers = vendors.offersFor({
+        name: 'Test Node',
+        asin: 'B0TESTNOD1',
+        price: '$59.00',
+        offers: [
+          { url: 'https://heltec.org/project/test-node/', price: '$39.00', note: 'Direct' },
+          { url: 'https://rokland.com/shop/test-node', inStock: false }
+        ]
+      });
+
+      assert.deepEqual(offers.map(o => [o.key, o.primary, o.source, o.vendor, o.price, o.inStock, o.note]), [
+        ['B0TESTNOD1', true, 'amazon', 'Amazon', '$59.00', true, null],
+        ['https://heltec.org/project/test-node/', false, 'heltec', 'Heltec', '$39.00', true, 'Direct'],
+        ['https://rokland.com/shop/test-node', false, 'rokland', 'Rokland', '', false, null]
+      ]);
+    });
+
+    it('gives offers the entry variant unless they name their own', () => {
+      const offers = vendors.offersFor({
+        name: 'Test Node',
+        url: 'https://lilygo.cc/products/test-node',
+        price: 'From $49.00',
+        variant: '915MHz',
+        offers: [{ url: 'https://rokland.com/shop/test-node', variant: '915MHz / with case' }]
+      });
+
+      assert.deepEqual(offers.map(o => o.variant), ['915MHz', '915MHz / with case']);
+      assert.equal(vendors.offersFor({ name: 'Plain', asin: 'B0TESTNOD1' })[0].variant, null);
+    });
+
+    it('returns only the extra offers when the entry has no asin or url', () => {
+      const offers = vendors.offersFor({ name: 'Community Board', offers: [{ url: 'https://example.com/board' }] });
+
+      assert.equal(offers.length, 1);
+      assert.equal(offers[0].primary, false);
+      assert.equal(offers[0].vendor, 'Vendor');
+    });
+
+    it('returns no offers for entries without any link', () => {
+      assert.deepEqual(vendors.offersFor({ name: 'Contact only', price: 'Contact on Discord' }), []);
+    });
+  });
+});